@@ -0,0 +1,38 @@
+/**
+ * Command Args - Shared argument parsing for slash commands and CLI scripts
+ * Part of the AI-driven front-end design workflow
+ */
+
+/**
+ * Split command arguments into positional values and --flags.
+ * Flags take the following argument as their value unless listed in `booleans` (or given as --flag=value).
+ * Flags listed in `repeatable` collect every occurrence into an array.
+ */
+export function parseCommandArgs(args, { booleans = [], repeatable = [] } = {}) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    let value;
+    if (inlineValue !== undefined) {
+      value = inlineValue;
+    } else if (booleans.includes(key) || i + 1 >= args.length || args[i + 1].startsWith('--')) {
+      value = true;
+    } else {
+      value = args[++i];
+    }
+
+    flags[key] = repeatable.includes(key) ? [...(flags[key] || []), value] : value;
+  }
+
+  return { positional, flags };
+}
+
+export default parseCommandArgs;
@@ -0,0 +1,596 @@
+/**
+ * MCP Server - Exposes the UI testing slash commands as Model Context Protocol tools
+ * Serves over stdio (default) or HTTP/SSE, and publishes reports/ and screenshots/ as resources
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { THROTTLING_PROFILES } from '../subagents/throttling.js';
+import { TREND_METRICS } from '../subagents/trend-store.js';
+
+const SERVER_INFO = { name: 'claude-ui-workflow', version: '1.0.0' };
+
+const RESOURCE_ROOTS = ['reports', 'screenshots'];
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain'
+};
+
+const TEXT_EXTENSIONS = ['.json', '.jsonl', '.md', '.html', '.xml', '.txt'];
+
+// The shared SlashCommands instance is loaded on first use, so the tool and resource helpers
+// can be imported without the browser agents and the generated config/device-profiles.js
+async function loadDefaultSlashCommands() {
+  return (await import('./slash-commands.js')).slashCommands;
+}
+
+/**
+ * Tool definitions for each slash command.
+ * `positional` lists the input properties in the order the command handler expects them.
+ */
+export const toolDefinitions = {
+  '/start-session': {
+    description: 'Start a new UI testing session (launches a browser with the given device profile)',
+    positional: ['browser', 'device'],
+    flags: ['deterministic', 'time', 'seed', 'network', 'har', 'strict', 'name', 'resume', 'auth', 'throttling', 'lighthouse',
+      'color-scheme', 'forced-colors', 'reduced-motion', 'contrast', 'locale', 'timezone', 'geolocation'],
+    properties: {
+      browser: { type: 'string', enum: ['chromium', 'firefox', 'webkit'], default: 'chromium', description: 'Browser engine' },
+      device: { type: 'string', default: 'desktop.large', description: 'Device profile, e.g. desktop.large or mobile.iphone15Pro' },
+      deterministic: { type: 'boolean', description: 'Frozen clock, seeded Math.random, settled fonts/images/media, blocked third-party hosts and stability-checked captures' },
+      time: { type: 'string', description: 'Clock time for deterministic mode (ISO 8601)' },
+      seed: { type: 'number', description: 'Math.random seed for deterministic mode' },
+      network: { type: 'string', enum: ['live', 'record', 'replay'], description: 'Record responses to a HAR file, or replay them so the session runs offline' },
+      har: { type: 'string', description: 'HAR file to record to or replay from (default recordings/network.har)' },
+      strict: { type: 'boolean', description: 'In replay mode, abort requests missing from the HAR and fail captures' },
+      name: { type: 'string', description: 'Unique session name to switch to or resume the session by' },
+      resume: { type: 'string', description: 'Resume a saved session by id or name instead of starting a new one' },
+      auth: { type: 'string', description: 'Auth profile from config/auth-profiles.json; its saved login is reused until it expires' },
+      throttling: { type: 'string', enum: Object.keys(THROTTLING_PROFILES), description: 'Network and CPU throttling for the whole session (Chromium only); defaults to the device profile\'s' },
+      lighthouse: { type: 'boolean', description: 'Open Chromium\'s remote debugging port so /lighthouse can audit the session; any local process can drive the browser while it is open' },
+      'color-scheme': { type: 'string', enum: ['light', 'dark', 'no-preference'], description: 'Emulated prefers-color-scheme' },
+      'forced-colors': { type: 'string', enum: ['none', 'active'], description: 'Emulated forced-colors (Windows high contrast)' },
+      'reduced-motion': { type: 'string', enum: ['no-preference', 'reduce'], description: 'Emulated prefers-reduced-motion' },
+      contrast: { type: 'string', enum: ['no-preference', 'more'], description: 'Emulated prefers-contrast' },
+      locale: { type: 'string', description: 'Browser locale, e.g. de-DE' },
+      timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin' },
+      geolocation: { type: 'string', description: 'Latitude and longitude as "lat,lon"; geolocation permission is granted' }
+    }
+  },
+  '/end-session': {
+    description: 'End the current session, close the browser and save the session summary',
+    positional: [],
+    properties: {}
+  },
+  '/switch-session': {
+    description: 'Make another running session current, or resume a saved one with its cookies, storage and last URL',
+    positional: ['session'],
+    properties: {
+      session: { type: 'string', description: 'Session id or name' }
+    },
+    required: ['session']
+  },
+  '/list-sessions': {
+    description: 'List running sessions and saved sessions that can be resumed',
+    positional: [],
+    properties: {}
+  },
+  '/navigate': {
+    description: 'Navigate the session browser to a URL',
+    positional: ['url'],
+    properties: {
+      url: { type: 'string', description: 'Absolute URL to open' }
+    },
+    required: ['url']
+  },
+  '/screenshot': {
+    description: 'Capture a full-page or element screenshot of the current page',
+    positional: ['name', 'type', 'selector'],
+    flags: ['ignore', 'ignore-region', 'freeze', 'replace', 'scenario'],
+    properties: {
+      name: { type: 'string', default: 'unnamed', description: 'Screenshot name' },
+      type: { type: 'string', enum: ['full-page', 'element'], default: 'full-page', description: 'Capture type' },
+      selector: { type: 'string', description: 'CSS selector (required when type is element)' },
+      ignore: { type: 'array', items: { type: 'string' }, description: 'CSS selectors to mask (dates, avatars, ads, carousels)' },
+      'ignore-region': { type: 'array', items: { type: 'string' }, description: 'Rectangles to ignore as "x,y,width,height" in screenshot pixels' },
+      freeze: { type: 'string', description: 'Text replacement presets, comma separated: dates, times, relative, uuids, ids' },
+      replace: { type: 'array', items: { type: 'string' }, description: 'Text replacements as "pattern=>replacement" (regular expression)' },
+      scenario: { type: 'array', items: { type: 'string' }, description: 'API mock scenarios to activate for this capture; the name gets a --<scenario> suffix' }
+    }
+  },
+  '/mock': {
+    description: 'List or toggle API mock scenarios (empty lists, error responses, slow endpoints) for the session page',
+    positional: ['action', 'scenarios'],
+    flags: ['all', 'reload'],
+    properties: {
+      action: { type: 'string', enum: ['list', 'on', 'off', 'use'], default: 'list', description: 'list, enable (on), disable (off) or replace the active set (use)' },
+      scenarios: { type: 'array', items: { type: 'string' }, description: 'Scenario names from config/api-mocks.json' },
+      all: { type: 'boolean', description: 'With off: disable every active scenario' },
+      reload: { type: 'boolean', description: 'Reload the page so it renders with the new mocks' }
+    }
+  },
+  '/compare': {
+    description: 'Compare an existing screenshot with a named baseline',
+    positional: ['currentPath', 'baselineName'],
+    properties: {
+      currentPath: { type: 'string', description: 'Path to the current screenshot' },
+      baselineName: { type: 'string', description: 'Baseline file name, e.g. homepage.png' }
+    },
+    required: ['currentPath', 'baselineName']
+  },
+  '/visual-diff': {
+    description: 'Capture the current page and compare it with its baseline, analyzing any differences',
+    positional: ['name'],
+    flags: ['ignore', 'ignore-region', 'freeze', 'replace', 'scenario'],
+    properties: {
+      name: { type: 'string', default: 'visual-diff', description: 'Screenshot name; the baseline is <name>-full-page-<device>.png' },
+      ignore: { type: 'array', items: { type: 'string' }, description: 'CSS selectors to mask (dates, avatars, ads, carousels)' },
+      'ignore-region': { type: 'array', items: { type: 'string' }, description: 'Rectangles to ignore as "x,y,width,height" in screenshot pixels' },
+      freeze: { type: 'string', description: 'Text replacement presets, comma separated: dates, times, relative, uuids, ids' },
+      replace: { type: 'array', items: { type: 'string' }, description: 'Text replacements as "pattern=>replacement" (regular expression)' },
+      scenario: { type: 'array', items: { type: 'string' }, description: 'API mock scenarios to activate for this capture; the name gets a --<scenario> suffix' }
+    }
+  },
+  '/states': {
+    description: 'Capture an element in each interaction state (default, hover, focus-visible, active, disabled, expanded) and compare every state with its own baseline',
+    positional: ['selector', 'name'],
+    flags: ['states', 'expanded-target', 'ignore', 'ignore-region', 'freeze', 'replace'],
+    properties: {
+      selector: { type: 'string', description: 'CSS selector of the element' },
+      name: { type: 'string', default: 'states', description: 'Base name; baselines are <name>--<state>.png' },
+      states: { type: 'string', description: 'Comma separated subset of default, hover, focus-visible, active, disabled, expanded' },
+      'expanded-target': { type: 'string', description: 'Selector of the content opened by clicking the element (defaults to its aria-controls target)' },
+      ignore: { type: 'array', items: { type: 'string' }, description: 'CSS selectors to mask' },
+      'ignore-region': { type: 'array', items: { type: 'string' }, description: 'Rectangles to ignore as "x,y,width,height" in screenshot pixels' },
+      freeze: { type: 'string', description: 'Text replacement presets, comma separated: dates, times, relative, uuids, ids' },
+      replace: { type: 'array', items: { type: 'string' }, description: 'Text replacements as "pattern=>replacement" (regular expression)' }
+    },
+    required: ['selector']
+  },
+  '/focus-walk': {
+    description: 'Press Tab through the page, capture each tab stop with its focus ring, compare with baselines and flag stops without a visible focus indicator',
+    positional: ['name'],
+    flags: ['max-stops', 'ignore', 'ignore-region', 'freeze', 'replace'],
+    properties: {
+      name: { type: 'string', default: 'focus-walk', description: 'Base name; baselines are <name>--tab-<n>.png' },
+      'max-stops': { type: 'number', description: 'Maximum number of tab stops (default 25)' },
+      ignore: { type: 'array', items: { type: 'string' }, description: 'CSS selectors to mask' },
+      'ignore-region': { type: 'array', items: { type: 'string' }, description: 'Rectangles to ignore as "x,y,width,height" in screenshot pixels' },
+      freeze: { type: 'string', description: 'Text replacement presets, comma separated: dates, times, relative, uuids, ids' },
+      replace: { type: 'array', items: { type: 'string' }, description: 'Text replacements as "pattern=>replacement" (regular expression)' }
+    }
+  },
+  '/journey': {
+    description: 'Run a YAML or JSON user journey (actions, per-step assertions, conditional screenshots, sub-journeys) and report failures per step',
+    positional: ['file'],
+    flags: ['param', 'continue-on-failure'],
+    properties: {
+      file: { type: 'string', description: 'Path to the journey file (.yaml, .yml or .json)' },
+      param: { type: 'array', items: { type: 'string' }, description: 'Journey parameters as "key=value", used for ${key} placeholders' },
+      'continue-on-failure': { type: 'boolean', description: 'Keep running steps after a failed step' }
+    },
+    required: ['file']
+  },
+  '/browser-matrix': {
+    description: 'Render a page in chromium, firefox and webkit across devices, compare each with its own baseline and with a reference browser, and report engine-specific differences',
+    positional: ['url', 'name'],
+    flags: ['browsers', 'devices', 'reference', 'max-diff', 'concurrency'],
+    properties: {
+      url: { type: 'string', description: 'Page to render (defaults to the session page)' },
+      name: { type: 'string', default: 'browser-matrix', description: 'Name used for the screenshots and baselines' },
+      browsers: { type: 'string', description: 'Comma-separated browsers (default chromium,firefox,webkit)' },
+      devices: { type: 'string', description: 'Comma-separated device profiles, or "all" (default the session device)' },
+      reference: { type: 'string', description: 'Browser the others are compared against (default chromium)' },
+      'max-diff': { type: 'number', description: 'Percent of differing pixels before two browsers count as inconsistent (default 1)' },
+      concurrency: { type: 'number', description: 'Browser contexts rendering at the same time (default 3)' }
+    }
+  },
+  '/theme-matrix': {
+    description: 'Capture a page in every combination of color scheme, forced colors, reduced motion, contrast, locale and timezone, each against its own baseline, and flag contrast or layout issues that appear in only one mode',
+    positional: ['url', 'name'],
+    flags: ['color-scheme', 'forced-colors', 'reduced-motion', 'contrast', 'locale', 'timezone', 'checks', 'max-variants'],
+    properties: {
+      url: { type: 'string', description: 'Page to capture (defaults to the session page)' },
+      name: { type: 'string', default: 'theme-matrix', description: 'Name used for the screenshots and baselines' },
+      'color-scheme': { type: 'string', description: 'Comma-separated: light, dark, no-preference' },
+      'forced-colors': { type: 'string', description: 'Comma-separated: none, active' },
+      'reduced-motion': { type: 'string', description: 'Comma-separated: no-preference, reduce' },
+      contrast: { type: 'string', description: 'Comma-separated: no-preference, more' },
+      locale: { type: 'string', description: 'Comma-separated locales, e.g. en-US,de-DE,ar' },
+      timezone: { type: 'string', description: 'Comma-separated IANA timezones' },
+      checks: { type: 'string', description: 'Comma-separated checks per mode: contrast, layout (default both)' },
+      'max-variants': { type: 'number', description: 'Refuse to run more combinations than this (default 32)' }
+    }
+  },
+  '/approve': {
+    description: 'Promote pending screenshots (new or changed) into the approved baselines',
+    positional: ['names'],
+    flags: ['all', 'approver'],
+    properties: {
+      names: { type: 'array', items: { type: 'string' }, description: 'Baseline names, e.g. homepage-full-page-desktop-large.png (a date suffix is dropped)' },
+      all: { type: 'boolean', description: 'Approve every pending screenshot' },
+      approver: { type: 'string', description: 'Name recorded as the approver' }
+    }
+  },
+  '/reject': {
+    description: 'Discard pending screenshots and keep the current baselines',
+    positional: ['names'],
+    flags: ['all', 'reason'],
+    properties: {
+      names: { type: 'array', items: { type: 'string' }, description: 'Baseline names, e.g. homepage-full-page-desktop-large.png (a date suffix is dropped)' },
+      all: { type: 'boolean', description: 'Reject every pending screenshot' },
+      reason: { type: 'string', description: 'Why the candidate was rejected' }
+    }
+  },
+  '/accessibility': {
+    description: 'Run an accessibility analysis (axe-core plus visual review) on the current page',
+    positional: [],
+    properties: {}
+  },
+  '/performance': {
+    description: 'Collect Core Web Vitals (LCP, CLS, INP, FCP, TTFB, TBT) for the current page, with the LCP element, shifting elements and slowest interactions',
+    positional: [],
+    flags: ['profile', 'interact'],
+    properties: {
+      profile: { type: 'string', enum: Object.keys(THROTTLING_PROFILES), description: 'Reload and measure under this throttling profile, e.g. slow-4g (Chromium only); the session\'s own throttling is restored afterwards' },
+      interact: { type: 'boolean', description: 'Press keys and click type="button" toggles so INP has something to measure, then reload the page to undo them' }
+    }
+  },
+  '/lighthouse': {
+    description: 'Run a Lighthouse audit of the current page in the session\'s Chromium (started with lighthouse: true), save the full result JSON and return category scores and failing audits as findings',
+    positional: [],
+    flags: ['categories'],
+    properties: {
+      categories: { type: 'string', description: 'Comma-separated categories: performance, accessibility, best-practices, seo (default all four)' }
+    }
+  },
+  '/responsive': {
+    description: 'Capture the current page at mobile, tablet and desktop widths and analyze responsive behavior',
+    positional: ['name'],
+    properties: {
+      name: { type: 'string', default: 'responsive-test', description: 'Screenshot name prefix' }
+    }
+  },
+  '/ui-review': {
+    description: 'Run the full UI review workflow (navigation, screenshots, accessibility, performance, responsive)',
+    positional: ['url', 'reviewType'],
+    flags: ['crawl', 'depth', 'max-pages', 'include', 'exclude', 'no-sitemap', 'interact'],
+    properties: {
+      url: { type: 'string', description: 'URL to review' },
+      reviewType: { type: 'string', enum: ['full', 'quick'], default: 'full', description: 'Review depth' },
+      crawl: { type: 'boolean', description: 'Follow same-origin links (and sitemap.xml) from the URL and review every page' },
+      depth: { type: 'number', description: 'Maximum link depth when crawling (default 2)' },
+      'max-pages': { type: 'number', description: 'Maximum pages to review when crawling (default 20)' },
+      include: { type: 'array', items: { type: 'string' }, description: 'Only crawl URLs matching these globs ("/docs/**" matches paths)' },
+      exclude: { type: 'array', items: { type: 'string' }, description: 'Skip URLs matching these globs' },
+      'no-sitemap': { type: 'boolean', description: 'Do not seed the crawl from sitemap.xml' },
+      interact: { type: 'boolean', description: 'Click toggles on each crawled page to measure INP (full reviews)' }
+    },
+    required: ['url']
+  },
+  '/generate-report': {
+    description: 'Generate an analysis report for the current session',
+    positional: ['format'],
+    properties: {
+      format: { type: 'string', enum: ['markdown', 'json', 'html'], default: 'markdown', description: 'Report format' }
+    }
+  },
+  '/trends': {
+    description: 'Chart scores, Core Web Vitals, violation counts and visual diffs across earlier runs as an HTML report, and list regressions of the latest run against the rolling baseline',
+    positional: ['url'],
+    flags: ['metrics', 'device', 'browser', 'throttling', 'window'],
+    properties: {
+      url: { type: 'string', description: 'Only this page (default all recorded pages)' },
+      metrics: { type: 'string', description: `Comma-separated metrics: ${Object.keys(TREND_METRICS).join(', ')} (default all)` },
+      device: { type: 'string', description: 'Only runs on this device' },
+      browser: { type: 'string', enum: ['chromium', 'firefox', 'webkit'], description: 'Only runs in this browser' },
+      throttling: { type: 'string', description: 'Only runs under this throttling profile' },
+      window: { type: 'number', description: 'Earlier runs in the rolling baseline (default 5)' }
+    }
+  },
+  '/help': {
+    description: 'List the available UI testing commands',
+    positional: [],
+    properties: {}
+  }
+};
+
+// Commands without a dedicated definition still get a tool that accepts raw arguments
+const genericDefinition = {
+  description: 'Run the slash command with raw arguments',
+  positional: [],
+  properties: {
+    args: { type: 'array', items: { type: 'string' }, description: 'Command arguments' }
+  }
+};
+
+// Accepted by every tool: run against this session instead of the client's current one
+const sessionProperty = { type: 'string', description: 'Session id or name to run against (defaults to the current session)' };
+
+export function getToolName(command) {
+  return command.replace(/^\//, '');
+}
+
+export function buildToolList(slashCommands) {
+  return Object.keys(slashCommands.commands).map(command => {
+    const definition = toolDefinitions[command] || genericDefinition;
+    return {
+      name: getToolName(command),
+      description: definition === genericDefinition
+        ? `${genericDefinition.description} (${command})`
+        : definition.description,
+      inputSchema: {
+        type: 'object',
+        properties: command === '/switch-session'
+          ? definition.properties
+          : { ...definition.properties, session: sessionProperty },
+        ...(definition.required ? { required: definition.required } : {})
+      }
+    };
+  });
+}
+
+export function buildCommandArgs(command, input = {}) {
+  const definition = toolDefinitions[command];
+  if (!definition) {
+    return (input.args || []).map(String);
+  }
+
+  // Fill gaps with defaults so later positional arguments land in the right slot
+  const lastProvided = definition.positional.reduce(
+    (last, key, index) => (input[key] !== undefined ? index : last),
+    -1
+  );
+
+  const args = definition.positional.slice(0, lastProvided + 1).flatMap(key => {
+    const value = input[key] ?? definition.properties[key]?.default ?? '';
+    return Array.isArray(value) ? value.map(String) : [String(value)];
+  });
+
+  // Optional settings are passed as --flag or --flag=value
+  for (const key of definition.flags || []) {
+    for (const value of [].concat(input[key] ?? [])) {
+      if (value === true) {
+        args.push(`--${key}`);
+      } else if (value !== false) {
+        args.push(`--${key}=${value}`);
+      }
+    }
+  }
+
+  return args;
+}
+
+function collectImagePaths(result) {
+  const paths = [];
+
+  if (result.screenshot?.path) paths.push(result.screenshot.path);
+  if (Array.isArray(result.screenshots)) {
+    paths.push(...result.screenshots.map(s => s?.path).filter(Boolean));
+  }
+  if (result.diffPath) paths.push(result.diffPath);
+
+  return [...new Set(paths)].filter(p => p.endsWith('.png') && fs.existsSync(p));
+}
+
+export function formatToolResult(result) {
+  const content = [];
+
+  if (result.help) {
+    content.push({ type: 'text', text: result.help });
+  } else {
+    content.push({ type: 'text', text: JSON.stringify(result, null, 2) });
+  }
+
+  for (const imagePath of collectImagePaths(result)) {
+    content.push({
+      type: 'image',
+      data: fs.readFileSync(imagePath).toString('base64'),
+      mimeType: 'image/png'
+    });
+  }
+
+  return {
+    content,
+    isError: result.success === false
+  };
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+function resolveResourcePath(uri) {
+  const filePath = fileURLToPath(uri);
+  const allowed = RESOURCE_ROOTS.some(root => {
+    const relative = path.relative(path.resolve(root), filePath);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+
+  if (!allowed) {
+    throw new Error(`Resource outside of ${RESOURCE_ROOTS.join('/, ')}/: ${uri}`);
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Resource not found: ${uri}`);
+  }
+
+  return filePath;
+}
+
+export function listResources() {
+  return RESOURCE_ROOTS.flatMap(root => listFiles(root)).map(filePath => ({
+    uri: pathToFileURL(path.resolve(filePath)).href,
+    name: filePath.split(path.sep).join('/'),
+    mimeType: MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+  }));
+}
+
+export function readResource(uri) {
+  const filePath = resolveResourcePath(uri);
+  const extension = path.extname(filePath).toLowerCase();
+  const mimeType = MIME_TYPES[extension] || 'application/octet-stream';
+
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    return { uri, mimeType, text: fs.readFileSync(filePath, 'utf8') };
+  }
+
+  return { uri, mimeType, blob: fs.readFileSync(filePath).toString('base64') };
+}
+
+export function createMCPServer(slashCommands) {
+  // Each connection keeps its own current session, so clients switching sessions don't affect each other
+  const client = randomUUID();
+  const server = new Server(SERVER_INFO, {
+    capabilities: {
+      tools: {},
+      resources: {}
+    }
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: buildToolList(slashCommands)
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const command = `/${request.params.name}`;
+    if (!slashCommands.commands[command]) {
+      return {
+        content: [{ type: 'text', text: `Unknown tool: ${request.params.name}` }],
+        isError: true
+      };
+    }
+
+    const input = request.params.arguments || {};
+    const args = buildCommandArgs(command, input);
+    const result = await slashCommands.runCommand(command, args, {
+      mcp: true,
+      workspaceRoot: process.cwd(),
+      client,
+      ...(input.session && command !== '/switch-session' ? { sessionId: input.session } : {})
+    });
+
+    return formatToolResult(result);
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: listResources()
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: [readResource(request.params.uri)]
+  }));
+
+  return server;
+}
+
+export async function startStdioServer(slashCommands = null) {
+  slashCommands = slashCommands || await loadDefaultSlashCommands();
+
+  // stdout carries the protocol, so agent logging has to go to stderr
+  console.log = (...args) => console.error(...args);
+
+  const server = createMCPServer(slashCommands);
+  await server.connect(new StdioServerTransport());
+
+  console.error('✅ MCP server listening on stdio');
+  return server;
+}
+
+export async function startHttpServer(slashCommands = null, options = {}) {
+  slashCommands = slashCommands || await loadDefaultSlashCommands();
+  const { port = 3333, host = 'localhost' } = options;
+  const transports = new Map();
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/sse') {
+        const transport = new SSEServerTransport('/messages', res);
+        transports.set(transport.sessionId, transport);
+        res.on('close', () => transports.delete(transport.sessionId));
+
+        await createMCPServer(slashCommands).connect(transport);
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/messages') {
+        const transport = transports.get(url.searchParams.get('sessionId'));
+        if (!transport) {
+          res.writeHead(404).end('Unknown MCP session');
+          return;
+        }
+
+        await transport.handlePostMessage(req, res);
+        return;
+      }
+
+      res.writeHead(404).end('Not found');
+    } catch (error) {
+      console.error(`❌ MCP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500).end(error.message);
+      }
+    }
+  });
+
+  await new Promise(resolve => httpServer.listen(port, host, resolve));
+  console.log(`✅ MCP server listening on http://${host}:${port}/sse`);
+
+  return httpServer;
+}
+
+async function shutdown(slashCommands) {
+  // Sessions stay resumable after a restart instead of being ended
+  await slashCommands.suspendSessions();
+  process.exit(0);
+}
+
+// Run server if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+
+  loadDefaultSlashCommands()
+    .then(slashCommands => {
+      process.on('SIGINT', () => shutdown(slashCommands));
+      process.on('SIGTERM', () => shutdown(slashCommands));
+
+      return args.includes('--http')
+        ? startHttpServer(slashCommands, {
+            port: portIndex !== -1 ? parseInt(args[portIndex + 1], 10) : undefined
+          })
+        : startStdioServer(slashCommands);
+    })
+    .catch(error => {
+      console.error('❌ MCP server failed to start:', error.message);
+      process.exit(1);
+    });
+}
+
+export default createMCPServer;
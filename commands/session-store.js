@@ -0,0 +1,77 @@
+/**
+ * Session Store - Persists slash command sessions to disk so they survive a process restart
+ * Each session is sessions/<id>.json plus the browser storage state in sessions/<id>.storage-state.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class SessionStore {
+  constructor(options = {}) {
+    this.options = {
+      sessionDir: process.env.SESSION_DIR || 'sessions',
+      ...options
+    };
+  }
+
+  sessionPath(id) {
+    return path.join(this.options.sessionDir, `${id}.json`);
+  }
+
+  storageStatePath(id) {
+    return path.join(this.options.sessionDir, `${id}.storage-state.json`);
+  }
+
+  /**
+   * Write the session state, and the browser's cookies and localStorage when a context is given.
+   * Written to a temporary file first so a crash mid-write cannot corrupt the previous copy.
+   */
+  async save(state, browserContext = null) {
+    fs.mkdirSync(this.options.sessionDir, { recursive: true });
+
+    // Live cookies: readable by the owner only, like the cached logins in .auth/
+    if (browserContext) {
+      const storageStatePath = this.storageStatePath(state.id);
+      const temporaryStatePath = `${storageStatePath}.tmp`;
+      fs.writeFileSync(temporaryStatePath, JSON.stringify(await browserContext.storageState(), null, 2), { mode: 0o600 });
+      fs.renameSync(temporaryStatePath, storageStatePath);
+    }
+
+    const sessionPath = this.sessionPath(state.id);
+    const temporaryPath = `${sessionPath}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(temporaryPath, sessionPath);
+    return sessionPath;
+  }
+
+  // Finds a session by id or name; the most recently updated one wins when names repeat
+  load(idOrName) {
+    if (fs.existsSync(this.sessionPath(idOrName))) {
+      return JSON.parse(fs.readFileSync(this.sessionPath(idOrName), 'utf8'));
+    }
+    return this.list().find(state => state.name === idOrName) || null;
+  }
+
+  list() {
+    if (!fs.existsSync(this.options.sessionDir)) return [];
+
+    return fs.readdirSync(this.options.sessionDir)
+      .filter(file => file.endsWith('.json') && !file.endsWith('.storage-state.json'))
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.options.sessionDir, file), 'utf8'));
+        } catch (error) {
+          console.log(`⚠️ Skipping unreadable session file ${file}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  hasStorageState(id) {
+    return fs.existsSync(this.storageStatePath(id));
+  }
+}
+
+export default SessionStore;
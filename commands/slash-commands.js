@@ -5,17 +5,69 @@
 
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import NavigationAgent from '../subagents/navigation-agent.js';
 import ScreenshotAgent from '../subagents/screenshot-agent.js';
 import AnalysisAgent from '../subagents/analysis-agent.js';
+import BaselineManifest from '../subagents/baseline-manifest.js';
+import SiteCrawler from '../workflows/site-crawler.js';
+import JourneyRunner from '../workflows/journey-runner.js';
+import BrowserMatrix from '../workflows/browser-matrix.js';
+import ThemeMatrix, { expandVariants } from '../workflows/theme-matrix.js';
+import { parseCommandArgs } from './command-args.js';
+import SessionStore from './session-store.js';
+import { MASK_FLAGS, parseMaskFlags } from '../subagents/screenshot-masks.js';
+import TrendStore, { TREND_METRICS, trendMetrics, throttlingKey } from '../subagents/trend-store.js';
+import { writeHtmlReport } from '../subagents/html-report.js';
+import { baselineNameFor } from '../subagents/image-similarity.js';
 import { deviceProfiles } from '../config/device-profiles.js';
 
+// --scenario a --scenario b or --scenario a,b
+function parseScenarioFlags(flags) {
+  return [].concat(flags.scenario ?? [])
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(',').map(name => name.trim()).filter(Boolean));
+}
+
+// Each mock scenario gets its own baseline
+function scenarioScreenshotName(name, scenarios) {
+  return scenarios.length > 0 ? `${name}--${scenarios.join('--')}` : name;
+}
+
+// Emulation flags shared by /start-session and /theme-matrix -> NavigationAgent emulation keys
+const EMULATION_FLAGS = {
+  'color-scheme': 'colorScheme',
+  'forced-colors': 'forcedColors',
+  'reduced-motion': 'reducedMotion',
+  contrast: 'contrast',
+  locale: 'locale',
+  timezone: 'timezoneId'
+};
+
+// --color-scheme dark --locale de-DE --geolocation 52.52,13.40 -> { colorScheme, locale, geolocation }
+function parseEmulationFlags(flags) {
+  const emulation = {};
+  for (const [flag, key] of Object.entries(EMULATION_FLAGS)) {
+    if (typeof flags[flag] === 'string') emulation[key] = flags[flag];
+  }
+  if (typeof flags.geolocation === 'string') {
+    const [latitude, longitude] = flags.geolocation.split(',').map(Number);
+    emulation.geolocation = { latitude, longitude };
+  }
+  return emulation;
+}
+
+// Session selected for the command being run; concurrent commands each see their own
+const sessionScope = new AsyncLocalStorage();
+
 export class SlashCommands {
-  constructor() {
-    this.navigationAgent = null;
-    this.screenshotAgent = null;
-    this.analysisAgent = null;
-    this.activeSession = null;
+  constructor(options = {}) {
+    this.sessions = new Map(); // session id -> { state, navigationAgent, screenshotAgent, analysisAgent }
+    this.currentSessionId = null;
+    this.clientSessions = new Map(); // MCP client -> its current session id
+    this.sessionStore = new SessionStore(options);
+    this.baselineManifest = new BaselineManifest();
+    this.trendStore = new TrendStore(options.trends);
     
     this.commands = {
       '/ui-review': this.startUIReview.bind(this),
@@ -23,19 +75,35 @@ export class SlashCommands {
       '/compare': this.compareScreenshots.bind(this),
       '/accessibility': this.runAccessibilityCheck.bind(this),
       '/performance': this.runPerformanceCheck.bind(this),
+      '/lighthouse': this.runLighthouseAudit.bind(this),
       '/responsive': this.testResponsive.bind(this),
       '/navigate': this.navigateToUrl.bind(this),
+      '/mock': this.manageMocks.bind(this),
       '/visual-diff': this.runVisualDiff.bind(this),
+      '/states': this.captureStates.bind(this),
+      '/focus-walk': this.runFocusWalk.bind(this),
+      '/journey': this.runJourney.bind(this),
+      '/browser-matrix': this.runBrowserMatrix.bind(this),
+      '/theme-matrix': this.runThemeMatrix.bind(this),
+      '/approve': this.approveBaselines.bind(this),
+      '/reject': this.rejectBaselines.bind(this),
       '/generate-report': this.generateReport.bind(this),
+      '/trends': this.showTrends.bind(this),
       '/start-session': this.startSession.bind(this),
       '/end-session': this.endSession.bind(this),
+      '/switch-session': this.switchSession.bind(this),
+      '/list-sessions': this.listSessions.bind(this),
       '/help': this.showHelp.bind(this)
     };
   }
 
   async executeCommand(commandLine, context = {}) {
     const [command, ...args] = commandLine.trim().split(' ');
-    
+    return await this.runCommand(command, args, context);
+  }
+
+  // Runs a command with pre-split arguments (used by MCP tools, where values may contain spaces)
+  async runCommand(command, args = [], context = {}) {
     if (!this.commands[command]) {
       return {
         success: false,
@@ -43,85 +111,330 @@ export class SlashCommands {
       };
     }
 
+    // context.sessionId targets a session by id or name; context.client keeps a current session per MCP client
+    const scope = { sessionId: context.sessionId ? this.findSessionId(context.sessionId) : undefined, client: context.client };
+    if (context.sessionId && !scope.sessionId) {
+      return { success: false, message: `Unknown session: ${context.sessionId}. Use /list-sessions or /switch-session.` };
+    }
+
+    return sessionScope.run(scope, async () => {
+      try {
+        console.log(`⚡ Executing command: ${command}`);
+        const result = await this.commands[command](args, context);
+        return { success: true, ...result };
+      } catch (error) {
+        console.error(`❌ Command failed: ${error.message}`);
+        return {
+          success: false,
+          message: `Command failed: ${error.message}`,
+          error: error.stack
+        };
+      } finally {
+        await this.persistSession(this.getCurrentSession());
+      }
+    });
+  }
+
+  // The session commands operate on: explicitly targeted, the MCP client's current one, or the global current one
+  getCurrentSession() {
+    const scope = sessionScope.getStore() || {};
+    const id = scope.sessionId
+      || (scope.client && this.clientSessions.get(scope.client))
+      || this.currentSessionId;
+    return this.sessions.get(id) || null;
+  }
+
+  setCurrentSession(id) {
+    const scope = sessionScope.getStore() || {};
+    if (scope.client) {
+      this.clientSessions.set(scope.client, id);
+    }
+    if (!scope.client || !this.currentSessionId) {
+      this.currentSessionId = id;
+    }
+  }
+
+  findSessionId(idOrName) {
+    if (this.sessions.has(idOrName)) return idOrName;
+    return [...this.sessions.values()].find(session => session.state.name === idOrName)?.state.id || null;
+  }
+
+  get activeSession() {
+    return this.getCurrentSession()?.state || null;
+  }
+
+  get navigationAgent() {
+    return this.getCurrentSession()?.navigationAgent || null;
+  }
+
+  get screenshotAgent() {
+    return this.getCurrentSession()?.screenshotAgent || null;
+  }
+
+  get analysisAgent() {
+    return this.getCurrentSession()?.analysisAgent || null;
+  }
+
+  // Saved after every command so a crash loses at most the command in progress
+  async persistSession(session) {
+    if (!session || session.state.status === 'ended') return;
+
     try {
-      console.log(`⚡ Executing command: ${command}`);
-      const result = await this.commands[command](args, context);
-      return { success: true, ...result };
+      session.state.currentUrl = session.navigationAgent.page?.url() || session.state.currentUrl;
+      await this.sessionStore.save(session.state, session.navigationAgent.context);
     } catch (error) {
-      console.error(`❌ Command failed: ${error.message}`);
-      return {
-        success: false,
-        message: `Command failed: ${error.message}`,
-        error: error.stack
-      };
+      console.log(`⚠️ Could not persist session ${session.state.id}: ${error.message}`);
+    }
+  }
+
+  // Closes every browser but leaves the sessions resumable (used when the process shuts down)
+  async suspendSessions() {
+    for (const session of this.sessions.values()) {
+      await this.persistSession(session);
+      await session.navigationAgent.close();
+      console.log(`💤 Session ${session.state.name} saved; resume with /switch-session ${session.state.name}`);
     }
+    this.sessions.clear();
+    this.clientSessions.clear();
+    this.currentSessionId = null;
+  }
+
+  // Launches the browser and agents for a new or resumed session and makes it current
+  async launchSession(state, { storageState = null } = {}) {
+    const navigationAgent = new NavigationAgent({
+      browser: state.browser,
+      device: state.device,
+      ...state.agentOptions,
+      ...(storageState ? { storageState } : {})
+    });
+    await navigationAgent.initialize();
+
+    const session = {
+      state,
+      navigationAgent,
+      screenshotAgent: new ScreenshotAgent(navigationAgent),
+      analysisAgent: new AnalysisAgent(navigationAgent)
+    };
+    this.sessions.set(state.id, session);
+    this.setCurrentSession(state.id);
+    return session;
   }
 
   async startSession(args, context) {
-    const [browser = 'chromium', device = 'desktop.large'] = args;
+    const { positional, flags } = parseCommandArgs(args, { booleans: ['deterministic', 'strict', 'lighthouse'] });
+    if (flags.resume) {
+      return this.resumeSession(flags.resume);
+    }
+
+    const [browser = 'chromium', device = 'desktop.large'] = positional;
+    const deterministic = flags.deterministic
+      ? { ...(flags.time ? { time: flags.time } : {}), ...(flags.seed ? { seed: Number(flags.seed) } : {}) }
+      : undefined;
+    const network = flags.network
+      ? { mode: flags.network, ...(flags.har ? { har: flags.har } : {}), strict: Boolean(flags.strict) }
+      : undefined;
+
+    const emulation = parseEmulationFlags(flags);
+
+    if (flags.name && this.findSessionId(flags.name)) {
+      return { message: `A session named ${flags.name} is already running. Use /switch-session ${flags.name}` };
+    }
     
     console.log(`🚀 Starting UI testing session (${browser}, ${device})...`);
     
-    // Initialize agents
-    this.navigationAgent = new NavigationAgent({ browser, device });
-    await this.navigationAgent.initialize();
-    
-    this.screenshotAgent = new ScreenshotAgent(this.navigationAgent);
-    this.analysisAgent = new AnalysisAgent(this.navigationAgent);
-    
-    this.activeSession = {
-      id: `session-${Date.now()}`,
+    const id = `session-${Date.now()}`;
+    const session = await this.launchSession({
+      id,
+      name: typeof flags.name === 'string' ? flags.name : id,
+      status: 'active',
       browser,
       device,
+      // Everything needed to relaunch the same browser when the session is resumed
+      agentOptions: {
+        ...(deterministic ? { deterministic } : {}),
+        ...(network ? { network } : {}),
+        ...(typeof flags.auth === 'string' ? { auth: flags.auth } : {}),
+        ...(typeof flags.throttling === 'string' ? { throttling: flags.throttling } : {}),
+        // Opens Chromium's remote debugging port for /lighthouse
+        ...(flags.lighthouse ? { remoteDebuggingPort: Number(process.env.REMOTE_DEBUGGING_PORT) || 0 } : {}),
+        ...(Object.keys(emulation).length > 0 ? { emulation } : {})
+      },
       startTime: new Date().toISOString(),
+      urls: [],
+      currentUrl: null,
       screenshots: [],
-      analyses: []
-    };
+      analyses: [],
+      comparisons: []
+    });
+    session.state.deterministic = Boolean(session.navigationAgent.deterministic);
+    session.state.network = session.navigationAgent.networkOptions?.mode || 'live';
+    const { auth } = session.navigationAgent;
+    session.state.auth = auth ? auth.profile : null;
+    session.state.throttling = session.navigationAgent.getThrottling().profile;
 
     return {
-      message: `UI testing session started with ${browser} on ${device}`,
-      sessionId: this.activeSession.id,
+      message: `UI testing session ${session.state.name} started with ${browser} on ${device}`
+        + (auth ? ` as ${auth.profile} (${auth.cached ? 'saved login' : 'fresh login'})` : ''),
+      sessionId: id,
+      name: session.state.name,
       browser,
-      device
+      device,
+      throttling: session.navigationAgent.getThrottling(),
+      ...(auth ? { auth: { profile: auth.profile, type: auth.type, cached: auth.cached, expiresAt: auth.expiresAt } } : {})
+    };
+  }
+
+  // Relaunches a persisted session with its cookies and localStorage and reopens its last URL
+  async resumeSession(idOrName) {
+    const state = this.sessionStore.load(idOrName);
+    if (!state) {
+      return { message: `No saved session ${idOrName}. Use /list-sessions to see saved sessions.` };
+    }
+    if (state.status === 'ended') {
+      return { message: `Session ${state.name} has ended and cannot be resumed` };
+    }
+    if (this.sessions.has(state.id)) {
+      this.setCurrentSession(state.id);
+      return { message: `Session ${state.name} is already running; switched to it`, sessionId: state.id };
+    }
+
+    console.log(`♻️ Resuming session ${state.name} (${state.browser}, ${state.device})...`);
+    const storageState = this.sessionStore.hasStorageState(state.id) ? this.sessionStore.storageStatePath(state.id) : null;
+    const session = await this.launchSession({ ...state, resumedAt: new Date().toISOString() }, { storageState });
+
+    let navigation = null;
+    if (state.currentUrl && /^https?:/.test(state.currentUrl)) {
+      navigation = await session.navigationAgent.navigateToUrl(state.currentUrl);
+    }
+
+    return {
+      message: `Resumed session ${state.name}` + (navigation ? ` at ${state.currentUrl}` : ''),
+      sessionId: state.id,
+      name: state.name,
+      screenshots: state.screenshots.length,
+      analyses: state.analyses.length,
+      navigation
+    };
+  }
+
+  async switchSession(args, context) {
+    const [idOrName] = args;
+    if (!idOrName) {
+      return { message: 'Session id or name required. Usage: /switch-session <id|name>' };
+    }
+
+    const id = this.findSessionId(idOrName);
+    if (!id) {
+      // Not running in this process: resume it from disk
+      return this.resumeSession(idOrName);
+    }
+
+    this.setCurrentSession(id);
+    const { state } = this.sessions.get(id);
+    return {
+      message: `Switched to session ${state.name}`,
+      sessionId: id,
+      name: state.name,
+      currentUrl: this.sessions.get(id).navigationAgent.page?.url() || state.currentUrl
+    };
+  }
+
+  async listSessions(args, context) {
+    const current = this.activeSession?.id;
+    const describe = (state, running) => ({
+      id: state.id,
+      name: state.name,
+      status: running ? 'running' : state.status === 'ended' ? 'ended' : 'saved',
+      current: state.id === current,
+      browser: state.browser,
+      device: state.device,
+      currentUrl: state.currentUrl,
+      screenshots: state.screenshots.length,
+      analyses: state.analyses.length,
+      startTime: state.startTime,
+      updatedAt: state.updatedAt
+    });
+
+    const running = [...this.sessions.values()].map(session => describe(session.state, true));
+    const saved = this.sessionStore.list()
+      .filter(state => !this.sessions.has(state.id))
+      .map(state => describe(state, false));
+
+    return {
+      message: `${running.length} running session(s), ${saved.filter(state => state.status === 'saved').length} resumable`,
+      sessions: [...running, ...saved]
     };
   }
 
   async endSession(args, context) {
-    if (!this.activeSession) {
+    const session = this.getCurrentSession();
+    if (!session) {
       return { message: 'No active session to end' };
     }
 
-    console.log('🔚 Ending UI testing session...');
+    console.log(`🔚 Ending UI testing session ${session.state.name}...`);
+    const { state, navigationAgent } = session;
     
     // Clean up agents
-    if (this.navigationAgent) {
-      await this.navigationAgent.close();
-    }
+    await navigationAgent.close();
+    state.status = 'ended';
     
     const sessionSummary = {
-      ...this.activeSession,
+      ...state,
       endTime: new Date().toISOString(),
-      duration: Date.now() - new Date(this.activeSession.startTime).getTime(),
-      screenshots: this.activeSession.screenshots.length,
-      analyses: this.activeSession.analyses.length
+      duration: Date.now() - new Date(state.startTime).getTime(),
+      screenshots: state.screenshots.length,
+      analyses: state.analyses.length,
+      ...(navigationAgent.network ? { network: navigationAgent.network.getSummary() } : {})
     };
 
     // Save session data
-    const sessionPath = path.join('reports', `session-${this.activeSession.id}.json`);
+    const sessionPath = path.join('reports', `session-${state.id}.json`);
     fs.writeFileSync(sessionPath, JSON.stringify(sessionSummary, null, 2));
 
-    this.navigationAgent = null;
-    this.screenshotAgent = null;
-    this.analysisAgent = null;
-    this.activeSession = null;
+    state.endTime = sessionSummary.endTime;
+    await this.sessionStore.save(state);
+    const trends = this.recordTrends(session);
+
+    this.sessions.delete(state.id);
+    for (const [client, id] of this.clientSessions) {
+      if (id === state.id) this.clientSessions.delete(client);
+    }
+    if (this.currentSessionId === state.id) {
+      this.currentSessionId = this.sessions.keys().next().value || null;
+    }
 
     return {
-      message: 'UI testing session ended',
+      message: `UI testing session ${state.name} ended`,
       summary: sessionSummary,
-      reportPath: sessionPath
+      reportPath: sessionPath,
+      trendEntries: trends.length
     };
   }
 
+  // Pages the session analysed or compared, by the URL the page reported
+  sessionUrls(state) {
+    return [...new Set([...state.analyses.map(analysis => analysis.url), ...state.comparisons.map(comparison => comparison.url)])]
+      .filter(Boolean);
+  }
+
+  // One trend entry per page, so later runs can be compared with this one
+  recordTrends({ state, analysisAgent }) {
+    return this.trendStore.append(this.sessionUrls(state).map(url => {
+      const analyses = state.analyses.filter(analysis => analysis.url === url);
+      const performance = analyses.filter(analysis => analysis.type === 'performance_metrics').pop();
+      return {
+        url,
+        device: state.device,
+        browser: state.browser,
+        throttling: performance ? throttlingKey(performance.throttling) : state.throttling || 'none',
+        source: 'session',
+        sessionId: state.id,
+        metrics: trendMetrics(analyses, state.comparisons.filter(comparison => comparison.url === url), analysisAgent)
+      };
+    }));
+  }
+
   async navigateToUrl(args, context) {
     if (!this.navigationAgent) {
       return { message: 'No active session. Use /start-session first.' };
@@ -133,6 +446,10 @@ export class SlashCommands {
     }
 
     const result = await this.navigationAgent.navigateToUrl(url);
+    if (result.success) {
+      this.activeSession.urls.push(url);
+      this.activeSession.currentUrl = url;
+    }
     
     return {
       message: result.success ? `Navigated to ${url}` : `Navigation failed: ${result.error}`,
@@ -142,19 +459,70 @@ export class SlashCommands {
     };
   }
 
+  async manageMocks(args, context) {
+    if (!this.navigationAgent) {
+      return { message: 'No active session. Use /start-session first.' };
+    }
+
+    const { positional, flags } = parseCommandArgs(args, { booleans: ['all', 'reload'] });
+    const [action = 'list', ...names] = positional;
+    const mocks = this.navigationAgent.mocks;
+
+    if (['on', 'off', 'use'].includes(action) && names.length === 0 && !(action === 'off' && flags.all)) {
+      return { message: `Scenario name required. Usage: /mock ${action} <scenario...>` };
+    }
+
+    let active;
+    switch (action) {
+      case 'list':
+        return {
+          message: `${mocks.listScenarios().length} mock scenario(s), active: ${mocks.activeScenarios().join(', ') || 'none'}`,
+          scenarios: mocks.listScenarios(),
+          routes: mocks.getSummary()
+        };
+      case 'on':
+        active = await mocks.enable(names);
+        break;
+      case 'off':
+        active = flags.all ? await mocks.disableAll() : await mocks.disable(names);
+        break;
+      case 'use':
+        active = await mocks.use(names);
+        break;
+      default:
+        return { message: 'Usage: /mock [list] | on <scenario...> | off <scenario...> | --all | use <scenario...> [--reload]' };
+    }
+
+    // Mocks only affect new requests; reload to show the page in the new state
+    if (flags.reload) {
+      await this.navigationAgent.reload();
+    }
+    if (this.activeSession) {
+      this.activeSession.mockScenarios = active;
+    }
+
+    return {
+      message: `Active mock scenarios: ${active.join(', ') || 'none'}${flags.reload ? ' (page reloaded)' : ''}`,
+      active
+    };
+  }
+
   async takeScreenshot(args, context) {
     if (!this.screenshotAgent) {
       return { message: 'No active session. Use /start-session first.' };
     }
 
-    const [name = 'unnamed', type = 'full-page', selector] = args;
+    const { positional, flags } = parseCommandArgs(args, { repeatable: [...MASK_FLAGS, 'scenario'] });
+    const [baseName = 'unnamed', type = 'full-page', selector] = positional;
+    const masks = parseMaskFlags(flags);
+    const scenarios = parseScenarioFlags(flags);
+    const name = scenarioScreenshotName(baseName, scenarios);
     
-    let screenshot;
-    if (type === 'element' && selector) {
-      screenshot = await this.screenshotAgent.captureElement(selector, name);
-    } else {
-      screenshot = await this.screenshotAgent.captureFullPage(name);
-    }
+    const screenshot = await this.navigationAgent.withMockScenarios(scenarios, () => (
+      type === 'element' && selector
+        ? this.screenshotAgent.captureElement(selector, name, { masks })
+        : this.screenshotAgent.captureFullPage(name, { masks })
+    ));
 
     this.activeSession.screenshots.push(screenshot);
 
@@ -178,6 +546,7 @@ export class SlashCommands {
     }
 
     const comparison = await this.screenshotAgent.compareWithBaseline(currentPath, baselineName);
+    this.recordComparison(baselineName, currentPath, comparison);
     
     return {
       message: comparison.match ? 
@@ -212,16 +581,59 @@ export class SlashCommands {
       return { message: 'No active session. Use /start-session first.' };
     }
 
+    const { flags } = parseCommandArgs(args, { booleans: ['interact'] });
+    const measure = () => this.analysisAgent.checkPerformanceMetrics({ interact: Boolean(flags.interact) });
+
     console.log('⚡ Running performance analysis...');
-    const analysis = await this.analysisAgent.checkPerformanceMetrics();
+    let analysis;
+    if (flags.profile) {
+      // Reload under the profile so loading metrics are throttled too, then put the session's own profile back
+      const previous = await this.navigationAgent.setThrottling(flags.profile);
+      try {
+        await this.navigationAgent.reload();
+        analysis = await measure();
+      } finally {
+        await this.navigationAgent.setThrottling(previous);
+      }
+    } else {
+      analysis = await measure();
+    }
     
     this.activeSession.analyses.push(analysis);
 
+    const { attribution } = analysis;
     return {
       message: 'Performance check completed',
       analysis,
       metrics: analysis.metrics,
-      evaluation: analysis.evaluation
+      evaluation: analysis.evaluation,
+      throttling: analysis.throttling,
+      resources: analysis.resources,
+      budget: { passed: analysis.budget.passed, exceeded: analysis.findings.map(finding => finding.description), routes: analysis.budget.routes },
+      lcpElement: attribution.lcpElement?.selector || null,
+      layoutShifts: attribution.layoutShifts.slice(0, 5).map(shift => `${shift.selector} (${shift.value.toFixed(3)})`),
+      slowestInteraction: attribution.slowestInteractions[0] || null
+    };
+  }
+
+  async runLighthouseAudit(args, context) {
+    if (!this.analysisAgent) {
+      return { message: 'No active session. Use /start-session first.' };
+    }
+
+    const { flags } = parseCommandArgs(args);
+    const categories = typeof flags.categories === 'string' ? flags.categories.split(',') : undefined;
+
+    const analysis = await this.analysisAgent.runLighthouseAudit({ categories });
+    this.activeSession.analyses.push(analysis);
+
+    return {
+      message: `Lighthouse audit completed: ${analysis.summary}`,
+      analysis: { ...analysis, findings: analysis.findings.length },
+      scores: analysis.scores,
+      severity: analysis.severity,
+      failingAudits: analysis.findings.slice(0, 10).map(finding => `${finding.severity}: ${finding.description}`),
+      lhrPath: analysis.lhrPath
     };
   }
 
@@ -263,19 +675,36 @@ export class SlashCommands {
       return { message: 'No active session. Use /start-session first.' };
     }
 
-    const [name = 'visual-diff'] = args;
+    const { positional, flags } = parseCommandArgs(args, { repeatable: [...MASK_FLAGS, 'scenario'] });
+    const scenarios = parseScenarioFlags(flags);
+    const name = scenarioScreenshotName(positional[0] || 'visual-diff', scenarios);
+    const masks = parseMaskFlags(flags);
     
     console.log('👀 Running visual difference analysis...');
     
-    // Take current screenshot
-    const currentScreenshot = await this.screenshotAgent.captureFullPage(name);
+    // Take current screenshot; masked areas are recorded with it and skipped by the comparison
+    const currentScreenshot = await this.navigationAgent.withMockScenarios(
+      scenarios,
+      () => this.screenshotAgent.captureFullPage(name, { masks })
+    );
     
-    // Compare with baseline
+    // Compare with baseline, named like the screenshot scripts name theirs
+    const baselineName = baselineNameFor(currentScreenshot.path);
     const comparison = await this.screenshotAgent.compareWithBaseline(
       currentScreenshot.path,
-      `${name}.png`
+      baselineName,
+      { ignoreRegions: masks.ignoreRegions }
     );
 
+    if (comparison.missingBaseline) {
+      this.recordComparison(baselineName, currentScreenshot.path, comparison);
+      return {
+        message: comparison.message,
+        screenshot: currentScreenshot,
+        comparison
+      };
+    }
+
     if (!comparison.match && !comparison.isNewBaseline) {
       // Run AI analysis on differences
       const analysis = await this.analysisAgent.analyzeVisualDifferences(
@@ -285,9 +714,10 @@ export class SlashCommands {
       );
       
       this.activeSession.analyses.push(analysis);
+      this.recordComparison(baselineName, currentScreenshot.path, comparison, analysis);
       
       return {
-        message: `Visual differences detected (${comparison.diffPercentage}%)`,
+        message: `Visual differences detected (${comparison.diffPercentage}%). Run /approve ${baselineName} to accept or /reject ${baselineName} to discard`,
         screenshot: currentScreenshot,
         comparison,
         analysis,
@@ -295,6 +725,8 @@ export class SlashCommands {
       };
     }
 
+    this.recordComparison(baselineName, currentScreenshot.path, comparison);
+
     return {
       message: comparison.isNewBaseline ? 
         'New baseline created' : 
@@ -304,16 +736,240 @@ export class SlashCommands {
     };
   }
 
+  async captureStates(args, context) {
+    if (!this.screenshotAgent) {
+      return { message: 'No active session. Use /start-session first.' };
+    }
+
+    const { positional, flags } = parseCommandArgs(args, { repeatable: MASK_FLAGS });
+    const [selector, name = 'states'] = positional;
+    if (!selector) {
+      return { message: 'Selector required. Usage: /states <selector> [name] [--states hover,focus-visible,...] [--expanded-target selector]' };
+    }
+
+    const masks = parseMaskFlags(flags);
+    const captures = await this.screenshotAgent.captureStateMatrix(selector, name, {
+      ...(typeof flags.states === 'string' ? { states: flags.states.split(',').map(state => state.trim()) } : {}),
+      ...(flags['expanded-target'] ? { expandedTarget: flags['expanded-target'] } : {}),
+      masks
+    });
+
+    const results = await this.compareStateCaptures(captures, masks);
+    const changed = results.filter(result => result.comparison && !result.comparison.match);
+
+    return {
+      message: `Captured ${results.filter(result => result.screenshot).length} state(s) of ${selector}` +
+        (changed.length > 0 ? `, ${changed.length} differ from their baselines: ${changed.map(result => result.state).join(', ')}` : ''),
+      states: results
+    };
+  }
+
+  async runFocusWalk(args, context) {
+    if (!this.screenshotAgent) {
+      return { message: 'No active session. Use /start-session first.' };
+    }
+
+    const { positional, flags } = parseCommandArgs(args, { repeatable: MASK_FLAGS });
+    const [name = 'focus-walk'] = positional;
+    const masks = parseMaskFlags(flags);
+
+    const walk = await this.screenshotAgent.captureFocusWalk(name, {
+      ...(flags['max-stops'] ? { maxStops: Number(flags['max-stops']) } : {}),
+      masks
+    });
+
+    const results = await this.compareStateCaptures(walk.stops, masks);
+    const analysis = {
+      type: 'focus_walk',
+      timestamp: new Date().toISOString(),
+      url: this.navigationAgent.page.url(),
+      findings: walk.issues,
+      stops: walk.stops.map(({ box, ...stop }) => stop)
+    };
+    this.activeSession.analyses.push(analysis);
+
+    return {
+      message: `Walked ${walk.stops.length} tab stop(s); ${walk.issues.length} without a visible focus indicator`,
+      stops: results,
+      issues: walk.issues
+    };
+  }
+
+  // Compares each state or tab-stop capture with its own baseline and records it for reports
+  async compareStateCaptures(captures, masks) {
+    const results = [];
+    for (const capture of captures) {
+      if (capture.skipped) {
+        results.push({ state: capture.state, skipped: true, error: capture.error });
+        continue;
+      }
+
+      this.activeSession.screenshots.push(capture);
+      const comparison = await this.screenshotAgent.compareWithBaseline(capture.path, capture.baselineName, {
+        ignoreRegions: masks.ignoreRegions
+      });
+      this.recordComparison(capture.baselineName, capture.path, comparison);
+
+      results.push({
+        state: capture.state,
+        index: capture.index,
+        selector: capture.selector,
+        screenshot: capture.path,
+        baselineName: capture.baselineName,
+        comparison: {
+          match: comparison.match,
+          isNewBaseline: comparison.isNewBaseline,
+          missingBaseline: comparison.missingBaseline,
+          diffPercentage: comparison.diffPercentage,
+          diffPath: comparison.diffPath
+        }
+      });
+    }
+    return results;
+  }
+
+  async runJourney(args, context) {
+    if (!this.navigationAgent) {
+      return { message: 'No active session. Use /start-session first.' };
+    }
+
+    const { positional, flags } = parseCommandArgs(args, {
+      booleans: ['continue-on-failure'],
+      repeatable: ['param']
+    });
+    const [file] = positional;
+    if (!file) {
+      return { message: 'Journey file required. Usage: /journey <file.yaml|file.json> [--param key=value] [--continue-on-failure]' };
+    }
+
+    // --param user=alice --param plan=pro
+    const params = Object.fromEntries((flags.param || []).map(entry => {
+      const separator = entry.indexOf('=');
+      return separator === -1 ? [entry, true] : [entry.slice(0, separator), entry.slice(separator + 1)];
+    }));
+
+    const runner = new JourneyRunner(this, { continueOnFailure: Boolean(flags['continue-on-failure']) });
+    const run = await runner.runFile(file, params);
+
+    this.activeSession.screenshots.push(...run.steps.filter(step => step.screenshot).map(step => ({
+      path: step.screenshot,
+      name: path.basename(step.screenshot),
+      type: 'journey-step',
+      step: step.id
+    })));
+
+    const failures = run.steps.filter(step => step.status === 'failed');
+    return {
+      message: run.passed
+        ? `Journey ${run.name} passed (${run.summary.passed}/${run.summary.total} steps)`
+        : `Journey ${run.name} failed: ${failures.map(step => `step ${step.id} (${step.name}): ${step.error}`).join('; ')}`,
+      passed: run.passed,
+      summary: run.summary,
+      steps: run.steps.map(({ assertions, startTime, ...step }) => step),
+      reportPath: run.reportPath,
+      markdownPath: run.markdownPath
+    };
+  }
+
+  // Keeps baseline comparisons for the HTML review report
+  recordComparison(baselineName, currentPath, comparison, analysis = null) {
+    if (!this.activeSession) return;
+
+    this.activeSession.comparisons.push({
+      name: baselineName,
+      url: this.navigationAgent.page.url(),
+      currentPath,
+      ...this.screenshotAgent.getCaptureMetadata(),
+      ...comparison,
+      findings: analysis?.findings || [],
+      summary: analysis?.summary
+    });
+  }
+
+  async approveBaselines(args, context) {
+    const { positional, flags } = parseCommandArgs(args, { booleans: ['all'] });
+    const manifest = this.screenshotAgent?.baselineManifest || this.baselineManifest;
+
+    const names = flags.all
+      ? manifest.listPending().map(entry => entry.name)
+      : positional.map(baselineNameFor);
+
+    if (names.length === 0) {
+      const pending = manifest.listPending();
+      return {
+        message: pending.length > 0
+          ? `Usage: /approve <baseline-name...> | --all [--approver name]. Pending: ${pending.map(entry => entry.name).join(', ')}`
+          : 'No pending baselines to approve',
+        pending
+      };
+    }
+
+    const approved = [];
+    const failed = [];
+    for (const name of names) {
+      try {
+        approved.push({ name, ...manifest.approve(name, { approver: flags.approver || context.approver }) });
+        console.log(`✅ Approved baseline: ${name}`);
+      } catch (error) {
+        failed.push({ name, error: error.message });
+      }
+    }
+
+    return {
+      message: `Approved ${approved.length} baseline(s)` + (failed.length > 0 ? `, ${failed.length} failed` : ''),
+      approved,
+      failed
+    };
+  }
+
+  async rejectBaselines(args, context) {
+    const { positional, flags } = parseCommandArgs(args, { booleans: ['all'] });
+    const manifest = this.screenshotAgent?.baselineManifest || this.baselineManifest;
+
+    const names = flags.all
+      ? manifest.listPending().map(entry => entry.name)
+      : positional.map(baselineNameFor);
+
+    if (names.length === 0) {
+      return { message: 'Usage: /reject <baseline-name...> | --all [--reason text]' };
+    }
+
+    const rejected = [];
+    const failed = [];
+    for (const name of names) {
+      try {
+        rejected.push(manifest.reject(name, { reason: flags.reason, approver: flags.approver || context.approver }));
+        console.log(`🚫 Rejected candidate: ${name}`);
+      } catch (error) {
+        failed.push({ name, error: error.message });
+      }
+    }
+
+    return {
+      message: `Rejected ${rejected.length} candidate(s)` + (failed.length > 0 ? `, ${failed.length} failed` : ''),
+      rejected,
+      failed
+    };
+  }
+
   async startUIReview(args, context) {
-    const [url, reviewType = 'full'] = args;
+    const { positional, flags } = parseCommandArgs(args, {
+      booleans: ['crawl', 'no-sitemap', 'interact'],
+      repeatable: ['include', 'exclude']
+    });
+    const [url, reviewType = 'full'] = positional;
     
     if (!url) {
-      return { message: 'URL required. Usage: /ui-review <url> [review-type]' };
+      return { message: 'URL required. Usage: /ui-review <url> [review-type] [--crawl]' };
     }
 
     // Auto-start session if not active
     if (!this.activeSession) {
-      await this.startSession(['chromium', 'desktop.large'], context);
+      await this.startSession(['chromium', 'desktop.large', ...(reviewType === 'full' ? ['--lighthouse'] : [])], context);
+    }
+
+    if (flags.crawl) {
+      return this.crawlSite(url, reviewType, flags);
     }
 
     console.log(`🔍 Starting comprehensive UI review of ${url}...`);
@@ -348,14 +1004,26 @@ export class SlashCommands {
         performance = await this.runPerformanceCheck([], context);
       }
 
-      // Step 5: Test responsive behavior (if full review)
+      // Step 5: Lighthouse audit (if full review); other engines or a missing install skip it instead of failing the review
+      let lighthouse = null;
+      if (reviewType === 'full') {
+        results.steps.push('Running Lighthouse audit...');
+        try {
+          lighthouse = await this.runLighthouseAudit([], context);
+        } catch (error) {
+          console.log(`⚠️ Lighthouse skipped: ${error.message}`);
+          lighthouse = { skipped: true, message: error.message };
+        }
+      }
+
+      // Step 6: Test responsive behavior (if full review)
       let responsive = null;
       if (reviewType === 'full') {
         results.steps.push('Testing responsive behavior...');
         responsive = await this.testResponsive([`${reviewType}-responsive`], context);
       }
 
-      // Step 6: Generate comprehensive report
+      // Step 7: Generate comprehensive report
       results.steps.push('Generating report...');
       const report = await this.generateReport([], context);
 
@@ -366,6 +1034,7 @@ export class SlashCommands {
           screenshot,
           accessibility,
           performance,
+          lighthouse,
           responsive,
           report
         },
@@ -373,7 +1042,8 @@ export class SlashCommands {
           url,
           reviewType,
           steps: results.steps.length,
-          criticalIssues: accessibility.analysis.severity === 'critical' ? 1 : 0,
+          criticalIssues: [accessibility.analysis.severity, lighthouse?.severity].filter(severity => severity === 'critical').length,
+          ...(lighthouse?.scores ? { lighthouseScores: lighthouse.scores } : {}),
           reportPath: report.reportPath
         }
       };
@@ -387,6 +1057,141 @@ export class SlashCommands {
     }
   }
 
+  // Site-wide review: crawl same-origin links from `url` and check every page with the session agents
+  async crawlSite(url, reviewType, flags) {
+    const crawler = new SiteCrawler({
+      ...(flags.depth ? { maxDepth: Number(flags.depth) } : {}),
+      ...(flags['max-pages'] ? { maxPages: Number(flags['max-pages']) } : {}),
+      ...(flags.include ? { include: flags.include } : {}),
+      ...(flags.exclude ? { exclude: flags.exclude } : {}),
+      useSitemap: !flags['no-sitemap'],
+      interact: Boolean(flags.interact),
+      checks: reviewType === 'full' ? ['screenshot', 'accessibility', 'performance'] : ['screenshot', 'accessibility']
+    }).useAgents(this);
+
+    const crawl = await crawler.crawl(url);
+    this.activeSession.crawls = [...(this.activeSession.crawls || []), crawl.reportPath];
+
+    return {
+      message: `Site review completed: ${crawl.summary.pagesReviewed} page(s) from ${crawl.rootUrl}`,
+      summary: crawl.summary,
+      pages: crawl.pages.map(page => ({
+        url: page.url,
+        template: page.template,
+        success: page.success,
+        screenshot: page.screenshot,
+        accessibility: page.accessibility?.severity,
+        violations: page.accessibility?.violations.length
+      })),
+      reportPath: crawl.reportPath,
+      markdownPath: crawl.markdownPath
+    };
+  }
+
+  // Doesn't need a session; when one is active its page, deterministic, network and auth settings are reused
+  async runBrowserMatrix(args, context) {
+    const { positional, flags } = parseCommandArgs(args);
+    const url = positional[0] || this.navigationAgent?.page?.url();
+    if (!url || !/^https?:/.test(url)) {
+      return { message: 'URL required. Usage: /browser-matrix <url> [name] [--browsers chromium,firefox,webkit] [--devices list|all] [--reference browser]' };
+    }
+    const name = positional[1] || 'browser-matrix';
+
+    const list = value => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
+    const devices = flags.devices === 'all'
+      ? Object.entries(deviceProfiles).flatMap(([category, profiles]) => Object.keys(profiles).map(device => `${category}.${device}`))
+      : list(flags.devices) || [this.activeSession?.device || 'desktop.large'];
+
+    // Every render replays the session's HAR; recording from several browsers at once would clobber it
+    const { network, ...navigation } = this.activeSession?.agentOptions || {};
+    if (network?.mode === 'replay') navigation.network = network;
+
+    const matrix = await new BrowserMatrix({
+      ...(list(flags.browsers) ? { browsers: list(flags.browsers) } : {}),
+      ...(flags.reference ? { referenceBrowser: flags.reference } : {}),
+      ...(flags['max-diff'] ? { maxBrowserDiff: Number(flags['max-diff']) } : {}),
+      ...(flags.concurrency ? { concurrency: Number(flags.concurrency) } : {}),
+      devices,
+      navigation
+    }).run(url, name);
+
+    if (this.activeSession) {
+      this.activeSession.screenshots.push(...matrix.cells.filter(cell => cell.success).map(cell => ({
+        path: cell.screenshot,
+        name: cell.baselineName,
+        type: 'browser-matrix',
+        browser: cell.browser,
+        device: cell.device
+      })));
+    }
+
+    return {
+      message: `Browser matrix completed: ${matrix.summary.cells} render(s), ${matrix.summary.inconsistencies} inconsistent with ${matrix.referenceBrowser}, ${matrix.summary.engineSpecific.length} engine-specific`,
+      summary: matrix.summary,
+      cells: matrix.cells.map(({ browser, device, success, error, baseline }) => ({
+        browser,
+        device,
+        success,
+        ...(error ? { error } : {}),
+        ...(baseline ? { baselineMatch: baseline.match, baselineDiff: baseline.diffPercentage } : {})
+      })),
+      screenshots: matrix.cells.filter(cell => cell.success).map(cell => ({ path: cell.screenshot })),
+      reportPath: matrix.reportPath,
+      markdownPath: matrix.markdownPath
+    };
+  }
+
+  // Like /browser-matrix, runs in its own contexts and reuses the active session's settings when there is one
+  async runThemeMatrix(args, context) {
+    const { positional, flags } = parseCommandArgs(args);
+    const url = positional[0] || this.navigationAgent?.page?.url();
+    if (!url || !/^https?:/.test(url)) {
+      return { message: 'URL required. Usage: /theme-matrix <url> [name] [--color-scheme light,dark] [--forced-colors none,active] [--locale en-US,de-DE] ...' };
+    }
+    const name = positional[1] || 'theme-matrix';
+
+    // Each flag lists the values of one dimension; the matrix is every combination
+    const dimensions = {};
+    for (const [flag, key] of Object.entries(EMULATION_FLAGS)) {
+      if (typeof flags[flag] === 'string') dimensions[key] = flags[flag].split(',').map(value => value.trim()).filter(Boolean);
+    }
+
+    const { network, ...navigation } = this.activeSession?.agentOptions || {};
+    if (network?.mode === 'replay') navigation.network = network;
+
+    const matrix = await new ThemeMatrix({
+      browser: this.activeSession?.browser || 'chromium',
+      device: this.activeSession?.device || 'desktop.large',
+      ...(Object.keys(dimensions).length > 0 ? { variants: expandVariants(dimensions) } : {}),
+      ...(typeof flags.checks === 'string' ? { checks: flags.checks.split(',') } : {}),
+      ...(flags['max-variants'] ? { maxVariants: Number(flags['max-variants']) } : {}),
+      navigation
+    }).run(url, name);
+
+    if (this.activeSession) {
+      this.activeSession.screenshots.push(...matrix.variants.filter(variant => variant.success).map(variant => ({
+        path: variant.screenshot,
+        name: variant.baselineName,
+        type: 'theme-matrix',
+        emulation: variant.emulation
+      })));
+    }
+
+    return {
+      message: `Theme matrix completed: ${matrix.summary.variants} mode(s), ${matrix.summary.modeSpecific.length} issue(s) in only one mode, ${matrix.summary.baselineChanges} baseline change(s)`,
+      summary: matrix.summary,
+      variants: matrix.variants.map(({ key, success, error, baseline, issues }) => ({
+        mode: key,
+        success,
+        ...(error ? { error } : {}),
+        ...(baseline ? { baselineMatch: baseline.match, baselineDiff: baseline.diffPercentage, issues: issues.length } : {})
+      })),
+      screenshots: matrix.variants.filter(variant => variant.success).map(variant => ({ path: variant.screenshot })),
+      reportPath: matrix.reportPath,
+      markdownPath: matrix.markdownPath
+    };
+  }
+
   async generateReport(args, context) {
     if (!this.analysisAgent) {
       return { message: 'No active session. Use /start-session first.' };
@@ -396,7 +1201,16 @@ export class SlashCommands {
     
     console.log(`📊 Generating comprehensive report...`);
     
-    const { report, reportPath } = await this.analysisAgent.generateAnalysisReport(format);
+    const state = this.activeSession;
+    const urls = this.sessionUrls(state);
+    const { report, reportPath } = await this.analysisAgent.generateAnalysisReport(format, {
+      comparisons: state.comparisons.length > 0 ? state.comparisons : undefined,
+      // Earlier runs of this session's pages on the same device and browser
+      ...(format === 'html' ? {
+        trends: this.trendStore.chartData({ device: state.device, browser: state.browser })
+          .filter(series => urls.includes(series.title))
+      } : {})
+    });
     
     return {
       message: `Report generated: ${reportPath}`,
@@ -407,28 +1221,77 @@ export class SlashCommands {
     };
   }
 
+  // Doesn't need a session: reads the trend history that ended sessions, crawls and budget checks append to
+  async showTrends(args, context) {
+    const { positional, flags } = parseCommandArgs(args);
+    const [url] = positional;
+
+    const metrics = typeof flags.metrics === 'string' ? flags.metrics.split(',') : Object.keys(TREND_METRICS);
+    const unknown = metrics.filter(metric => !TREND_METRICS[metric]);
+    if (unknown.length > 0) {
+      return { message: `Unknown trend metric(s) ${unknown.join(', ')}. Use: ${Object.keys(TREND_METRICS).join(', ')}` };
+    }
+
+    const store = flags.window ? new TrendStore({ ...this.trendStore.options, window: Number(flags.window) }) : this.trendStore;
+    const filter = { url, device: flags.device, browser: flags.browser, throttling: flags.throttling };
+    const trends = store.chartData(filter, { metrics });
+    if (trends.length === 0) {
+      return { message: `No trend history${url ? ` for ${url}` : ''} in ${store.options.path}. Runs are recorded when a session ends, a crawl finishes or budgets are checked.` };
+    }
+
+    const regressions = store.detectRegressions(filter, { metrics });
+    const reportPath = writeHtmlReport(
+      { title: url ? `Trends: ${url}` : 'Trends', trends },
+      path.join('reports', `trends-${Date.now()}.html`)
+    );
+
+    return {
+      message: `${trends.length} page series, ${regressions.length} regression(s) against the rolling baseline of ${store.options.window} run(s). Charts: ${reportPath}`,
+      regressions: regressions.map(regression =>
+        `${regression.url} (${regression.browser}, ${regression.device}): ${regression.label} ${regression.latest} vs baseline ${regression.baseline} at ${regression.commit ? regression.commit.slice(0, 7) : 'unknown commit'}`),
+      series: trends.map(series => ({ url: series.title, device: series.device, browser: series.browser, throttling: series.throttling, runs: Math.max(...series.charts.map(chart => chart.points.length)) })),
+      reportPath
+    };
+  }
+
   async showHelp(args, context) {
     const helpText = `
 # UI Testing Slash Commands
 
 ## Session Management
-- \`/start-session [browser] [device]\` - Start a new testing session
+- \`/start-session [browser] [device] [--name name] [--auth profile] [--throttling profile] [--lighthouse] [--deterministic] [--time iso] [--seed n] [--network record|replay] [--har path] [--strict] [emulation flags]\` - Start a new testing session (deterministic: frozen clock, seeded randomness, stable captures; network: record or replay responses from a HAR file; auth: log in with a profile from config/auth-profiles.json; throttling: slow-3g, fast-3g, slow-4g, fast-4g, mid-tier-mobile, low-end-mobile or none, Chromium only; lighthouse: open Chromium's remote debugging port for /lighthouse)
+- Emulation flags: \`--color-scheme light|dark\`, \`--forced-colors active\`, \`--reduced-motion reduce\`, \`--contrast more\`, \`--locale de-DE\`, \`--timezone Europe/Berlin\`, \`--geolocation lat,lon\`
+- \`/start-session --resume <id|name>\` - Resume a saved session with its cookies, storage, history and last URL
+- \`/switch-session <id|name>\` - Make another session current (resumes it from sessions/ if it is not running)
+- \`/list-sessions\` - List running and resumable sessions
 - \`/end-session\` - End current session and save results
 
 ## Navigation & Screenshots  
 - \`/navigate <url>\` - Navigate to a URL
-- \`/screenshot [name] [type] [selector]\` - Take screenshot (full-page or element)
+- \`/screenshot [name] [type] [selector] [--ignore selector] [--ignore-region x,y,w,h] [--freeze dates,times] [--replace "pattern=>text"] [--scenario name]\` - Take screenshot (full-page or element); --scenario captures with mock scenarios active
 - \`/compare <current-path> <baseline-name>\` - Compare screenshots
+- \`/mock [list] | on <scenario...> | off <scenario...> | --all | use <scenario...> [--reload]\` - Toggle API mock scenarios from config/api-mocks.json
 
 ## Analysis & Testing
 - \`/accessibility\` - Run accessibility analysis
-- \`/performance\` - Check performance metrics
+- \`/performance [--profile slow-4g] [--interact]\` - Measure LCP, CLS, INP, FCP, TTFB and TBT with the elements behind them (--interact presses keys and clicks toggles so INP has something to measure, then reloads the page); --profile reloads the page under a throttling profile for this run; results are checked against config/performance-budgets.json
+- \`/lighthouse [--categories performance,accessibility,best-practices,seo]\` - Run Lighthouse on the current page (Chromium sessions started with --lighthouse), save the full result JSON and list failing audits as findings
 - \`/responsive [name]\` - Test responsive behavior across viewports
-- \`/visual-diff [name]\` - Compare current state with baseline
+- \`/visual-diff [name] [mask flags] [--scenario name]\` - Compare current state with baseline (same mask and scenario flags as /screenshot)
+- \`/states <selector> [name] [--states default,hover,focus-visible,active,disabled,expanded] [--expanded-target selector]\` - Capture and compare each interaction state with its own baseline
+- \`/journey <file.yaml|file.json> [--param key=value] [--continue-on-failure]\` - Run a user journey with per-step assertions and report failures per step
+- \`/focus-walk [name] [--max-stops n]\` - Tab through the page, capture every focus ring and flag stops without one
+
+## Baselines
+- \`/approve <baseline-name...> | --all\` - Promote pending screenshots to baselines
+- \`/reject <baseline-name...> | --all [--reason text]\` - Discard pending screenshots
 
 ## Comprehensive Reviews
-- \`/ui-review <url> [review-type]\` - Full UI review workflow
-- \`/generate-report [format]\` - Generate analysis report
+- \`/browser-matrix [url] [name] [--browsers chromium,firefox,webkit] [--devices list|all] [--reference chromium] [--max-diff percent] [--concurrency n]\` - Render the page in every browser and device, compare each with its baseline and with the reference browser, and flag differences only one engine shows
+- \`/theme-matrix [url] [name] [--color-scheme light,dark] [--forced-colors none,active] [--reduced-motion ...] [--contrast ...] [--locale en-US,de-DE] [--timezone ...] [--checks contrast,layout]\` - Capture every combination of modes with its own baseline and flag contrast or layout issues found in only one mode
+- \`/ui-review <url> [review-type] [--crawl] [--depth n] [--max-pages n] [--include glob] [--exclude glob] [--no-sitemap] [--interact]\` - Full UI review workflow; --crawl follows same-origin links and reviews every page
+- \`/generate-report [markdown|json|html]\` - Generate analysis report (html includes side-by-side, overlay and swipe views, and trend charts of earlier runs)
+- \`/trends [url] [--metrics lcp,cls,accessibilityScore] [--device d] [--browser b] [--throttling profile] [--window n]\` - Chart scores, vitals, violations and diffs across runs (recorded on /end-session, crawls and budget checks) and flag regressions against the rolling baseline
 
 ## Examples
 \`\`\`
@@ -484,13 +1347,15 @@ export class SlashCommands {
       active: true,
       session: {
         id: this.activeSession.id,
+        name: this.activeSession.name,
         browser: this.activeSession.browser,
         device: this.activeSession.device,
         startTime: this.activeSession.startTime,
         duration: Date.now() - new Date(this.activeSession.startTime).getTime(),
         screenshots: this.activeSession.screenshots.length,
         analyses: this.activeSession.analyses.length
-      }
+      },
+      sessions: this.sessions.size
     };
   }
 }
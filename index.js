@@ -16,6 +16,11 @@ export {
   claudeUIProcessor,
   setupClaudeCodeHooks
 } from './commands/claude-integration.js';
+export {
+  createMCPServer,
+  startStdioServer,
+  startHttpServer
+} from './commands/mcp-server.js';
 
 // Workflow Orchestration
 export { default as IterativeValidationWorkflow } from './workflows/iterative-validation.js';
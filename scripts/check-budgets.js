@@ -0,0 +1,85 @@
+/**
+ * Check Budgets - Measures pages and checks them against their performance budgets
+ * Usage: npm run perf:budgets -- [url...] [--budgets path] [--browser chromium] [--device desktop.large] [--profile slow-4g] [--interact]
+ *
+ * Without URLs, the `pages` of config/performance-budgets.json are measured against its `baseUrl`
+ * (or BASE_URL, default http://localhost:3000).
+ * Exits with code 1 when any page exceeds a budget or fails to load.
+ */
+
+import NavigationAgent from '../subagents/navigation-agent.js';
+import AnalysisAgent from '../subagents/analysis-agent.js';
+import TrendStore, { trendMetrics, throttlingKey } from '../subagents/trend-store.js';
+import { parseCommandArgs } from '../commands/command-args.js';
+
+async function main() {
+  const { positional, flags } = parseCommandArgs(process.argv.slice(2), { booleans: ['interact'] });
+
+  const navigationAgent = new NavigationAgent({
+    browser: flags.browser || 'chromium',
+    device: flags.device || 'desktop.large',
+    ...(flags.profile ? { throttling: flags.profile } : {})
+  });
+  const analysisAgent = new AnalysisAgent(navigationAgent, {
+    budgets: flags.budgets ? { config: flags.budgets } : {}
+  });
+
+  const budgets = await analysisAgent.budgets.load();
+  const baseUrl = budgets.baseUrl || process.env.BASE_URL || 'http://localhost:3000';
+  const urls = positional.length > 0
+    ? positional
+    : (budgets.pages.length > 0 ? budgets.pages : ['/']).map(page => new URL(page, baseUrl).href);
+
+  console.log(`💰 Checking ${urls.length} page(s) against ${budgets.source || 'the default budget'}`);
+  await navigationAgent.initialize();
+
+  const checks = [];
+  const trends = [];
+  try {
+    for (const url of urls) {
+      const navigation = await navigationAgent.navigateToUrl(url);
+      if (!navigation.success) {
+        console.error(`❌ Could not load ${url}: ${navigation.error}`);
+        checks.push({ url, passed: false, error: navigation.error, routes: [], exceeded: [], results: [] });
+        continue;
+      }
+
+      const analysis = await analysisAgent.checkPerformanceMetrics({ interact: Boolean(flags.interact) });
+      checks.push(analysis.budget);
+      trends.push({
+        url: analysis.url,
+        device: navigationAgent.options.device,
+        browser: navigationAgent.options.browser,
+        throttling: throttlingKey(analysis.throttling),
+        source: 'budgets',
+        metrics: trendMetrics([analysis], [], analysisAgent)
+      });
+
+      const { budget } = analysis;
+      console.log(budget.passed
+        ? `  ✅ ${url}: within budget`
+        : `  ❌ ${url}: over budget for ${budget.exceeded.join(', ')}`);
+    }
+  } finally {
+    await navigationAgent.close();
+  }
+
+  const report = analysisAgent.budgets.generateBudgetReport(checks, {
+    browser: navigationAgent.options.browser,
+    device: navigationAgent.options.device,
+    throttling: navigationAgent.getThrottling().description
+  });
+
+  new TrendStore().append(trends);
+
+  const failed = checks.filter(check => !check.passed);
+  console.log(`\n💰 ${checks.length - failed.length}/${checks.length} page(s) within budget (report: ${report.markdownPath})`);
+  return failed.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Budget check failed:', error.message);
+    process.exit(1);
+  });
@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import VariationMetrics from './variation-metrics.js';
 
 const execAsync = promisify(exec);
 
@@ -23,6 +24,7 @@ export class GitWorktreeManager {
 
     this.activeWorktrees = new Map();
     this.processRegistry = new Map();
+    this.variationMetrics = new VariationMetrics(options.metrics);
   }
 
   async initialize() {
@@ -370,35 +372,37 @@ WORKTREE_VARIATION=${config.worktree.variation}
       scores: {}
     };
 
-    // Capture screenshots from both variations
-    const portA = varA.claudeConfig.port;
-    const portB = varB.claudeConfig.port;
+    // Measure both variations on their dev servers
+    const measurementA = await this.variationMetrics.measureVariation({
+      name: varA.variation,
+      port: varA.claudeConfig.port,
+      workspacePath: varA.worktree.path
+    });
+    const measurementB = await this.variationMetrics.measureVariation({
+      name: varB.variation,
+      port: varB.claudeConfig.port,
+      workspacePath: varB.worktree.path
+    });
 
-    // This would integrate with the screenshot agents
     comparison.screenshots = {
-      variationA: `http://localhost:${portA}`,
-      variationB: `http://localhost:${portB}`
+      variationA: measurementA.screenshots,
+      variationB: measurementB.screenshots
     };
 
-    // Simulate analysis results
-    comparison.analysis = {
-      visualSimilarity: Math.random() * 0.3 + 0.7, // 70-100%
-      accessibilityComparison: {
-        varA: 85 + Math.random() * 15,
-        varB: 85 + Math.random() * 15
-      },
-      performanceComparison: {
-        varA: 80 + Math.random() * 20,
-        varB: 80 + Math.random() * 20
-      }
-    };
+    comparison.analysis = this.variationMetrics.compareMeasurements(measurementA, measurementB);
+
+    const { visualSimilarity, accessibilityComparison, performanceComparison } = comparison.analysis;
+    const measured = [
+      visualSimilarity,
+      accessibilityComparison.variationA === null ? null : accessibilityComparison.variationA / 100,
+      performanceComparison.variationA === null ? null : performanceComparison.variationA / 100
+    ].filter(value => value !== null);
 
     comparison.scores = {
-      overall: (comparison.analysis.visualSimilarity + 
-               comparison.analysis.accessibilityComparison.varA / 100 +
-               comparison.analysis.performanceComparison.varA / 100) / 3,
-      recommendation: comparison.analysis.visualSimilarity < 0.8 ? 
-        'Significant differences detected' : 'Variations are similar'
+      overall: measured.length > 0 ? measured.reduce((sum, value) => sum + value, 0) / measured.length : null,
+      recommendation: visualSimilarity === null
+        ? 'No matching screenshots to compare'
+        : visualSimilarity < 0.8 ? 'Significant differences detected' : 'Variations are similar'
     };
 
     return comparison;
@@ -417,16 +421,18 @@ WORKTREE_VARIATION=${config.worktree.variation}
       recommendations: []
     };
 
-    if (comparisons.length > 0) {
+    const scored = comparisons.filter(comp => comp.analysis.visualSimilarity !== null);
+
+    if (scored.length > 0) {
       // Find most similar and different pairs
-      const sorted = [...comparisons].sort((a, b) => b.analysis.visualSimilarity - a.analysis.visualSimilarity);
+      const sorted = [...scored].sort((a, b) => b.analysis.visualSimilarity - a.analysis.visualSimilarity);
       report.summary.mostSimilar = sorted[0];
       report.summary.mostDifferent = sorted[sorted.length - 1];
 
       // Calculate average similarity
-      report.summary.averageSimilarity = comparisons.reduce(
+      report.summary.averageSimilarity = scored.reduce(
         (sum, comp) => sum + comp.analysis.visualSimilarity, 0
-      ) / comparisons.length;
+      ) / scored.length;
 
       // Generate recommendations
       if (report.summary.averageSimilarity > 0.9) {
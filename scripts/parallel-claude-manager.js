@@ -8,6 +8,8 @@ import path from 'path';
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
 import GitWorktreeManager from './git-worktree-manager.js';
+import VariationMetrics from './variation-metrics.js';
+import { compareScreenshotSets } from '../subagents/image-similarity.js';
 
 export class ParallelClaudeManager extends EventEmitter {
   constructor(options = {}) {
@@ -23,6 +25,7 @@ export class ParallelClaudeManager extends EventEmitter {
     };
 
     this.worktreeManager = new GitWorktreeManager(options.worktree);
+    this.variationMetrics = new VariationMetrics(options.metrics);
     this.activeProcesses = new Map();
     this.processQueue = [];
     this.processStats = {
@@ -431,6 +434,10 @@ export class ParallelClaudeManager extends EventEmitter {
     };
 
     try {
+      // Measure each variation against its running dev server (captures screenshots as well)
+      const measurementA = await this.measureVariation(varA);
+      const measurementB = await this.measureVariation(varB);
+
       // Get screenshots from both variations
       const screenshotsA = this.getVariationScreenshots(varA);
       const screenshotsB = this.getVariationScreenshots(varB);
@@ -441,29 +448,28 @@ export class ParallelClaudeManager extends EventEmitter {
       };
 
       // Perform visual comparison
-      comparison.metrics.visualSimilarity = await this.calculateVisualSimilarity(
-        screenshotsA,
-        screenshotsB
-      );
+      const visual = await this.calculateVisualSimilarity(screenshotsA, screenshotsB);
+      comparison.analysis.visual = visual;
+      comparison.metrics.visualSimilarity = visual.summary.similarity;
 
       // Compare accessibility scores
-      const accessibilityA = this.getAccessibilityScore(varA);
-      const accessibilityB = this.getAccessibilityScore(varB);
+      const accessibilityA = this.getAccessibilityScore(measurementA);
+      const accessibilityB = this.getAccessibilityScore(measurementB);
       
       comparison.metrics.accessibilityComparison = {
         variationA: accessibilityA,
         variationB: accessibilityB,
-        difference: Math.abs(accessibilityA - accessibilityB)
+        difference: accessibilityA === null || accessibilityB === null ? null : Math.abs(accessibilityA - accessibilityB)
       };
 
       // Compare performance metrics
-      const performanceA = this.getPerformanceScore(varA);
-      const performanceB = this.getPerformanceScore(varB);
+      const performanceA = this.getPerformanceScore(measurementA);
+      const performanceB = this.getPerformanceScore(measurementB);
       
       comparison.metrics.performanceComparison = {
         variationA: performanceA,
         variationB: performanceB,
-        difference: Math.abs(performanceA - performanceB)
+        difference: performanceA === null || performanceB === null ? null : Math.abs(performanceA - performanceB)
       };
 
       // Generate overall similarity score
@@ -478,38 +484,30 @@ export class ParallelClaudeManager extends EventEmitter {
   }
 
   getVariationScreenshots(variation) {
-    const screenshotDir = path.join(variation.worktree.path, 'screenshots', 'current');
-    if (!fs.existsSync(screenshotDir)) return [];
-    
-    return fs.readdirSync(screenshotDir)
-      .filter(file => file.endsWith('.png'))
-      .map(file => path.join(screenshotDir, file));
+    return VariationMetrics.listScreenshots(variation.worktree.path);
+  }
+
+  async measureVariation(variation) {
+    const registered = this.worktreeManager.processRegistry.get(variation.worktree.name);
+
+    return this.variationMetrics.measureVariation({
+      name: variation.worktree.variation,
+      port: registered?.config.port,
+      workspacePath: variation.worktree.path
+    });
   }
 
   async calculateVisualSimilarity(screenshotsA, screenshotsB) {
-    // This would use image comparison algorithms
-    // For now, simulate similarity calculation
-    return Math.random() * 0.4 + 0.6; // 60-100% similarity
+    // Pixel ratio, SSIM, perceptual hash and grid regions for each screenshot pair
+    return compareScreenshotSets(screenshotsA, screenshotsB);
   }
 
-  getAccessibilityScore(variation) {
-    // Extract accessibility score from variation results
-    const reportPath = path.join(variation.worktree.path, 'reports', 'accessibility.json');
-    if (fs.existsSync(reportPath)) {
-      const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
-      return report.score || 85;
-    }
-    return 85 + Math.random() * 15; // Simulated score
+  getAccessibilityScore(measurement) {
+    return measurement.accessibility ?? null;
   }
 
-  getPerformanceScore(variation) {
-    // Extract performance score from variation results
-    const reportPath = path.join(variation.worktree.path, 'reports', 'performance.json');
-    if (fs.existsSync(reportPath)) {
-      const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
-      return report.score || 80;
-    }
-    return 80 + Math.random() * 20; // Simulated score
+  getPerformanceScore(measurement) {
+    return measurement.performance ?? null;
   }
 
   calculateOverallSimilarity(metrics) {
@@ -519,11 +517,23 @@ export class ParallelClaudeManager extends EventEmitter {
       performance: 0.25
     };
 
-    return (
-      metrics.visualSimilarity * weights.visual +
-      (1 - metrics.accessibilityComparison.difference / 100) * weights.accessibility +
-      (1 - metrics.performanceComparison.difference / 100) * weights.performance
-    );
+    // Metrics that could not be measured are left out and the remaining weights rescaled
+    const components = [
+      { value: metrics.visualSimilarity, weight: weights.visual },
+      {
+        value: metrics.accessibilityComparison.difference === null ? null : 1 - metrics.accessibilityComparison.difference / 100,
+        weight: weights.accessibility
+      },
+      {
+        value: metrics.performanceComparison.difference === null ? null : 1 - metrics.performanceComparison.difference / 100,
+        weight: weights.performance
+      }
+    ].filter(component => component.value !== null && component.value !== undefined);
+
+    if (components.length === 0) return null;
+
+    const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+    return components.reduce((sum, component) => sum + component.value * component.weight, 0) / totalWeight;
   }
 
   analyzeComparisons(comparisons) {
@@ -535,15 +545,16 @@ export class ParallelClaudeManager extends EventEmitter {
       clusters: []
     };
 
-    if (comparisons.length === 0) return analysis;
+    const scored = comparisons.filter(comp => typeof comp.metrics.overallSimilarity === 'number');
+    if (scored.length === 0) return analysis;
 
     // Calculate average similarity
-    analysis.averageSimilarity = comparisons.reduce(
+    analysis.averageSimilarity = scored.reduce(
       (sum, comp) => sum + comp.metrics.overallSimilarity, 0
-    ) / comparisons.length;
+    ) / scored.length;
 
     // Find most similar and different pairs
-    const sorted = [...comparisons].sort(
+    const sorted = [...scored].sort(
       (a, b) => b.metrics.overallSimilarity - a.metrics.overallSimilarity
     );
     
@@ -551,11 +562,11 @@ export class ParallelClaudeManager extends EventEmitter {
     analysis.mostDifferentPair = sorted[sorted.length - 1];
 
     // Simple clustering based on similarity threshold
-    const highSimilarity = comparisons.filter(c => c.metrics.overallSimilarity > 0.8);
-    const mediumSimilarity = comparisons.filter(c => 
+    const highSimilarity = scored.filter(c => c.metrics.overallSimilarity > 0.8);
+    const mediumSimilarity = scored.filter(c => 
       c.metrics.overallSimilarity > 0.6 && c.metrics.overallSimilarity <= 0.8
     );
-    const lowSimilarity = comparisons.filter(c => c.metrics.overallSimilarity <= 0.6);
+    const lowSimilarity = scored.filter(c => c.metrics.overallSimilarity <= 0.6);
 
     analysis.clusters = [
       { name: 'High Similarity', count: highSimilarity.length, threshold: '>80%' },
@@ -0,0 +1,137 @@
+/**
+ * Variation Metrics - Measures UI variations running on their worktree dev servers
+ * Captures screenshots and runs AnalysisAgent accessibility and performance checks per variation
+ */
+
+import fs from 'fs';
+import path from 'path';
+import NavigationAgent from '../subagents/navigation-agent.js';
+import ScreenshotAgent from '../subagents/screenshot-agent.js';
+import AnalysisAgent from '../subagents/analysis-agent.js';
+import { compareScreenshotSets } from '../subagents/image-similarity.js';
+
+export const DEFAULT_VARIATION_VIEWPORTS = [
+  { name: 'mobile', width: 375, height: 667 },
+  { name: 'tablet', width: 768, height: 1024 },
+  { name: 'desktop', width: 1440, height: 900 }
+];
+
+export class VariationMetrics {
+  constructor(options = {}) {
+    this.options = {
+      browser: 'chromium',
+      device: 'desktop.large',
+      pages: [{ name: 'home', path: '/' }],
+      viewports: DEFAULT_VARIATION_VIEWPORTS,
+      captureScreenshots: true,
+      interact: false, // click toggles on each page so INP has something to measure
+      ...options
+    };
+
+    // Each variation is measured once and reused across pairwise comparisons
+    this.cache = new Map();
+  }
+
+  async measureVariation({ name, port, url, workspacePath }) {
+    if (this.cache.has(name)) return this.cache.get(name);
+
+    const baseUrl = url || `http://localhost:${port}`;
+    console.log(`📏 Measuring variation ${name} at ${baseUrl}...`);
+
+    const navigationAgent = new NavigationAgent({
+      browser: this.options.browser,
+      device: this.options.device
+    });
+    const screenshotDir = path.join(workspacePath || '.', 'screenshots');
+    const measurement = {
+      variation: name,
+      url: baseUrl,
+      screenshots: [],
+      pages: [],
+      accessibility: null,
+      performance: null
+    };
+
+    try {
+      await navigationAgent.initialize();
+      const screenshotAgent = new ScreenshotAgent(navigationAgent, { screenshotDir });
+      const analysisAgent = new AnalysisAgent(navigationAgent);
+
+      for (const pageSpec of this.options.pages) {
+        await navigationAgent.navigateToUrl(new URL(pageSpec.path, baseUrl).href);
+
+        const accessibility = await analysisAgent.analyzeAccessibility();
+        const performance = await analysisAgent.checkPerformanceMetrics({ interact: this.options.interact });
+
+        measurement.pages.push({
+          name: pageSpec.name,
+          accessibility: analysisAgent.calculateAccessibilityScore(accessibility),
+          performance: analysisAgent.calculatePerformanceScore(performance),
+          violations: accessibility.automated?.violations?.length || 0,
+          metrics: performance.metrics
+        });
+
+        if (this.options.captureScreenshots) {
+          const screenshots = await screenshotAgent.captureMultipleViewports(pageSpec.name, this.options.viewports);
+          measurement.screenshots.push(...screenshots.map(screenshot => screenshot.path));
+        }
+      }
+
+      // Pages whose score couldn't be measured (null) are left out; null when none could
+      const average = key => {
+        const scores = measurement.pages.map(page => page[key]).filter(score => score !== null);
+        return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+      };
+      measurement.accessibility = average('accessibility');
+      measurement.performance = average('performance');
+
+    } catch (error) {
+      console.error(`❌ Failed to measure variation ${name}: ${error.message}`);
+      measurement.error = error.message;
+    } finally {
+      await navigationAgent.close();
+    }
+
+    this.cache.set(name, measurement);
+    return measurement;
+  }
+
+  compareMeasurements(measurementA, measurementB, screenshotsA = measurementA.screenshots, screenshotsB = measurementB.screenshots) {
+    const visual = compareScreenshotSets(screenshotsA, screenshotsB);
+
+    return {
+      visual,
+      visualSimilarity: visual.summary.similarity,
+      accessibilityComparison: {
+        variationA: measurementA.accessibility,
+        variationB: measurementB.accessibility,
+        difference: difference(measurementA.accessibility, measurementB.accessibility)
+      },
+      performanceComparison: {
+        variationA: measurementA.performance,
+        variationB: measurementB.performance,
+        difference: difference(measurementA.performance, measurementB.performance)
+      }
+    };
+  }
+
+  // Lists the screenshots a variation already has on disk (e.g. produced by its Claude process)
+  static listScreenshots(workspacePath) {
+    const screenshotDir = path.join(workspacePath, 'screenshots', 'current');
+    if (!fs.existsSync(screenshotDir)) return [];
+
+    return fs.readdirSync(screenshotDir)
+      .filter(file => file.endsWith('.png'))
+      .map(file => path.join(screenshotDir, file));
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+function difference(a, b) {
+  return a === null || b === null ? null : Math.abs(a - b);
+}
+
+export default VariationMetrics;
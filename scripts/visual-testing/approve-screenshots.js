@@ -0,0 +1,66 @@
+/**
+ * Approve Screenshots - Promotes pending screenshots into the approved baselines
+ * Usage: npm run screenshots:approve -- [name...] [--all] [--list] [--reject] [--reason text] [--approver name] [--from path]
+ */
+
+import BaselineManifest from '../../subagents/baseline-manifest.js';
+import { parseCommandArgs } from '../../commands/command-args.js';
+import { baselineNameFor } from '../../subagents/image-similarity.js';
+
+function printPending(manifest) {
+  const pending = manifest.listPending();
+  if (pending.length === 0) {
+    console.log('✅ No pending screenshots');
+    return;
+  }
+
+  console.log(`📋 ${pending.length} pending screenshot(s):`);
+  for (const entry of pending) {
+    const detail = entry.reason === 'changed' ? `changed ${entry.diffPercentage}%` : entry.reason;
+    console.log(`  - ${entry.name} (${detail}) ← ${entry.current}`);
+  }
+}
+
+async function main() {
+  const { positional, flags } = parseCommandArgs(process.argv.slice(2), { booleans: ['all', 'list', 'reject'] });
+  const manifest = new BaselineManifest({ approver: flags.approver });
+
+  if (flags.list || (positional.length === 0 && !flags.all)) {
+    printPending(manifest);
+    return 0;
+  }
+
+  if (flags.from && positional.length !== 1) {
+    console.error('❌ --from requires exactly one baseline name');
+    return 1;
+  }
+
+  const names = flags.all
+    ? manifest.listPending().map(entry => entry.name)
+    : positional.map(baselineNameFor);
+
+  let failures = 0;
+  for (const name of names) {
+    try {
+      if (flags.reject) {
+        manifest.reject(name, { reason: flags.reason });
+        console.log(`🚫 Rejected ${name}`);
+      } else {
+        const entry = manifest.approve(name, { currentPath: flags.from });
+        console.log(`✅ Approved ${name} (${entry.hash.slice(0, 12)}, by ${entry.approver})`);
+      }
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Approval failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+/**
+ * Compare Screenshots - Compares every current screenshot with its approved baseline
+ * Usage: npm run screenshots:compare -- [--strict] [--threshold 0.1] [--max-diff-pixels 1000] [--size-mismatch align|pad|crop]
+ *
+ * Baselines are named after the current file without its date suffix
+ * (homepage-full-page-desktop-large-2024-01-31.png -> homepage-full-page-desktop-large.png).
+ * Exits with code 1 when screenshots differ, or when a baseline is missing in strict mode.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ScreenshotAgent from '../../subagents/screenshot-agent.js';
+import { baselineNameFor, screenshotKey } from '../../subagents/image-similarity.js';
+import { parseCommandArgs } from '../../commands/command-args.js';
+
+function latestScreenshots(currentDir) {
+  if (!fs.existsSync(currentDir)) return new Map();
+
+  const latest = new Map();
+  for (const file of fs.readdirSync(currentDir).filter(name => name.endsWith('.png'))) {
+    const filePath = path.join(currentDir, file);
+    const key = screenshotKey(file);
+    const existing = latest.get(key);
+    if (!existing || fs.statSync(filePath).mtimeMs > fs.statSync(existing).mtimeMs) {
+      latest.set(key, filePath);
+    }
+  }
+  return latest;
+}
+
+async function main() {
+  const { flags } = parseCommandArgs(process.argv.slice(2), { booleans: ['strict'] });
+  const screenshotAgent = new ScreenshotAgent(null, {
+    strictBaselines: flags.strict === true || process.env.STRICT_BASELINES === 'true'
+  });
+
+  const currentDir = path.join(screenshotAgent.options.screenshotDir, screenshotAgent.options.currentDir);
+  const screenshots = latestScreenshots(currentDir);
+
+  if (screenshots.size === 0) {
+    console.log(`⚠️ No screenshots found in ${currentDir}`);
+    return 0;
+  }
+
+  const options = {};
+  if (flags.threshold) options.threshold = parseFloat(flags.threshold);
+  if (flags['max-diff-pixels']) options.maxDiffPixels = parseInt(flags['max-diff-pixels'], 10);
+  if (flags['size-mismatch']) options.sizeMismatch = flags['size-mismatch'];
+
+  const results = [];
+  for (const currentPath of screenshots.values()) {
+    const baselineName = baselineNameFor(currentPath);
+    const comparison = await screenshotAgent.compareWithBaseline(currentPath, baselineName, options);
+    results.push({ baselineName, currentPath, ...comparison });
+
+    if (comparison.missingBaseline) {
+      console.log(`  ❌ ${baselineName}: missing baseline`);
+    } else if (comparison.isNewBaseline) {
+      console.log(`  🆕 ${baselineName}: baseline created`);
+    } else if (comparison.match) {
+      console.log(`  ✅ ${baselineName}: match (${comparison.diffPercentage}%)`);
+    } else {
+      console.log(`  ❌ ${baselineName}: ${comparison.diffPercentage}% different → ${comparison.diffPath}`);
+      if (comparison.sizeChange) {
+        console.log(`     📐 ${comparison.sizeChange.finding.description}`);
+      }
+    }
+  }
+
+  const failed = results.filter(result => !result.match);
+  const report = {
+    timestamp: new Date().toISOString(),
+    strict: screenshotAgent.options.strictBaselines,
+    summary: {
+      total: results.length,
+      passed: results.length - failed.length,
+      failed: failed.length,
+      created: results.filter(result => result.isNewBaseline).length,
+      missing: results.filter(result => result.missingBaseline).length
+    },
+    results
+  };
+
+  const reportDir = path.join('reports', 'visual');
+  fs.mkdirSync(reportDir, { recursive: true });
+  const reportPath = path.join(reportDir, `compare-${Date.now()}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  console.log(`\n📊 ${report.summary.passed}/${report.summary.total} screenshots match (report: ${reportPath})`);
+  if (failed.length > 0) {
+    console.log('ℹ️ Review the pending screenshots with `npm run screenshots:approve -- --list`');
+  }
+
+  return failed.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Screenshot comparison failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+/**
+ * Generate Baseline - Captures pages and records them as approved baselines
+ * Usage: npm run screenshots:baseline -- [url...] [--browser chromium] [--device desktop.large] [--update] [--approver name]
+ *
+ * Without URLs, pages are read from config/baseline-pages.json:
+ * { "baseUrl": "http://localhost:3000", "pages": [{ "name": "home", "path": "/" }], "viewports": [...] }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import NavigationAgent from '../../subagents/navigation-agent.js';
+import ScreenshotAgent from '../../subagents/screenshot-agent.js';
+import { baselineNameFor } from '../../subagents/image-similarity.js';
+import { parseCommandArgs } from '../../commands/command-args.js';
+
+const CONFIG_PATH = path.join('config', 'baseline-pages.json');
+
+function loadPages(urls) {
+  if (urls.length > 0) {
+    return {
+      pages: urls.map(url => {
+        const { hostname, pathname } = new URL(url);
+        return { name: `${hostname}${pathname}`.replace(/\/$/, ''), url };
+      }),
+      viewports: null
+    };
+  }
+
+  const config = fs.existsSync(CONFIG_PATH)
+    ? JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'))
+    : { pages: [{ name: 'home', path: '/' }] };
+  const baseUrl = config.baseUrl || process.env.BASE_URL || 'http://localhost:3000';
+
+  return {
+    pages: config.pages.map(page => ({ name: page.name, url: page.url || new URL(page.path, baseUrl).href })),
+    viewports: config.viewports || null
+  };
+}
+
+async function main() {
+  const { positional, flags } = parseCommandArgs(process.argv.slice(2), { booleans: ['update'] });
+  const { pages, viewports } = loadPages(positional);
+
+  const navigationAgent = new NavigationAgent({
+    browser: flags.browser || 'chromium',
+    device: flags.device || 'desktop.large'
+  });
+  await navigationAgent.initialize();
+
+  const screenshotAgent = new ScreenshotAgent(navigationAgent);
+  const manifest = screenshotAgent.baselineManifest;
+  const created = [];
+  const skipped = [];
+
+  try {
+    for (const page of pages) {
+      const navigation = await navigationAgent.navigateToUrl(page.url);
+      if (!navigation.success) {
+        console.error(`❌ Could not load ${page.url}: ${navigation.error}`);
+        continue;
+      }
+
+      const screenshots = viewports
+        ? await screenshotAgent.captureMultipleViewports(page.name, viewports)
+        : [await screenshotAgent.captureFullPage(page.name)];
+
+      for (const screenshot of screenshots) {
+        const baselineName = baselineNameFor(screenshot.path);
+        if (fs.existsSync(manifest.getBaselineFile(baselineName)) && !flags.update) {
+          skipped.push(baselineName);
+          console.log(`⏭️ Baseline exists: ${baselineName} (use --update to replace it)`);
+          continue;
+        }
+
+        manifest.approve(baselineName, {
+          currentPath: screenshot.path,
+          approver: flags.approver,
+          ...screenshotAgent.getCaptureMetadata(screenshot.viewport)
+        });
+        created.push(baselineName);
+        console.log(`✅ Baseline recorded: ${baselineName}`);
+      }
+    }
+  } finally {
+    await navigationAgent.close();
+  }
+
+  console.log(`\n📸 ${created.length} baseline(s) recorded, ${skipped.length} skipped`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Baseline generation failed:', error.message);
+    process.exit(1);
+  });
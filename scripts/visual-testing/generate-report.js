@@ -0,0 +1,66 @@
+/**
+ * Generate Report - Builds the self-contained HTML review report from a comparison run
+ * Usage: npm run report:generate -- [--input reports/visual/compare-<ts>.json] [--output path.html] [--title text]
+ *
+ * Without --input, the most recent reports/visual/compare-*.json is used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import BaselineManifest from '../../subagents/baseline-manifest.js';
+import { writeHtmlReport } from '../../subagents/html-report.js';
+import { parseCommandArgs } from '../../commands/command-args.js';
+
+const REPORT_DIR = path.join('reports', 'visual');
+
+function latestComparisonReport() {
+  if (!fs.existsSync(REPORT_DIR)) return null;
+
+  const reports = fs.readdirSync(REPORT_DIR)
+    .filter(name => /^compare-\d+\.json$/.test(name))
+    .map(name => path.join(REPORT_DIR, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+
+  return reports[0] || null;
+}
+
+async function main() {
+  const { flags } = parseCommandArgs(process.argv.slice(2));
+  const inputPath = flags.input || latestComparisonReport();
+
+  if (!inputPath || !fs.existsSync(inputPath)) {
+    console.error('❌ No comparison report found. Run `npm run screenshots:compare` first or pass --input');
+    return 1;
+  }
+
+  const input = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const manifest = new BaselineManifest().load();
+
+  // The compare run does not know browser/device; fill them in from the baseline manifest
+  const comparisons = (input.results || []).map(result => {
+    const entry = manifest.baselines[result.baselineName] || manifest.pending[result.baselineName] || {};
+    return {
+      browser: entry.browser,
+      device: entry.device,
+      viewport: entry.viewport,
+      ...result
+    };
+  });
+
+  const outputPath = flags.output || path.join(REPORT_DIR, `report-${Date.now()}.html`);
+  writeHtmlReport({
+    title: flags.title || 'Visual Review Report',
+    timestamp: input.timestamp,
+    comparisons
+  }, outputPath);
+
+  console.log(`📊 HTML report written to ${outputPath} (${comparisons.length} comparisons from ${inputPath})`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Report generation failed:', error.message);
+    process.exit(1);
+  });
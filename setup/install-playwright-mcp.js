@@ -48,13 +48,14 @@ class PlaywrightMCPInstaller {
       'playwright@latest',
       '@playwright/experimental-ct-react@latest',
       'pixelmatch@latest',
-      'sharp@latest'
+      'pngjs@latest',
+      'sharp@latest',
+      '@axe-core/playwright@latest'
     ];
 
     const devDependencies = [
       'playwright-lighthouse@latest',
-      'axe-playwright@latest',
-      '@axe-core/playwright@latest'
+      'axe-playwright@latest'
     ];
 
     execSync(`npm install ${dependencies.join(' ')}`, { stdio: 'inherit' });
@@ -229,6 +230,15 @@ export default defineConfig({
       "name": "playwright-visual-testing-mcp",
       "version": "1.0.0",
       "description": "AI-driven visual testing with Playwright MCP integration",
+      "server": {
+        "command": "node",
+        "args": ["commands/mcp-server.js"],
+        "transports": {
+          "stdio": true,
+          "sse": { "command": "node commands/mcp-server.js --http --port 3333", "endpoint": "/sse" }
+        },
+        "resources": ["reports/", "screenshots/"]
+      },
       "capabilities": {
         "browser_automation": true,
         "screenshot_capture": true,
@@ -5,7 +5,28 @@
 
 import fs from 'fs';
 import path from 'path';
-import { injectAxe, checkA11y } from 'axe-playwright';
+import AxeBuilder from '@axe-core/playwright';
+import {
+  createVisionProvider,
+  requestStructuredAnalysis,
+  detectMediaType,
+  ANALYSIS_RESPONSE_INSTRUCTIONS
+} from './vision-providers.js';
+import HeuristicAnalyzer from './heuristic-analyzers.js';
+import { writeHtmlReport } from './html-report.js';
+import DesignTokenChecker, { loadDesignTokens } from './design-tokens.js';
+import { collectVitals, rateVitals, VITALS_THRESHOLDS } from './web-vitals.js';
+import PerformanceBudgets, { summarizeResources, formatBudgetValue } from './performance-budgets.js';
+import { runLighthouse, lighthouseScores, mapLighthouseFindings, LIGHTHOUSE_CATEGORIES } from './lighthouse-audit.js';
+
+// Keys in the analysis data that carry screenshots, with the label sent to the model
+const IMAGE_INPUTS = {
+  current: 'Current screenshot',
+  baseline: 'Baseline screenshot',
+  screenshot: 'Screenshot',
+  screenshot1: 'Screenshot A',
+  screenshot2: 'Screenshot B'
+};
 
 export class AnalysisAgent {
   constructor(navigationAgent, options = {}) {
@@ -21,10 +42,26 @@ export class AnalysisAgent {
       reportFormat: 'markdown',
       includeScreenshots: true,
       severityLevels: ['critical', 'major', 'minor', 'info'],
+      aiMaxRetries: 2,
+      aiFixtureMode: process.env.AI_FIXTURE_MODE,
+      aiFixtureDir: path.join('fixtures', 'ai-analysis'),
+      aiProviderOptions: {},
+      heuristicAnalysis: 'auto', // 'auto' runs DOM heuristics only when no AI backend is available
+      vitalsThresholds: VITALS_THRESHOLDS, // good / needs-improvement boundaries for the ratings; budgets decide pass/fail
+      budgets: {}, // PerformanceBudgets options: { config, reportDir }
+      lighthouseDir: path.join('reports', 'lighthouse'), // full Lighthouse result (LHR) JSON per audit
       ...options
     };
 
     this.analysisResults = [];
+    this.visionProvider = this.options.visionProvider || createVisionProvider(this.options.aiModel, {
+      providerOptions: this.options.aiProviderOptions,
+      fixtureMode: this.options.aiFixtureMode,
+      fixtureDir: this.options.aiFixtureDir
+    });
+    this.heuristicAnalyzer = new HeuristicAnalyzer(navigationAgent, this.options.heuristics);
+    this.tokenChecker = new DesignTokenChecker(navigationAgent, this.options.tokenCompliance);
+    this.budgets = new PerformanceBudgets(this.options.budgets);
     this.loadAnalysisPrompts();
   }
 
@@ -84,14 +121,15 @@ export class AnalysisAgent {
       type: 'visual_differences',
       timestamp: new Date().toISOString(),
       metadata,
+      screenshots: {
+        current: typeof currentScreenshot === 'string' ? currentScreenshot : null,
+        baseline: typeof baselineScreenshot === 'string' ? baselineScreenshot : null
+      },
       findings: []
     };
 
-    // This would integrate with Claude's vision capabilities
-    // For now, we'll simulate the analysis structure
     const prompt = this.analysisPrompts.visual_differences;
     
-    // In a real implementation, you would send both screenshots to Claude
     const aiAnalysis = await this.performAIAnalysis(prompt, {
       current: currentScreenshot,
       baseline: baselineScreenshot,
@@ -99,6 +137,13 @@ export class AnalysisAgent {
     });
 
     analysis.findings = aiAnalysis.findings || [];
+    if (metadata.comparison?.sizeChange) {
+      analysis.findings.unshift(metadata.comparison.sizeChange.finding);
+    }
+    // Pixel regions attributed to DOM elements; inserted/removed bands are covered by the size change
+    analysis.findings.push(...(metadata.comparison?.regions || [])
+      .filter(region => region.type === 'changed')
+      .map(region => region.finding));
     analysis.summary = aiAnalysis.summary || 'No significant differences detected';
     analysis.severity = this.calculateOverallSeverity(analysis.findings);
 
@@ -111,14 +156,8 @@ export class AnalysisAgent {
     
     const page = this.navigationAgent.page;
     
-    // Inject axe-core for automated accessibility testing
-    await injectAxe(page);
-    
-    // Run accessibility checks
-    const axeResults = await checkA11y(page, null, {
-      detailedReport: true,
-      detailedReportOptions: { html: true }
-    });
+    // Run axe-core checks; analyze() resolves with the full results instead of throwing on violations
+    const axeResults = await new AxeBuilder({ page }).analyze();
 
     // Perform AI-powered visual accessibility analysis
     const screenshot = await page.screenshot({ fullPage: true });
@@ -174,23 +213,60 @@ export class AnalysisAgent {
       findings: []
     };
 
+    const useAI = this.visionProvider.isAvailable();
+    const useHeuristics = this.shouldRunHeuristics();
+    const tokens = designSpecs.tokens && this.navigationAgent?.page
+      ? await loadDesignTokens(designSpecs.tokens)
+      : null;
+
     // Analyze each screenshot for design consistency
     for (const screenshot of screenshots) {
-      const aiAnalysis = await this.performAIAnalysis(
-        this.analysisPrompts.design_consistency,
-        {
-          screenshot: screenshot.path,
-          viewport: screenshot.viewport,
-          type: 'design_consistency',
-          designSpecs
-        }
-      );
+      const issues = [];
+      const scores = [];
+      let inventory = null;
+      let tokenCompliance = null;
+
+      if (useAI) {
+        const aiAnalysis = await this.performAIAnalysis(
+          this.analysisPrompts.design_consistency,
+          {
+            screenshot: screenshot.path,
+            viewport: screenshot.viewport,
+            type: 'design_consistency',
+            designSpecs
+          }
+        );
+        issues.push(...(aiAnalysis.findings || []));
+        if (typeof aiAnalysis.consistency_score === 'number') scores.push(aiAnalysis.consistency_score);
+      }
+
+      if (useHeuristics) {
+        const heuristics = await this.heuristicAnalyzer.withViewport(
+          screenshot.viewport,
+          () => this.heuristicAnalyzer.runDesignChecks(designSpecs)
+        );
+        issues.push(...heuristics.issues);
+        scores.push(this.heuristicAnalyzer.calculateScore(heuristics.issues));
+        inventory = heuristics.inventory;
+      }
+
+      if (tokens) {
+        const compliance = await this.heuristicAnalyzer.withViewport(
+          screenshot.viewport,
+          () => this.tokenChecker.checkPage(tokens)
+        );
+        issues.push(...compliance.issues);
+        scores.push(compliance.score);
+        tokenCompliance = { ...compliance.summary, score: compliance.score };
+      }
 
       analysis.findings.push({
         screenshot: screenshot.name,
         viewport: screenshot.viewport,
-        issues: aiAnalysis.findings || [],
-        consistency_score: aiAnalysis.consistency_score || 0
+        issues,
+        consistency_score: this.averageScore(scores),
+        ...(inventory ? { inventory } : {}),
+        ...(tokenCompliance ? { tokenCompliance } : {})
       });
     }
 
@@ -214,26 +290,45 @@ export class AnalysisAgent {
     };
 
     // Compare responsive behavior across viewports
-    for (let i = 0; i < responsiveScreenshots.length - 1; i++) {
-      const current = responsiveScreenshots[i];
-      const next = responsiveScreenshots[i + 1];
-
-      const aiAnalysis = await this.performAIAnalysis(
-        this.analysisPrompts.responsive_behavior,
-        {
-          screenshot1: current.path,
-          screenshot2: next.path,
-          viewport1: current.viewport,
-          viewport2: next.viewport,
-          type: 'responsive_comparison'
-        }
-      );
+    if (this.visionProvider.isAvailable()) {
+      for (let i = 0; i < responsiveScreenshots.length - 1; i++) {
+        const current = responsiveScreenshots[i];
+        const next = responsiveScreenshots[i + 1];
+
+        const aiAnalysis = await this.performAIAnalysis(
+          this.analysisPrompts.responsive_behavior,
+          {
+            screenshot1: current.path,
+            screenshot2: next.path,
+            viewport1: current.viewport,
+            viewport2: next.viewport,
+            type: 'responsive_comparison'
+          }
+        );
 
-      analysis.findings.push({
-        comparison: `${current.viewport.width}x${current.viewport.height} vs ${next.viewport.width}x${next.viewport.height}`,
-        issues: aiAnalysis.findings || [],
-        responsive_score: aiAnalysis.responsive_score || 0
-      });
+        analysis.findings.push({
+          comparison: `${current.viewport.width}x${current.viewport.height} vs ${next.viewport.width}x${next.viewport.height}`,
+          issues: aiAnalysis.findings || [],
+          responsive_score: aiAnalysis.responsive_score || 0
+        });
+      }
+    }
+
+    // Check each viewport in the live page for overflow, clipping and touch target problems
+    if (this.shouldRunHeuristics()) {
+      for (const screenshot of responsiveScreenshots) {
+        const issues = await this.heuristicAnalyzer.withViewport(
+          screenshot.viewport,
+          () => this.heuristicAnalyzer.runResponsiveChecks(screenshot.viewport)
+        );
+
+        analysis.findings.push({
+          comparison: `${screenshot.viewport.width}x${screenshot.viewport.height}`,
+          viewport: screenshot.viewport,
+          issues,
+          responsive_score: this.heuristicAnalyzer.calculateScore(issues)
+        });
+      }
     }
 
     analysis.overallScore = this.calculateOverallResponsiveScore(analysis.findings);
@@ -245,124 +340,179 @@ export class AnalysisAgent {
     return analysis;
   }
 
+  shouldRunHeuristics() {
+    if (!this.navigationAgent?.page) return false;
+
+    switch (this.options.heuristicAnalysis) {
+      case 'always':
+        return true;
+      case 'never':
+        return false;
+      default:
+        return !this.visionProvider.isAvailable();
+    }
+  }
+
+  averageScore(scores) {
+    if (scores.length === 0) return 0;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
   async performAIAnalysis(prompt, data) {
-    // This would integrate with Claude's API for actual AI analysis
-    // For now, we'll return a structured response format
-    
-    console.log(`🤖 Performing AI analysis with ${this.options.aiModel}...`);
-    
-    // Simulate AI analysis response
-    return {
-      findings: [
-        {
-          severity: 'minor',
-          category: 'layout',
-          description: 'Simulated finding for demonstration',
-          recommendation: 'This would contain AI-generated recommendations',
-          location: 'header section'
-        }
-      ],
-      summary: 'AI analysis completed successfully',
-      confidence: 0.85,
-      consistency_score: 8.5,
-      responsive_score: 9.0
-    };
+    console.log(`🤖 Performing AI analysis with ${this.options.aiModel} (${this.visionProvider.name})...`);
+
+    if (!this.visionProvider.isAvailable()) {
+      const reason = this.visionProvider.unavailableReason();
+      console.warn(`⚠️ AI analysis skipped: ${reason}`);
+      return {
+        findings: [],
+        summary: `AI analysis unavailable: ${reason}`,
+        available: false
+      };
+    }
+
+    const images = this.collectAnalysisImages(data);
+    const context = Object.fromEntries(
+      Object.entries(data).filter(([key]) => !(key in IMAGE_INPUTS))
+    );
+
+    const fullPrompt = `${prompt.trim()}
+
+Analysis context:
+${JSON.stringify(context, null, 2)}
+${ANALYSIS_RESPONSE_INSTRUCTIONS}`;
+
+    try {
+      const result = await requestStructuredAnalysis(this.visionProvider, {
+        prompt: fullPrompt,
+        images,
+        maxRetries: this.options.aiMaxRetries,
+        severityLevels: this.options.severityLevels
+      });
+
+      return {
+        ...result,
+        available: true,
+        provider: this.visionProvider.name,
+        model: this.visionProvider.model
+      };
+    } catch (error) {
+      console.error(`❌ AI analysis failed: ${error.message}`);
+      return {
+        findings: [],
+        summary: `AI analysis failed: ${error.message}`,
+        available: true,
+        error: error.message
+      };
+    }
   }
 
-  async checkPerformanceMetrics() {
+  collectAnalysisImages(data) {
+    const images = [];
+
+    for (const [key, label] of Object.entries(IMAGE_INPUTS)) {
+      const source = data[key];
+      if (!source) continue;
+
+      const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+      const viewport = key === 'screenshot1' ? data.viewport1 : key === 'screenshot2' ? data.viewport2 : data.viewport;
+
+      images.push({
+        label: viewport ? `${label} (${viewport.width}x${viewport.height})` : label,
+        buffer,
+        mediaType: detectMediaType(buffer)
+      });
+    }
+
+    return images;
+  }
+
+  /**
+   * Core Web Vitals from the collector the navigation agent installs before each page load.
+   * @param {Object} options - { interact: run scripted interactions for INP, then reload (default false), settle, maxClicks, selectors }
+   */
+  async checkPerformanceMetrics(options = {}) {
     console.log('⚡ Checking performance metrics...');
     
     const page = this.navigationAgent.page;
-    
-    // Get Core Web Vitals and other performance metrics
-    const metrics = await page.evaluate(() => {
-      return new Promise((resolve) => {
-        new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          const metrics = {
-            lcp: null, // Largest Contentful Paint
-            fid: null, // First Input Delay  
-            cls: null, // Cumulative Layout Shift
-            fcp: null, // First Contentful Paint
-            ttfb: null // Time to First Byte
-          };
-
-          entries.forEach((entry) => {
-            if (entry.entryType === 'largest-contentful-paint') {
-              metrics.lcp = entry.startTime;
-            } else if (entry.entryType === 'first-input') {
-              metrics.fid = entry.processingStart - entry.startTime;
-            } else if (entry.entryType === 'layout-shift' && !entry.hadRecentInput) {
-              metrics.cls = (metrics.cls || 0) + entry.value;
-            }
-          });
-
-          // Get navigation timing metrics
-          const navigation = performance.getEntriesByType('navigation')[0];
-          if (navigation) {
-            metrics.fcp = navigation.responseStart - navigation.fetchStart;
-            metrics.ttfb = navigation.responseStart - navigation.requestStart;
-          }
-
-          resolve(metrics);
-        }).observe({ entryTypes: ['largest-contentful-paint', 'first-input', 'layout-shift', 'navigation'] });
-
-        // Fallback timeout
-        setTimeout(() => {
-          resolve({
-            lcp: null,
-            fid: null,
-            cls: null,
-            fcp: null,
-            ttfb: null
-          });
-        }, 5000);
-      });
-    });
+    const vitals = await collectVitals(page, options);
+    const { metrics } = vitals;
+    const throttling = this.navigationAgent.getThrottling();
+    const resources = summarizeResources(this.navigationAgent.getResources(), page.url());
+    const budget = await this.budgets.check(page.url(), { metrics, resources });
+    const findings = budget.results.filter(result => result.status === 'fail').map(result => ({
+      category: 'performance_budget',
+      metric: result.metric,
+      severity: 'major',
+      description: `${result.label} ${formatBudgetValue(result.actual, result.unit)} is over its ${formatBudgetValue(result.budget, result.unit)} budget (+${formatBudgetValue(result.delta, result.unit)}${result.percent === null ? '' : `, +${result.percent}%`})`
+    }));
 
     const performanceAnalysis = {
       type: 'performance_metrics',
       timestamp: new Date().toISOString(),
       url: page.url(),
+      summary: throttling.applied || throttling.profile === 'none'
+        ? `Measured with throttling: ${throttling.description}`
+        : `Measured unthrottled: ${throttling.profile} was not applied (${throttling.reason})`,
+      severity: budget.passed ? 'info' : 'major',
+      findings,
+      throttling,
       metrics,
-      thresholds: {
-        lcp: { good: 2500, needsImprovement: 4000 },
-        fid: { good: 100, needsImprovement: 300 },
-        cls: { good: 0.1, needsImprovement: 0.25 },
-        fcp: { good: 1800, needsImprovement: 3000 },
-        ttfb: { good: 800, needsImprovement: 1800 }
+      thresholds: this.options.vitalsThresholds,
+      evaluation: this.evaluatePerformanceMetrics(metrics),
+      resources,
+      budget,
+      attribution: {
+        lcpElement: vitals.lcpElement,
+        // The shifts of the worst CLS session window, largest first
+        layoutShifts: [...vitals.clsAttribution].sort((a, b) => b.value - a.value),
+        slowestInteractions: vitals.interactions,
+        longTasks: vitals.longTasks
       },
-      evaluation: this.evaluatePerformanceMetrics(metrics)
+      supported: vitals.supported,
+      simulatedInteractions: vitals.simulated
     };
 
     this.analysisResults.push(performanceAnalysis);
     return performanceAnalysis;
   }
 
-  evaluatePerformanceMetrics(metrics) {
-    const evaluation = {};
-    const thresholds = {
-      lcp: { good: 2500, needsImprovement: 4000 },
-      fid: { good: 100, needsImprovement: 300 },
-      cls: { good: 0.1, needsImprovement: 0.25 }
+  /**
+   * Lighthouse audit of the current page in the session's Chromium. The full LHR is saved to
+   * lighthouseDir; failing audits become findings with the usual severities.
+   * @param {Object} options - { categories: subset of performance, accessibility, best-practices, seo }
+   */
+  async runLighthouseAudit(options = {}) {
+    console.log('🏠 Running Lighthouse audit...');
+
+    const categories = options.categories || LIGHTHOUSE_CATEGORIES;
+    const { lhr, lhrPath, throttling } = await runLighthouse(this.navigationAgent, {
+      categories,
+      reportDir: this.options.lighthouseDir
+    });
+
+    const scores = lighthouseScores(lhr);
+    const findings = mapLighthouseFindings(lhr);
+
+    const analysis = {
+      type: 'lighthouse',
+      timestamp: new Date().toISOString(),
+      url: lhr.finalDisplayedUrl || lhr.requestedUrl,
+      lighthouseVersion: lhr.lighthouseVersion,
+      scores,
+      throttling,
+      summary: `${Object.entries(scores).map(([category, score]) => `${lhr.categories[category].title} ${score ?? 'n/a'}`).join(', ')} (${throttling})`,
+      findings,
+      severity: this.calculateOverallSeverity(findings),
+      lhrPath
     };
 
-    Object.keys(thresholds).forEach(metric => {
-      const value = metrics[metric];
-      const threshold = thresholds[metric];
-      
-      if (value === null) {
-        evaluation[metric] = 'unknown';
-      } else if (value <= threshold.good) {
-        evaluation[metric] = 'good';
-      } else if (value <= threshold.needsImprovement) {
-        evaluation[metric] = 'needs-improvement';
-      } else {
-        evaluation[metric] = 'poor';
-      }
-    });
+    this.analysisResults.push(analysis);
+    return analysis;
+  }
 
-    return evaluation;
+  evaluatePerformanceMetrics(metrics) {
+    return rateVitals(metrics, this.options.vitalsThresholds);
   }
 
   calculateOverallSeverity(findings) {
@@ -390,6 +540,26 @@ export class AnalysisAgent {
     return 'info';
   }
 
+  // 0-100 score from axe violations, weighted by impact
+  calculateAccessibilityScore(analysis) {
+    const violations = analysis.automated?.violations || [];
+    const deductions = { critical: 20, serious: 10, moderate: 5, minor: 2 };
+
+    const score = violations.reduce((total, violation) => total - (deductions[violation.impact] || 0), 100);
+    return Math.max(0, score);
+  }
+
+  // 0-100 score: the average of budget / actual over the measured budget metrics, so 25% over a budget costs that metric 20%.
+  // null when no budget metric could be measured, rather than a score nobody earned
+  calculatePerformanceScore(analysis) {
+    const measured = (analysis.budget?.results || []).filter(result => result.status !== 'unknown');
+    if (measured.length === 0) return null;
+
+    const total = measured.reduce((sum, result) =>
+      sum + (result.actual <= result.budget ? 1 : result.budget / result.actual), 0);
+    return Math.round((total / measured.length) * 100);
+  }
+
   calculateOverallConsistencyScore(findings) {
     if (!findings || findings.length === 0) return 0;
     
@@ -404,7 +574,7 @@ export class AnalysisAgent {
     return scores.reduce((sum, score) => sum + score, 0) / scores.length;
   }
 
-  async generateAnalysisReport(format = 'markdown') {
+  async generateAnalysisReport(format = 'markdown', options = {}) {
     console.log(`📊 Generating analysis report (${format})...`);
     
     const report = {
@@ -423,6 +593,14 @@ export class AnalysisAgent {
     if (format === 'markdown') {
       const markdownContent = this.generateMarkdownReport(report);
       fs.writeFileSync(reportPath, markdownContent);
+    } else if (format === 'html') {
+      writeHtmlReport({
+        title: 'UI Analysis Report',
+        timestamp: report.timestamp,
+        comparisons: options.comparisons || this.getVisualComparisons(),
+        analyses: this.analysisResults,
+        trends: options.trends
+      }, reportPath);
     } else {
       fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
     }
@@ -430,6 +608,26 @@ export class AnalysisAgent {
     return { report, reportPath };
   }
 
+  // Maps visual difference analyses onto comparisons for the HTML report
+  getVisualComparisons() {
+    return this.analysisResults
+      .filter(analysis => analysis.type === 'visual_differences' && analysis.screenshots?.current)
+      .map(analysis => {
+        const comparison = analysis.metadata.comparison || {};
+        return {
+          ...comparison,
+          name: path.basename(analysis.screenshots.current),
+          currentPath: analysis.screenshots.current,
+          baselinePath: analysis.screenshots.baseline,
+          browser: analysis.metadata.browser,
+          device: analysis.metadata.device,
+          viewport: analysis.metadata.viewport,
+          findings: analysis.findings,
+          summary: analysis.summary
+        };
+      });
+  }
+
   generateMarkdownReport(report) {
     return `# UI Analysis Report
 
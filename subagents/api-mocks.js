@@ -0,0 +1,192 @@
+/**
+ * API Mocks - Declarative page.route handlers grouped into named scenarios
+ * Puts pages into specific states (empty lists, error banners, 500s, slow endpoints) for screenshots
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const DEFAULT_CONFIG_PATHS = [
+  path.join('config', 'api-mocks.json'),
+  path.join('config', 'api-mocks.js')
+];
+
+/**
+ * Load scenario definitions from a .json file or a .js/.mjs module (default export).
+ * Format: { scenarios: { <name>: { description, mocks: [mock] } | [mock] } }
+ * A mock is { url, method, status, json, body, file, headers, contentType, delay, abort, live, responses, repeat };
+ * `file` paths are resolved relative to the definition file.
+ */
+export async function loadMockDefinitions(configPath = null) {
+  const resolved = configPath || DEFAULT_CONFIG_PATHS.find(candidate => fs.existsSync(candidate));
+  if (!resolved || !fs.existsSync(resolved)) {
+    return { source: null, scenarios: {} };
+  }
+
+  const definitions = /\.m?js$/.test(resolved)
+    ? (await import(pathToFileURL(path.resolve(resolved)).href)).default
+    : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+  return normalizeDefinitions(definitions, path.dirname(resolved), resolved);
+}
+
+export function normalizeDefinitions(definitions = {}, baseDir = process.cwd(), source = null) {
+  const scenarios = {};
+
+  for (const [name, scenario] of Object.entries(definitions.scenarios || {})) {
+    const { description = '', mocks = [] } = Array.isArray(scenario) ? { mocks: scenario } : scenario;
+
+    scenarios[name] = {
+      description,
+      mocks: mocks.map((mock, index) => {
+        if (!mock.url) {
+          throw new Error(`Mock ${index + 1} of scenario "${name}" has no url`);
+        }
+        const resolveFile = response => (response.file ? { ...response, file: path.resolve(baseDir, response.file) } : response);
+        return {
+          ...resolveFile(mock),
+          ...(mock.responses ? { responses: mock.responses.map(resolveFile) } : {})
+        };
+      })
+    };
+  }
+
+  return { source, scenarios };
+}
+
+// Response for the n-th matching request: a fixed response, or the next entry of `responses`
+export function responseForCall(mock, call) {
+  const { responses, repeat = 'last', ...base } = mock;
+  if (!responses || responses.length === 0) return base;
+
+  const index = repeat === 'cycle'
+    ? call % responses.length
+    : Math.min(call, responses.length - 1);
+  return { ...base, ...responses[index] };
+}
+
+export class ApiMocks {
+  constructor(page, definitions = { scenarios: {} }) {
+    this.page = page;
+    this.definitions = definitions;
+    this.active = new Map(); // scenario name -> [{ mock, handler, calls }]
+  }
+
+  listScenarios() {
+    return Object.entries(this.definitions.scenarios).map(([name, scenario]) => ({
+      name,
+      description: scenario.description,
+      mocks: scenario.mocks.length,
+      active: this.active.has(name)
+    }));
+  }
+
+  activeScenarios() {
+    return [...this.active.keys()];
+  }
+
+  // Throws for names without a definition, so a typo fails before any route is changed
+  assertKnown(names) {
+    const unknown = [].concat(names).filter(name => !this.definitions.scenarios[name]);
+    if (unknown.length > 0) {
+      const available = Object.keys(this.definitions.scenarios);
+      throw new Error(`Unknown mock scenario "${unknown.join('", "')}". Available: ${available.length > 0 ? available.join(', ') : 'none'}`);
+    }
+  }
+
+  /**
+   * Register the routes of the given scenarios. Scenarios enabled later take precedence,
+   * because Playwright runs the most recently registered route first.
+   */
+  async enable(names) {
+    this.assertKnown(names);
+
+    for (const name of [].concat(names)) {
+      const scenario = this.definitions.scenarios[name];
+      if (this.active.has(name)) await this.disable(name);
+
+      const routes = scenario.mocks.map(mock => {
+        const entry = { mock, calls: 0 };
+        entry.handler = route => this.handle(route, entry, name);
+        return entry;
+      });
+      for (const entry of routes) {
+        await this.page.route(entry.mock.url, entry.handler);
+      }
+
+      this.active.set(name, routes);
+      console.log(`🎭 Mock scenario enabled: ${name} (${routes.length} route(s))`);
+    }
+    return this.activeScenarios();
+  }
+
+  async disable(names) {
+    for (const name of [].concat(names)) {
+      const routes = this.active.get(name);
+      if (!routes) continue;
+
+      for (const entry of routes) {
+        await this.page.unroute(entry.mock.url, entry.handler);
+      }
+      this.active.delete(name);
+      console.log(`🎭 Mock scenario disabled: ${name}`);
+    }
+    return this.activeScenarios();
+  }
+
+  async disableAll() {
+    return this.disable(this.activeScenarios());
+  }
+
+  // Replace the active scenarios with exactly `names`
+  async use(names) {
+    this.assertKnown(names);
+    await this.disableAll();
+    return names.length > 0 ? this.enable(names) : [];
+  }
+
+  async handle(route, entry, scenarioName) {
+    const { mock } = entry;
+    if (mock.method && route.request().method() !== mock.method.toUpperCase()) {
+      return route.fallback();
+    }
+
+    const response = responseForCall(mock, entry.calls++);
+    if (response.delay) {
+      await new Promise(resolve => setTimeout(resolve, response.delay));
+    }
+
+    if (response.abort) {
+      return route.abort(response.abort === true ? 'failed' : response.abort);
+    }
+    // Live responses still pass through HAR replay and deterministic routes; useful with `delay`
+    if (response.live) {
+      return route.fallback();
+    }
+
+    const fulfillment = {
+      status: response.status || 200,
+      headers: { 'x-mock-scenario': scenarioName, ...response.headers }
+    };
+    if (response.json !== undefined) {
+      fulfillment.json = response.json;
+    } else if (response.file) {
+      fulfillment.path = response.file;
+    } else {
+      fulfillment.body = response.body ?? '';
+    }
+    if (response.contentType) fulfillment.contentType = response.contentType;
+
+    return route.fulfill(fulfillment);
+  }
+
+  getSummary() {
+    return this.activeScenarios().map(name => ({
+      name,
+      routes: this.active.get(name).map(entry => ({ url: entry.mock.url, method: entry.mock.method || '*', calls: entry.calls }))
+    }));
+  }
+}
+
+export default ApiMocks;
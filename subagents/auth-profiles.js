@@ -0,0 +1,276 @@
+/**
+ * Auth Profiles - Named logins (form, basic, bearer, cookie, OAuth) that run once and are reused
+ * The resulting storageState is cached in .auth/<profile>.json until it expires
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const AUTH_TYPES = ['form', 'basic', 'bearer', 'cookie', 'oauth'];
+
+// Types whose login is an Authorization header, which has to be scoped to one origin
+const HEADER_TYPES = ['basic', 'bearer', 'oauth'];
+
+const DEFAULT_CONFIG_PATHS = [
+  path.join('config', 'auth-profiles.json'),
+  path.join('config', 'auth-profiles.js')
+];
+
+export const AUTH_DEFAULTS = {
+  config: process.env.AUTH_CONFIG || null, // defaults to config/auth-profiles.json or config/auth-profiles.js
+  stateDir: process.env.AUTH_STATE_DIR || '.auth',
+  maxAge: 3600 // seconds a cached login is reused; profiles can override
+};
+
+/**
+ * Replace ${VAR} references with environment variables so secrets stay out of the config file.
+ * Missing variables throw rather than logging in with an empty password.
+ */
+export function resolveSecrets(value, profileName = 'profile') {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Auth profile "${profileName}" needs environment variable ${name}`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolveSecrets(item, profileName));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveSecrets(item, profileName)]));
+  }
+  return value;
+}
+
+/**
+ * Load profiles from a .json file or a .js/.mjs module (default export).
+ * Format: { profiles: { <name>: { type, baseUrl, maxAge, ...type-specific settings } } }
+ */
+export async function loadAuthProfiles(configPath = null) {
+  const resolved = configPath || DEFAULT_CONFIG_PATHS.find(candidate => fs.existsSync(candidate));
+  if (!resolved || !fs.existsSync(resolved)) {
+    return {};
+  }
+
+  const definitions = /\.m?js$/.test(resolved)
+    ? (await import(pathToFileURL(path.resolve(resolved)).href)).default
+    : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  return definitions.profiles || {};
+}
+
+// about:blank, data: and file: URLs have the opaque origin "null", which can't scope anything
+function originOf(url) {
+  const origin = url ? new URL(url).origin : 'null';
+  return origin === 'null' ? undefined : origin;
+}
+
+// Form login: fill the credentials, submit and wait for the signed-in page
+async function loginWithForm(context, profile) {
+  const page = await context.newPage();
+  try {
+    await page.goto(new URL(profile.loginUrl, profile.baseUrl).href, { waitUntil: 'networkidle' });
+    await page.locator(profile.usernameSelector || 'input[name="username"], input[type="email"]').first().fill(profile.username);
+    await page.locator(profile.passwordSelector || 'input[type="password"]').first().fill(profile.password);
+    await page.locator(profile.submitSelector || 'button[type="submit"]').first().click();
+
+    if (profile.successUrl) {
+      await page.waitForURL(profile.successUrl);
+    } else if (profile.successSelector) {
+      await page.locator(profile.successSelector).first().waitFor({ state: 'visible' });
+    } else {
+      await page.waitForLoadState('networkidle');
+    }
+
+    if (profile.failureSelector && await page.locator(profile.failureSelector).first().isVisible()) {
+      throw new Error(`Login form reported an error (${profile.failureSelector})`);
+    }
+  } finally {
+    await page.close();
+  }
+}
+
+async function postForm(context, url, form) {
+  const response = await context.request.post(url, { form });
+  const body = await response.json().catch(() => ({}));
+  return { ok: response.ok(), status: response.status(), body };
+}
+
+/**
+ * OAuth token: 'client-credentials' posts the client secret, 'device' prints a code for a person
+ * to approve and polls until they do, 'stub' uses a fixed token for test backends.
+ */
+async function requestOAuthToken(context, profile) {
+  const flow = profile.flow || 'client-credentials';
+
+  if (flow === 'stub') {
+    return { accessToken: profile.token || 'stub-access-token', expiresIn: profile.expiresIn };
+  }
+
+  const client = { client_id: profile.clientId, ...(profile.scope ? { scope: profile.scope } : {}) };
+
+  if (flow === 'client-credentials') {
+    const { ok, status, body } = await postForm(context, profile.tokenUrl, {
+      ...client,
+      grant_type: 'client_credentials',
+      client_secret: profile.clientSecret,
+      ...(profile.audience ? { audience: profile.audience } : {})
+    });
+    if (!ok || !body.access_token) {
+      throw new Error(`Token request failed (${status}): ${body.error_description || body.error || 'no access_token'}`);
+    }
+    return { accessToken: body.access_token, expiresIn: body.expires_in };
+  }
+
+  if (flow === 'device') {
+    const authorization = await postForm(context, profile.deviceAuthorizationUrl, client);
+    if (!authorization.ok) {
+      throw new Error(`Device authorization failed (${authorization.status}): ${authorization.body.error || 'unknown error'}`);
+    }
+    const { device_code: deviceCode, user_code: userCode, verification_uri: verificationUri, verification_uri_complete: completeUri } = authorization.body;
+    console.log(`🔑 Open ${completeUri || verificationUri} and enter code ${userCode} to sign in`);
+
+    let interval = (authorization.body.interval || 5) * 1000;
+    const deadline = Date.now() + (authorization.body.expires_in || 300) * 1000;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      const { ok, body } = await postForm(context, profile.tokenUrl, {
+        ...client,
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+        device_code: deviceCode
+      });
+      if (ok && body.access_token) {
+        return { accessToken: body.access_token, expiresIn: body.expires_in };
+      }
+      if (body.error === 'slow_down') interval += 5000;
+      else if (body.error !== 'authorization_pending') {
+        throw new Error(`Device login failed: ${body.error_description || body.error || 'unknown error'}`);
+      }
+    }
+    throw new Error('Device login timed out before the code was approved');
+  }
+
+  throw new Error(`Unknown OAuth flow "${flow}". Use client-credentials, device or stub`);
+}
+
+export class AuthProfiles {
+  constructor(options = {}) {
+    this.options = { ...AUTH_DEFAULTS, ...options };
+  }
+
+  async getProfile(nameOrProfile) {
+    if (typeof nameOrProfile === 'object') {
+      return resolveSecrets({ name: 'inline', ...nameOrProfile }, nameOrProfile.name || 'inline');
+    }
+
+    const profiles = await loadAuthProfiles(this.options.config);
+    const profile = profiles[nameOrProfile];
+    if (!profile) {
+      const available = Object.keys(profiles);
+      throw new Error(`Unknown auth profile "${nameOrProfile}". Available: ${available.length > 0 ? available.join(', ') : 'none'}`);
+    }
+    if (!AUTH_TYPES.includes(profile.type)) {
+      throw new Error(`Auth profile "${nameOrProfile}" has unknown type "${profile.type}". Use one of: ${AUTH_TYPES.join(', ')}`);
+    }
+    return resolveSecrets({ name: nameOrProfile, ...profile }, nameOrProfile);
+  }
+
+  statePath(name) {
+    return path.join(this.options.stateDir, `${name}.json`);
+  }
+
+  // The cached login, or null when there is none or it has expired
+  loadCached(name) {
+    const statePath = this.statePath(name);
+    if (!fs.existsSync(statePath)) return null;
+
+    const cached = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return new Date(cached.expiresAt).getTime() > Date.now() ? cached : null;
+  }
+
+  clear(name) {
+    fs.rmSync(this.statePath(name), { force: true });
+  }
+
+  /**
+   * Log in with `profile` (or reuse its cached login) and return what a browser context needs:
+   * { storageState, authorization, origin, expiresAt, cached }.
+   * `browser` is only used when the profile has to log in through a page.
+   */
+  async prepare(browser, nameOrProfile, { contextOptions = {}, refresh = false } = {}) {
+    const profile = await this.getProfile(nameOrProfile);
+    const origin = originOf(profile.origin || profile.baseUrl) || null;
+    if (HEADER_TYPES.includes(profile.type) && !origin) {
+      throw new Error(`Auth profile "${profile.name}" needs a baseUrl or origin; its Authorization header is only sent there`);
+    }
+    const cached = refresh || profile.name === 'inline' ? null : this.loadCached(profile.name);
+    const login = cached || await this.login(browser, profile, contextOptions);
+
+    return {
+      profile: profile.name,
+      type: profile.type,
+      storageState: login.storageState,
+      authorization: login.authorization || null,
+      // Only requests to this origin get the Authorization header
+      origin,
+      expiresAt: login.expiresAt,
+      cached: Boolean(cached)
+    };
+  }
+
+  async login(browser, profile, contextOptions = {}) {
+    console.log(`🔐 Logging in with auth profile ${profile.name} (${profile.type})...`);
+    const context = await browser.newContext({ ignoreHTTPSErrors: true, ...contextOptions });
+    let authorization = null;
+    let expiresIn = profile.maxAge ?? this.options.maxAge;
+
+    try {
+      switch (profile.type) {
+        case 'form':
+          await loginWithForm(context, profile);
+          break;
+        case 'cookie':
+          await context.addCookies(profile.cookies.map(cookie => (
+            cookie.domain || cookie.url ? cookie : { ...cookie, url: profile.baseUrl }
+          )));
+          break;
+        case 'bearer':
+          authorization = `Bearer ${profile.token}`;
+          break;
+        case 'oauth': {
+          const token = await requestOAuthToken(context, profile);
+          authorization = `Bearer ${token.accessToken}`;
+          // Refresh a minute early so a capture doesn't run into the expiry
+          if (token.expiresIn) expiresIn = Math.min(expiresIn, Math.max(0, token.expiresIn - 60));
+          break;
+        }
+        case 'basic':
+          // Sent up front rather than via httpCredentials so it can be scoped to one origin
+          authorization = `Basic ${Buffer.from(`${profile.username}:${profile.password}`).toString('base64')}`;
+          break;
+      }
+
+      const login = {
+        profile: profile.name,
+        type: profile.type,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+        storageState: await context.storageState(),
+        ...(authorization ? { authorization } : {})
+      };
+
+      if (profile.name !== 'inline') {
+        fs.mkdirSync(this.options.stateDir, { recursive: true });
+        fs.writeFileSync(this.statePath(profile.name), JSON.stringify(login, null, 2), { mode: 0o600 });
+      }
+      console.log(`✅ Logged in as ${profile.name}; reused until ${login.expiresAt}`);
+      return login;
+    } catch (error) {
+      throw new Error(`Login with auth profile "${profile.name}" failed: ${error.message}`);
+    } finally {
+      await context.close();
+    }
+  }
+}
+
+export default AuthProfiles;
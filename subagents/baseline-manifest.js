@@ -0,0 +1,222 @@
+/**
+ * Baseline Manifest - Tracks approved baseline screenshots and pending candidates
+ * Stored as screenshots/baseline/manifest.json alongside the baseline images
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+import { layoutSnapshotPath } from './diff-regions.js';
+
+const MANIFEST_VERSION = 1;
+
+export class BaselineManifest {
+  constructor(options = {}) {
+    this.options = {
+      screenshotDir: 'screenshots',
+      baselineDir: 'baseline',
+      currentDir: 'current',
+      manifestFile: 'manifest.json',
+      approver: process.env.BASELINE_APPROVER,
+      ...options
+    };
+
+    this.baselinePath = path.join(this.options.screenshotDir, this.options.baselineDir);
+    this.manifestPath = path.join(this.baselinePath, this.options.manifestFile);
+  }
+
+  load() {
+    if (!fs.existsSync(this.manifestPath)) {
+      return { version: MANIFEST_VERSION, updated: null, baselines: {}, pending: {}, history: [] };
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    return { baselines: {}, pending: {}, history: [], ...manifest };
+  }
+
+  save(manifest) {
+    fs.mkdirSync(this.baselinePath, { recursive: true });
+    manifest.updated = new Date().toISOString();
+    fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  update(mutate) {
+    const manifest = this.load();
+    const result = mutate(manifest);
+    this.save(manifest);
+    return result;
+  }
+
+  getBaselineFile(name) {
+    return path.join(this.baselinePath, name);
+  }
+
+  get(name) {
+    return this.load().baselines[name] || null;
+  }
+
+  getPending(name) {
+    return this.load().pending[name] || null;
+  }
+
+  listPending() {
+    return Object.entries(this.load().pending).map(([name, entry]) => ({ name, ...entry }));
+  }
+
+  // Records a candidate image that needs review before it becomes the baseline
+  markPending(name, currentPath, details = {}) {
+    return this.update(manifest => {
+      manifest.pending[name] = {
+        current: currentPath,
+        hash: hashFile(currentPath),
+        detected: new Date().toISOString(),
+        ...details
+      };
+      return manifest.pending[name];
+    });
+  }
+
+  clearPending(name) {
+    return this.update(manifest => {
+      const existed = Boolean(manifest.pending[name]);
+      delete manifest.pending[name];
+      return existed;
+    });
+  }
+
+  /**
+   * Promote a current screenshot into the baseline directory.
+   * Uses the pending entry for the name unless an explicit currentPath is given; a pending
+   * candidate is only promoted while its hash still matches the one recorded for review.
+   */
+  approve(name, options = {}) {
+    return this.update(manifest => {
+      const pending = manifest.pending[name];
+      const currentPath = options.currentPath || pending?.current;
+
+      if (!currentPath) {
+        throw new Error(`Nothing to approve for ${name}: no pending candidate and no image given`);
+      }
+      if (!fs.existsSync(currentPath)) {
+        throw new Error(`Screenshot not found: ${currentPath}`);
+      }
+      // The candidate must still be the image that was reviewed, not a later capture under the same path
+      if (!options.currentPath && hashFile(currentPath) !== pending.hash) {
+        throw new Error(`${currentPath} has changed since it was marked pending for ${name}; compare it again before approving`);
+      }
+
+      const baselineFile = this.getBaselineFile(name);
+      fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+      fs.copyFileSync(currentPath, baselineFile);
+
+      // Keep the layout snapshot so removed content can still be attributed to an element
+      const snapshotPath = layoutSnapshotPath(currentPath);
+      if (fs.existsSync(snapshotPath)) {
+        fs.copyFileSync(snapshotPath, layoutSnapshotPath(baselineFile));
+      }
+
+      const entry = {
+        file: name,
+        hash: hashFile(baselineFile),
+        browser: options.browser ?? pending?.browser ?? null,
+        device: options.device ?? pending?.device ?? null,
+        viewport: options.viewport ?? pending?.viewport ?? null,
+        size: readPNGSize(baselineFile),
+        commit: getGitCommit(),
+        approver: options.approver || this.getApprover(),
+        approvedAt: new Date().toISOString(),
+        source: currentPath,
+        ...(options.autoCreated ? { autoCreated: true } : {})
+      };
+
+      manifest.baselines[name] = entry;
+      delete manifest.pending[name];
+      manifest.history.push({ action: 'approve', name, hash: entry.hash, approver: entry.approver, at: entry.approvedAt });
+
+      return entry;
+    });
+  }
+
+  // Discards a pending candidate; the existing baseline (if any) stays in place
+  reject(name, options = {}) {
+    return this.update(manifest => {
+      const pending = manifest.pending[name];
+      if (!pending) {
+        throw new Error(`No pending candidate for ${name}`);
+      }
+
+      delete manifest.pending[name];
+      const record = {
+        action: 'reject',
+        name,
+        hash: pending.hash,
+        approver: options.approver || this.getApprover(),
+        reason: options.reason || null,
+        at: new Date().toISOString()
+      };
+      manifest.history.push(record);
+
+      return { ...record, current: pending.current };
+    });
+  }
+
+  // Checks a baseline image against its manifest entry
+  verify(name) {
+    const entry = this.get(name);
+    const baselineFile = this.getBaselineFile(name);
+
+    if (!fs.existsSync(baselineFile)) {
+      return { exists: false, tracked: Boolean(entry), hashMatches: false };
+    }
+
+    return {
+      exists: true,
+      tracked: Boolean(entry),
+      hashMatches: entry ? entry.hash === hashFile(baselineFile) : false
+    };
+  }
+
+  getApprover() {
+    if (this.options.approver) return this.options.approver;
+
+    try {
+      const gitUser = execSync('git config user.name', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      if (gitUser) return gitUser;
+    } catch (error) {
+      // Not a git checkout or no user configured
+    }
+
+    return os.userInfo().username;
+  }
+}
+
+export function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+export function getGitCommit() {
+  try {
+    return execSync('git rev-parse HEAD', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reads width and height from the PNG IHDR chunk without decoding the image
+export function readPNGSize(filePath) {
+  const header = Buffer.alloc(24);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 24, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+export default BaselineManifest;
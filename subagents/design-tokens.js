@@ -0,0 +1,591 @@
+/**
+ * Design Tokens - Loads design tokens and checks computed page styles against them
+ * Supports W3C Design Tokens JSON, Style Dictionary output and Tailwind configs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { installPageHelpers } from './page-helpers.js';
+import { hexToRgb } from './heuristic-analyzers.js';
+
+const ROOT_FONT_SIZE = 16;
+
+// Maps token types and group names onto the categories the checker understands
+const TYPE_ALIASES = {
+  color: 'colors',
+  colors: 'colors',
+  dimension: 'spacing',
+  spacing: 'spacing',
+  space: 'spacing',
+  size: 'spacing',
+  sizing: 'spacing',
+  radius: 'radii',
+  radii: 'radii',
+  borderradius: 'radii',
+  shadow: 'shadows',
+  shadows: 'shadows',
+  boxshadow: 'shadows',
+  fontfamily: 'fontFamilies',
+  fontfamilies: 'fontFamilies',
+  fontsize: 'fontSizes',
+  fontsizes: 'fontSizes',
+  fontweight: 'fontWeights',
+  fontweights: 'fontWeights',
+  lineheight: 'lineHeights',
+  lineheights: 'lineHeights',
+  typography: 'typography'
+};
+
+const CATEGORY_SEVERITY = {
+  colors: 'minor',
+  spacing: 'minor',
+  radii: 'minor',
+  shadows: 'minor',
+  fontFamilies: 'major',
+  fontSizes: 'minor',
+  fontWeights: 'minor',
+  lineHeights: 'minor'
+};
+
+export function emptyTokenSet() {
+  return {
+    colors: [],
+    spacing: [],
+    radii: [],
+    shadows: [],
+    fontFamilies: [],
+    fontSizes: [],
+    fontWeights: [],
+    lineHeights: []
+  };
+}
+
+/**
+ * Load tokens from a file path or an already parsed object.
+ * Returns a normalized token set: { colors, spacing, radii, shadows, fontFamilies, fontSizes, fontWeights, lineHeights }
+ */
+export async function loadDesignTokens(source) {
+  if (!source) return emptyTokenSet();
+  if (isTokenSet(source)) return source;
+
+  if (typeof source === 'string') {
+    const filePath = path.resolve(source);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Design token file not found: ${source}`);
+    }
+
+    if (/\.(c|m)?js$/.test(filePath)) {
+      const loaded = await import(pathToFileURL(filePath).href);
+      return normalizeTailwindConfig(await resolveTailwindConfig(loaded.default || loaded));
+    }
+
+    return normalizeTokens(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  return normalizeTokens(source);
+}
+
+export function normalizeTokens(tokens) {
+  if (tokens.theme) {
+    return normalizeTailwindConfig(tokens);
+  }
+
+  const flat = flattenTokenTree(tokens);
+  const byName = new Map(flat.map(token => [token.name, token]));
+  const set = emptyTokenSet();
+
+  for (const token of flat) {
+    const value = resolveAlias(token.value, byName);
+    const category = categorize(token.type, token.path);
+    addToken(set, category, token.name, value);
+  }
+
+  return set;
+}
+
+function isTokenSet(value) {
+  return value && typeof value === 'object' &&
+    Object.keys(emptyTokenSet()).every(key => Array.isArray(value[key]));
+}
+
+// Walks W3C ($value/$type) and Style Dictionary (value/type) trees; W3C group types are inherited
+function flattenTokenTree(node, pathParts = [], inheritedType = null) {
+  if (node === null || node === undefined) return [];
+
+  // Flat exports ({ "color-brand": "#0055ff" }) have plain values as leaves
+  if (typeof node !== 'object' || Array.isArray(node)) {
+    return pathParts.length > 0
+      ? [{ name: pathParts.join('.'), path: pathParts, value: node, type: inheritedType }]
+      : [];
+  }
+
+  const type = node.$type || inheritedType;
+
+  if ('$value' in node) {
+    return [{ name: pathParts.join('.'), path: pathParts, value: node.$value, type }];
+  }
+  if ('value' in node && !isGroup(node.value)) {
+    return [{ name: pathParts.join('.'), path: pathParts, value: node.value, type: node.type || type }];
+  }
+
+  return Object.entries(node)
+    .filter(([key]) => !key.startsWith('$'))
+    .flatMap(([key, child]) => flattenTokenTree(child, [...pathParts, key], type));
+}
+
+function isGroup(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).some(child => child && typeof child === 'object' && ('$value' in child || 'value' in child));
+}
+
+function resolveAlias(value, byName, depth = 0) {
+  if (typeof value !== 'string' || depth > 10) return value;
+
+  const match = value.match(/^\{([^}]+)\}$/);
+  if (!match) return value;
+
+  const target = byName.get(match[1]);
+  return target ? resolveAlias(target.value, byName, depth + 1) : value;
+}
+
+function categorize(type, pathParts) {
+  const candidates = [type, ...[...pathParts].reverse()].filter(Boolean);
+  for (const candidate of candidates) {
+    // Try the longest leading run of words so "font-size-lg" maps to fontSizes, not spacing
+    const words = String(candidate).toLowerCase().split(/[-_\s]+/);
+    for (let length = words.length; length > 0; length--) {
+      const category = TYPE_ALIASES[words.slice(0, length).join('')];
+      if (category) return category;
+    }
+  }
+  return null;
+}
+
+function addToken(set, category, name, value) {
+  if (value === undefined || value === null) return;
+
+  switch (category) {
+    case 'colors': {
+      const hex = colorToHex(value);
+      if (hex) set.colors.push({ name, value: hex, rgb: hexToRgb(hex) });
+      break;
+    }
+    case 'spacing':
+    case 'radii':
+    case 'fontSizes': {
+      const px = toPixels(value);
+      if (px !== null) set[category].push({ name, value: px });
+      break;
+    }
+    case 'fontWeights': {
+      const weight = toFontWeight(value);
+      if (weight !== null) set.fontWeights.push({ name, value: weight });
+      break;
+    }
+    case 'lineHeights': {
+      const lineHeight = toLineHeight(value);
+      if (lineHeight) set.lineHeights.push({ name, ...lineHeight });
+      break;
+    }
+    case 'fontFamilies': {
+      const family = primaryFontFamily(value);
+      if (family) set.fontFamilies.push({ name, value: family });
+      break;
+    }
+    case 'shadows': {
+      const shadow = shadowToCSS(value);
+      if (shadow) set.shadows.push({ name, value: shadow });
+      break;
+    }
+    case 'typography':
+      // Composite typography tokens contribute to each of their parts
+      if (typeof value === 'object') {
+        addToken(set, 'fontFamilies', name, value.fontFamily);
+        addToken(set, 'fontSizes', name, value.fontSize);
+        addToken(set, 'fontWeights', name, value.fontWeight);
+        addToken(set, 'lineHeights', name, value.lineHeight);
+      }
+      break;
+  }
+}
+
+async function resolveTailwindConfig(config) {
+  try {
+    const { default: resolveConfig } = await import('tailwindcss/resolveConfig.js');
+    return resolveConfig(config);
+  } catch {
+    // Without tailwindcss installed only the values declared in the config are checked
+    return config;
+  }
+}
+
+export function normalizeTailwindConfig(config) {
+  const theme = { ...(config.theme || {}) };
+  for (const [key, value] of Object.entries(theme.extend || {})) {
+    theme[key] = typeof theme[key] === 'object' ? { ...theme[key], ...value } : value;
+  }
+
+  const set = emptyTokenSet();
+  const scale = (key, category) => {
+    if (!theme[key] || typeof theme[key] !== 'object') return;
+    for (const [name, value] of flattenTailwindScale(theme[key])) {
+      addToken(set, category, `${key}.${name}`, value);
+    }
+  };
+
+  scale('colors', 'colors');
+  scale('spacing', 'spacing');
+  scale('borderRadius', 'radii');
+  scale('boxShadow', 'shadows');
+  scale('fontFamily', 'fontFamilies');
+  scale('fontWeight', 'fontWeights');
+  scale('lineHeight', 'lineHeights');
+
+  // fontSize entries may be [size, { lineHeight }] tuples
+  for (const [name, value] of flattenTailwindScale(theme.fontSize || {})) {
+    const [size, extra] = Array.isArray(value) ? value : [value];
+    addToken(set, 'fontSizes', `fontSize.${name}`, size);
+    const lineHeight = typeof extra === 'string' ? extra : extra?.lineHeight;
+    if (lineHeight) addToken(set, 'lineHeights', `fontSize.${name}`, lineHeight);
+  }
+
+  return set;
+}
+
+function flattenTailwindScale(scale, prefix = '') {
+  if (typeof scale === 'function') return [];
+
+  return Object.entries(scale).flatMap(([key, value]) => {
+    const name = key === 'DEFAULT' ? prefix.replace(/\.$/, '') || key : `${prefix}${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return flattenTailwindScale(value, `${name}.`);
+    }
+    return [[name, value]];
+  });
+}
+
+function colorToHex(value) {
+  if (value && typeof value === 'object') {
+    // W3C color objects carry an optional hex fallback
+    if (value.hex) return colorToHex(value.hex);
+    if (Array.isArray(value.components) && (!value.colorSpace || value.colorSpace === 'srgb')) {
+      return '#' + value.components.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+    }
+    return null;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})([0-9a-f]{2})?$/);
+  if (hex) {
+    const rgb = hexToRgb(`#${hex[1]}`);
+    return '#' + [rgb.r, rgb.g, rgb.b].map(c => c.toString(16).padStart(2, '0')).join('');
+  }
+
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)/);
+  if (rgb) {
+    return '#' + rgb.slice(1, 4).map(c => Math.round(parseFloat(c)).toString(16).padStart(2, '0')).join('');
+  }
+
+  return null;
+}
+
+export function toPixels(value) {
+  if (value && typeof value === 'object' && 'value' in value) {
+    return toPixels(`${value.value}${value.unit || 'px'}`);
+  }
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * ROOT_FONT_SIZE : number;
+}
+
+function toFontWeight(value) {
+  const names = { thin: 100, extralight: 200, light: 300, normal: 400, regular: 400, medium: 500, semibold: 600, bold: 700, extrabold: 800, black: 900 };
+  if (typeof value === 'number') return value;
+
+  const text = String(value).toLowerCase().replace(/[-_\s]/g, '');
+  return names[text] ?? (Number.isFinite(parseInt(text, 10)) ? parseInt(text, 10) : null);
+}
+
+// Unitless line heights scale with the font size; absolute ones are compared in pixels
+function toLineHeight(value) {
+  if (typeof value === 'number') return { ratio: value };
+
+  const text = String(value).trim();
+  if (/^[\d.]+$/.test(text)) return { ratio: parseFloat(text) };
+  if (text.endsWith('%')) return { ratio: parseFloat(text) / 100 };
+
+  const px = toPixels(text);
+  return px !== null ? { px } : null;
+}
+
+function primaryFontFamily(value) {
+  const first = Array.isArray(value) ? value[0] : String(value).split(',')[0];
+  return first ? first.trim().replace(/^["']|["']$/g, '') : null;
+}
+
+function shadowToCSS(value) {
+  if (Array.isArray(value)) {
+    return value.map(shadowToCSS).filter(Boolean).join(', ');
+  }
+  if (value && typeof value === 'object') {
+    const dimension = part => (part && typeof part === 'object' ? `${part.value}${part.unit || 'px'}` : part ?? '0px');
+    return [
+      value.inset ? 'inset' : '',
+      dimension(value.offsetX),
+      dimension(value.offsetY),
+      dimension(value.blur),
+      dimension(value.spread),
+      typeof value.color === 'string' ? value.color : colorToHex(value.color)
+    ].filter(Boolean).join(' ');
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+export class DesignTokenChecker {
+  constructor(navigationAgent, options = {}) {
+    this.navigationAgent = navigationAgent;
+    this.options = {
+      colorTolerance: 0,
+      dimensionTolerance: 0.5,
+      maxFindings: 50,
+      ...options
+    };
+  }
+
+  get page() {
+    return this.navigationAgent.page;
+  }
+
+  async checkPage(tokens) {
+    await installPageHelpers(this.page);
+
+    const shadows = await this.computeTokenShadows(tokens.shadows);
+    const elements = await this.collectComputedStyles();
+    const violations = [];
+    const summary = { elements: elements.length, checked: 0, violations: 0, byCategory: {} };
+
+    const record = (category, violation) => {
+      summary.checked++;
+      if (!violation) return;
+      summary.violations++;
+      summary.byCategory[category] = (summary.byCategory[category] || 0) + 1;
+      violations.push({ category, ...violation });
+    };
+
+    for (const element of elements) {
+      if (tokens.colors.length > 0) {
+        for (const [property, value] of Object.entries(element.colors)) {
+          record('colors', this.checkColor(element, property, value, tokens.colors));
+        }
+      }
+      if (tokens.spacing.length > 0) {
+        for (const [property, value] of Object.entries(element.spacing)) {
+          record('spacing', this.checkDimension(element, property, value, tokens.spacing));
+        }
+      }
+      if (tokens.radii.length > 0) {
+        for (const [property, value] of Object.entries(element.radii)) {
+          record('radii', this.checkDimension(element, property, value, tokens.radii));
+        }
+      }
+      if (shadows.length > 0 && element.boxShadow) {
+        record('shadows', this.checkShadow(element, shadows));
+      }
+      if (element.text) {
+        if (tokens.fontFamilies.length > 0) {
+          record('fontFamilies', this.checkFontFamily(element, tokens.fontFamilies));
+        }
+        if (tokens.fontSizes.length > 0) {
+          record('fontSizes', this.checkDimension(element, 'font-size', element.fontSize, tokens.fontSizes));
+        }
+        if (tokens.fontWeights.length > 0) {
+          record('fontWeights', this.checkFontWeight(element, tokens.fontWeights));
+        }
+        if (tokens.lineHeights.length > 0 && element.lineHeight !== null) {
+          record('lineHeights', this.checkLineHeight(element, tokens.lineHeights));
+        }
+      }
+    }
+
+    const severityOrder = { critical: 3, major: 2, minor: 1, info: 0 };
+    const issues = violations
+      .map(violation => this.toIssue(violation))
+      .sort((a, b) => severityOrder[b.severity] - severityOrder[a.severity])
+      .slice(0, this.options.maxFindings);
+
+    const score = summary.checked === 0
+      ? 10
+      : Math.round((1 - summary.violations / summary.checked) * 100) / 10;
+
+    return { issues, summary, score };
+  }
+
+  async collectComputedStyles() {
+    return this.page.evaluate(() => {
+      const { selectorFor, landmarkFor, isVisible, parseColor, toHex, hasOwnText } = window.__uiWorkflowHelpers;
+      const results = [];
+
+      const pixels = value => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+      };
+
+      for (const element of document.body.querySelectorAll('*')) {
+        if (!isVisible(element) || ['SCRIPT', 'STYLE', 'BR', 'WBR'].includes(element.tagName)) continue;
+
+        const style = getComputedStyle(element);
+        const text = hasOwnText(element);
+        const colors = {};
+        const addColor = (property, value) => {
+          const color = parseColor(value);
+          if (color && color.a > 0) colors[property] = toHex(color);
+        };
+
+        if (text) addColor('color', style.color);
+        addColor('background-color', style.backgroundColor);
+        if (pixels(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none') {
+          addColor('border-color', style.borderTopColor);
+        }
+
+        // Horizontal margins are skipped because auto margins resolve to arbitrary pixel values
+        const spacing = {};
+        for (const property of ['padding-top', 'padding-right', 'padding-bottom', 'padding-left', 'margin-top', 'margin-bottom', 'row-gap', 'column-gap']) {
+          const value = pixels(style.getPropertyValue(property));
+          if (value) spacing[property] = Math.abs(value);
+        }
+
+        const radii = {};
+        for (const property of ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius']) {
+          const value = style.getPropertyValue(property);
+          if (value.endsWith('px') && pixels(value)) radii[property] = pixels(value);
+        }
+
+        results.push({
+          selector: selectorFor(element),
+          landmark: landmarkFor(element),
+          text,
+          colors,
+          spacing,
+          radii,
+          boxShadow: style.boxShadow !== 'none' ? style.boxShadow : null,
+          fontFamily: style.fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, ''),
+          fontSize: pixels(style.fontSize),
+          fontWeight: parseInt(style.fontWeight, 10),
+          lineHeight: style.lineHeight === 'normal' ? null : pixels(style.lineHeight)
+        });
+      }
+
+      return results;
+    });
+  }
+
+  // Computed box-shadow strings are normalized by the browser, so render each token the same way
+  async computeTokenShadows(shadowTokens) {
+    if (shadowTokens.length === 0) return [];
+
+    const computed = await this.page.evaluate(values => {
+      const probe = document.createElement('div');
+      document.body.appendChild(probe);
+      const results = values.map(value => {
+        probe.style.boxShadow = '';
+        probe.style.boxShadow = value;
+        return getComputedStyle(probe).boxShadow;
+      });
+      probe.remove();
+      return results;
+    }, shadowTokens.map(token => token.value));
+
+    return shadowTokens.map((token, index) => ({ ...token, computed: computed[index] }));
+  }
+
+  checkColor(element, property, value, colorTokens) {
+    const rgb = hexToRgb(value);
+    const distance = token => Math.sqrt((rgb.r - token.rgb.r) ** 2 + (rgb.g - token.rgb.g) ** 2 + (rgb.b - token.rgb.b) ** 2);
+    const nearest = colorTokens.reduce((best, token) => (!best || distance(token) < distance(best) ? token : best), null);
+
+    if (distance(nearest) <= this.options.colorTolerance) return null;
+    return { element, property, actual: value, token: nearest };
+  }
+
+  checkDimension(element, property, value, dimensionTokens) {
+    const nearest = dimensionTokens.reduce((best, token) =>
+      (!best || Math.abs(token.value - value) < Math.abs(best.value - value) ? token : best), null);
+
+    if (Math.abs(nearest.value - value) <= this.options.dimensionTolerance) return null;
+    return { element, property, actual: `${value}px`, token: { ...nearest, value: `${nearest.value}px` } };
+  }
+
+  checkShadow(element, shadowTokens) {
+    if (shadowTokens.some(token => token.computed === element.boxShadow)) return null;
+
+    // Pick the token whose offsets, blur and spread are closest to the actual shadow
+    const numbers = shadow => (shadow.match(/-?[\d.]+px/g) || []).map(parseFloat);
+    const actual = numbers(element.boxShadow);
+    const distance = token => {
+      const expected = numbers(token.computed);
+      const length = Math.max(actual.length, expected.length);
+      let sum = 0;
+      for (let i = 0; i < length; i++) sum += Math.abs((actual[i] || 0) - (expected[i] || 0));
+      return sum;
+    };
+    const nearest = shadowTokens.reduce((best, token) => (!best || distance(token) < distance(best) ? token : best), null);
+
+    return { element, property: 'box-shadow', actual: element.boxShadow, token: nearest };
+  }
+
+  checkFontFamily(element, familyTokens) {
+    const actual = element.fontFamily.toLowerCase();
+    if (familyTokens.some(token => token.value.toLowerCase() === actual)) return null;
+    return { element, property: 'font-family', actual: element.fontFamily, token: familyTokens[0] };
+  }
+
+  checkFontWeight(element, weightTokens) {
+    const nearest = weightTokens.reduce((best, token) =>
+      (!best || Math.abs(token.value - element.fontWeight) < Math.abs(best.value - element.fontWeight) ? token : best), null);
+
+    if (nearest.value === element.fontWeight) return null;
+    return { element, property: 'font-weight', actual: String(element.fontWeight), token: { ...nearest, value: String(nearest.value) } };
+  }
+
+  checkLineHeight(element, lineHeightTokens) {
+    const candidates = lineHeightTokens.map(token => ({
+      ...token,
+      px: token.px ?? Math.round(token.ratio * element.fontSize * 100) / 100
+    }));
+    const nearest = candidates.reduce((best, token) =>
+      (!best || Math.abs(token.px - element.lineHeight) < Math.abs(best.px - element.lineHeight) ? token : best), null);
+
+    if (Math.abs(nearest.px - element.lineHeight) <= this.options.dimensionTolerance) return null;
+    return {
+      element,
+      property: 'line-height',
+      actual: `${element.lineHeight}px`,
+      token: { name: nearest.name, value: nearest.ratio !== undefined ? String(nearest.ratio) : `${nearest.px}px` }
+    };
+  }
+
+  toIssue({ category, element, property, actual, token }) {
+    return {
+      severity: CATEGORY_SEVERITY[category] || 'minor',
+      category: 'design_tokens',
+      tokenCategory: category,
+      description: `${property} of ${element.selector} is ${actual}, which is not a design token value`,
+      recommendation: `Use token ${token.name} (${token.value})`,
+      location: element.landmark || element.selector,
+      selector: element.selector,
+      property,
+      actualValue: actual,
+      expectedValue: token.value,
+      token: token.name,
+      suggestedFix: `${element.selector} { ${property}: ${token.value}; }`,
+      source: 'design-tokens'
+    };
+  }
+}
+
+export default DesignTokenChecker;
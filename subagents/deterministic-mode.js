@@ -0,0 +1,152 @@
+/**
+ * Deterministic Mode - Removes sources of nondeterminism from captured pages
+ * Fixed clock, seeded Math.random, settled fonts/images/media and blocked third-party hosts
+ */
+
+// Analytics, ads and chat widgets that change between runs
+export const COMMON_THIRD_PARTY_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'doubleclick.net',
+  'googlesyndication.com',
+  'connect.facebook.net',
+  'hotjar.com',
+  'segment.io',
+  'segment.com',
+  'intercom.io',
+  'intercomcdn.com',
+  'fullstory.com',
+  'clarity.ms',
+  'newrelic.com',
+  'nr-data.net',
+  'sentry.io'
+];
+
+export const DETERMINISTIC_DEFAULTS = {
+  time: '2024-01-01T12:00:00.000Z',
+  clock: 'frozen', // 'frozen' keeps Date at `time`; 'ticking' starts at `time` and advances
+  seed: 42,
+  blockHosts: COMMON_THIRD_PARTY_HOSTS,
+  settleTimeout: 5000,
+  stabilityAttempts: 3,
+  stabilityInterval: 250
+};
+
+/**
+ * Normalize the `deterministic` option: false/undefined disables it, true uses the defaults,
+ * an object overrides individual settings.
+ */
+export function resolveDeterministicOptions(option) {
+  if (!option) return null;
+  return { ...DETERMINISTIC_DEFAULTS, ...(option === true ? {} : option) };
+}
+
+// A host is blocked when it equals a listed host or is a subdomain of one
+export function isBlockedHost(hostname, hosts = []) {
+  return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// Runs in every frame before page scripts; must stay self-contained
+export function deterministicInitScript({ time, clock, seed }) {
+  const NativeDate = Date;
+  const fixed = new NativeDate(time).getTime();
+  const startedAt = NativeDate.now();
+  const now = () => (clock === 'frozen' ? fixed : fixed + (NativeDate.now() - startedAt));
+
+  function FixedDate(...args) {
+    if (!new.target) return new NativeDate(now()).toString();
+    return args.length === 0 ? new NativeDate(now()) : new NativeDate(...args);
+  }
+  FixedDate.prototype = NativeDate.prototype;
+  FixedDate.now = now;
+  FixedDate.parse = NativeDate.parse;
+  FixedDate.UTC = NativeDate.UTC;
+  window.Date = FixedDate;
+
+  // mulberry32
+  let state = seed >>> 0;
+  Math.random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Animation frames are held while a capture is in progress so canvases stop redrawing
+  const nativeRequestAnimationFrame = window.requestAnimationFrame.bind(window);
+  const held = [];
+  let frozen = false;
+  window.requestAnimationFrame = callback => {
+    if (!frozen) return nativeRequestAnimationFrame(callback);
+    held.push(callback);
+    return -held.length;
+  };
+
+  window.__uiWorkflowDeterminism = {
+    freeze() {
+      frozen = true;
+      for (const animation of document.getAnimations ? document.getAnimations() : []) {
+        try {
+          animation.pause();
+          animation.currentTime = 0;
+        } catch (error) {
+          // Animations that are already finished cannot be rewound
+        }
+      }
+    },
+    release() {
+      frozen = false;
+      held.splice(0).forEach(callback => nativeRequestAnimationFrame(callback));
+    }
+  };
+}
+
+/**
+ * Wait for fonts and images, then pause videos on their first frame and hold animation frames.
+ * Each wait is capped at `timeout` so a broken asset cannot block the capture.
+ */
+export async function settlePage(page, timeout = DETERMINISTIC_DEFAULTS.settleTimeout) {
+  return page.evaluate(async settleTimeout => {
+    const capped = promise => Promise.race([promise, new Promise(resolve => setTimeout(resolve, settleTimeout))]);
+
+    if (document.fonts) {
+      await capped(document.fonts.ready);
+    }
+
+    const images = Array.from(document.images);
+    images.forEach(image => {
+      if (image.loading === 'lazy') image.loading = 'eager';
+    });
+    await capped(Promise.all(images.map(image => {
+      const loaded = image.complete
+        ? Promise.resolve()
+        : new Promise(resolve => {
+          image.addEventListener('load', resolve, { once: true });
+          image.addEventListener('error', resolve, { once: true });
+        });
+      return loaded.then(() => (image.decode ? image.decode().catch(() => {}) : null));
+    })));
+
+    const videos = Array.from(document.querySelectorAll('video'));
+    await capped(Promise.all(videos.map(video => {
+      video.autoplay = false;
+      video.pause();
+      if (video.currentTime === 0) return null;
+      return new Promise(resolve => {
+        video.addEventListener('seeked', resolve, { once: true });
+        video.currentTime = 0;
+      });
+    })));
+
+    window.__uiWorkflowDeterminism?.freeze();
+
+    return { fonts: document.fonts ? document.fonts.status : null, images: images.length, videos: videos.length };
+  }, timeout);
+}
+
+export async function releasePage(page) {
+  await page.evaluate(() => window.__uiWorkflowDeterminism?.release());
+}
+
+export default resolveDeterministicOptions;
@@ -0,0 +1,250 @@
+/**
+ * Diff Regions - Clusters pixel differences into regions and maps them to DOM elements
+ * Layout snapshots are stored next to screenshots as <name>.meta.json at capture time
+ */
+
+import fs from 'fs';
+import { installPageHelpers } from './page-helpers.js';
+
+const DEFAULT_DIFF_COLORS = [[255, 0, 255], [0, 255, 255]];
+
+/**
+ * Group differing pixels of a pixelmatch diff image into connected regions.
+ * Pixels are bucketed into cellSize squares; cells within `gap` cells of each other join one region.
+ * @returns {Array<{x, y, width, height, pixels, density}>} sorted by changed pixels, largest first
+ */
+export function clusterDiffRegions(diff, options = {}) {
+  const {
+    diffColors = DEFAULT_DIFF_COLORS,
+    cellSize = 8,
+    gap = 1,
+    minPixels = 4,
+    maxRegions = 50
+  } = options;
+
+  const { width, height, data } = diff;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cellCount = cols * rows;
+
+  const counts = new Uint32Array(cellCount);
+  const minX = new Int32Array(cellCount).fill(width);
+  const minY = new Int32Array(cellCount).fill(height);
+  const maxX = new Int32Array(cellCount).fill(-1);
+  const maxY = new Int32Array(cellCount).fill(-1);
+
+  for (let y = 0; y < height; y++) {
+    const cellRow = Math.floor(y / cellSize) * cols;
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const isDiff = diffColors.some(([red, green, blue]) =>
+        data[offset] === red && data[offset + 1] === green && data[offset + 2] === blue);
+      if (!isDiff) continue;
+
+      const cell = cellRow + Math.floor(x / cellSize);
+      counts[cell]++;
+      if (x < minX[cell]) minX[cell] = x;
+      if (x > maxX[cell]) maxX[cell] = x;
+      if (y < minY[cell]) minY[cell] = y;
+      if (y > maxY[cell]) maxY[cell] = y;
+    }
+  }
+
+  const visited = new Uint8Array(cellCount);
+  const regions = [];
+
+  for (let start = 0; start < cellCount; start++) {
+    if (counts[start] === 0 || visited[start]) continue;
+
+    const region = { minX: width, minY: height, maxX: -1, maxY: -1, pixels: 0 };
+    const queue = [start];
+    visited[start] = 1;
+
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      region.pixels += counts[cell];
+      region.minX = Math.min(region.minX, minX[cell]);
+      region.minY = Math.min(region.minY, minY[cell]);
+      region.maxX = Math.max(region.maxX, maxX[cell]);
+      region.maxY = Math.max(region.maxY, maxY[cell]);
+
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      for (let dy = -gap; dy <= gap; dy++) {
+        for (let dx = -gap; dx <= gap; dx++) {
+          const neighbourCol = col + dx;
+          const neighbourRow = row + dy;
+          if (neighbourCol < 0 || neighbourCol >= cols || neighbourRow < 0 || neighbourRow >= rows) continue;
+
+          const neighbour = neighbourRow * cols + neighbourCol;
+          if (counts[neighbour] > 0 && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            queue.push(neighbour);
+          }
+        }
+      }
+    }
+
+    if (region.pixels < minPixels) continue;
+
+    const regionWidth = region.maxX - region.minX + 1;
+    const regionHeight = region.maxY - region.minY + 1;
+    regions.push({
+      x: region.minX,
+      y: region.minY,
+      width: regionWidth,
+      height: regionHeight,
+      pixels: region.pixels,
+      density: region.pixels / (regionWidth * regionHeight)
+    });
+  }
+
+  return regions
+    .sort((a, b) => b.pixels - a.pixels)
+    .slice(0, maxRegions);
+}
+
+// Runs inside the page; records the box of every visible element in document coordinates
+function layoutSnapshotScript({ maxElements }) {
+  const { selectorFor, landmarkFor, isVisible, hasOwnText } = window.__uiWorkflowHelpers;
+  const elements = [];
+
+  for (const element of document.querySelectorAll('body *')) {
+    if (elements.length >= maxElements) break;
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName) || !isVisible(element)) continue;
+
+    const rect = element.getBoundingClientRect();
+    elements.push({
+      selector: selectorFor(element),
+      tag: element.tagName.toLowerCase(),
+      landmark: landmarkFor(element),
+      text: hasOwnText(element) ? element.textContent.trim().replace(/\s+/g, ' ').slice(0, 60) : null,
+      rect: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    });
+  }
+
+  return {
+    url: location.href,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    scroll: { x: window.scrollX, y: window.scrollY },
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    elements
+  };
+}
+
+/**
+ * Capture the layout of the current page.
+ * @param {Object} options - { fullPage, origin: {x, y} of the screenshot in document CSS pixels, maxElements }
+ */
+export async function captureLayoutSnapshot(page, options = {}) {
+  const { fullPage = true, origin = null, maxElements = 4000 } = options;
+
+  await installPageHelpers(page);
+  const snapshot = await page.evaluate(layoutSnapshotScript, { maxElements });
+
+  // Viewport screenshots start at the scroll position rather than the top of the document
+  snapshot.origin = origin || (fullPage ? { x: 0, y: 0 } : snapshot.scroll);
+  snapshot.capturedAt = new Date().toISOString();
+  return snapshot;
+}
+
+export function layoutSnapshotPath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/i, '.meta.json');
+}
+
+export function loadLayoutSnapshot(screenshotPath) {
+  const snapshotPath = screenshotPath ? layoutSnapshotPath(screenshotPath) : null;
+  if (!snapshotPath || !fs.existsSync(snapshotPath)) return null;
+  return JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+}
+
+function overlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Find the element(s) occupying a region of a screenshot.
+ * The region is in screenshot pixels; the most specific element covering most of it is preferred.
+ */
+export function attributeRegion(region, snapshot, { maxCandidates = 3 } = {}) {
+  if (!snapshot || !snapshot.elements) return null;
+
+  const scale = snapshot.devicePixelRatio || 1;
+  const origin = snapshot.origin || { x: 0, y: 0 };
+  const area = {
+    x: region.x / scale + origin.x,
+    y: region.y / scale + origin.y,
+    width: Math.max(1, region.width / scale),
+    height: Math.max(1, region.height / scale)
+  };
+  const regionSize = area.width * area.height;
+
+  const candidates = snapshot.elements
+    .map(element => {
+      const overlap = overlapArea(area, element.rect);
+      return {
+        ...element,
+        coverage: overlap / regionSize,
+        size: element.rect.width * element.rect.height
+      };
+    })
+    .filter(element => element.coverage > 0);
+
+  if (candidates.length === 0) return null;
+
+  // Smallest element that covers at least half the region; otherwise the element covering the most of it
+  const covering = candidates.filter(element => element.coverage >= 0.5).sort((a, b) => a.size - b.size);
+  const ranked = covering.length > 0
+    ? covering
+    : [...candidates].sort((a, b) => b.coverage - a.coverage || a.size - b.size);
+
+  const [best, ...others] = ranked;
+  return {
+    selector: best.selector,
+    tag: best.tag,
+    landmark: best.landmark,
+    text: best.text,
+    coverage: parseFloat(best.coverage.toFixed(2)),
+    candidates: others.slice(0, maxCandidates - 1).map(element => element.selector)
+  };
+}
+
+const REGION_VERBS = {
+  changed: 'changed',
+  added: 'was added',
+  removed: 'was removed'
+};
+
+/**
+ * Turn a region and its DOM attribution into an analysis finding.
+ * @param {Object} region - { type, x, y, width, height, pixels } in current-screenshot pixels
+ */
+export function regionToFinding(region, element, canvasArea) {
+  const share = canvasArea > 0 ? (region.width * region.height) / canvasArea : 0;
+  const verb = REGION_VERBS[region.type] || 'changed';
+  const box = `${region.width}x${region.height}px at (${region.x}, ${region.y})`;
+
+  const subject = element
+    ? `${element.selector}${element.landmark && element.landmark !== element.tag ? ` in ${element.landmark}` : ''}`
+    : `Area ${box}`;
+
+  return {
+    severity: share > 0.05 || region.type !== 'changed' ? 'major' : 'minor',
+    category: 'visual',
+    description: `${subject} ${verb}`,
+    location: element ? `${element.landmark || element.tag}${element.text ? ` ("${element.text}")` : ''}, ${box}` : box,
+    recommendation: 'Confirm this change is intended, then approve the new baseline; otherwise revert the styles affecting this element',
+    selector: element?.selector,
+    region: { x: region.x, y: region.y, width: region.width, height: region.height },
+    source: 'pixel-comparison'
+  };
+}
+
+export default clusterDiffRegions;
@@ -0,0 +1,382 @@
+/**
+ * Heuristic Analyzers - Deterministic DOM checks used when no AI backend is configured
+ * Produces findings in the same shape as AI analysis so severity scoring stays shared
+ */
+
+import { installPageHelpers } from './page-helpers.js';
+
+const DEFAULT_TYPE_SCALE = [12, 14, 16, 18, 20, 24, 30, 36, 48, 60, 72];
+
+const SEVERITY_WEIGHTS = { critical: 3, major: 1.5, minor: 0.5, info: 0 };
+
+export class HeuristicAnalyzer {
+  constructor(navigationAgent, options = {}) {
+    this.navigationAgent = navigationAgent;
+    this.options = {
+      minTouchTarget: 44,
+      criticalTouchTarget: 24,
+      minFontSize: 12,
+      maxFontFamilies: 3,
+      typeScale: DEFAULT_TYPE_SCALE,
+      colorTolerance: 12,
+      maxIssuesPerCheck: 10,
+      ...options
+    };
+  }
+
+  get page() {
+    return this.navigationAgent.page;
+  }
+
+  async runResponsiveChecks(viewport = null) {
+    await installPageHelpers(this.page);
+
+    const label = viewport ? `${viewport.width}x${viewport.height}` : 'current viewport';
+    const issues = [
+      ...await this.detectHorizontalOverflow(),
+      ...await this.detectTextClipping(),
+      ...await this.checkTouchTargets()
+    ];
+
+    return issues.map(issue => ({ ...issue, viewport: label }));
+  }
+
+  async runDesignChecks(designSpecs = {}) {
+    await installPageHelpers(this.page);
+
+    const typography = await this.inventoryTypography(designSpecs.typography);
+    const colors = await this.detectOffPaletteColors(designSpecs.colors);
+
+    return {
+      issues: [...typography.issues, ...colors.issues, ...await this.detectTextClipping()],
+      inventory: {
+        fonts: typography.inventory,
+        colors: colors.inventory
+      }
+    };
+  }
+
+  // Runs each viewport in turn and restores the original viewport afterwards
+  async withViewport(viewport, callback) {
+    const original = this.page.viewportSize();
+    if (viewport && (viewport.width !== original?.width || viewport.height !== original?.height)) {
+      await this.page.setViewportSize({ width: viewport.width, height: viewport.height });
+      await this.page.waitForTimeout(250);
+    }
+
+    try {
+      return await callback();
+    } finally {
+      if (original && viewport) {
+        await this.page.setViewportSize(original);
+      }
+    }
+  }
+
+  async detectHorizontalOverflow() {
+    const result = await this.page.evaluate(() => {
+      const { selectorFor, landmarkFor, isVisible } = window.__uiWorkflowHelpers;
+      const viewportWidth = document.documentElement.clientWidth;
+
+      const isClippedByAncestor = element => {
+        for (let parent = element.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+          const overflowX = getComputedStyle(parent).overflowX;
+          if (overflowX !== 'visible') return true;
+        }
+        return false;
+      };
+
+      const offenders = [];
+      for (const element of document.body.querySelectorAll('*')) {
+        if (!isVisible(element)) continue;
+        const rect = element.getBoundingClientRect();
+        if (rect.right <= viewportWidth + 1 && rect.left >= -1) continue;
+        if (isClippedByAncestor(element)) continue;
+
+        // Only report the outermost overflowing element of each branch
+        if (offenders.some(offender => offender.element.contains(element))) continue;
+        offenders.push({
+          element,
+          selector: selectorFor(element),
+          landmark: landmarkFor(element),
+          left: Math.round(rect.left),
+          right: Math.round(rect.right)
+        });
+      }
+
+      return {
+        viewportWidth,
+        scrollWidth: document.documentElement.scrollWidth,
+        offenders: offenders.map(({ element, ...offender }) => offender)
+      };
+    });
+
+    const pageScrolls = result.scrollWidth > result.viewportWidth + 1;
+    return result.offenders.slice(0, this.options.maxIssuesPerCheck).map(offender => ({
+      severity: pageScrolls ? 'major' : 'minor',
+      category: 'overflow',
+      description: `${offender.selector} extends beyond the ${result.viewportWidth}px viewport (${offender.left}px to ${offender.right}px)` +
+        (pageScrolls ? ', causing horizontal scrolling' : ''),
+      recommendation: 'Constrain the element with max-width: 100%, allow wrapping, or make the container scrollable',
+      location: offender.landmark || offender.selector,
+      selector: offender.selector,
+      source: 'heuristic'
+    }));
+  }
+
+  async detectTextClipping() {
+    const clipped = await this.page.evaluate(() => {
+      const { selectorFor, landmarkFor, isVisible, hasOwnText } = window.__uiWorkflowHelpers;
+      const results = [];
+
+      for (const element of document.body.querySelectorAll('*')) {
+        if (!hasOwnText(element) || !isVisible(element)) continue;
+
+        const style = getComputedStyle(element);
+        const clipsX = style.overflowX !== 'visible' && element.scrollWidth > element.clientWidth + 1;
+        const clipsY = style.overflowY !== 'visible' && element.scrollHeight > element.clientHeight + 1;
+        if (!clipsX && !clipsY) continue;
+
+        results.push({
+          selector: selectorFor(element),
+          landmark: landmarkFor(element),
+          text: element.textContent.trim().slice(0, 60),
+          ellipsis: style.textOverflow === 'ellipsis' || Boolean(style.webkitLineClamp && style.webkitLineClamp !== 'none'),
+          axis: clipsX ? 'horizontal' : 'vertical'
+        });
+      }
+
+      return results;
+    });
+
+    return clipped.slice(0, this.options.maxIssuesPerCheck).map(item => ({
+      severity: item.ellipsis ? 'minor' : 'major',
+      category: 'clipping',
+      description: item.ellipsis
+        ? `Text "${item.text}" in ${item.selector} is truncated with an ellipsis`
+        : `Text "${item.text}" in ${item.selector} is clipped (${item.axis} overflow hidden)`,
+      recommendation: item.ellipsis
+        ? 'Confirm truncation is intended and expose the full text (e.g. title attribute or tooltip)'
+        : 'Let the text wrap or give the container room to grow instead of hiding overflow',
+      location: item.landmark || item.selector,
+      selector: item.selector,
+      source: 'heuristic'
+    }));
+  }
+
+  async checkTouchTargets() {
+    const targets = await this.page.evaluate(({ minSize }) => {
+      const { selectorFor, landmarkFor, isVisible } = window.__uiWorkflowHelpers;
+      const interactive = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], [role="checkbox"], [role="tab"], [onclick]';
+      const results = [];
+
+      for (const element of document.querySelectorAll(interactive)) {
+        if (!isVisible(element)) continue;
+
+        // Links inside running text are exempt from target size requirements
+        const style = getComputedStyle(element);
+        if (element.tagName === 'A' && style.display === 'inline' &&
+            element.parentElement && element.parentElement.textContent.trim().length > element.textContent.trim().length) {
+          continue;
+        }
+
+        const rect = element.getBoundingClientRect();
+        if (rect.width >= minSize && rect.height >= minSize) continue;
+
+        results.push({
+          selector: selectorFor(element),
+          landmark: landmarkFor(element),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        });
+      }
+
+      return results;
+    }, { minSize: this.options.minTouchTarget });
+
+    return targets.slice(0, this.options.maxIssuesPerCheck).map(target => {
+      const smallest = Math.min(target.width, target.height);
+      return {
+        severity: smallest < this.options.criticalTouchTarget ? 'major' : 'minor',
+        category: 'touch_target',
+        description: `${target.selector} is ${target.width}x${target.height}px, below the ${this.options.minTouchTarget}px minimum touch target`,
+        recommendation: `Increase padding or min-width/min-height to at least ${this.options.minTouchTarget}px`,
+        location: target.landmark || target.selector,
+        selector: target.selector,
+        actualValue: `${target.width}x${target.height}px`,
+        expectedValue: `${this.options.minTouchTarget}x${this.options.minTouchTarget}px`,
+        source: 'heuristic'
+      };
+    });
+  }
+
+  async inventoryTypography(typographySpecs = {}) {
+    const typeScale = typographySpecs.scale || this.options.typeScale;
+    const maxFamilies = typographySpecs.maxFamilies || this.options.maxFontFamilies;
+
+    const samples = await this.page.evaluate(() => {
+      const { selectorFor, isVisible, hasOwnText } = window.__uiWorkflowHelpers;
+      const results = [];
+
+      for (const element of document.body.querySelectorAll('*')) {
+        if (!hasOwnText(element) || !isVisible(element)) continue;
+        const style = getComputedStyle(element);
+        results.push({
+          selector: selectorFor(element),
+          family: style.fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, ''),
+          size: parseFloat(style.fontSize),
+          weight: style.fontWeight
+        });
+      }
+
+      return results;
+    });
+
+    const inventory = { families: {}, sizes: {} };
+    samples.forEach(sample => {
+      inventory.families[sample.family] = (inventory.families[sample.family] || 0) + 1;
+      inventory.sizes[sample.size] = (inventory.sizes[sample.size] || 0) + 1;
+    });
+
+    const issues = [];
+    const families = Object.keys(inventory.families);
+    if (families.length > maxFamilies) {
+      issues.push({
+        severity: 'minor',
+        category: 'typography',
+        description: `${families.length} font families in use (${families.join(', ')}); expected at most ${maxFamilies}`,
+        recommendation: 'Consolidate text styles onto the design system font stack',
+        location: 'page',
+        source: 'heuristic'
+      });
+    }
+
+    const offScale = Object.keys(inventory.sizes)
+      .map(Number)
+      .filter(size => !typeScale.some(step => Math.abs(step - size) <= 0.5));
+
+    offScale.slice(0, this.options.maxIssuesPerCheck).forEach(size => {
+      const example = samples.find(sample => sample.size === size);
+      const nearest = typeScale.reduce((best, step) => Math.abs(step - size) < Math.abs(best - size) ? step : best);
+      issues.push({
+        severity: size < this.options.minFontSize ? 'major' : 'minor',
+        category: 'typography',
+        description: `Font size ${size}px (${inventory.sizes[size]} elements, e.g. ${example.selector}) is not on the type scale`,
+        recommendation: `Use the nearest scale step (${nearest}px)`,
+        location: example.selector,
+        selector: example.selector,
+        property: 'font-size',
+        actualValue: `${size}px`,
+        expectedValue: `${nearest}px`,
+        source: 'heuristic'
+      });
+    });
+
+    return { inventory, issues };
+  }
+
+  async detectOffPaletteColors(paletteSpec = null) {
+    const palette = this.normalizePalette(paletteSpec);
+
+    const usages = await this.page.evaluate(() => {
+      const { selectorFor, isVisible, parseColor, toHex } = window.__uiWorkflowHelpers;
+      const colors = {};
+
+      const record = (value, property, element) => {
+        const color = parseColor(value);
+        if (!color || color.a === 0) return;
+        const hex = toHex(color);
+        colors[hex] = colors[hex] || { hex, rgb: color, count: 0, properties: {}, example: null };
+        colors[hex].count++;
+        colors[hex].properties[property] = (colors[hex].properties[property] || 0) + 1;
+        colors[hex].example = colors[hex].example || { selector: selectorFor(element), property };
+      };
+
+      for (const element of document.body.querySelectorAll('*')) {
+        if (!isVisible(element)) continue;
+        const style = getComputedStyle(element);
+        record(style.color, 'color', element);
+        record(style.backgroundColor, 'background-color', element);
+        if (parseFloat(style.borderTopWidth) > 0) {
+          record(style.borderTopColor, 'border-color', element);
+        }
+      }
+
+      return Object.values(colors);
+    });
+
+    const distance = (a, b) => Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+    const issues = [];
+
+    for (const usage of usages.sort((a, b) => b.count - a.count)) {
+      let reference;
+      if (palette.length > 0) {
+        const nearest = palette.reduce((best, color) =>
+          !best || distance(usage.rgb, color.rgb) < distance(usage.rgb, best.rgb) ? color : best, null);
+        if (distance(usage.rgb, nearest.rgb) === 0) continue;
+        reference = nearest;
+      } else {
+        // Without a palette, flag rarely used colors that almost match a dominant one
+        if (usage.count > 2) continue;
+        const dominant = usages.find(other =>
+          other.count >= 5 && other.hex !== usage.hex && distance(usage.rgb, other.rgb) <= this.options.colorTolerance);
+        if (!dominant) continue;
+        reference = { name: dominant.hex, hex: dominant.hex, rgb: dominant.rgb };
+      }
+
+      issues.push({
+        severity: 'minor',
+        category: 'color',
+        description: `${usage.hex} is used ${usage.count} time(s) (e.g. ${usage.example.property} of ${usage.example.selector}) but is not in the palette`,
+        recommendation: `Replace with ${reference.name === reference.hex ? reference.hex : `${reference.name} (${reference.hex})`}`,
+        location: usage.example.selector,
+        selector: usage.example.selector,
+        property: usage.example.property,
+        actualValue: usage.hex,
+        expectedValue: reference.hex,
+        source: 'heuristic'
+      });
+
+      if (issues.length >= this.options.maxIssuesPerCheck) break;
+    }
+
+    return {
+      inventory: Object.fromEntries(usages.map(usage => [usage.hex, usage.count])),
+      issues
+    };
+  }
+
+  normalizePalette(paletteSpec) {
+    if (!paletteSpec) return [];
+
+    const entries = Array.isArray(paletteSpec)
+      ? paletteSpec.map(value => [value, value])
+      : Object.entries(paletteSpec);
+
+    return entries
+      .map(([name, value]) => ({ name, hex: String(value).toLowerCase(), rgb: hexToRgb(String(value)) }))
+      .filter(color => color.rgb);
+  }
+
+  calculateScore(issues) {
+    const penalty = issues.reduce((sum, issue) => sum + (SEVERITY_WEIGHTS[issue.severity] || 0), 0);
+    return Math.max(0, Math.round((10 - penalty) * 10) / 10);
+  }
+}
+
+export function hexToRgb(hex) {
+  const match = hex.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  const value = match[1].length === 3
+    ? match[1].split('').map(char => char + char).join('')
+    : match[1];
+
+  return {
+    r: parseInt(value.slice(0, 2), 16),
+    g: parseInt(value.slice(2, 4), 16),
+    b: parseInt(value.slice(4, 6), 16)
+  };
+}
+
+export default HeuristicAnalyzer;
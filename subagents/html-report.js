@@ -0,0 +1,387 @@
+/**
+ * HTML Report - Self-contained visual review report (no external assets)
+ * Shows baseline, current and diff images with side-by-side, onion-skin, swipe and diff-only views
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readPNGSize } from './baseline-manifest.js';
+
+const SEVERITY_ORDER = ['critical', 'major', 'minor', 'info'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toDataUri(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+
+  const extension = path.extname(filePath).toLowerCase();
+  const mimeType = extension === '.jpg' || extension === '.jpeg' ? 'image/jpeg' : 'image/png';
+  return `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+function highestSeverity(findings) {
+  return SEVERITY_ORDER.find(level => findings.some(finding => finding.severity === level)) || null;
+}
+
+function formatViewport(viewport) {
+  return viewport ? `${viewport.width}x${viewport.height}` : '';
+}
+
+/**
+ * Accepts comparisons from ScreenshotAgent.compareWithBaseline, ScreenshotAgent.generateReport,
+ * the screenshots:compare CLI and session records, and maps them onto one shape.
+ */
+export function normalizeComparison(raw, index = 0) {
+  const findings = [...(raw.findings || raw.analysis?.findings || [])];
+
+  // Comparisons without an analysis still get the findings measured from the pixel diff
+  if (!findings.some(finding => finding.source === 'pixel-comparison')) {
+    findings.push(
+      ...(raw.sizeChange ? [raw.sizeChange.finding] : []),
+      ...(raw.regions || []).filter(region => region.type === 'changed').map(region => region.finding)
+    );
+  }
+  const status = raw.missingBaseline
+    ? 'missing'
+    : raw.isNewBaseline
+      ? 'new'
+      : raw.match ? 'match' : 'changed';
+
+  return {
+    id: `comparison-${index}`,
+    name: raw.name || raw.baselineName || path.basename(raw.baselinePath || raw.currentPath || `comparison-${index}`),
+    status,
+    severity: raw.severity || highestSeverity(findings) || (status === 'match' || status === 'new' ? 'info' : 'major'),
+    browser: raw.browser || '',
+    device: raw.device || '',
+    viewport: formatViewport(raw.viewport),
+    diffPercentage: raw.diffPercentage ?? null,
+    summary: raw.summary || raw.analysis?.summary || raw.message || '',
+    paths: {
+      baseline: raw.paths?.baseline || raw.baselinePath || null,
+      current: raw.paths?.current || raw.currentPath || null,
+      diff: raw.paths?.diff || raw.diffPath || null
+    },
+    findings
+  };
+}
+
+function renderRegions(findings, comparisonId, imageSize) {
+  if (!imageSize) return '';
+
+  return findings
+    .map((finding, index) => ({ finding, index }))
+    .filter(({ finding }) => finding.region)
+    .map(({ finding, index }) => {
+      const { x, y, width, height } = finding.region;
+      const style = [
+        `left:${(x / imageSize.width) * 100}%`,
+        `top:${(y / imageSize.height) * 100}%`,
+        `width:${(width / imageSize.width) * 100}%`,
+        `height:${(height / imageSize.height) * 100}%`
+      ].join(';');
+      return `<div class="region sev-${escapeHtml(finding.severity)}" data-finding="${comparisonId}-${index}" style="${style}" title="${escapeHtml(finding.description)}"></div>`;
+    })
+    .join('');
+}
+
+function renderLayer(kind, dataUri, regions) {
+  if (!dataUri) {
+    return `<figure class="layer layer-${kind} missing"><figcaption>${kind}</figcaption><div class="placeholder">No ${kind} image</div></figure>`;
+  }
+  return `<figure class="layer layer-${kind}"><figcaption>${kind}</figcaption><div class="frame"><img src="${dataUri}" alt="${kind}">${regions}</div></figure>`;
+}
+
+function renderComparison(comparison) {
+  const images = {
+    baseline: toDataUri(comparison.paths.baseline),
+    current: toDataUri(comparison.paths.current),
+    diff: toDataUri(comparison.paths.diff)
+  };
+  const imageSize = images.current ? readPNGSize(comparison.paths.current) : null;
+  const regions = renderRegions(comparison.findings, comparison.id, imageSize);
+
+  const findings = comparison.findings.length === 0
+    ? '<p class="muted">No findings</p>'
+    : `<ol class="findings">${comparison.findings.map((finding, index) => `
+        <li class="finding sev-${escapeHtml(finding.severity)}${finding.region ? ' linked' : ''}" data-finding="${comparison.id}-${index}">
+          <span class="badge sev-${escapeHtml(finding.severity)}">${escapeHtml(finding.severity)}</span>
+          <strong>${escapeHtml(finding.category || '')}</strong> ${escapeHtml(finding.description)}
+          ${finding.location ? `<div class="muted">📍 ${escapeHtml(finding.location)}</div>` : ''}
+          ${finding.recommendation ? `<div class="recommendation">💡 ${escapeHtml(finding.recommendation)}</div>` : ''}
+        </li>`).join('')}</ol>`;
+
+  return `
+  <section class="comparison" id="${comparison.id}"
+    data-severity="${escapeHtml(comparison.severity)}" data-status="${comparison.status}"
+    data-device="${escapeHtml(comparison.device)}" data-browser="${escapeHtml(comparison.browser)}">
+    <header>
+      <h2>${escapeHtml(comparison.name)}</h2>
+      <span class="badge sev-${escapeHtml(comparison.severity)}">${escapeHtml(comparison.severity)}</span>
+      <span class="badge status-${comparison.status}">${comparison.status}</span>
+      ${comparison.diffPercentage !== null ? `<span class="meta">${comparison.diffPercentage}% changed</span>` : ''}
+      <span class="meta">${escapeHtml([comparison.browser, comparison.device, comparison.viewport].filter(Boolean).join(' · '))}</span>
+    </header>
+    ${comparison.summary ? `<p>${escapeHtml(comparison.summary)}</p>` : ''}
+    <div class="toolbar">
+      <button data-mode="side-by-side">Side by side</button>
+      <button data-mode="onion">Onion skin</button>
+      <button data-mode="swipe">Swipe</button>
+      <button data-mode="diff">Diff only</button>
+      <input type="range" min="0" max="100" value="50" class="blend" aria-label="Blend">
+    </div>
+    <div class="stage mode-side-by-side" style="--blend:50%">
+      ${renderLayer('baseline', images.baseline, '')}
+      ${renderLayer('current', images.current, regions)}
+      ${renderLayer('diff', images.diff, regions)}
+    </div>
+    ${findings}
+  </section>`;
+}
+
+function renderOptions(values) {
+  return [...new Set(values.filter(Boolean))]
+    .sort()
+    .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+    .join('');
+}
+
+function renderOtherFindings(analyses) {
+  const sections = analyses
+    .map(analysis => {
+      const findings = (analysis.findings || []).flatMap(finding => (finding.issues ? finding.issues : [finding]));
+      if (findings.length === 0) return '';
+      return `
+      <section class="analysis">
+        <h3>${escapeHtml(analysis.type.replace(/_/g, ' '))}</h3>
+        <ol class="findings">${findings.map(finding => `
+          <li class="finding sev-${escapeHtml(finding.severity)}" data-severity="${escapeHtml(finding.severity)}">
+            <span class="badge sev-${escapeHtml(finding.severity)}">${escapeHtml(finding.severity)}</span>
+            ${escapeHtml(finding.description)}
+            ${finding.recommendation ? `<div class="recommendation">💡 ${escapeHtml(finding.recommendation)}</div>` : ''}
+          </li>`).join('')}</ol>
+      </section>`;
+    })
+    .join('');
+
+  return sections ? `<h2 class="section-title">Other findings</h2>${sections}` : '';
+}
+
+function formatTrendValue(value, unit) {
+  if (value === null || value === undefined) return '-';
+  const rounded = Math.abs(value) >= 100 ? Math.round(value) : Math.round(value * 1000) / 1000;
+  return unit === 'ms' ? `${rounded}ms` : unit === '%' ? `${rounded}%` : String(rounded);
+}
+
+// Inline SVG line chart of one metric over runs, with the rolling baseline dashed and a regressed last point in red
+function renderTrendChart(chart) {
+  const width = 320;
+  const height = 120;
+  const pad = { top: 12, right: 12, bottom: 20, left: 44 };
+  const values = chart.points.map(point => point.value);
+  const all = chart.baseline === null ? values : [...values, chart.baseline];
+  const min = Math.min(...all);
+  const max = Math.max(...all);
+  const span = max - min || Math.abs(max) || 1;
+
+  const x = index => pad.left + (chart.points.length === 1 ? 0 : (index / (chart.points.length - 1)) * (width - pad.left - pad.right));
+  const y = value => pad.top + (1 - (value - min) / span) * (height - pad.top - pad.bottom);
+  const line = chart.points.map((point, index) => `${x(index).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const last = chart.points.length - 1;
+
+  return `
+      <figure class="trend${chart.regression ? ' regressed' : ''}">
+        <figcaption>${escapeHtml(chart.label)} <span class="muted">${chart.better} is better</span></figcaption>
+        <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(chart.label)} over ${chart.points.length} run(s)">
+          <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#ccc"/>
+          <text x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end" font-size="10" fill="#666">${escapeHtml(formatTrendValue(max, chart.unit))}</text>
+          <text x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end" font-size="10" fill="#666">${escapeHtml(formatTrendValue(min, chart.unit))}</text>
+          ${chart.baseline === null ? '' : `<line x1="${pad.left}" y1="${y(chart.baseline).toFixed(1)}" x2="${width - pad.right}" y2="${y(chart.baseline).toFixed(1)}" stroke="#999" stroke-dasharray="4 3"><title>Rolling baseline ${escapeHtml(formatTrendValue(chart.baseline, chart.unit))}</title></line>`}
+          <polyline points="${line}" fill="none" stroke="#1565c0" stroke-width="2"/>
+          ${chart.points.map((point, index) => `<circle cx="${x(index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3" fill="${index === last && chart.regression ? 'var(--critical)' : '#1565c0'}"><title>${escapeHtml(formatTrendValue(point.value, chart.unit))} · ${escapeHtml(point.commit ? point.commit.slice(0, 7) : 'no commit')} · ${escapeHtml(point.timestamp)}</title></circle>`).join('')}
+          <text x="${pad.left}" y="${height - 6}" font-size="10" fill="#666">${escapeHtml(chart.points[0].timestamp.slice(0, 10))}</text>
+          <text x="${width - pad.right}" y="${height - 6}" text-anchor="end" font-size="10" fill="#666">${escapeHtml(chart.points[last].timestamp.slice(0, 10))}</text>
+        </svg>
+        ${chart.regression ? `<div class="regression">Regressed: ${escapeHtml(formatTrendValue(chart.regression.latest, chart.unit))} vs baseline ${escapeHtml(formatTrendValue(chart.regression.baseline, chart.unit))}</div>` : ''}
+      </figure>`;
+}
+
+function renderTrends(trends) {
+  if (!trends || trends.length === 0) return '';
+
+  return `<h2 class="section-title">Trends</h2>${trends.map(series => `
+      <section class="analysis trends">
+        <h3>${escapeHtml(series.title)}</h3>
+        <p class="meta">${escapeHtml([series.browser, series.device, series.throttling !== 'none' ? series.throttling : null].filter(Boolean).join(' · '))}</p>
+        <div class="trend-grid">${series.charts.map(renderTrendChart).join('')}</div>
+      </section>`).join('')}`;
+}
+
+const STYLES = `
+  :root { --critical:#c62828; --major:#ef6c00; --minor:#f9a825; --info:#1565c0; --border:#ddd; }
+  * { box-sizing: border-box; }
+  body { font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0; color: #222; background: #f6f7f9; }
+  .topbar { position: sticky; top: 0; z-index: 10; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; padding: 12px 24px; background: #fff; border-bottom: 1px solid var(--border); }
+  .topbar h1 { font-size: 18px; margin: 0 16px 0 0; }
+  main { padding: 24px; max-width: 1600px; margin: 0 auto; }
+  .summary { display: flex; gap: 16px; margin-bottom: 16px; }
+  .summary div { background: #fff; border: 1px solid var(--border); border-radius: 6px; padding: 8px 16px; }
+  .comparison, .analysis { background: #fff; border: 1px solid var(--border); border-radius: 8px; padding: 16px; margin-bottom: 24px; }
+  .comparison header { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+  .comparison h2 { font-size: 16px; margin: 0; }
+  .meta, .muted { color: #666; font-size: 12px; }
+  .badge { border-radius: 10px; padding: 1px 8px; font-size: 12px; color: #fff; background: #777; }
+  .badge.sev-critical { background: var(--critical); } .badge.sev-major { background: var(--major); }
+  .badge.sev-minor { background: var(--minor); color: #222; } .badge.sev-info { background: var(--info); }
+  .status-match, .status-new { background: #2e7d32; } .status-changed, .status-missing { background: #6a1b9a; }
+  .toolbar { display: flex; gap: 6px; align-items: center; margin: 12px 0; }
+  .toolbar button { border: 1px solid var(--border); background: #fafafa; border-radius: 4px; padding: 4px 10px; cursor: pointer; }
+  .toolbar button.active { background: #222; color: #fff; }
+  .stage { position: relative; overflow: auto; }
+  .layer { margin: 0; }
+  .layer figcaption { font-size: 12px; color: #666; text-transform: uppercase; }
+  .frame { position: relative; display: inline-block; max-width: 100%; }
+  .frame img { display: block; max-width: 100%; }
+  .placeholder { padding: 40px; border: 1px dashed var(--border); color: #999; text-align: center; }
+  .mode-side-by-side { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; align-items: start; }
+  .mode-onion .layer, .mode-swipe .layer { grid-area: 1 / 1; }
+  .mode-onion, .mode-swipe { display: grid; }
+  .mode-onion figcaption, .mode-swipe figcaption, .mode-onion .layer-diff, .mode-swipe .layer-diff { display: none; }
+  .mode-onion .layer-current { opacity: var(--blend); }
+  .mode-swipe .layer-current { clip-path: inset(0 calc(100% - var(--blend)) 0 0); }
+  .mode-diff .layer-baseline, .mode-diff .layer-current { display: none; }
+  .toolbar .blend[hidden] { display: none; }
+  .region { position: absolute; border: 2px solid var(--major); background: rgba(239,108,0,0.08); pointer-events: auto; }
+  .region.sev-critical { border-color: var(--critical); } .region.sev-minor { border-color: var(--minor); } .region.sev-info { border-color: var(--info); }
+  .region.highlight { outline: 3px solid #00e5ff; background: rgba(0,229,255,0.2); }
+  .findings { padding-left: 20px; }
+  .finding { margin: 6px 0; padding: 4px 6px; border-radius: 4px; }
+  .finding.linked { cursor: pointer; }
+  .finding.linked:hover, .finding.highlight { background: #e0f7fa; }
+  .recommendation { color: #2e7d32; }
+  .hidden { display: none !important; }
+  .section-title { font-size: 18px; }
+  .trend-grid { display: flex; flex-wrap: wrap; gap: 16px; }
+  .trend { margin: 0; padding: 8px; border: 1px solid var(--border); border-radius: 6px; }
+  .trend.regressed { border-color: var(--critical); }
+  .trend figcaption { font-size: 12px; font-weight: 600; }
+  .regression { color: var(--critical); font-size: 12px; }
+`;
+
+// Runs in the browser viewing the report
+const SCRIPT = `
+  const filters = { severity: '', device: '', browser: '', status: '' };
+
+  function applyFilters() {
+    document.querySelectorAll('.comparison').forEach(section => {
+      const visible = Object.entries(filters).every(([key, value]) => !value || section.dataset[key] === value);
+      section.classList.toggle('hidden', !visible);
+    });
+    document.querySelectorAll('.analysis .finding').forEach(item => {
+      item.classList.toggle('hidden', Boolean(filters.severity) && item.dataset.severity !== filters.severity);
+    });
+  }
+
+  function setMode(section, mode) {
+    const stage = section.querySelector('.stage');
+    stage.className = 'stage mode-' + mode;
+    section.querySelectorAll('.toolbar button').forEach(button => button.classList.toggle('active', button.dataset.mode === mode));
+    section.querySelector('.blend').hidden = mode !== 'onion' && mode !== 'swipe';
+  }
+
+  document.querySelectorAll('.topbar select').forEach(select => {
+    select.addEventListener('change', () => { filters[select.name] = select.value; applyFilters(); });
+  });
+
+  document.getElementById('global-mode').addEventListener('change', event => {
+    document.querySelectorAll('.comparison').forEach(section => setMode(section, event.target.value));
+  });
+
+  document.querySelectorAll('.comparison').forEach(section => {
+    setMode(section, 'side-by-side');
+    section.querySelectorAll('.toolbar button').forEach(button => {
+      button.addEventListener('click', () => setMode(section, button.dataset.mode));
+    });
+    section.querySelector('.blend').addEventListener('input', event => {
+      section.querySelector('.stage').style.setProperty('--blend', event.target.value + '%');
+    });
+  });
+
+  // Clicking a finding highlights its region(s) and scrolls the first one into view
+  document.querySelectorAll('.finding.linked, .region').forEach(element => {
+    element.addEventListener('click', () => {
+      const id = element.dataset.finding;
+      document.querySelectorAll('.highlight').forEach(node => node.classList.remove('highlight'));
+      const targets = document.querySelectorAll('[data-finding="' + id + '"]');
+      targets.forEach(node => node.classList.add('highlight'));
+      const region = Array.from(targets).find(node => node.classList.contains('region') && node.offsetParent);
+      if (region && element !== region) region.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  });
+`;
+
+/**
+ * Build the report HTML.
+ * @param {Object} data - { title, comparisons: [...], analyses: [...], trends: TrendStore.chartData() }
+ */
+export function buildHtmlReport(data = {}) {
+  const comparisons = (data.comparisons || []).map((comparison, index) => normalizeComparison(comparison, index));
+  const analyses = data.analyses || [];
+  const title = data.title || 'Visual Review Report';
+
+  const counts = {
+    total: comparisons.length,
+    changed: comparisons.filter(c => c.status === 'changed').length,
+    missing: comparisons.filter(c => c.status === 'missing').length,
+    match: comparisons.filter(c => c.status === 'match' || c.status === 'new').length
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<div class="topbar">
+  <h1>${escapeHtml(title)}</h1>
+  <label>Severity <select name="severity"><option value="">All</option>${SEVERITY_ORDER.map(level => `<option value="${level}">${level}</option>`).join('')}</select></label>
+  <label>Status <select name="status"><option value="">All</option><option value="changed">changed</option><option value="missing">missing</option><option value="match">match</option><option value="new">new</option></select></label>
+  <label>Device <select name="device"><option value="">All</option>${renderOptions(comparisons.map(c => c.device))}</select></label>
+  <label>Browser <select name="browser"><option value="">All</option>${renderOptions(comparisons.map(c => c.browser))}</select></label>
+  <label>View <select id="global-mode"><option value="side-by-side">Side by side</option><option value="onion">Onion skin</option><option value="swipe">Swipe</option><option value="diff">Diff only</option></select></label>
+</div>
+<main>
+  <p class="muted">Generated ${escapeHtml(data.timestamp || new Date().toISOString())}</p>
+  ${comparisons.length > 0 || !data.trends ? `<div class="summary">
+    <div><strong>${counts.total}</strong> comparisons</div>
+    <div><strong>${counts.changed}</strong> changed</div>
+    <div><strong>${counts.missing}</strong> missing baselines</div>
+    <div><strong>${counts.match}</strong> matching</div>
+  </div>` : ''}
+  ${comparisons.map(renderComparison).join('\n')}
+  ${renderOtherFindings(analyses.filter(analysis => analysis.type !== 'visual_differences'))}
+  ${renderTrends(data.trends)}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+export function writeHtmlReport(data, outputPath = path.join('reports', `visual-review-${Date.now()}.html`)) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, buildHtmlReport(data));
+  return outputPath;
+}
+
+export default writeHtmlReport;
@@ -0,0 +1,231 @@
+/**
+ * Image Alignment - Brings baseline and current screenshots of different sizes onto one canvas
+ * Detects vertical insertions/removals so content below a new banner is compared at its new offset
+ */
+
+import { PNG } from 'pngjs';
+
+export const SIZE_MISMATCH_STRATEGIES = ['align', 'pad', 'crop'];
+
+const BAND_COLORS = {
+  added: [0, 200, 83],
+  removed: [255, 61, 0]
+};
+
+function copyRegion(source, target, sourceX, sourceY, targetX, targetY, width, height) {
+  for (let row = 0; row < height; row++) {
+    const sourceStart = ((sourceY + row) * source.width + sourceX) * 4;
+    source.data.copy(target.data, ((targetY + row) * target.width + targetX) * 4, sourceStart, sourceStart + width * 4);
+  }
+}
+
+// FNV-1a hash of every pixel row, used to find rows that are identical between images
+export function rowHashes(image) {
+  const hashes = new Uint32Array(image.height);
+  const rowBytes = image.width * 4;
+
+  for (let y = 0; y < image.height; y++) {
+    let hash = 0x811c9dc5;
+    const start = y * rowBytes;
+    for (let i = start; i < start + rowBytes; i++) {
+      hash = Math.imul(hash ^ image.data[i], 0x01000193);
+    }
+    hashes[y] = hash >>> 0;
+  }
+  return hashes;
+}
+
+/**
+ * Find where a band of rows was inserted into the taller image.
+ * Rows above the split are compared in place, rows below it with the height difference as offset;
+ * the split that leaves the most identical rows wins.
+ */
+export function detectVerticalShift(shorter, taller) {
+  const delta = taller.height - shorter.height;
+  const shortHashes = rowHashes(shorter);
+  const tallHashes = rowHashes(taller);
+
+  // matchedAbove[s]: identical rows among 0..s-1 without offset
+  const matchedAbove = new Uint32Array(shorter.height + 1);
+  for (let y = 0; y < shorter.height; y++) {
+    matchedAbove[y + 1] = matchedAbove[y] + (shortHashes[y] === tallHashes[y] ? 1 : 0);
+  }
+
+  // matchedBelow[s]: identical rows among s..end with the taller image shifted by delta
+  const matchedBelow = new Uint32Array(shorter.height + 1);
+  for (let y = shorter.height - 1; y >= 0; y--) {
+    matchedBelow[y] = matchedBelow[y + 1] + (shortHashes[y] === tallHashes[y + delta] ? 1 : 0);
+  }
+
+  let split = 0;
+  let best = -1;
+  for (let s = 0; s <= shorter.height; s++) {
+    const matched = matchedAbove[s] + matchedBelow[s];
+    if (matched > best) {
+      best = matched;
+      split = s;
+    }
+  }
+
+  return {
+    split,
+    delta,
+    score: shorter.height === 0 ? 0 : best / shorter.height,
+    unshiftedScore: shorter.height === 0 ? 0 : matchedAbove[shorter.height] / shorter.height
+  };
+}
+
+/**
+ * Fill the inserted band of the shorter image with the taller image's rows so only the
+ * surrounding content is pixel-compared; the band itself is reported separately.
+ */
+function alignVertically(shorter, taller, shift) {
+  const { split, delta } = shift;
+  const aligned = new PNG({ width: taller.width, height: taller.height });
+
+  copyRegion(shorter, aligned, 0, 0, 0, 0, shorter.width, split);
+  copyRegion(taller, aligned, 0, split, 0, split, taller.width, delta);
+  copyRegion(shorter, aligned, 0, split, 0, split + delta, shorter.width, shorter.height - split);
+
+  return aligned;
+}
+
+// Places an image top-left on a larger canvas; uncovered pixels are taken from the other image
+function padTo(image, other, width, height) {
+  const padded = new PNG({ width, height });
+  copyRegion(other, padded, 0, 0, 0, 0, other.width, other.height);
+  copyRegion(image, padded, 0, 0, 0, 0, image.width, image.height);
+  return padded;
+}
+
+// Areas of the canvas covered by `present` but not by `missing`
+function uncoveredAreas(missing, present) {
+  const areas = [];
+  if (present.width > missing.width) {
+    areas.push({ x: missing.width, y: 0, width: present.width - missing.width, height: present.height });
+  }
+  if (present.height > missing.height) {
+    areas.push({ x: 0, y: missing.height, width: Math.min(missing.width, present.width), height: present.height - missing.height });
+  }
+  return areas;
+}
+
+/**
+ * Bring two screenshots to a common canvas.
+ * @param {PNG} baseline
+ * @param {PNG} current
+ * @param {Object} options - { strategy: 'align' | 'pad' | 'crop', minAlignmentScore }
+ * @returns {{ width, height, baseline, current, bands, strategy, shift }}
+ * Bands are in canvas coordinates: 'added' exists only in current, 'removed' only in the baseline.
+ */
+export function alignImages(baseline, current, options = {}) {
+  const { strategy = 'align', minAlignmentScore = 0.5 } = options;
+
+  if (baseline.width === current.width && baseline.height === current.height) {
+    return { width: current.width, height: current.height, baseline, current, bands: [], strategy: 'none', shift: null };
+  }
+
+  if (strategy === 'crop') {
+    const width = Math.min(baseline.width, current.width);
+    const height = Math.min(baseline.height, current.height);
+    const crop = image => {
+      const cropped = new PNG({ width, height });
+      copyRegion(image, cropped, 0, 0, 0, 0, width, height);
+      return cropped;
+    };
+    return { width, height, baseline: crop(baseline), current: crop(current), bands: [], strategy, shift: null };
+  }
+
+  if (strategy === 'align' && baseline.width === current.width) {
+    const currentIsTaller = current.height > baseline.height;
+    const shorter = currentIsTaller ? baseline : current;
+    const taller = currentIsTaller ? current : baseline;
+    const shift = detectVerticalShift(shorter, taller);
+
+    // Only trust the shift when it explains more of the page than comparing in place does
+    if (shift.score >= minAlignmentScore && shift.score > shift.unshiftedScore) {
+      const aligned = alignVertically(shorter, taller, shift);
+      return {
+        width: taller.width,
+        height: taller.height,
+        baseline: currentIsTaller ? aligned : baseline,
+        current: currentIsTaller ? current : aligned,
+        bands: [{
+          type: currentIsTaller ? 'added' : 'removed',
+          x: 0,
+          y: shift.split,
+          width: taller.width,
+          height: shift.delta
+        }],
+        strategy: 'align',
+        shift
+      };
+    }
+  }
+
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  return {
+    width,
+    height,
+    baseline: padTo(baseline, current, width, height),
+    current: padTo(current, baseline, width, height),
+    bands: [
+      ...uncoveredAreas(baseline, current).map(area => ({ type: 'added', ...area })),
+      ...uncoveredAreas(current, baseline).map(area => ({ type: 'removed', ...area }))
+    ],
+    strategy: 'pad',
+    shift: null
+  };
+}
+
+// Tints added/removed bands in the diff image, with a solid edge line where the band starts and ends
+export function markBands(diff, bands, colors = BAND_COLORS) {
+  for (const band of bands) {
+    const [red, green, blue] = colors[band.type];
+    for (let y = band.y; y < band.y + band.height; y++) {
+      const edge = y === band.y || y === band.y + band.height - 1;
+      for (let x = band.x; x < band.x + band.width; x++) {
+        const offset = (y * diff.width + x) * 4;
+        const mix = edge ? 1 : 0.35;
+        diff.data[offset] = Math.round(diff.data[offset] * (1 - mix) + red * mix);
+        diff.data[offset + 1] = Math.round(diff.data[offset + 1] * (1 - mix) + green * mix);
+        diff.data[offset + 2] = Math.round(diff.data[offset + 2] * (1 - mix) + blue * mix);
+        diff.data[offset + 3] = 255;
+      }
+    }
+  }
+  return diff;
+}
+
+/**
+ * Map a canvas rectangle back to 'current' or 'baseline' screenshot pixels.
+ * Only an aligned canvas differs from the images' own coordinates: rows below the band are shifted.
+ */
+export function toImageRect(canvas, rect, image = 'current') {
+  const band = canvas.strategy === 'align' ? canvas.bands[0] : null;
+  const shorter = band?.type === 'added' ? 'baseline' : 'current';
+  if (!band || image !== shorter) return { ...rect };
+
+  const mapY = y => (y >= band.y + band.height ? y - band.height : Math.min(y, band.y));
+  const top = mapY(rect.y);
+  const bottom = mapY(rect.y + rect.height);
+  return { x: rect.x, y: top, width: rect.width, height: Math.max(1, bottom - top) };
+}
+
+// Inverse of toImageRect: screenshot pixels of 'current' or 'baseline' to canvas pixels
+export function toCanvasRect(canvas, rect, image = 'current') {
+  const band = canvas.strategy === 'align' ? canvas.bands[0] : null;
+  const shorter = band?.type === 'added' ? 'baseline' : 'current';
+  if (!band || image !== shorter) return { ...rect };
+
+  const mapY = y => (y >= band.y ? y + band.height : y);
+  const top = mapY(rect.y);
+  return { x: rect.x, y: top, width: rect.width, height: mapY(rect.y + rect.height) - top };
+}
+
+export function bandArea(bands) {
+  return bands.reduce((sum, band) => sum + band.width * band.height, 0);
+}
+
+export default alignImages;
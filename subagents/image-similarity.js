@@ -0,0 +1,325 @@
+/**
+ * Image Similarity - Pixel, structural and perceptual comparison of PNG screenshots
+ * Used to score how visually alike two screenshots (or two sets of screenshots) are
+ */
+
+import fs from 'fs';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+const DIFF_COLOR = [255, 0, 0];
+
+export const SIMILARITY_WEIGHTS = {
+  pixel: 0.4,
+  ssim: 0.4,
+  phash: 0.2
+};
+
+export function loadPNG(source) {
+  if (source instanceof PNG || (source && source.data && source.width)) return source;
+  return PNG.sync.read(Buffer.isBuffer(source) ? source : fs.readFileSync(source));
+}
+
+// Copies the top-left width x height area so images of different sizes can be compared
+export function cropImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+
+  const cropped = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    const start = y * image.width * 4;
+    image.data.copy(cropped.data, y * width * 4, start, start + width * 4);
+  }
+  return cropped;
+}
+
+function toGrayscale(image) {
+  const gray = new Float64Array(image.width * image.height);
+  for (let i = 0; i < gray.length; i++) {
+    const offset = i * 4;
+    gray[i] = 0.299 * image.data[offset] + 0.587 * image.data[offset + 1] + 0.114 * image.data[offset + 2];
+  }
+  return gray;
+}
+
+/**
+ * Mean SSIM over non-overlapping 8x8 windows of the luminance channel.
+ * Returns 1 for identical images and approaches 0 for unrelated ones.
+ */
+export function computeSSIM(imageA, imageB) {
+  const { width, height } = imageA;
+  const grayA = toGrayscale(imageA);
+  const grayB = toGrayscale(imageB);
+
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top < height; top += SSIM_WINDOW) {
+    for (let left = 0; left < width; left += SSIM_WINDOW) {
+      const bottom = Math.min(top + SSIM_WINDOW, height);
+      const right = Math.min(left + SSIM_WINDOW, width);
+      const count = (bottom - top) * (right - left);
+
+      let sumA = 0, sumB = 0;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          sumA += grayA[y * width + x];
+          sumB += grayB[y * width + x];
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+
+      let varA = 0, varB = 0, covariance = 0;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const a = grayA[y * width + x] - meanA;
+          const b = grayB[y * width + x] - meanB;
+          varA += a * a;
+          varB += b * b;
+          covariance += a * b;
+        }
+      }
+      varA /= count;
+      varB /= count;
+      covariance /= count;
+
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA ** 2 + meanB ** 2 + SSIM_C1) * (varA + varB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return windows === 0 ? 1 : total / windows;
+}
+
+/**
+ * 64-bit DCT perceptual hash, returned as a 16 character hex string.
+ */
+export function perceptualHash(image) {
+  const size = 32;
+  const gray = toGrayscale(image);
+
+  // Box-filter the image down to 32x32
+  const small = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const x0 = Math.floor(x * image.width / size);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * image.width / size));
+      const y0 = Math.floor(y * image.height / size);
+      const y1 = Math.max(y0 + 1, Math.floor((y + 1) * image.height / size));
+
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          sum += gray[Math.min(sy, image.height - 1) * image.width + Math.min(sx, image.width - 1)];
+        }
+      }
+      small[y * size + x] = sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+
+  // Low frequency 8x8 block of the 2D DCT, skipping the DC term
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      if (u === 0 && v === 0) continue;
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          sum += small[y * size + x] *
+            Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size)) *
+            Math.cos(((2 * y + 1) * v * Math.PI) / (2 * size));
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const median = [...coefficients].sort((a, b) => a - b)[Math.floor(coefficients.length / 2)];
+  const bits = [0, ...coefficients.map(value => (value > median ? 1 : 0))];
+
+  let hash = '';
+  for (let i = 0; i < 64; i += 4) {
+    hash += parseInt(bits.slice(i, i + 4).join(''), 2).toString(16);
+  }
+  return hash;
+}
+
+export function hammingDistance(hashA, hashB) {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let bits = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Share of differing pixels in each cell of a rows x cols grid, from a pixelmatch diff mask.
+ */
+export function regionDifferences(diffMask, { rows = 4, cols = 4 } = {}) {
+  const { width, height, data } = diffMask;
+  const regions = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x0 = Math.floor(col * width / cols);
+      const x1 = Math.floor((col + 1) * width / cols);
+      const y0 = Math.floor(row * height / rows);
+      const y1 = Math.floor((row + 1) * height / rows);
+
+      let differing = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const offset = (y * width + x) * 4;
+          if (data[offset] === DIFF_COLOR[0] && data[offset + 1] === DIFF_COLOR[1] &&
+              data[offset + 2] === DIFF_COLOR[2] && data[offset + 3] > 0) {
+            differing++;
+          }
+        }
+      }
+
+      const area = Math.max(1, (x1 - x0) * (y1 - y0));
+      regions.push({
+        row,
+        col,
+        x: x0,
+        y: y0,
+        width: x1 - x0,
+        height: y1 - y0,
+        diffRatio: differing / area
+      });
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Compare two PNGs (paths, buffers or decoded images).
+ * Images of different sizes are compared over their shared area; the rest counts as changed pixels.
+ */
+export function compareImages(sourceA, sourceB, options = {}) {
+  const { threshold = 0.1, grid = { rows: 4, cols: 4 }, weights = SIMILARITY_WEIGHTS } = options;
+
+  const imageA = loadPNG(sourceA);
+  const imageB = loadPNG(sourceB);
+  const width = Math.min(imageA.width, imageB.width);
+  const height = Math.min(imageA.height, imageB.height);
+  const croppedA = cropImage(imageA, width, height);
+  const croppedB = cropImage(imageB, width, height);
+
+  const diffMask = new PNG({ width, height });
+  const differingPixels = pixelmatch(croppedA.data, croppedB.data, diffMask.data, width, height, {
+    threshold,
+    diffMask: true,
+    diffColor: DIFF_COLOR
+  });
+
+  const totalArea = Math.max(imageA.width, imageB.width) * Math.max(imageA.height, imageB.height);
+  const missingPixels = totalArea - width * height;
+  const pixelDiffRatio = totalArea === 0 ? 0 : (differingPixels + missingPixels) / totalArea;
+
+  const ssim = computeSSIM(croppedA, croppedB);
+  const hashA = perceptualHash(imageA);
+  const hashB = perceptualHash(imageB);
+  const phashDistance = hammingDistance(hashA, hashB);
+
+  const similarity =
+    (1 - pixelDiffRatio) * weights.pixel +
+    Math.max(0, ssim) * weights.ssim +
+    (1 - phashDistance / 64) * weights.phash;
+
+  return {
+    width,
+    height,
+    sizeMismatch: imageA.width !== imageB.width || imageA.height !== imageB.height
+      ? { a: { width: imageA.width, height: imageA.height }, b: { width: imageB.width, height: imageB.height } }
+      : null,
+    differingPixels,
+    pixelDiffRatio,
+    ssim,
+    phash: { a: hashA, b: hashB, distance: phashDistance },
+    regions: regionDifferences(diffMask, grid),
+    similarity
+  };
+}
+
+/**
+ * Key used to pair screenshots across variations: the filename without its date suffix,
+ * e.g. "homepage-viewport-375x667-desktop-large-2024-01-31.png" -> "homepage-viewport-375x667-desktop-large".
+ */
+export function screenshotKey(filePath) {
+  return path.basename(filePath)
+    .replace(/\.png$/i, '')
+    .replace(/-\d{4}-\d{2}-\d{2}$/, '');
+}
+
+// Approved baseline for a capture, shared by the slash commands and the screenshot scripts:
+// "homepage-full-page-desktop-large-2024-01-31.png" -> "homepage-full-page-desktop-large.png"
+export function baselineNameFor(filePath) {
+  return `${screenshotKey(filePath)}.png`;
+}
+
+// Keeps the most recent file for each key
+function indexScreenshots(paths) {
+  const index = new Map();
+  for (const filePath of paths) {
+    const key = screenshotKey(filePath);
+    const existing = index.get(key);
+    if (!existing || fs.statSync(filePath).mtimeMs > fs.statSync(existing).mtimeMs) {
+      index.set(key, filePath);
+    }
+  }
+  return index;
+}
+
+/**
+ * Compare two sets of screenshots, pairing them by page name and viewport.
+ */
+export function compareScreenshotSets(pathsA, pathsB, options = {}) {
+  const indexA = indexScreenshots(pathsA);
+  const indexB = indexScreenshots(pathsB);
+
+  const pairs = [];
+  for (const [key, pathA] of indexA) {
+    const pathB = indexB.get(key);
+    if (!pathB) continue;
+
+    try {
+      pairs.push({ key, a: pathA, b: pathB, ...compareImages(pathA, pathB, options) });
+    } catch (error) {
+      pairs.push({ key, a: pathA, b: pathB, error: error.message });
+    }
+  }
+
+  const scored = pairs.filter(pair => pair.error === undefined);
+  const average = property => (scored.length === 0
+    ? null
+    : scored.reduce((sum, pair) => sum + property(pair), 0) / scored.length);
+
+  return {
+    pairs,
+    unmatched: {
+      a: [...indexA.keys()].filter(key => !indexB.has(key)),
+      b: [...indexB.keys()].filter(key => !indexA.has(key))
+    },
+    summary: {
+      matched: scored.length,
+      similarity: average(pair => pair.similarity),
+      pixelDiffRatio: average(pair => pair.pixelDiffRatio),
+      ssim: average(pair => pair.ssim),
+      phashDistance: average(pair => pair.phash.distance)
+    }
+  };
+}
+
+export default compareImages;
@@ -0,0 +1,188 @@
+/**
+ * Interaction States - Puts elements into hover, focus, active, disabled and expanded states
+ * and walks the keyboard tab order for focus-ring screenshots
+ */
+
+import { installPageHelpers } from './page-helpers.js';
+
+export const INTERACTION_STATES = ['default', 'hover', 'focus-visible', 'active', 'disabled', 'expanded'];
+
+// Element box in document coordinates
+export async function documentBox(page, locator) {
+  const box = await locator.boundingBox();
+  if (!box) return null;
+
+  const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+  return { x: box.x + scroll.x, y: box.y + scroll.y, width: box.width, height: box.height };
+}
+
+/**
+ * Smallest rectangle containing every box, grown by `padding` so focus rings and shadows
+ * drawn outside the element stay in the capture. Clamped to the document.
+ */
+export async function captureClip(page, boxes, padding = 8) {
+  const present = boxes.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const documentSize = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight
+  }));
+
+  const left = Math.max(0, Math.floor(Math.min(...present.map(box => box.x)) - padding));
+  const top = Math.max(0, Math.floor(Math.min(...present.map(box => box.y)) - padding));
+  const right = Math.min(documentSize.width, Math.ceil(Math.max(...present.map(box => box.x + box.width)) + padding));
+  const bottom = Math.min(documentSize.height, Math.ceil(Math.max(...present.map(box => box.y + box.height)) + padding));
+
+  return { x: left, y: top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+}
+
+// Back to the resting state: pointer away from the page content, nothing focused
+export async function resetInteraction(page) {
+  await page.mouse.up().catch(() => {});
+  await page.mouse.move(0, 0);
+  await page.evaluate(() => document.activeElement?.blur?.());
+}
+
+/**
+ * Put `locator` into `state`. Returns { restore, extraBoxes } where `restore` undoes the state
+ * and `extraBoxes` are additional areas to capture (the opened menu for 'expanded').
+ */
+export async function enterState(page, locator, state, options = {}) {
+  await resetInteraction(page);
+  const noop = { restore: async () => {}, extraBoxes: [] };
+
+  switch (state) {
+    case 'default':
+      return noop;
+
+    case 'hover':
+      await locator.hover();
+      return { restore: () => resetInteraction(page), extraBoxes: [] };
+
+    case 'focus-visible':
+      // A key press puts the browser in keyboard modality, so the focus below matches :focus-visible
+      await page.keyboard.press('Shift');
+      await locator.focus();
+      return { restore: () => resetInteraction(page), extraBoxes: [] };
+
+    case 'active': {
+      await locator.hover();
+      await page.mouse.down();
+      // Releasing away from the element keeps the press from becoming a click
+      return {
+        restore: async () => {
+          await page.mouse.move(0, 0);
+          await page.mouse.up();
+        },
+        extraBoxes: []
+      };
+    }
+
+    case 'disabled': {
+      const original = await locator.evaluate(element => {
+        const previous = {
+          disabled: element.getAttribute('disabled'),
+          ariaDisabled: element.getAttribute('aria-disabled')
+        };
+        element.setAttribute('disabled', '');
+        element.setAttribute('aria-disabled', 'true');
+        return previous;
+      });
+      return {
+        restore: () => locator.evaluate((element, previous) => {
+          const reset = (name, value) => (value === null ? element.removeAttribute(name) : element.setAttribute(name, value));
+          reset('disabled', previous.disabled);
+          reset('aria-disabled', previous.ariaDisabled);
+        }, original),
+        extraBoxes: []
+      };
+    }
+
+    case 'expanded': {
+      const urlBefore = page.url();
+      await locator.click();
+      await page.waitForTimeout(options.settleDelay ?? 300);
+
+      if (page.url() !== urlBefore) {
+        await page.goBack();
+        throw new Error('Clicking the element navigated away; it has no expanded state');
+      }
+
+      // The opened content: an explicit selector, or the element referenced by aria-controls
+      const targetSelector = options.expandedTarget || await locator.evaluate(element => {
+        const id = element.getAttribute('aria-controls');
+        return id ? `#${CSS.escape(id)}` : null;
+      });
+      const target = targetSelector ? page.locator(targetSelector).first() : null;
+      const targetBox = target && await target.isVisible() ? await documentBox(page, target) : null;
+
+      return {
+        restore: async () => {
+          await page.keyboard.press('Escape');
+          const stillOpen = await locator.getAttribute('aria-expanded') === 'true'
+            || (target ? await target.isVisible() : false);
+          if (stillOpen) await locator.click();
+          await resetInteraction(page);
+        },
+        extraBoxes: targetBox ? [targetBox] : []
+      };
+    }
+
+    default:
+      throw new Error(`Unknown interaction state "${state}". Use one of: ${INTERACTION_STATES.join(', ')}`);
+  }
+}
+
+// Runs inside the page; describes the focused element and whether a focus indicator is drawn
+function activeElementScript() {
+  const element = document.activeElement;
+  if (!element || element === document.body || element === document.documentElement) return null;
+
+  const { selectorFor } = window.__uiWorkflowHelpers;
+  const style = getComputedStyle(element);
+  const rect = element.getBoundingClientRect();
+  const outline = style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0;
+  const shadow = style.boxShadow && style.boxShadow !== 'none';
+
+  return {
+    selector: selectorFor(element),
+    tag: element.tagName.toLowerCase(),
+    role: element.getAttribute('role'),
+    text: (element.getAttribute('aria-label') || element.textContent || element.value || '').trim().replace(/\s+/g, ' ').slice(0, 60),
+    focusVisible: element.matches(':focus-visible'),
+    hasFocusIndicator: outline || Boolean(shadow),
+    box: {
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+      width: rect.width,
+      height: rect.height
+    }
+  };
+}
+
+/**
+ * Press Tab through the page and describe each stop. Stops when focus leaves the document,
+ * comes back to the first stop, or after `maxStops`.
+ * @param {Function} onStop - called with each stop while it is focused (e.g. to screenshot it)
+ */
+export async function walkFocusOrder(page, { maxStops = 25, onStop = async () => {} } = {}) {
+  await installPageHelpers(page);
+  await resetInteraction(page);
+  const stops = [];
+
+  for (let index = 0; index < maxStops; index++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(activeElementScript);
+    if (!stop || (stops.length > 0 && stop.selector === stops[0].selector)) break;
+
+    stop.index = index + 1;
+    Object.assign(stop, await onStop(stop));
+    stops.push(stop);
+  }
+
+  await resetInteraction(page);
+  return stops;
+}
+
+export default enterState;
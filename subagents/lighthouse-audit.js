@@ -0,0 +1,179 @@
+/**
+ * Lighthouse Audit - Runs Lighthouse against the current Chromium session through its remote debugging port
+ * and maps failing audits onto the findings and severity model used by the other analyses
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { describeThrottling } from './throttling.js';
+
+export const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+
+// Audits scoring below this count as failing, matching Lighthouse's own green threshold
+const PASSING_SCORE = 0.9;
+
+// Audits without a pass/fail score
+const UNSCORED_MODES = ['notApplicable', 'manual', 'informative', 'error'];
+
+// Lighthouse's desktop preset, used for desktop devices when the session isn't throttled
+const DESKTOP_THROTTLING = {
+  rttMs: 40,
+  throughputKbps: 10 * 1024,
+  cpuSlowdownMultiplier: 1,
+  requestLatencyMs: 0,
+  downloadThroughputKbps: 0,
+  uploadThroughputKbps: 0
+};
+
+/**
+ * Weight is the audit's share of its category score: accessibility uses 10/7/3/1 for axe impacts,
+ * performance metrics 10-30, diagnostics and opportunities 0.
+ */
+export function auditSeverity(score, weight) {
+  if (weight >= 7) return score < 0.5 ? 'critical' : 'major';
+  if (weight > 0) return score < 0.5 ? 'major' : 'minor';
+  return score < 0.5 ? 'minor' : 'info';
+}
+
+// Category scores on the familiar 0-100 scale
+export function lighthouseScores(lhr) {
+  return Object.fromEntries(Object.entries(lhr.categories).map(([id, category]) =>
+    [id, category.score === null ? null : Math.round(category.score * 100)]));
+}
+
+// Failing audits of the audited categories as findings, worst first
+export function mapLighthouseFindings(lhr) {
+  const references = new Map(); // audit id -> { categories, weight }
+  for (const [categoryId, category] of Object.entries(lhr.categories)) {
+    for (const ref of category.auditRefs) {
+      const entry = references.get(ref.id) || { categories: [], weight: 0 };
+      entry.categories.push(categoryId);
+      entry.weight = Math.max(entry.weight, ref.weight);
+      references.set(ref.id, entry);
+    }
+  }
+
+  const order = ['critical', 'major', 'minor', 'info'];
+  return Object.values(lhr.audits)
+    .filter(audit => references.has(audit.id) && !UNSCORED_MODES.includes(audit.scoreDisplayMode))
+    .filter(audit => audit.score !== null && audit.score < PASSING_SCORE)
+    .map(audit => {
+      const { categories, weight } = references.get(audit.id);
+      const items = audit.details?.items || [];
+      return {
+        id: audit.id,
+        category: categories[0],
+        categories,
+        severity: auditSeverity(audit.score, weight),
+        description: audit.displayValue ? `${audit.title} (${audit.displayValue})` : audit.title,
+        score: audit.score,
+        weight,
+        help: audit.description,
+        elements: items.map(item => item.node?.selector).filter(Boolean).slice(0, 5),
+        ...(audit.details?.overallSavingsMs ? { savingsMs: Math.round(audit.details.overallSavingsMs) } : {}),
+        ...(audit.details?.overallSavingsBytes ? { savingsBytes: Math.round(audit.details.overallSavingsBytes) } : {})
+      };
+    })
+    .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || b.weight - a.weight);
+}
+
+/**
+ * Lighthouse flags that reproduce the session: the device's viewport and user agent, the session's
+ * throttling profile (or Lighthouse's simulated defaults), and its cookies and Authorization header,
+ * since Lighthouse loads the page in a new tab outside the session's browser context.
+ */
+export async function lighthouseFlags(navigationAgent, { categories = LIGHTHOUSE_CATEGORIES, url } = {}) {
+  const { viewport, deviceScaleFactor, isMobile, userAgent } = navigationAgent.getDeviceConfig();
+
+  const cookies = await navigationAgent.context.cookies(url);
+  const auth = navigationAgent.auth;
+  const extraHeaders = {
+    ...(cookies.length > 0 ? { Cookie: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') } : {}),
+    ...(auth?.authorization && new URL(url).origin === auth.origin ? { Authorization: auth.authorization } : {})
+  };
+
+  const throttling = navigationAgent.throttling?.applied ? navigationAgent.throttling.profile : null;
+  const network = throttling?.network;
+
+  return {
+    onlyCategories: categories,
+    formFactor: isMobile ? 'mobile' : 'desktop',
+    screenEmulation: { mobile: isMobile, width: viewport.width, height: viewport.height, deviceScaleFactor, disabled: false },
+    ...(userAgent ? { emulatedUserAgent: userAgent } : {}),
+    ...(throttling
+      ? {
+          throttlingMethod: 'devtools',
+          throttling: {
+            requestLatencyMs: network?.latency || 0,
+            downloadThroughputKbps: network?.downloadKbps || 0,
+            uploadThroughputKbps: network?.uploadKbps || 0,
+            cpuSlowdownMultiplier: throttling.cpu || 1
+          }
+        }
+      : isMobile ? {} : { throttlingMethod: 'simulate', throttling: DESKTOP_THROTTLING }),
+    ...(Object.keys(extraHeaders).length > 0 ? { extraHeaders } : {}),
+    logLevel: 'error'
+  };
+}
+
+// How the audit was throttled, for reports
+export function describeLighthouseThrottling(flags, navigationAgent) {
+  if (flags.throttlingMethod === 'devtools') return describeThrottling(navigationAgent.throttling.profile);
+  return `Lighthouse simulated (${flags.formFactor})`;
+}
+
+/**
+ * Audit the navigation agent's current URL. Needs Chromium launched with a remote debugging port
+ * (NavigationAgent does this when remoteDebuggingPort is set; /start-session --lighthouse sets it) and playwright-lighthouse with lighthouse installed.
+ */
+export async function runLighthouse(navigationAgent, { categories = LIGHTHOUSE_CATEGORIES, reportDir = path.join('reports', 'lighthouse') } = {}) {
+  const unknown = categories.filter(category => !LIGHTHOUSE_CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown Lighthouse categor${unknown.length > 1 ? 'ies' : 'y'} ${unknown.join(', ')}. Use: ${LIGHTHOUSE_CATEGORIES.join(', ')}`);
+  }
+  if (navigationAgent.getBrowserType().name() !== 'chromium') {
+    throw new Error(`Lighthouse needs Chromium; this session runs ${navigationAgent.options.browser}`);
+  }
+  if (!navigationAgent.debugPort) {
+    throw new Error('Lighthouse needs the browser\'s remote debugging port, which is closed by default; start the session with --lighthouse or set REMOTE_DEBUGGING_PORT');
+  }
+
+  let playAudit;
+  try {
+    ({ playAudit } = await import('playwright-lighthouse'));
+  } catch (error) {
+    throw new Error('Lighthouse audits need playwright-lighthouse and lighthouse: npm install -D playwright-lighthouse lighthouse');
+  }
+
+  const { page } = navigationAgent;
+  const url = page.url();
+  const flags = await lighthouseFlags(navigationAgent, { categories, url });
+
+  const results = await playAudit({
+    page,
+    port: navigationAgent.debugPort,
+    // Scores are reported, not gated here
+    thresholds: Object.fromEntries(categories.map(category => [category, 0])),
+    opts: flags,
+    ignoreError: true,
+    ignoreBrowserName: true, // device profiles may report a Safari user agent
+    disableLogs: true
+  });
+
+  const { lhr } = results;
+  if (lhr.runtimeError) {
+    throw new Error(`Lighthouse failed: ${lhr.runtimeError.message}`);
+  }
+
+  fs.mkdirSync(reportDir, { recursive: true });
+  const lhrPath = path.join(reportDir, `lighthouse-${Date.now()}.json`);
+  fs.writeFileSync(lhrPath, JSON.stringify(lhr, null, 2));
+
+  return {
+    lhr,
+    lhrPath,
+    throttling: describeLighthouseThrottling(flags, navigationAgent)
+  };
+}
+
+export default runLighthouse;
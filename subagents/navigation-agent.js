@@ -3,8 +3,34 @@
  * Part of the AI-driven front-end design workflow
  */
 
+import net from 'net';
 import { chromium, firefox, webkit } from '@playwright/test';
 import { deviceProfiles } from '../config/device-profiles.js';
+import {
+  resolveDeterministicOptions,
+  deterministicInitScript,
+  isBlockedHost,
+  settlePage,
+  releasePage
+} from './deterministic-mode.js';
+import { NetworkRecorder, resolveNetworkOptions } from './network-recorder.js';
+import { ApiMocks, loadMockDefinitions } from './api-mocks.js';
+import { AuthProfiles } from './auth-profiles.js';
+import { vitalsInitScript } from './web-vitals.js';
+import { applyThrottling, describeThrottling, resolveThrottlingProfile } from './throttling.js';
+
+// Asks the OS for an unused local port; another process could take it before Chromium binds it, which is unlikely
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
 
 export class NavigationAgent {
   constructor(options = {}) {
@@ -13,9 +39,40 @@ export class NavigationAgent {
       device: 'desktop.large',
       headless: process.env.HEADLESS !== 'false',
       timeout: 30000,
+      deterministic: process.env.DETERMINISTIC === 'true', // true or { time, clock, seed, blockHosts, ... }
+      network: process.env.NETWORK_MODE
+        ? { mode: process.env.NETWORK_MODE, har: process.env.NETWORK_HAR, strict: process.env.NETWORK_STRICT === 'true' }
+        : null, // 'record' | 'replay' or { mode, har, urlFilter, strict, overrides }
+      mocks: {
+        config: process.env.MOCK_CONFIG || null, // defaults to config/api-mocks.json or config/api-mocks.js
+        scenarios: process.env.MOCK_SCENARIOS ? process.env.MOCK_SCENARIOS.split(',') : []
+      },
+      // colorScheme, forcedColors, reducedMotion, contrast, locale, timezoneId, geolocation { latitude, longitude }
+      emulation: {
+        ...(process.env.COLOR_SCHEME ? { colorScheme: process.env.COLOR_SCHEME } : {}),
+        ...(process.env.LOCALE ? { locale: process.env.LOCALE } : {}),
+        ...(process.env.TIMEZONE ? { timezoneId: process.env.TIMEZONE } : {})
+      },
+      sharedBrowser: null, // launched browser to open the context in; left open on close()
+      vitals: process.env.VITALS !== 'false', // install the web vitals collector before every navigation
+      storageState: null, // path or object with cookies and localStorage to start the context with
+      auth: process.env.AUTH_PROFILE || null, // auth profile name, inline profile, or { profile, refresh }
+      // Chromium remote debugging port for Lighthouse: 0 picks a free port, null (default) leaves it closed,
+      // since any local process can take over the browser through it. REMOTE_DEBUGGING_PORT takes a port or "auto"
+      remoteDebuggingPort: process.env.REMOTE_DEBUGGING_PORT ? Number(process.env.REMOTE_DEBUGGING_PORT) || 0 : null,
+      throttling: process.env.THROTTLING || null, // profile name or { network, cpu }; defaults to the device profile's throttling
       ...options
     };
     
+    this.deterministic = resolveDeterministicOptions(this.options.deterministic);
+    this.networkOptions = resolveNetworkOptions(this.options.network);
+    this.network = null;
+    this.mocks = null;
+    this.authProfiles = new AuthProfiles();
+    this.auth = null;
+    this.throttling = null;
+    this.cdpSession = null;
+    this.debugPort = null;
     this.browser = null;
     this.context = null;
     this.page = null;
@@ -25,31 +82,143 @@ export class NavigationAgent {
   async initialize() {
     console.log(`🌐 Initializing Navigation Agent (${this.options.browser})...`);
     
-    // Launch browser based on configuration
-    const browserType = this.getBrowserType();
-    this.browser = await browserType.launch({
-      headless: this.options.headless,
-      args: ['--disable-web-security', '--allow-running-insecure-content']
-    });
+    // Launch browser based on configuration, or open a context in a browser shared with other agents
+    this.browser = this.options.sharedBrowser || await this.launchBrowser();
 
     // Create context with device configuration
     const deviceConfig = this.getDeviceConfig();
+    if (this.options.auth) {
+      const { profile, refresh } = this.options.auth.profile ? this.options.auth : { profile: this.options.auth };
+      this.auth = await this.authProfiles.prepare(this.browser, profile, { contextOptions: deviceConfig, refresh });
+    }
+
+    // A resumed session's own storage state is newer than the profile's login
+    const storageState = this.options.storageState || this.auth?.storageState;
     this.context = await this.browser.newContext({
       ...deviceConfig,
+      ...this.getEmulationConfig(),
       ignoreHTTPSErrors: true,
-      bypassCSP: true
+      bypassCSP: true,
+      ...(storageState ? { storageState } : {})
     });
 
+    if (this.options.vitals) {
+      await this.context.addInitScript(vitalsInitScript);
+    }
+
+    // Routes run most-recently-registered first: overrides, HAR, deterministic blocking, strict guard
+    if (this.networkOptions) {
+      this.network = new NetworkRecorder(this.context, this.networkOptions);
+      await this.network.installFallback();
+    }
+
+    if (this.deterministic) {
+      await this.setupDeterministicMode();
+    }
+
+    if (this.network) {
+      await this.network.installRoutes();
+    }
+
+    if (this.auth?.authorization) {
+      await this.installAuthorizationHeader(this.auth);
+    }
+
     // Create new page
     this.page = await this.context.newPage();
+    if (this.network) {
+      this.network.trackPage(this.page);
+    }
+
+    const throttling = this.options.throttling || this.getDeviceProfile().throttling;
+    if (throttling) {
+      await this.setThrottling(throttling);
+    }
+
+    // Page routes run before the context's HAR and deterministic routes
+    const mockOptions = this.options.mocks || {};
+    this.mocks = new ApiMocks(this.page, mockOptions.definitions || await loadMockDefinitions(mockOptions.config));
+    if (mockOptions.scenarios?.length > 0) {
+      await this.mocks.enable(mockOptions.scenarios);
+    }
     
     // Setup error handling
     await this.setupErrorHandling();
+    this.setupResourceTracking();
     
     console.log(`✅ Navigation Agent ready`);
     return this;
   }
 
+  async setupDeterministicMode() {
+    const { time, clock, seed, blockHosts } = this.deterministic;
+    console.log(`🧊 Deterministic mode: clock ${clock} at ${time}, seed ${seed}, ${blockHosts.length} blocked host(s)`);
+
+    await this.context.addInitScript(deterministicInitScript, { time, clock, seed });
+
+    if (blockHosts.length > 0) {
+      // fallback() rather than continue() so later routes (mocks, HAR replay) still apply
+      await this.context.route('**/*', route => {
+        const { hostname } = new URL(route.request().url());
+        return isBlockedHost(hostname, blockHosts) ? route.abort('blockedbyclient') : route.fallback();
+      });
+    }
+  }
+
+  // Settle fonts, images and media before a screenshot; pair with releaseAfterCapture
+  async prepareForCapture() {
+    if (!this.deterministic) return null;
+    return settlePage(this.page, this.deterministic.settleTimeout);
+  }
+
+  async releaseAfterCapture() {
+    if (!this.deterministic) return;
+    await releasePage(this.page);
+  }
+
+  /**
+   * Run `action` with exactly the given mock scenarios active, reloading the page so its
+   * requests hit the mocks; the previous scenarios are restored (and the page reloaded) afterwards.
+   */
+  async withMockScenarios(scenarios, action) {
+    if (!scenarios || scenarios.length === 0) return action();
+
+    this.mocks.assertKnown(scenarios);
+    const previous = this.mocks.activeScenarios();
+    try {
+      await this.mocks.use(scenarios);
+      await this.reload();
+      return await action();
+    } finally {
+      await this.mocks.use(previous);
+      await this.reload();
+    }
+  }
+
+  async reload() {
+    await this.page.reload({ waitUntil: 'networkidle', timeout: this.options.timeout });
+    await this.waitForStableState();
+    this.assertNetworkReplay();
+  }
+
+  // Fails the capture when strict HAR replay had to abort requests missing from the recording
+  assertNetworkReplay() {
+    if (this.network) this.network.assertComplete();
+  }
+
+  async launchBrowser() {
+    const args = ['--disable-web-security', '--allow-running-insecure-content'];
+    if (this.getBrowserType() === chromium && this.options.remoteDebuggingPort !== null) {
+      this.debugPort = this.options.remoteDebuggingPort || await findFreePort();
+      args.push(`--remote-debugging-port=${this.debugPort}`);
+    }
+
+    return this.getBrowserType().launch({
+      headless: this.options.headless,
+      args
+    });
+  }
+
   getBrowserType() {
     switch (this.options.browser.toLowerCase()) {
       case 'firefox':
@@ -62,9 +231,13 @@ export class NavigationAgent {
     }
   }
 
-  getDeviceConfig() {
+  getDeviceProfile() {
     const [category, device] = this.options.device.split('.');
-    const profile = deviceProfiles[category]?.[device] || deviceProfiles.desktop.large;
+    return deviceProfiles[category]?.[device] || deviceProfiles.desktop.large;
+  }
+
+  getDeviceConfig() {
+    const profile = this.getDeviceProfile();
     
     return {
       viewport: { width: profile.width, height: profile.height },
@@ -75,6 +248,54 @@ export class NavigationAgent {
     };
   }
 
+  // Media features, locale, timezone and geolocation for the browser context
+  getEmulationConfig() {
+    const { colorScheme, forcedColors, reducedMotion, contrast, locale, timezoneId, geolocation } = this.options.emulation || {};
+
+    return {
+      ...(colorScheme ? { colorScheme } : {}),
+      ...(forcedColors ? { forcedColors } : {}),
+      ...(reducedMotion ? { reducedMotion } : {}),
+      // Playwright 1.51+
+      ...(contrast ? { contrast } : {}),
+      ...(locale ? { locale } : {}),
+      ...(timezoneId ? { timezoneId } : {}),
+      ...(geolocation ? { geolocation, permissions: ['geolocation'] } : {})
+    };
+  }
+
+  /**
+   * Switch network and CPU throttling on the live page (Chromium only). Returns the previous
+   * profile so callers can restore it; 'none' or null turns throttling off.
+   */
+  async setThrottling(nameOrProfile) {
+    const previous = this.throttling?.profile || null;
+    const profile = resolveThrottlingProfile(nameOrProfile || 'none');
+    const { client, ...state } = await applyThrottling(this.page, profile, {
+      browserName: this.getBrowserType().name(),
+      client: this.cdpSession
+    });
+
+    this.cdpSession = client;
+    this.throttling = profile.name === 'none' ? null : state;
+    return previous;
+  }
+
+  // Throttling as recorded in reports, so runs under different conditions aren't compared
+  getThrottling() {
+    if (!this.throttling) return { profile: 'none', description: 'none', applied: false };
+
+    const { profile, applied, reason } = this.throttling;
+    return {
+      profile: profile.name,
+      description: describeThrottling(profile),
+      network: profile.network || null,
+      cpu: profile.cpu || 1,
+      applied,
+      ...(reason ? { reason } : {})
+    };
+  }
+
   async setupErrorHandling() {
     this.errors = [];
     
@@ -103,6 +324,11 @@ export class NavigationAgent {
 
     // Capture network failures
     this.page.on('requestfailed', request => {
+      // Hosts blocked by deterministic mode are not failures of the page
+      if (this.deterministic && isBlockedHost(new URL(request.url()).hostname, this.deterministic.blockHosts)) {
+        return;
+      }
+
       this.errors.push({
         type: 'network',
         message: `Failed to load: ${request.url()}`,
@@ -113,6 +339,38 @@ export class NavigationAgent {
     });
   }
 
+  /**
+   * Record every finished request of the current page (type, transfer size, status) for
+   * performance budgets; the list starts over with each main-frame navigation.
+   */
+  setupResourceTracking() {
+    this.resources = [];
+
+    this.page.on('request', request => {
+      if (request.isNavigationRequest() && request.frame() === this.page.mainFrame()) {
+        this.resources = [];
+      }
+    });
+
+    this.page.on('requestfinished', async request => {
+      // Sizes resolve after the next navigation may have started; keep the entry with its own page
+      const resources = this.resources;
+      const sizes = await request.sizes().catch(() => null);
+      const response = await request.response().catch(() => null);
+      resources.push({
+        url: request.url(),
+        type: request.resourceType(),
+        status: response?.status() ?? null,
+        // Encoded body size, i.e. what went over the wire
+        bytes: sizes ? sizes.responseBodySize + sizes.responseHeadersSize : 0
+      });
+    });
+  }
+
+  getResources() {
+    return [...(this.resources || [])];
+  }
+
   async navigateToUrl(url, options = {}) {
     console.log(`🔗 Navigating to: ${url}`);
     this.currentUrl = url;
@@ -130,6 +388,7 @@ export class NavigationAgent {
 
       // Wait for page to be fully loaded and stable
       await this.waitForStableState();
+      this.assertNetworkReplay();
       
       console.log(`✅ Successfully navigated to ${url}`);
       return {
@@ -251,28 +510,122 @@ export class NavigationAgent {
     }
   }
 
+  /**
+   * Perform one journey step. Throws when the action cannot be completed.
+   * @param {Object} step - { action, selector, url, value, data, key, files, x, y, duration, timeout, ... }
+   */
+  async performAction(step) {
+    const timeout = step.timeout || 5000;
+    const target = () => this.page.locator(step.selector).first();
+
+    switch (step.action) {
+      case 'navigate': {
+        const result = await this.navigateToUrl(step.url);
+        if (!result.success) throw new Error(`Navigation to ${step.url} failed: ${result.error}`);
+        return result;
+      }
+      case 'click':
+        return this.clickElement(step.selector, step.options);
+      case 'fill':
+        // { data: { selector: value } } fills several fields, { selector, value } a single one
+        return this.fillForm(step.data || { [step.selector]: String(step.value ?? '') }, { submit: step.submit });
+      case 'select':
+        await target().waitFor({ state: 'visible', timeout });
+        return target().selectOption(step.value);
+      case 'press':
+        if (step.selector) return target().press(step.key);
+        return this.page.keyboard.press(step.key);
+      case 'hover':
+        await target().waitFor({ state: 'visible', timeout });
+        return target().hover();
+      case 'upload':
+        return target().setInputFiles(step.files);
+      case 'scroll':
+        if (step.selector) return this.scrollToElement(step.selector, { waitFor: true });
+        return this.page.evaluate(({ x = 0, y = 0 }) => window.scrollTo(x, y), { x: step.x, y: step.y });
+      case 'wait':
+        return this.page.waitForTimeout(step.duration);
+      case 'wait-for-selector':
+        return target().waitFor({ state: step.state || 'visible', timeout });
+      case 'mock':
+        // Switch API mock scenarios and reload so the page renders with them
+        await this.mocks.use(step.scenarios || []);
+        return this.reload();
+      case 'wait-for-network':
+        // A specific response when `url` is given (glob or regular expression), otherwise network idle
+        if (step.url) return this.page.waitForResponse(step.url, { timeout });
+        return this.page.waitForLoadState('networkidle', { timeout });
+      default:
+        throw new Error(`Unknown action "${step.action}"`);
+    }
+  }
+
+  /**
+   * Log in with an auth profile (name or inline profile) in the running context.
+   * Sessions usually pass `auth` to the constructor instead, which logs in before the first page loads.
+   */
   async handleAuthentication(authConfig) {
     console.log('🔐 Handling authentication...');
-    
-    if (authConfig.type === 'form') {
-      await this.navigateToUrl(authConfig.loginUrl);
-      await this.fillForm({
-        [authConfig.usernameSelector]: authConfig.username,
-        [authConfig.passwordSelector]: authConfig.password
-      }, { submit: true, submitSelector: authConfig.submitSelector });
+
+    // 'token' is the original single-cookie config; scope it to the given domain or url
+    let profile = authConfig.type === 'token'
+      ? {
+          type: 'cookie',
+          baseUrl: authConfig.url || this.currentUrl,
+          cookies: [{
+            name: authConfig.cookieName,
+            value: authConfig.token,
+            ...(authConfig.domain ? { domain: authConfig.domain, path: '/' } : {})
+          }]
+        }
+      : authConfig;
+    // An inline header login without an origin is scoped to the page the session is on
+    if (typeof profile === 'object' && !profile.origin && !profile.baseUrl && this.currentUrl) {
+      profile = { ...profile, baseUrl: this.currentUrl };
     }
-    
-    if (authConfig.type === 'token') {
-      await this.context.addCookies([{
-        name: authConfig.cookieName,
-        value: authConfig.token,
-        domain: new URL(this.currentUrl).hostname
-      }]);
+    if (profile.type === 'cookie' && !profile.baseUrl && profile.cookies.some(cookie => !cookie.domain && !cookie.url)) {
+      throw new Error('Cookie authentication needs a domain or url when no page has been opened yet');
+    }
+
+    this.auth = await this.authProfiles.prepare(this.browser, profile, { contextOptions: this.getDeviceConfig() });
+    await this.applyAuthentication(this.auth);
+
+    if (this.currentUrl) {
+      await this.page.reload({ waitUntil: 'networkidle' });
     }
-    
     console.log('✅ Authentication completed');
+    return this.auth;
+  }
+
+  // Add a login's cookies, localStorage and Authorization header to the running context
+  async applyAuthentication(auth) {
+    const { cookies = [], origins = [] } = auth.storageState || {};
+    if (cookies.length > 0) {
+      await this.context.addCookies(cookies);
+    }
+    if (origins.length > 0) {
+      await this.context.addInitScript(storage => {
+        const entry = storage.find(origin => origin.origin === location.origin);
+        for (const { name, value } of entry?.localStorage || []) localStorage.setItem(name, value);
+      }, origins);
+    }
+    if (auth.authorization) {
+      await this.installAuthorizationHeader(auth);
+    }
+  }
+
+  // Only the profile's origin gets the header, so tokens aren't sent to third-party hosts
+  async installAuthorizationHeader({ authorization, origin }) {
+    if (!origin) {
+      throw new Error('An Authorization header needs an origin to be sent to');
+    }
+    await this.context.route(
+      url => url.origin === origin,
+      route => route.fallback({ headers: { ...route.request().headers(), authorization } })
+    );
   }
 
+
   async getPageInfo() {
     return {
       url: this.page.url(),
@@ -304,7 +657,7 @@ export class NavigationAgent {
     
     if (this.page) await this.page.close();
     if (this.context) await this.context.close();
-    if (this.browser) await this.browser.close();
+    if (this.browser && !this.options.sharedBrowser) await this.browser.close();
     
     console.log('✅ Navigation Agent closed');
   }
@@ -0,0 +1,154 @@
+/**
+ * Network Recorder - Records responses to HAR files and replays them so captures run offline
+ * Modes: 'live' (default), 'record' (dev server -> HAR) and 'replay' (HAR -> page)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const NETWORK_MODES = ['live', 'record', 'replay'];
+
+export const NETWORK_DEFAULTS = {
+  mode: 'live',
+  har: path.join('recordings', 'network.har'),
+  urlFilter: undefined, // glob or RegExp limiting which requests are recorded/replayed
+  strict: false, // replay: unmatched requests are aborted and fail the capture
+  overrides: [], // [{ url, status, json, body, file, headers, contentType, abort, live }]
+  overridesConfig: path.join('config', 'network-overrides.json') // { "overrides": [...] }, appended to `overrides`
+};
+
+export class NetworkReplayError extends Error {
+  constructor(unmatched) {
+    const list = unmatched.slice(0, 10).map(request => `  ${request.method} ${request.url}`).join('\n');
+    const more = unmatched.length > 10 ? `\n  ... and ${unmatched.length - 10} more` : '';
+    super(`${unmatched.length} request(s) not found in the HAR recording (strict replay):\n${list}${more}`);
+    this.name = 'NetworkReplayError';
+    this.unmatched = unmatched;
+  }
+}
+
+/**
+ * Normalize the `network` option: a mode string, or an object overriding NETWORK_DEFAULTS.
+ */
+export function resolveNetworkOptions(option) {
+  if (!option) return null;
+
+  const options = { ...NETWORK_DEFAULTS, ...(typeof option === 'string' ? { mode: option } : option) };
+  options.har = options.har || NETWORK_DEFAULTS.har;
+  if (!NETWORK_MODES.includes(options.mode)) {
+    throw new Error(`Unknown network mode "${options.mode}". Use one of: ${NETWORK_MODES.join(', ')}`);
+  }
+
+  if (options.overridesConfig && fs.existsSync(options.overridesConfig)) {
+    const config = JSON.parse(fs.readFileSync(options.overridesConfig, 'utf8'));
+    options.overrides = [...options.overrides, ...(config.overrides || [])];
+  }
+  return options.mode === 'live' && options.overrides.length === 0 ? null : options;
+}
+
+export class NetworkRecorder {
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = { ...NETWORK_DEFAULTS, ...options };
+    this.unmatched = [];
+    this.pageStart = 0; // index in `unmatched` where the current page load began
+    this.served = { overrides: 0, live: 0 };
+  }
+
+  /**
+   * Catch-all route for requests nothing else handled. Playwright runs the most recently
+   * registered route first, so this is installed before any other route and sees only leftovers.
+   */
+  async installFallback() {
+    if (this.options.mode !== 'replay') return;
+
+    await this.context.route('**/*', route => {
+      const request = route.request();
+      if (request.url().startsWith('data:')) return route.continue();
+
+      if (this.options.strict) {
+        this.unmatched.push({ method: request.method(), url: request.url(), resourceType: request.resourceType() });
+        console.error(`❌ Not in HAR: ${request.method()} ${request.url()}`);
+        return route.abort('blockedbyclient');
+      }
+
+      this.served.live++;
+      console.log(`⚠️ Not in HAR, fetching live: ${request.method()} ${request.url()}`);
+      return route.continue();
+    });
+  }
+
+  // Each main-frame navigation starts a new page load; only its own missing requests fail captures
+  trackPage(page) {
+    page.on('request', request => {
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        this.pageStart = this.unmatched.length;
+      }
+    });
+  }
+
+  // Requests strict replay aborted since the current page started loading
+  pageUnmatched() {
+    return this.unmatched.slice(this.pageStart);
+  }
+
+  // HAR recording/replay and the per-pattern overrides, which take precedence over the HAR
+  async installRoutes() {
+    const { mode, har, urlFilter } = this.options;
+
+    if (mode === 'record') {
+      fs.mkdirSync(path.dirname(har), { recursive: true });
+      console.log(`⏺️ Recording network to ${har} (written when the session closes)`);
+      await this.context.routeFromHAR(har, { update: true, updateMode: 'full', updateContent: 'embed', url: urlFilter });
+    } else if (mode === 'replay') {
+      if (!fs.existsSync(har)) {
+        throw new Error(`HAR recording not found: ${har}. Record one first with network mode "record"`);
+      }
+      console.log(`⏯️ Replaying network from ${har}${this.options.strict ? ' (strict)' : ''}`);
+      await this.context.routeFromHAR(har, { notFound: 'fallback', url: urlFilter });
+    }
+
+    for (const override of this.options.overrides) {
+      await this.context.route(override.url, route => this.fulfillOverride(route, override));
+    }
+  }
+
+  async fulfillOverride(route, override) {
+    this.served.overrides++;
+
+    if (override.abort) return route.abort(override.abort === true ? 'failed' : override.abort);
+    if (override.live) return route.continue();
+
+    const response = { status: override.status || 200, headers: override.headers };
+    if (override.json !== undefined) {
+      response.json = override.json;
+    } else if (override.file) {
+      response.path = override.file;
+    } else {
+      response.body = override.body ?? '';
+    }
+    if (override.contentType) response.contentType = override.contentType;
+
+    return route.fulfill(response);
+  }
+
+  // Throws when strict replay had to abort requests of the current page, so a capture never silently misses data
+  assertComplete() {
+    const unmatched = this.pageUnmatched();
+    if (this.options.mode === 'replay' && this.options.strict && unmatched.length > 0) {
+      throw new NetworkReplayError(unmatched);
+    }
+  }
+
+  getSummary() {
+    return {
+      mode: this.options.mode,
+      har: this.options.har,
+      strict: this.options.strict,
+      unmatched: this.unmatched,
+      served: this.served
+    };
+  }
+}
+
+export default NetworkRecorder;
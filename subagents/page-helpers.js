@@ -0,0 +1,92 @@
+/**
+ * Page Helpers - Shared utilities installed into the browser page
+ * Gives in-page analyzers a common way to build selectors, test visibility and parse colors
+ */
+
+// Runs inside the page; must stay self-contained (no references to module scope)
+export function pageHelpersScript() {
+  if (window.__uiWorkflowHelpers) return;
+
+  const escape = value => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1'));
+
+  const selectorFor = element => {
+    if (!(element instanceof Element)) return null;
+    if (element.id && document.querySelectorAll(`#${escape(element.id)}`).length === 1) {
+      return `#${escape(element.id)}`;
+    }
+
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      if (current.id && document.querySelectorAll(`#${escape(current.id)}`).length === 1) {
+        parts.unshift(`#${escape(current.id)}`);
+        break;
+      }
+
+      let part = current.tagName.toLowerCase();
+      const classes = Array.from(current.classList)
+        .filter(name => !/^(css|sc|jsx|svelte)-|\d{3,}/.test(name))
+        .slice(0, 2);
+      if (classes.length > 0) {
+        part += classes.map(name => `.${escape(name)}`).join('');
+      }
+
+      const parent = current.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+        }
+      }
+
+      parts.unshift(part);
+      current = parent;
+    }
+
+    return parts.join(' > ');
+  };
+
+  const landmarkFor = element => {
+    const landmark = element.closest('header, nav, main, aside, footer, form, dialog, [role="banner"], [role="navigation"], [role="main"], [role="contentinfo"], [role="dialog"]');
+    return landmark ? (landmark.getAttribute('role') || landmark.tagName.toLowerCase()) : null;
+  };
+
+  const isVisible = element => {
+    const style = getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+
+  const parseColor = value => {
+    const match = value && value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+    if (!match) return null;
+
+    let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+    if (match[4] && match[4].endsWith('%')) alpha /= 100;
+
+    return {
+      r: Math.round(parseFloat(match[1])),
+      g: Math.round(parseFloat(match[2])),
+      b: Math.round(parseFloat(match[3])),
+      a: alpha
+    };
+  };
+
+  const toHex = color => '#' + [color.r, color.g, color.b]
+    .map(channel => channel.toString(16).padStart(2, '0'))
+    .join('');
+
+  const hasOwnText = element => Array.from(element.childNodes)
+    .some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0);
+
+  window.__uiWorkflowHelpers = { selectorFor, landmarkFor, isVisible, parseColor, toHex, hasOwnText };
+}
+
+export async function installPageHelpers(page) {
+  await page.evaluate(pageHelpersScript);
+}
+
+export default installPageHelpers;
@@ -0,0 +1,253 @@
+/**
+ * Performance Budgets - Per-route limits for Core Web Vitals, transferred bytes and request counts
+ * Checked against a measured page, with a pass/fail report showing how far each metric is from its budget
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { urlMatcher } from './url-patterns.js';
+import { VITALS_THRESHOLDS } from './web-vitals.js';
+
+const DEFAULT_CONFIG_PATHS = [
+  path.join('config', 'performance-budgets.json'),
+  path.join('config', 'performance-budgets.js')
+];
+
+export const BUDGET_METRICS = {
+  lcp: { label: 'LCP', unit: 'ms' },
+  cls: { label: 'CLS', unit: 'score' },
+  inp: { label: 'INP', unit: 'ms' },
+  fcp: { label: 'FCP', unit: 'ms' },
+  ttfb: { label: 'TTFB', unit: 'ms' },
+  tbt: { label: 'TBT', unit: 'ms' },
+  requests: { label: 'Requests', unit: 'count' },
+  totalBytes: { label: 'Total transfer', unit: 'bytes' },
+  scriptBytes: { label: 'JavaScript', unit: 'bytes' },
+  stylesheetBytes: { label: 'CSS', unit: 'bytes' },
+  imageBytes: { label: 'Images', unit: 'bytes' },
+  fontBytes: { label: 'Fonts', unit: 'bytes' },
+  thirdPartyRequests: { label: 'Third-party requests', unit: 'count' },
+  thirdPartyBytes: { label: 'Third-party transfer', unit: 'bytes' }
+};
+
+// Without a budget file every page must stay within the "good" Core Web Vitals thresholds
+export const DEFAULT_BUDGET = Object.fromEntries(
+  Object.entries(VITALS_THRESHOLDS).map(([metric, threshold]) => [metric, threshold.good])
+);
+
+const TYPE_METRICS = {
+  script: 'scriptBytes',
+  stylesheet: 'stylesheetBytes',
+  image: 'imageBytes',
+  font: 'fontBytes'
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+// 300000, "300kb" or "1.5 MB" -> bytes
+export function parseSize(value) {
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/);
+  if (!match) {
+    throw new Error(`Invalid size "${value}". Use bytes or a value like 300kb or 1.5mb`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+function normalizeBudget(budget = {}, where) {
+  return Object.fromEntries(Object.entries(budget).map(([metric, limit]) => {
+    if (!BUDGET_METRICS[metric]) {
+      throw new Error(`Unknown budget metric "${metric}" in ${where}. Use: ${Object.keys(BUDGET_METRICS).join(', ')}`);
+    }
+    return [metric, BUDGET_METRICS[metric].unit === 'bytes' ? parseSize(limit) : Number(limit)];
+  }));
+}
+
+/**
+ * Load budgets from a .json file or a .js/.mjs module (default export).
+ * Format: { baseUrl, pages: [path], defaults: { <metric>: limit }, routes: { <glob>: { <metric>: limit } } }
+ * Route globs follow the crawler's include patterns ("/docs/**" matches paths); `pages` is what the CLI measures.
+ */
+export async function loadBudgets(configPath = null) {
+  const resolved = configPath || DEFAULT_CONFIG_PATHS.find(candidate => fs.existsSync(candidate));
+  if (!resolved || !fs.existsSync(resolved)) {
+    return { source: null, baseUrl: null, pages: [], defaults: DEFAULT_BUDGET, routes: [] };
+  }
+
+  const definitions = /\.m?js$/.test(resolved)
+    ? (await import(pathToFileURL(path.resolve(resolved)).href)).default
+    : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+  return {
+    source: resolved,
+    baseUrl: definitions.baseUrl || null,
+    pages: definitions.pages || [],
+    defaults: normalizeBudget(definitions.defaults || DEFAULT_BUDGET, 'defaults'),
+    routes: Object.entries(definitions.routes || {}).map(([pattern, budget]) => ({
+      pattern,
+      matches: urlMatcher(pattern),
+      budget: normalizeBudget(budget, `route ${pattern}`)
+    }))
+  };
+}
+
+// Same site when the last two host labels match, so cdn.example.com is first-party on www.example.com
+function siteOf(url) {
+  try {
+    return new URL(url).hostname.split('.').slice(-2).join('.');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Request counts and transferred bytes by type from NavigationAgent.getResources()
+export function summarizeResources(resources, pageUrl) {
+  const site = siteOf(pageUrl);
+  const summary = Object.fromEntries(
+    Object.entries(BUDGET_METRICS).filter(([, metric]) => metric.unit !== 'ms' && metric.unit !== 'score').map(([key]) => [key, 0])
+  );
+
+  for (const resource of resources) {
+    summary.requests++;
+    summary.totalBytes += resource.bytes;
+    if (TYPE_METRICS[resource.type]) summary[TYPE_METRICS[resource.type]] += resource.bytes;
+
+    const resourceSite = siteOf(resource.url);
+    if (resourceSite && resourceSite !== site) {
+      summary.thirdPartyRequests++;
+      summary.thirdPartyBytes += resource.bytes;
+    }
+  }
+
+  return summary;
+}
+
+export function formatBudgetValue(value, unit) {
+  if (value === null || value === undefined) return 'n/a';
+  switch (unit) {
+    case 'bytes':
+      return Math.abs(value) >= 1024 * 1024 ? `${(value / 1024 / 1024).toFixed(2)} MB` : `${(value / 1024).toFixed(1)} KB`;
+    case 'ms':
+      return `${Math.round(value)}ms`;
+    case 'score':
+      return value.toFixed(3);
+    default:
+      return String(value);
+  }
+}
+
+export class PerformanceBudgets {
+  constructor(options = {}) {
+    this.options = {
+      config: process.env.PERFORMANCE_BUDGETS || null, // defaults to config/performance-budgets.json or .js
+      reportDir: 'reports',
+      ...options
+    };
+    this.budgets = null;
+  }
+
+  async load() {
+    if (!this.budgets) this.budgets = await loadBudgets(this.options.config);
+    return this.budgets;
+  }
+
+  // Defaults overridden by every matching route, in file order
+  async budgetFor(url) {
+    const budgets = await this.load();
+    const routes = budgets.routes.filter(route => route.matches(url));
+    return {
+      routes: routes.map(route => route.pattern),
+      budget: routes.reduce((budget, route) => ({ ...budget, ...route.budget }), budgets.defaults)
+    };
+  }
+
+  /**
+   * Compare vitals and resource totals with the page's budget. Metrics the browser couldn't
+   * measure are reported as unknown and don't fail the budget.
+   */
+  async check(url, { metrics = {}, resources = {} } = {}) {
+    const { routes, budget } = await this.budgetFor(url);
+    const measured = { ...metrics, ...resources };
+
+    const results = Object.entries(budget).map(([metric, limit]) => {
+      const actual = measured[metric] ?? null;
+      const delta = actual === null ? null : actual - limit;
+      return {
+        metric,
+        label: BUDGET_METRICS[metric].label,
+        unit: BUDGET_METRICS[metric].unit,
+        budget: limit,
+        actual,
+        delta,
+        percent: delta === null || limit === 0 ? null : Math.round((delta / limit) * 1000) / 10,
+        status: actual === null ? 'unknown' : actual <= limit ? 'pass' : 'fail'
+      };
+    });
+
+    const exceeded = results.filter(result => result.status === 'fail');
+    return {
+      url,
+      source: this.budgets.source,
+      routes,
+      passed: exceeded.length === 0,
+      exceeded: exceeded.map(result => result.metric),
+      results
+    };
+  }
+
+  generateBudgetReport(checks, meta = {}) {
+    const report = {
+      id: `budgets-${Date.now()}`,
+      timestamp: new Date().toISOString(),
+      source: this.budgets?.source || null,
+      ...meta,
+      passed: checks.every(check => check.passed),
+      pages: checks
+    };
+
+    fs.mkdirSync(this.options.reportDir, { recursive: true });
+
+    const reportPath = path.join(this.options.reportDir, `${report.id}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    const markdownPath = path.join(this.options.reportDir, `${report.id}.md`);
+    fs.writeFileSync(markdownPath, this.generateMarkdownReport(report));
+
+    console.log(`📊 Budget report saved: ${markdownPath}`);
+    return { ...report, reportPath, markdownPath };
+  }
+
+  generateMarkdownReport(report) {
+    const icon = { pass: '✅', fail: '❌', unknown: '➖' };
+    const signed = (value, unit) => (value > 0 ? `+${formatBudgetValue(value, unit)}` : formatBudgetValue(value, unit));
+
+    const pages = report.pages.map(check => `
+### ${check.passed ? '✅' : '❌'} ${check.url}
+
+${check.routes.length > 0 ? `Routes: ${check.routes.map(route => `\`${route}\``).join(', ')}` : 'Default budget'}
+
+| Metric | Budget | Actual | Delta | |
+|--------|--------|--------|-------|---|
+${check.results.map(result => `| ${result.label} | ${formatBudgetValue(result.budget, result.unit)} | ${formatBudgetValue(result.actual, result.unit)} | ${result.delta === null ? '-' : `${signed(result.delta, result.unit)}${result.percent === null ? '' : ` (${result.percent > 0 ? '+' : ''}${result.percent}%)`}`} | ${icon[result.status]} |`).join('\n')}
+`).join('');
+
+    const failing = report.pages.filter(check => !check.passed);
+
+    return `# Performance Budget Report
+
+**Result:** ${report.passed ? '✅ all budgets met' : `❌ ${failing.length} of ${report.pages.length} page(s) over budget`}
+**Budgets:** ${report.source || 'default (good Core Web Vitals thresholds)'}
+**Generated:** ${report.timestamp}
+${report.throttling ? `**Throttling:** ${report.throttling}\n` : ''}
+## Pages
+${pages || '\nNo pages checked.\n'}
+---
+
+*Generated by Performance Budgets*
+`;
+  }
+}
+
+export default PerformanceBudgets;
@@ -5,9 +5,32 @@
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import pixelmatch from 'pixelmatch';
 import { PNG } from 'pngjs';
 import sharp from 'sharp';
+import BaselineManifest from './baseline-manifest.js';
+import { alignImages, markBands, bandArea, toImageRect, toCanvasRect } from './image-alignment.js';
+import {
+  clusterDiffRegions,
+  captureLayoutSnapshot,
+  layoutSnapshotPath,
+  loadLayoutSnapshot,
+  attributeRegion,
+  regionToFinding
+} from './diff-regions.js';
+import {
+  MASK_COLOR,
+  loadMaskConfig,
+  resolveMaskRules,
+  applyTextReplacements,
+  restoreTextReplacements,
+  measureIgnoredElements,
+  excludeRegions,
+  markIgnoredRegions
+} from './screenshot-masks.js';
+import { screenshotKey } from './image-similarity.js';
+import { INTERACTION_STATES, documentBox, captureClip, enterState, walkFocusOrder } from './interaction-states.js';
 
 export class ScreenshotAgent {
   constructor(navigationAgent, options = {}) {
@@ -21,9 +44,21 @@ export class ScreenshotAgent {
       quality: 90,
       threshold: 0.1,
       maxDiffPixels: 1000,
+      sizeMismatch: 'align', // 'align' | 'pad' | 'crop' when baseline and current dimensions differ
+      layoutSnapshots: true, // store element boxes next to each screenshot for diff attribution
+      maskConfig: path.join('config', 'screenshot-masks.json'),
+      strictBaselines: process.env.STRICT_BASELINES === 'true', // fail on missing baselines instead of creating them
       ...options
     };
 
+    this.baselineManifest = new BaselineManifest({
+      screenshotDir: this.options.screenshotDir,
+      baselineDir: this.options.baselineDir,
+      currentDir: this.options.currentDir
+    });
+
+    this.maskConfig = loadMaskConfig(this.options.maskConfig);
+
     this.ensureDirectories();
   }
 
@@ -62,6 +97,9 @@ export class ScreenshotAgent {
       filename
     );
 
+    const { masks: maskOverrides, ...captureOptions } = options;
+    const masks = await this.prepareMasks(filename, maskOverrides);
+
     const screenshotOptions = {
       path: screenshotPath,
       fullPage: true,
@@ -69,10 +107,12 @@ export class ScreenshotAgent {
       clip: options.clip,
       mask: options.mask || [],
       omitBackground: options.omitBackground || false,
-      ...options
+      ...captureOptions,
+      ...this.maskOptions(masks, captureOptions)
     };
 
-    await page.screenshot(screenshotOptions);
+    const stability = await this.captureStable(screenshotPath, settings => page.screenshot(settings), screenshotOptions);
+    await this.saveScreenshotMetadata(screenshotPath, { fullPage: true, origin: options.clip, masks });
     
     // Optimize screenshot if needed
     if (options.optimize !== false) {
@@ -85,7 +125,8 @@ export class ScreenshotAgent {
       path: screenshotPath,
       name: filename,
       type: 'full-page',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      ...(stability ? { stability } : {})
     };
   }
 
@@ -105,12 +146,17 @@ export class ScreenshotAgent {
       filename
     );
 
-    await page.screenshot({
+    const { masks: maskOverrides, ...captureOptions } = options;
+    const masks = await this.prepareMasks(filename, maskOverrides);
+
+    const stability = await this.captureStable(screenshotPath, settings => page.screenshot(settings), {
       path: screenshotPath,
       fullPage: options.fullPage !== false,
       animations: 'disabled',
-      ...options
+      ...captureOptions,
+      ...this.maskOptions(masks, captureOptions)
     });
+    await this.saveScreenshotMetadata(screenshotPath, { fullPage: options.fullPage !== false, masks });
 
     if (options.optimize !== false) {
       await this.optimizeScreenshot(screenshotPath);
@@ -121,7 +167,8 @@ export class ScreenshotAgent {
       name: filename,
       type: 'viewport',
       viewport: viewportConfig,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      ...(stability ? { stability } : {})
     };
   }
 
@@ -144,12 +191,17 @@ export class ScreenshotAgent {
       filename
     );
 
-    await element.screenshot({
+    const { masks: maskOverrides, ...captureOptions } = options;
+    const masks = await this.prepareMasks(filename, maskOverrides);
+
+    const stability = await this.captureStable(screenshotPath, settings => element.screenshot(settings), {
       path: screenshotPath,
       animations: 'disabled',
       omitBackground: options.omitBackground || false,
-      ...options
+      ...captureOptions,
+      ...this.maskOptions(masks, captureOptions)
     });
+    await this.saveScreenshotMetadata(screenshotPath, { elementBox: await element.boundingBox(), masks });
 
     if (options.optimize !== false) {
       await this.optimizeScreenshot(screenshotPath);
@@ -160,10 +212,128 @@ export class ScreenshotAgent {
       name: filename,
       type: 'element',
       selector,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      ...(stability ? { stability } : {})
+    };
+  }
+
+  // Screenshot of a document-coordinate rectangle; used for states whose rendering extends past the element
+  async captureArea(clip, name, type, options = {}) {
+    const page = this.navigationAgent.page;
+    const filename = this.generateFilename(name, type);
+    const screenshotPath = path.join(
+      this.options.screenshotDir,
+      this.options.currentDir,
+      filename
+    );
+
+    const { masks: maskOverrides, ...captureOptions } = options;
+    const masks = await this.prepareMasks(filename, maskOverrides);
+
+    const stability = await this.captureStable(screenshotPath, settings => page.screenshot(settings), {
+      path: screenshotPath,
+      fullPage: true,
+      clip,
+      animations: 'disabled',
+      caret: 'initial', // keep the text cursor in focused inputs
+      ...captureOptions,
+      ...this.maskOptions(masks, captureOptions)
+    });
+    await this.saveScreenshotMetadata(screenshotPath, { origin: { x: clip.x, y: clip.y }, masks });
+
+    return {
+      path: screenshotPath,
+      name: filename,
+      type,
+      clip,
+      timestamp: new Date().toISOString(),
+      ...(stability ? { stability } : {})
     };
   }
 
+  /**
+   * Capture an element in each interaction state. Every state has its own baseline, named
+   * `<name>--<state>.png`. The capture area is padded so focus rings and shadows are included,
+   * and for 'expanded' also covers the opened content (aria-controls or options.expandedTarget).
+   */
+  async captureStateMatrix(selector, name, options = {}) {
+    const { states = INTERACTION_STATES, padding = 8, expandedTarget, ...captureOptions } = options;
+    console.log(`🎛️ Capturing ${states.length} interaction state(s) of ${selector}`);
+
+    const page = this.navigationAgent.page;
+    const element = page.locator(selector).first();
+    await element.waitFor({ state: 'visible', timeout: 5000 });
+    await element.scrollIntoViewIfNeeded();
+
+    // Transitions would otherwise be captured halfway between states
+    await this.disableAnimations();
+
+    const captures = [];
+    for (const state of states) {
+      let interaction = null;
+      try {
+        interaction = await enterState(page, element, state, { expandedTarget });
+        const clip = await captureClip(page, [await documentBox(page, element), ...interaction.extraBoxes], padding);
+        const screenshot = await this.captureArea(clip, `${name}-${state}`, 'state', captureOptions);
+
+        captures.push({ ...screenshot, state, selector, baselineName: `${name}--${state}.png` });
+      } catch (error) {
+        console.log(`⚠️ Could not capture ${state} state of ${selector}: ${error.message}`);
+        captures.push({ state, selector, skipped: true, error: error.message });
+      } finally {
+        if (interaction) await interaction.restore();
+      }
+    }
+
+    return captures;
+  }
+
+  /**
+   * Tab through the page and capture every stop with its focus ring. Stops without a visible
+   * focus indicator are flagged; each stop is compared with `<name>--tab-<n>.png`.
+   */
+  async captureFocusWalk(name, options = {}) {
+    const { maxStops = 25, padding = 8, ...captureOptions } = options;
+    console.log(`⌨️ Walking keyboard focus order (up to ${maxStops} stops)`);
+
+    const page = this.navigationAgent.page;
+    await this.disableAnimations();
+
+    const stops = await walkFocusOrder(page, {
+      maxStops,
+      onStop: async stop => {
+        const clip = await captureClip(page, [stop.box], padding);
+        const screenshot = await this.captureArea(clip, `${name}-tab-${stop.index}`, 'focus', captureOptions);
+        return { ...screenshot, baselineName: `${name}--tab-${stop.index}.png` };
+      }
+    });
+
+    const issues = stops
+      .filter(stop => !stop.hasFocusIndicator)
+      .map(stop => ({
+        severity: 'major',
+        category: 'accessibility',
+        description: `Tab stop ${stop.index} (${stop.selector}) has no visible focus indicator`,
+        location: stop.text ? `${stop.tag} "${stop.text}"` : stop.tag,
+        recommendation: 'Add a :focus-visible outline or box-shadow with at least 3:1 contrast against the background',
+        selector: stop.selector,
+        source: 'focus-walk'
+      }));
+
+    console.log(`⌨️ ${stops.length} tab stop(s), ${issues.length} without a visible focus indicator`);
+    return { stops, issues };
+  }
+
+  // Compare captures that carry their own `baselineName` (state matrix, focus walk)
+  async compareCaptures(captures, options = {}) {
+    const results = [];
+    for (const capture of captures.filter(item => !item.skipped)) {
+      const comparison = await this.compareWithBaseline(capture.path, capture.baselineName, options);
+      results.push({ ...comparison, baselineName: capture.baselineName, state: capture.state, index: capture.index });
+    }
+    return results;
+  }
+
   async captureMultipleViewports(name, viewports, options = {}) {
     console.log(`📊 Capturing multiple viewports for: ${name}`);
     
@@ -201,15 +371,7 @@ export class ScreenshotAgent {
       const step = steps[i];
       
       // Perform the step action
-      if (step.action === 'navigate') {
-        await this.navigationAgent.navigateToUrl(step.url);
-      } else if (step.action === 'click') {
-        await this.navigationAgent.clickElement(step.selector);
-      } else if (step.action === 'fill') {
-        await this.navigationAgent.fillForm(step.data);
-      } else if (step.action === 'wait') {
-        await this.navigationAgent.page.waitForTimeout(step.duration);
-      }
+      await this.navigationAgent.performAction(step);
 
       // Capture screenshot
       const stepName = `${name}-step-${i + 1}-${step.name}`;
@@ -234,16 +396,48 @@ export class ScreenshotAgent {
       baselineName
     );
 
+    const metadata = this.getCaptureMetadata(options.viewport);
+    const strict = options.strict ?? this.options.strictBaselines;
+
     if (!fs.existsSync(baselinePath)) {
-      console.log(`📋 Creating new baseline: ${baselineName}`);
-      fs.copyFileSync(currentScreenshotPath, baselinePath);
+      if (strict) {
+        console.log(`❌ Missing baseline: ${baselineName} (strict mode)`);
+        this.baselineManifest.markPending(baselineName, currentScreenshotPath, {
+          reason: 'missing-baseline',
+          ...metadata
+        });
+        return {
+          isNewBaseline: false,
+          missingBaseline: true,
+          pending: true,
+          match: false,
+          baselinePath,
+          message: `No approved baseline for ${baselineName}. Review the screenshot and run /approve ${baselineName}`
+        };
+      }
+
+      console.log(`📋 Creating new baseline: ${baselineName} (recorded as auto-created in the manifest)`);
+      const entry = this.baselineManifest.approve(baselineName, {
+        currentPath: currentScreenshotPath,
+        autoCreated: true,
+        approver: 'auto',
+        ...metadata
+      });
       return {
         isNewBaseline: true,
         match: true,
-        baselinePath
+        baselinePath,
+        manifest: entry
       };
     }
 
+    const integrity = this.baselineManifest.verify(baselineName);
+    if (!integrity.tracked) {
+      console.log(`⚠️ Baseline ${baselineName} is not recorded in the manifest`);
+    } else if (!integrity.hashMatches) {
+      console.log(`⚠️ Baseline ${baselineName} was modified outside of the approval workflow`);
+    }
+
     const diffName = baselineName.replace('.png', '-diff.png');
     const diffPath = path.join(
       this.options.screenshotDir,
@@ -258,20 +452,51 @@ export class ScreenshotAgent {
       options
     );
 
+    // Changed screenshots wait for /approve or /reject; matching ones clear any stale candidate
+    if (result.hasDifferences) {
+      this.baselineManifest.markPending(baselineName, currentScreenshotPath, {
+        reason: 'changed',
+        diffPath,
+        diffPercentage: result.diffPercentage,
+        ...metadata
+      });
+    } else {
+      this.baselineManifest.clearPending(baselineName);
+    }
+
     return {
       ...result,
       baselinePath,
-      diffPath: result.hasDifferences ? diffPath : null
+      diffPath: result.hasDifferences ? diffPath : null,
+      pending: result.hasDifferences,
+      manifest: integrity
+    };
+  }
+
+  getCaptureMetadata(viewport = null) {
+    const navigationOptions = this.navigationAgent?.options || {};
+    return {
+      browser: navigationOptions.browser || null,
+      device: navigationOptions.device || null,
+      viewport: viewport || this.navigationAgent?.page?.viewportSize() || null
     };
   }
 
   async performPixelComparison(currentPath, baselinePath, diffPath, options = {}) {
-    const current = PNG.sync.read(fs.readFileSync(currentPath));
-    const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
-    
-    const { width, height } = current;
+    const currentImage = PNG.sync.read(fs.readFileSync(currentPath));
+    const baselineImage = PNG.sync.read(fs.readFileSync(baselinePath));
+
+    // Screenshots of different sizes are brought onto a common canvas before pixelmatch
+    const canvas = alignImages(baselineImage, currentImage, {
+      strategy: options.sizeMismatch || this.options.sizeMismatch
+    });
+    const { width, height, current, baseline, bands } = canvas;
     const diff = new PNG({ width, height });
 
+    // Masked areas are made identical in both images so they never count as mismatches
+    const ignoredRegions = this.collectIgnoredRegions(canvas, { currentPath, baselinePath }, options);
+    const maskedPixels = excludeRegions(current, baseline, ignoredRegions);
+
     const threshold = options.threshold || this.options.threshold;
     const maxDiffPixels = options.maxDiffPixels || this.options.maxDiffPixels;
 
@@ -291,11 +516,27 @@ export class ScreenshotAgent {
       }
     );
 
+    const sizeChange = this.describeSizeChange(baselineImage, currentImage, canvas);
+    const bandPixels = bandArea(bands);
     const totalPixels = width * height;
-    const diffPercentage = (mismatchedPixels / totalPixels) * 100;
-    const hasDifferences = mismatchedPixels > maxDiffPixels;
+    const comparedPixels = Math.max(1, totalPixels - maskedPixels);
+    const diffPercentage = ((mismatchedPixels + bandPixels) / comparedPixels) * 100;
+    const hasDifferences = mismatchedPixels > maxDiffPixels || sizeChange !== null;
+
+    const regions = hasDifferences && options.regionAnalysis !== false
+      ? this.describeDiffRegions(diff, canvas, { currentPath, baselinePath }, options)
+      : [];
+
+    // Name the inserted or removed element in the size change finding
+    const bandRegion = regions.find(region => region.type !== 'changed' && region.element);
+    if (sizeChange && bandRegion) {
+      sizeChange.finding.selector = bandRegion.element.selector;
+      sizeChange.finding.location = `${bandRegion.finding.description}; ${sizeChange.finding.location}`;
+    }
 
     if (hasDifferences) {
+      markIgnoredRegions(diff, ignoredRegions);
+      markBands(diff, bands);
       fs.writeFileSync(diffPath, PNG.sync.write(diff));
     }
 
@@ -303,10 +544,203 @@ export class ScreenshotAgent {
       match: !hasDifferences,
       hasDifferences,
       mismatchedPixels,
+      bandPixels,
+      maskedPixels,
       totalPixels,
       diffPercentage: parseFloat(diffPercentage.toFixed(2)),
       threshold,
-      maxDiffPixels
+      maxDiffPixels,
+      sizeChange,
+      regions
+    };
+  }
+
+  // Ignored areas in canvas pixels: masks recorded at capture time plus configured and per-call rectangles
+  collectIgnoredRegions(canvas, paths, options = {}) {
+    const configured = resolveMaskRules(
+      this.maskConfig,
+      { key: screenshotKey(paths.baselinePath) },
+      { ignoreRegions: options.ignoreRegions || [] }
+    ).ignoreRegions;
+
+    return [
+      ...(loadLayoutSnapshot(paths.currentPath)?.masks || []).map(region => toCanvasRect(canvas, region, 'current')),
+      ...(loadLayoutSnapshot(paths.baselinePath)?.masks || []).map(region => toCanvasRect(canvas, region, 'baseline')),
+      ...configured.flatMap(region => [toCanvasRect(canvas, region, 'current'), toCanvasRect(canvas, region, 'baseline')])
+    ];
+  }
+
+  /**
+   * Cluster the diff into regions and name the DOM element behind each one,
+   * using the layout snapshots stored with the current and baseline screenshots.
+   */
+  describeDiffRegions(diff, canvas, paths, options = {}) {
+    const clusters = clusterDiffRegions(diff, {
+      diffColors: [options.diffColor || [255, 0, 255], options.diffColorAlt || [0, 255, 255]],
+      maxRegions: options.maxRegions || 20
+    });
+
+    const snapshots = {
+      current: loadLayoutSnapshot(paths.currentPath),
+      baseline: loadLayoutSnapshot(paths.baselinePath)
+    };
+    const canvasArea = canvas.width * canvas.height;
+
+    return [
+      ...canvas.bands.map(band => ({ ...band, pixels: band.width * band.height })),
+      ...clusters.map(cluster => ({ type: 'changed', ...cluster }))
+    ].map(region => {
+      const canvasRect = { x: region.x, y: region.y, width: region.width, height: region.height };
+      const currentRect = toImageRect(canvas, canvasRect, 'current');
+
+      // Removed content only exists in the baseline; everything else is looked up in the current layout
+      const element = region.type === 'removed'
+        ? attributeRegion(toImageRect(canvas, canvasRect, 'baseline'), snapshots.baseline)
+        : attributeRegion(currentRect, snapshots.current) ||
+          attributeRegion(toImageRect(canvas, canvasRect, 'baseline'), snapshots.baseline);
+
+      return {
+        type: region.type,
+        ...currentRect,
+        canvas: canvasRect,
+        pixels: region.pixels,
+        element,
+        finding: regionToFinding({ type: region.type, ...currentRect }, element, canvasArea)
+      };
+    });
+  }
+
+  /**
+   * In deterministic mode a capture is only accepted once two consecutive screenshots are byte-identical.
+   * Otherwise the screenshot is taken once, as before.
+   */
+  async captureStable(screenshotPath, takeScreenshot, screenshotOptions) {
+    // A page rendered with requests missing from a strict HAR replay must not become a baseline
+    this.navigationAgent.assertNetworkReplay?.();
+
+    const deterministic = this.navigationAgent.deterministic;
+    if (!deterministic) {
+      await takeScreenshot(screenshotOptions);
+      return null;
+    }
+
+    const { path: _path, ...bufferOptions } = screenshotOptions;
+    const hash = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+    await this.navigationAgent.prepareForCapture();
+    try {
+      let previous = await takeScreenshot(bufferOptions);
+      for (let attempt = 1; attempt <= deterministic.stabilityAttempts; attempt++) {
+        await this.navigationAgent.page.waitForTimeout(deterministic.stabilityInterval);
+        const next = await takeScreenshot(bufferOptions);
+
+        if (hash(next) === hash(previous)) {
+          fs.writeFileSync(screenshotPath, next);
+          return { stable: true, attempts: attempt, hash: hash(next) };
+        }
+        previous = next;
+      }
+
+      console.log(`⚠️ Page did not render identically in ${deterministic.stabilityAttempts + 1} consecutive captures; keeping the last one`);
+      fs.writeFileSync(screenshotPath, previous);
+      return { stable: false, attempts: deterministic.stabilityAttempts, hash: hash(previous) };
+    } finally {
+      await this.navigationAgent.releaseAfterCapture();
+    }
+  }
+
+  // Resolves the ignore/replace rules for a screenshot and rewrites dynamic text before capture
+  async prepareMasks(filename, overrides = {}) {
+    const page = this.navigationAgent.page;
+    const masks = resolveMaskRules(this.maskConfig, { key: screenshotKey(filename), url: page.url() }, overrides);
+
+    const replaced = await applyTextReplacements(page, masks.textReplacements);
+    if (replaced > 0) {
+      console.log(`🧊 Replaced dynamic text in ${replaced} node(s)`);
+    }
+    return masks;
+  }
+
+  maskOptions(masks, captureOptions = {}) {
+    const page = this.navigationAgent.page;
+    return {
+      mask: [...(captureOptions.mask || []), ...masks.ignoreSelectors.map(selector => page.locator(selector))],
+      maskColor: captureOptions.maskColor || MASK_COLOR
+    };
+  }
+
+  /**
+   * Write the <name>.meta.json sidecar: the layout snapshot used for diff attribution and the
+   * ignored areas (in screenshot pixels) that comparisons exclude. Restores replaced text afterwards.
+   */
+  async saveScreenshotMetadata(screenshotPath, options = {}) {
+    const page = this.navigationAgent.page;
+    const masks = options.masks || { ignoreSelectors: [], ignoreRegions: [], textReplacements: [] };
+
+    try {
+      const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+
+      // Element boxes are viewport-relative; snapshots and masks use document coordinates
+      const origin = options.elementBox
+        ? { x: options.elementBox.x + scroll.x, y: options.elementBox.y + scroll.y }
+        : options.origin || (options.fullPage ? { x: 0, y: 0 } : scroll);
+
+      const metadata = this.options.layoutSnapshots
+        ? await captureLayoutSnapshot(page, { origin })
+        : { origin };
+
+      metadata.masks = [
+        ...await measureIgnoredElements(page, masks.ignoreSelectors, origin),
+        ...masks.ignoreRegions.map(region => ({ ...region, source: 'ignore-region' }))
+      ];
+
+      if (this.options.layoutSnapshots || metadata.masks.length > 0) {
+        fs.writeFileSync(layoutSnapshotPath(screenshotPath), JSON.stringify(metadata));
+      }
+      return metadata;
+    } catch (error) {
+      console.log(`⚠️ Screenshot metadata failed for ${screenshotPath}: ${error.message}`);
+      return null;
+    } finally {
+      if (masks.textReplacements.length > 0) {
+        await restoreTextReplacements(page);
+      }
+    }
+  }
+
+  // Describes a dimension change between baseline and current as a reviewable finding
+  describeSizeChange(baseline, current, canvas) {
+    if (baseline.width === current.width && baseline.height === current.height) return null;
+
+    const heightChange = current.height - baseline.height;
+    const widthChange = current.width - baseline.width;
+    const changes = [];
+    if (heightChange !== 0) changes.push(`${heightChange > 0 ? 'grew' : 'shrank'} by ${Math.abs(heightChange)}px in height`);
+    if (widthChange !== 0) changes.push(`${widthChange > 0 ? 'grew' : 'shrank'} by ${Math.abs(widthChange)}px in width`);
+
+    const band = canvas.strategy === 'align' ? canvas.bands[0] : null;
+    const location = band
+      ? `${band.type === 'added' ? 'Content inserted' : 'Content removed'} at y=${band.y}px (${band.height}px band)`
+      : null;
+
+    return {
+      baseline: { width: baseline.width, height: baseline.height },
+      current: { width: current.width, height: current.height },
+      strategy: canvas.strategy,
+      shift: canvas.shift ? { split: canvas.shift.split, delta: canvas.shift.delta, score: canvas.shift.score } : null,
+      bands: canvas.bands,
+      finding: {
+        severity: heightChange !== 0 ? 'major' : 'minor',
+        category: 'layout',
+        description: `Screenshot ${changes.join(' and ')} (${baseline.width}x${baseline.height} → ${current.width}x${current.height})`,
+        location: location || 'Page bounds',
+        recommendation: band
+          ? 'Confirm the inserted or removed section is intentional; content around it was compared at its shifted position'
+          : 'Check for unintended overflow or changed page length',
+        // In current-screenshot pixels; removed content is marked by a line where it used to be
+        ...(band ? { region: { x: 0, y: band.y, width: band.width, height: band.type === 'added' ? band.height : 1 } } : {}),
+        source: 'pixel-comparison'
+      }
     };
   }
 
@@ -0,0 +1,236 @@
+/**
+ * Screenshot Masks - Ignore selectors, ignore rectangles and text replacement for dynamic content
+ * Rules come from config/screenshot-masks.json and per-command overrides
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { globToRegExp, urlMatcher } from './url-patterns.js';
+
+const DEFAULT_CONFIG_PATH = path.join('config', 'screenshot-masks.json');
+
+export const MASK_COLOR = '#FF00FF';
+
+// Command flags that add mask rules, see parseMaskFlags
+export const MASK_FLAGS = ['ignore', 'ignore-region', 'replace', 'freeze'];
+
+// Named text replacement rules, usable as "textReplacements": ["dates", "times"]
+export const TEXT_REPLACEMENT_PRESETS = {
+  dates: [
+    { pattern: '\\b\\d{4}-\\d{2}-\\d{2}(?:T\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?(?:Z|[+-]\\d{2}:?\\d{2})?)?\\b', replacement: '2024-01-01' },
+    { pattern: '\\b\\d{1,2}/\\d{1,2}/\\d{2,4}\\b', replacement: '01/01/2024' },
+    { pattern: '\\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}\\b', replacement: 'January 1, 2024' }
+  ],
+  times: [
+    { pattern: '\\b\\d{1,2}:\\d{2}(?::\\d{2})?(?:\\s?[AaPp]\\.?[Mm]\\.?)?', replacement: '12:00' }
+  ],
+  relative: [
+    { pattern: '\\b\\d+\\s+(?:second|minute|hour|day|week|month|year)s?\\s+ago\\b', replacement: '1 minute ago' }
+  ],
+  uuids: [
+    { pattern: '\\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\\b', flags: 'gi', replacement: '00000000-0000-0000-0000-000000000000' }
+  ],
+  ids: [
+    { pattern: '\\b(?=[0-9a-f]*\\d)[0-9a-f]{12,}\\b', flags: 'gi', replacement: '000000000000' }
+  ]
+};
+
+function emptyRules() {
+  return { ignoreSelectors: [], ignoreRegions: [], textReplacements: [] };
+}
+
+export function loadMaskConfig(configPath = DEFAULT_CONFIG_PATH) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return { default: emptyRules(), screenshots: [] };
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return { default: emptyRules(), screenshots: [], ...config };
+}
+
+function expandTextReplacements(entries = []) {
+  return entries.flatMap(entry => {
+    if (typeof entry === 'string') {
+      if (!TEXT_REPLACEMENT_PRESETS[entry]) {
+        throw new Error(`Unknown text replacement preset: ${entry}`);
+      }
+      return TEXT_REPLACEMENT_PRESETS[entry];
+    }
+    return [entry];
+  });
+}
+
+/**
+ * Combine the default rules, every matching screenshot rule and explicit overrides.
+ * @param {Object} target - { key: screenshot key (file name without date), url }
+ * `match` is a case-insensitive glob on the key, `url` a URL pattern as in the crawler's --include.
+ */
+export function resolveMaskRules(config, target = {}, overrides = {}) {
+  const matching = (config.screenshots || []).filter(rule => {
+    if (rule.match && !(target.key && globToRegExp(rule.match, 'i').test(target.key))) return false;
+    if (rule.url && !(target.url && urlMatcher(rule.url)(target.url))) return false;
+    return Boolean(rule.match || rule.url);
+  });
+
+  const rules = emptyRules();
+  for (const source of [config.default || {}, ...matching, overrides]) {
+    rules.ignoreSelectors.push(...(source.ignoreSelectors || []));
+    rules.ignoreRegions.push(...(source.ignoreRegions || []));
+    rules.textReplacements.push(...expandTextReplacements(source.textReplacements));
+  }
+  return rules;
+}
+
+/**
+ * Mask overrides from command flags:
+ * --ignore <selector> --ignore-region x,y,width,height --freeze dates,times --replace "pattern=>replacement"
+ */
+export function parseMaskFlags(flags = {}) {
+  const list = value => [].concat(value ?? []).filter(item => typeof item === 'string');
+
+  return {
+    ignoreSelectors: list(flags.ignore),
+    ignoreRegions: list(flags['ignore-region']).map(value => {
+      const [x, y, width, height] = value.split(',').map(Number);
+      if ([x, y, width, height].some(Number.isNaN)) {
+        throw new Error(`Invalid --ignore-region "${value}", expected x,y,width,height`);
+      }
+      return { x, y, width, height };
+    }),
+    textReplacements: [
+      ...list(flags.freeze).flatMap(value => value.split(',').map(name => name.trim()).filter(Boolean)),
+      ...list(flags.replace).map(value => {
+        const separator = value.indexOf('=>');
+        if (separator === -1) {
+          throw new Error(`Invalid --replace "${value}", expected pattern=>replacement`);
+        }
+        return { pattern: value.slice(0, separator), replacement: value.slice(separator + 2) };
+      })
+    ]
+  };
+}
+
+// Runs inside the page; rewrites matching text nodes and remembers the original text for restoring
+function replaceTextScript(rules) {
+  const originals = window.__uiWorkflowTextOriginals || new Map();
+  window.__uiWorkflowTextOriginals = originals;
+  let replaced = 0;
+
+  for (const rule of rules) {
+    const expression = new RegExp(rule.pattern, rule.flags || 'g');
+    for (const root of document.querySelectorAll(rule.selector || 'body')) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let node;
+      while ((node = walker.nextNode())) {
+        const parent = node.parentElement;
+        if (!parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) continue;
+
+        expression.lastIndex = 0;
+        const text = node.textContent.replace(expression, rule.replacement);
+        if (text !== node.textContent) {
+          if (!originals.has(node)) originals.set(node, node.textContent);
+          node.textContent = text;
+          replaced++;
+        }
+      }
+    }
+  }
+  return replaced;
+}
+
+export async function applyTextReplacements(page, rules) {
+  if (!rules || rules.length === 0) return 0;
+  return page.evaluate(replaceTextScript, rules);
+}
+
+export async function restoreTextReplacements(page) {
+  await page.evaluate(() => {
+    const originals = window.__uiWorkflowTextOriginals;
+    if (!originals) return;
+    for (const [node, text] of originals) node.textContent = text;
+    originals.clear();
+  });
+}
+
+/**
+ * Boxes of the ignored elements in screenshot pixels.
+ * @param {Object} origin - top-left of the screenshot in document CSS pixels
+ */
+export async function measureIgnoredElements(page, selectors, origin = { x: 0, y: 0 }) {
+  if (!selectors || selectors.length === 0) return [];
+
+  const { boxes, devicePixelRatio } = await page.evaluate(selectorList => ({
+    devicePixelRatio: window.devicePixelRatio || 1,
+    boxes: selectorList.flatMap(selector => Array.from(document.querySelectorAll(selector)).map(element => {
+      const rect = element.getBoundingClientRect();
+      return { selector, x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+    }))
+  }), selectors);
+
+  return boxes
+    .filter(box => box.width > 0 && box.height > 0)
+    .map(box => ({
+      x: Math.floor((box.x - origin.x) * devicePixelRatio),
+      y: Math.floor((box.y - origin.y) * devicePixelRatio),
+      width: Math.ceil(box.width * devicePixelRatio),
+      height: Math.ceil(box.height * devicePixelRatio),
+      source: box.selector
+    }));
+}
+
+function clipRect(rect, width, height) {
+  const x = Math.max(0, Math.floor(rect.x));
+  const y = Math.max(0, Math.floor(rect.y));
+  const right = Math.min(width, Math.ceil(rect.x + rect.width));
+  const bottom = Math.min(height, Math.ceil(rect.y + rect.height));
+  return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+}
+
+/**
+ * Make ignored areas identical in both images so pixelmatch skips them.
+ * @returns {number} number of pixels excluded (overlapping regions counted once)
+ */
+export function excludeRegions(current, baseline, regions) {
+  const { width, height } = current;
+  const excluded = new Uint8Array(width * height);
+  let count = 0;
+
+  for (const region of regions) {
+    const rect = clipRect(region, width, height);
+    if (!rect) continue;
+
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      const rowStart = (y * width + rect.x) * 4;
+      baseline.data.copy(current.data, rowStart, rowStart, rowStart + rect.width * 4);
+      for (let x = rect.x; x < rect.x + rect.width; x++) {
+        if (!excluded[y * width + x]) {
+          excluded[y * width + x] = 1;
+          count++;
+        }
+      }
+    }
+  }
+  return count;
+}
+
+// Hatches ignored areas in the diff image so reviewers can see what was not compared
+export function markIgnoredRegions(diff, regions) {
+  for (const region of regions) {
+    const rect = clipRect(region, diff.width, diff.height);
+    if (!rect) continue;
+
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      for (let x = rect.x; x < rect.x + rect.width; x++) {
+        const offset = (y * diff.width + x) * 4;
+        const stripe = (x + y) % 8 < 2;
+        diff.data[offset] = stripe ? 120 : 200;
+        diff.data[offset + 1] = stripe ? 144 : 210;
+        diff.data[offset + 2] = stripe ? 156 : 220;
+        diff.data[offset + 3] = 255;
+      }
+    }
+  }
+  return diff;
+}
+
+export default resolveMaskRules;
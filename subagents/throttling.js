@@ -0,0 +1,96 @@
+/**
+ * Throttling - Named network and CPU throttling profiles applied through a Chromium CDP session
+ * Makes performance runs resemble real mobile users instead of the local machine
+ */
+
+// Latency in ms, throughput in Kbps, cpu as a slowdown multiplier. Network values follow DevTools and Lighthouse presets.
+export const THROTTLING_PROFILES = {
+  none: { description: 'No throttling' },
+  'slow-3g': {
+    description: 'Slow 3G with a mid-tier mobile CPU',
+    network: { latency: 2000, downloadKbps: 400, uploadKbps: 400 },
+    cpu: 4
+  },
+  'fast-3g': {
+    description: 'Fast 3G with a mid-tier mobile CPU',
+    network: { latency: 563, downloadKbps: 1440, uploadKbps: 675 },
+    cpu: 4
+  },
+  'slow-4g': {
+    description: 'Slow 4G with a mid-tier mobile CPU (Lighthouse mobile)',
+    network: { latency: 150, downloadKbps: 1600, uploadKbps: 750 },
+    cpu: 4
+  },
+  'fast-4g': {
+    description: 'Fast 4G, unthrottled CPU',
+    network: { latency: 165, downloadKbps: 8100, uploadKbps: 1350 }
+  },
+  'mid-tier-mobile': {
+    description: 'Mid-tier mobile CPU (4x slower), unthrottled network',
+    cpu: 4
+  },
+  'low-end-mobile': {
+    description: 'Low-end mobile CPU (6x slower) on Slow 3G',
+    network: { latency: 2000, downloadKbps: 400, uploadKbps: 400 },
+    cpu: 6
+  }
+};
+
+export function resolveThrottlingProfile(name) {
+  if (!name) return null;
+  if (typeof name === 'object') return { name: 'custom', ...name };
+
+  const profile = THROTTLING_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown throttling profile "${name}". Use one of: ${Object.keys(THROTTLING_PROFILES).join(', ')}`);
+  }
+  return { name, ...profile };
+}
+
+// "slow-4g (150ms RTT, 1600/750 Kbps, 4x CPU)" for reports
+export function describeThrottling(profile) {
+  if (!profile || profile.name === 'none') return 'none';
+
+  const parts = [];
+  if (profile.network) {
+    parts.push(`${profile.network.latency}ms RTT`, `${profile.network.downloadKbps}/${profile.network.uploadKbps} Kbps`);
+  }
+  if (profile.cpu && profile.cpu > 1) parts.push(`${profile.cpu}x CPU`);
+  return parts.length > 0 ? `${profile.name} (${parts.join(', ')})` : profile.name;
+}
+
+const kbpsToBytes = kbps => Math.round((kbps * 1000) / 8);
+
+/**
+ * Apply `profile` to the page over CDP. Only Chromium exposes these controls; other engines
+ * return { applied: false } with the reason so reports don't claim throttled numbers.
+ */
+export async function applyThrottling(page, profile, { browserName = 'chromium', client = null } = {}) {
+  if (!profile) return { profile: null, applied: false, client };
+  // Nothing to turn off when throttling was never applied
+  if (profile.name === 'none' && !client) return { profile, applied: false, client };
+
+  if (browserName !== 'chromium') {
+    console.log(`⚠️ Throttling profile ${profile.name} ignored: ${browserName} has no CDP throttling`);
+    return { profile, applied: false, reason: `${browserName} does not support CDP throttling`, client };
+  }
+
+  const session = client || await page.context().newCDPSession(page);
+  const network = profile.network;
+
+  await session.send('Network.enable');
+  await session.send('Network.emulateNetworkConditions', network
+    ? {
+        offline: false,
+        latency: network.latency,
+        downloadThroughput: kbpsToBytes(network.downloadKbps),
+        uploadThroughput: kbpsToBytes(network.uploadKbps)
+      }
+    : { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+  await session.send('Emulation.setCPUThrottlingRate', { rate: profile.cpu || 1 });
+
+  console.log(`🐢 Throttling: ${describeThrottling(profile)}`);
+  return { profile, applied: profile.name !== 'none', client: session };
+}
+
+export default applyThrottling;
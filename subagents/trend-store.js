@@ -0,0 +1,222 @@
+/**
+ * Trend Store - Append-only JSONL history of scores, vitals, violation counts and diff percentages per run
+ * Keyed by URL, device, browser and git commit, with rolling-baseline regression detection
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getGitCommit } from './baseline-manifest.js';
+
+// `better` says which direction is an improvement; a change counts as a regression when it is worse
+// than the rolling baseline by more than `tolerance` (absolute) and `relative` (share of the baseline)
+export const TREND_METRICS = {
+  accessibilityScore: { label: 'Accessibility score', unit: 'score', better: 'higher', tolerance: 3 },
+  violations: { label: 'Accessibility violations', unit: 'count', better: 'lower', tolerance: 0 },
+  performanceScore: { label: 'Performance score', unit: 'score', better: 'higher', tolerance: 5 },
+  lcp: { label: 'LCP', unit: 'ms', better: 'lower', tolerance: 100, relative: 0.1 },
+  cls: { label: 'CLS', unit: '', better: 'lower', tolerance: 0.02 },
+  inp: { label: 'INP', unit: 'ms', better: 'lower', tolerance: 50, relative: 0.1 },
+  fcp: { label: 'FCP', unit: 'ms', better: 'lower', tolerance: 100, relative: 0.1 },
+  ttfb: { label: 'TTFB', unit: 'ms', better: 'lower', tolerance: 100, relative: 0.1 },
+  tbt: { label: 'TBT', unit: 'ms', better: 'lower', tolerance: 50, relative: 0.1 },
+  budgetsExceeded: { label: 'Budgets exceeded', unit: 'count', better: 'lower', tolerance: 0 },
+  lighthousePerformance: { label: 'Lighthouse performance', unit: 'score', better: 'higher', tolerance: 5 },
+  lighthouseAccessibility: { label: 'Lighthouse accessibility', unit: 'score', better: 'higher', tolerance: 3 },
+  lighthouseBestPractices: { label: 'Lighthouse best practices', unit: 'score', better: 'higher', tolerance: 5 },
+  lighthouseSeo: { label: 'Lighthouse SEO', unit: 'score', better: 'higher', tolerance: 5 },
+  diffPercentage: { label: 'Visual diff', unit: '%', better: 'lower', tolerance: 0.5 }
+};
+
+const LIGHTHOUSE_METRICS = {
+  performance: 'lighthousePerformance',
+  accessibility: 'lighthouseAccessibility',
+  'best-practices': 'lighthouseBestPractices',
+  seo: 'lighthouseSeo'
+};
+
+/**
+ * Trend metrics from one page's analyses and baseline comparisons; later analyses win.
+ * `scorer` is an AnalysisAgent, for its accessibility and performance scores.
+ */
+export function trendMetrics(analyses = [], comparisons = [], scorer = null) {
+  const metrics = {};
+
+  for (const analysis of analyses) {
+    switch (analysis.type) {
+      case 'accessibility_issues':
+        metrics.violations = analysis.automated.violations.length;
+        if (scorer) metrics.accessibilityScore = scorer.calculateAccessibilityScore(analysis);
+        break;
+
+      case 'performance_metrics':
+        for (const metric of ['lcp', 'cls', 'inp', 'fcp', 'ttfb', 'tbt']) {
+          if (analysis.metrics[metric] !== null && analysis.metrics[metric] !== undefined) {
+            metrics[metric] = Math.round(analysis.metrics[metric] * 1000) / 1000;
+          }
+        }
+        if (analysis.budget) metrics.budgetsExceeded = analysis.budget.exceeded.length;
+        if (scorer) {
+          const score = scorer.calculatePerformanceScore(analysis);
+          if (score !== null) metrics.performanceScore = score;
+        }
+        break;
+
+      case 'lighthouse':
+        for (const [category, score] of Object.entries(analysis.scores)) {
+          if (LIGHTHOUSE_METRICS[category] && score !== null) metrics[LIGHTHOUSE_METRICS[category]] = score;
+        }
+        break;
+    }
+  }
+
+  // The largest change of any screenshot on the page
+  const diffs = comparisons.filter(comparison => typeof comparison.diffPercentage === 'number' && !comparison.isNewBaseline);
+  if (diffs.length > 0) {
+    metrics.diffPercentage = Math.max(...diffs.map(comparison => comparison.diffPercentage));
+  }
+
+  return metrics;
+}
+
+// Profile name for the trend key; a profile the browser couldn't apply (Firefox, WebKit) measured unthrottled
+export function throttlingKey(throttling) {
+  return throttling?.applied ? throttling.profile : 'none';
+}
+
+// Runs are only comparable on the same page, device, browser and throttling profile
+export function seriesKey(record) {
+  return [record.url, record.device, record.browser, record.throttling || 'none'].join('|');
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compare the latest value of a metric with the median of the `window` runs before it.
+ * Returns null without enough history or when the change is within tolerance.
+ */
+export function detectRegression(values, metric, { window = 5, minHistory = 2 } = {}) {
+  const definition = TREND_METRICS[metric];
+  if (values.length < minHistory + 1) return null;
+
+  const latest = values[values.length - 1];
+  const baseline = median(values.slice(-window - 1, -1));
+  const worse = definition.better === 'lower' ? latest - baseline : baseline - latest;
+  const allowed = Math.max(definition.tolerance, (definition.relative || 0) * Math.abs(baseline));
+
+  if (worse <= allowed) return null;
+  return { metric, label: definition.label, unit: definition.unit, latest, baseline, change: latest - baseline };
+}
+
+export class TrendStore {
+  constructor(options = {}) {
+    this.options = {
+      path: process.env.TREND_STORE || path.join('reports', 'trends', 'history.jsonl'),
+      window: 5, // runs in the rolling baseline
+      minHistory: 2, // earlier runs needed before a regression is reported
+      ...options
+    };
+  }
+
+  /**
+   * Append one record per page: { url, device, browser, throttling, source, metrics }.
+   * Timestamp and git commit are added here; records without metrics are skipped.
+   */
+  append(records) {
+    const commit = getGitCommit();
+    const timestamp = new Date().toISOString();
+    const entries = records
+      .filter(record => record.url && Object.keys(record.metrics || {}).length > 0)
+      .map(record => ({ timestamp, commit, throttling: 'none', ...record }));
+
+    if (entries.length > 0) {
+      fs.mkdirSync(path.dirname(this.options.path), { recursive: true });
+      fs.appendFileSync(this.options.path, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+      console.log(`📈 Recorded ${entries.length} trend entr${entries.length === 1 ? 'y' : 'ies'} in ${this.options.path}`);
+    }
+    return entries;
+  }
+
+  // Every record matching the filter ({ url, device, browser, throttling }), oldest first; unreadable lines are skipped
+  load(filter = {}) {
+    if (!fs.existsSync(this.options.path)) return [];
+
+    return fs.readFileSync(this.options.path, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          return [];
+        }
+      })
+      .filter(record => Object.entries(filter).every(([key, value]) => !value || record[key] === value))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  series(filter = {}) {
+    const series = new Map();
+    for (const record of this.load(filter)) {
+      const key = seriesKey(record);
+      if (!series.has(key)) {
+        series.set(key, { key, url: record.url, device: record.device, browser: record.browser, throttling: record.throttling, runs: [] });
+      }
+      series.get(key).runs.push(record);
+    }
+    return [...series.values()];
+  }
+
+  // Regressions of the latest run of every series against its rolling baseline
+  detectRegressions(filter = {}, { metrics = Object.keys(TREND_METRICS) } = {}) {
+    return this.series(filter).flatMap(series => metrics.flatMap(metric => {
+      const runs = series.runs.filter(run => run.metrics[metric] !== undefined);
+      const regression = detectRegression(runs.map(run => run.metrics[metric]), metric, this.options);
+      if (!regression) return [];
+
+      return [{
+        url: series.url,
+        device: series.device,
+        browser: series.browser,
+        throttling: series.throttling,
+        ...regression,
+        commit: runs[runs.length - 1].commit,
+        timestamp: runs[runs.length - 1].timestamp
+      }];
+    }));
+  }
+
+  /**
+   * Chart data for the HTML report: one entry per series with a chart per metric that has values,
+   * each with its last `limit` points, the rolling baseline and whether the latest point regressed.
+   */
+  chartData(filter = {}, { metrics = Object.keys(TREND_METRICS), limit = 30 } = {}) {
+    const regressions = this.detectRegressions(filter, { metrics });
+
+    return this.series(filter).map(series => ({
+      title: series.url,
+      device: series.device,
+      browser: series.browser,
+      throttling: series.throttling,
+      charts: metrics.flatMap(metric => {
+        const runs = series.runs.filter(run => run.metrics[metric] !== undefined).slice(-limit);
+        if (runs.length === 0) return [];
+
+        const values = runs.map(run => run.metrics[metric]);
+        const regression = regressions.find(entry => entry.metric === metric && seriesKey(entry) === series.key) || null;
+        return [{
+          metric,
+          ...TREND_METRICS[metric],
+          points: runs.map(run => ({ value: run.metrics[metric], commit: run.commit, timestamp: run.timestamp })),
+          baseline: values.length > 1 ? median(values.slice(-this.options.window - 1, -1)) : null,
+          regression
+        }];
+      })
+    })).filter(series => series.charts.length > 0);
+  }
+}
+
+export default TrendStore;
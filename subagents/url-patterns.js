@@ -0,0 +1,32 @@
+/**
+ * URL Patterns - Glob and RegExp matching for URLs, shared by the site crawler, performance budgets,
+ * journey assertions and screenshot mask rules
+ */
+
+// `*` matches within a path segment, `**` across segments and `?` any single character
+export function globToRegExp(glob, flags = '') {
+  const expression = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\u0000/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${expression}$`, flags);
+}
+
+/**
+ * Patterns starting with "/" match the path, with or without its query; anything else the full URL.
+ * RegExps are tested against the full URL.
+ */
+export function urlMatcher(pattern) {
+  if (pattern instanceof RegExp) return url => pattern.test(url);
+
+  const regex = globToRegExp(pattern);
+  return url => {
+    if (!pattern.startsWith('/')) return regex.test(url);
+    const { pathname, search } = new URL(url);
+    return regex.test(pathname + search) || regex.test(pathname);
+  };
+}
+
+export default urlMatcher;
@@ -0,0 +1,453 @@
+/**
+ * Vision Providers - Pluggable vision-model backends for AI analysis
+ * Supports the Anthropic Messages API, OpenAI-compatible endpoints, a deterministic
+ * mock provider, and a record/replay fixture wrapper for reproducible CI runs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const DEFAULT_SEVERITY_LEVELS = ['critical', 'major', 'minor', 'info'];
+
+const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Friendly names used in configs that the Anthropic API does not accept verbatim
+const ANTHROPIC_MODEL_ALIASES = {
+  'claude-sonnet-4': 'claude-sonnet-4-0',
+  'claude-opus-4': 'claude-opus-4-0'
+};
+
+export const ANALYSIS_RESPONSE_INSTRUCTIONS = `
+Respond with a single JSON object and nothing else, using exactly this shape:
+{
+  "summary": string,
+  "confidence": number between 0 and 1,
+  "findings": [
+    {
+      "severity": "critical" | "major" | "minor" | "info",
+      "category": string (e.g. layout, spacing, color, typography, accessibility, overflow),
+      "description": string,
+      "recommendation": string,
+      "location": string (where on the page the issue is),
+      "region": { "x": number, "y": number, "width": number, "height": number } (optional, pixel box in the current screenshot)
+    }
+  ],
+  "consistency_score": number between 0 and 10 (optional),
+  "responsive_score": number between 0 and 10 (optional)
+}
+Return an empty "findings" array when there are no issues.
+`;
+
+export class VisionProviderError extends Error {
+  constructor(message, { retryable = false, status = null } = {}) {
+    super(message);
+    this.name = 'VisionProviderError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+export class VisionProvider {
+  constructor(options = {}) {
+    this.options = { ...options };
+    this.model = options.model || null;
+  }
+
+  get name() {
+    return 'base';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  unavailableReason() {
+    return null;
+  }
+
+  // Returns the raw text produced by the model
+  async complete({ prompt, images = [] }) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+}
+
+export class AnthropicVisionProvider extends VisionProvider {
+  constructor(options = {}) {
+    super({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      apiVersion: '2023-06-01',
+      maxTokens: 4096,
+      ...options
+    });
+    this.model = ANTHROPIC_MODEL_ALIASES[this.model] || this.model || 'claude-sonnet-4-0';
+  }
+
+  get name() {
+    return 'anthropic';
+  }
+
+  isAvailable() {
+    return Boolean(this.options.apiKey);
+  }
+
+  unavailableReason() {
+    return this.isAvailable() ? null : 'ANTHROPIC_API_KEY is not set';
+  }
+
+  async complete({ prompt, images = [] }) {
+    const content = [
+      ...images.flatMap(image => [
+        { type: 'text', text: image.label },
+        {
+          type: 'image',
+          source: { type: 'base64', media_type: image.mediaType, data: image.buffer.toString('base64') }
+        }
+      ]),
+      { type: 'text', text: prompt }
+    ];
+
+    const response = await fetch(`${this.options.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.options.apiKey,
+        'anthropic-version': this.options.apiVersion
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.options.maxTokens,
+        temperature: 0,
+        messages: [{ role: 'user', content }]
+      })
+    });
+
+    if (!response.ok) {
+      throw new VisionProviderError(
+        `Anthropic API error ${response.status}: ${await response.text()}`,
+        { retryable: response.status === 429 || response.status >= 500, status: response.status }
+      );
+    }
+
+    const body = await response.json();
+    return body.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+export class OpenAIVisionProvider extends VisionProvider {
+  constructor(options = {}) {
+    super({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || OPENAI_DEFAULT_BASE_URL,
+      maxTokens: 4096,
+      ...options
+    });
+    this.model = this.model || 'gpt-4o';
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  isAvailable() {
+    // Local OpenAI-compatible servers usually run without a key
+    return Boolean(this.options.apiKey || this.options.baseUrl !== OPENAI_DEFAULT_BASE_URL);
+  }
+
+  unavailableReason() {
+    return this.isAvailable() ? null : 'OPENAI_API_KEY or OPENAI_BASE_URL is not set';
+  }
+
+  async complete({ prompt, images = [] }) {
+    const content = [
+      ...images.flatMap(image => [
+        { type: 'text', text: image.label },
+        {
+          type: 'image_url',
+          image_url: { url: `data:${image.mediaType};base64,${image.buffer.toString('base64')}` }
+        }
+      ]),
+      { type: 'text', text: prompt }
+    ];
+
+    const headers = { 'content-type': 'application/json' };
+    if (this.options.apiKey) {
+      headers.authorization = `Bearer ${this.options.apiKey}`;
+    }
+
+    const response = await fetch(`${this.options.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.options.maxTokens,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [{ role: 'user', content }]
+      })
+    });
+
+    if (!response.ok) {
+      throw new VisionProviderError(
+        `OpenAI-compatible API error ${response.status}: ${await response.text()}`,
+        { retryable: response.status === 429 || response.status >= 500, status: response.status }
+      );
+    }
+
+    const body = await response.json();
+    return body.choices?.[0]?.message?.content || '';
+  }
+}
+
+export class MockVisionProvider extends VisionProvider {
+  constructor(options = {}) {
+    super(options);
+    this.model = this.model || 'mock';
+    this.calls = [];
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  async complete({ prompt, images = [] }) {
+    this.calls.push({ prompt, images: images.map(image => image.label) });
+
+    // A function response lets tests vary output per call (e.g. malformed first, valid second)
+    const response = typeof this.options.response === 'function'
+      ? this.options.response({ prompt, images, call: this.calls.length })
+      : this.options.response;
+
+    if (typeof response === 'string') return response;
+
+    return JSON.stringify(response || {
+      summary: 'Mock analysis completed',
+      confidence: 1,
+      findings: []
+    });
+  }
+}
+
+export class FixtureVisionProvider extends VisionProvider {
+  constructor(innerProvider, options = {}) {
+    super({
+      mode: 'replay',
+      fixtureDir: path.join('fixtures', 'ai-analysis'),
+      ...options
+    });
+    this.inner = innerProvider;
+    this.model = innerProvider.model;
+  }
+
+  get name() {
+    return `fixture(${this.inner.name})`;
+  }
+
+  isAvailable() {
+    return this.options.mode === 'replay' || this.inner.isAvailable();
+  }
+
+  unavailableReason() {
+    return this.isAvailable() ? null : this.inner.unavailableReason();
+  }
+
+  fixtureKey({ prompt, images = [] }) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${this.inner.name}:${this.inner.model}\n${prompt}`);
+    images.forEach(image => hash.update(image.buffer));
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  fixturePath(request) {
+    return path.join(this.options.fixtureDir, `${this.fixtureKey(request)}.json`);
+  }
+
+  async complete(request) {
+    const fixturePath = this.fixturePath(request);
+
+    if (this.options.mode === 'replay') {
+      if (!fs.existsSync(fixturePath)) {
+        throw new VisionProviderError(
+          `No recorded AI fixture at ${fixturePath}. Re-run with AI_FIXTURE_MODE=record to capture it.`
+        );
+      }
+      return JSON.parse(fs.readFileSync(fixturePath, 'utf8')).response;
+    }
+
+    const response = await this.inner.complete(request);
+
+    fs.mkdirSync(this.options.fixtureDir, { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      provider: this.inner.name,
+      model: this.inner.model,
+      recordedAt: new Date().toISOString(),
+      images: request.images.map(image => image.label),
+      response
+    }, null, 2));
+
+    return response;
+  }
+}
+
+/**
+ * Create a provider from an `aiModel` string.
+ * Accepts `provider:model` (anthropic:claude-sonnet-4-0, openai:gpt-4o, mock) or a bare
+ * model name, where claude-* selects Anthropic and anything else an OpenAI-compatible endpoint.
+ */
+export function createVisionProvider(aiModel = 'claude-sonnet-4', options = {}) {
+  const [prefix, ...rest] = aiModel.split(':');
+  const knownProviders = ['anthropic', 'openai', 'mock'];
+
+  let providerName;
+  let model;
+  if (knownProviders.includes(prefix)) {
+    providerName = prefix;
+    model = rest.join(':') || undefined;
+  } else {
+    providerName = aiModel.startsWith('claude') ? 'anthropic' : 'openai';
+    model = aiModel;
+  }
+
+  const providerOptions = { ...options.providerOptions, model };
+  let provider;
+  switch (providerName) {
+    case 'anthropic':
+      provider = new AnthropicVisionProvider(providerOptions);
+      break;
+    case 'openai':
+      provider = new OpenAIVisionProvider(providerOptions);
+      break;
+    default:
+      provider = new MockVisionProvider(providerOptions);
+  }
+
+  const fixtureMode = options.fixtureMode || process.env.AI_FIXTURE_MODE;
+  if (fixtureMode === 'record' || fixtureMode === 'replay') {
+    return new FixtureVisionProvider(provider, {
+      mode: fixtureMode,
+      ...(options.fixtureDir ? { fixtureDir: options.fixtureDir } : {})
+    });
+  }
+
+  return provider;
+}
+
+export function parseAnalysisResponse(text) {
+  const trimmed = (text || '').trim();
+
+  // Models sometimes wrap JSON in a fenced block or add a sentence around it
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : trimmed;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end === -1) {
+    throw new Error('Response does not contain a JSON object');
+  }
+
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+export function validateAnalysisResponse(response, severityLevels = DEFAULT_SEVERITY_LEVELS) {
+  const errors = [];
+
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return ['Response must be a JSON object'];
+  }
+  if (typeof response.summary !== 'string') {
+    errors.push('"summary" must be a string');
+  }
+  if (response.confidence !== undefined &&
+      (typeof response.confidence !== 'number' || response.confidence < 0 || response.confidence > 1)) {
+    errors.push('"confidence" must be a number between 0 and 1');
+  }
+  ['consistency_score', 'responsive_score'].forEach(key => {
+    if (response[key] !== undefined &&
+        (typeof response[key] !== 'number' || response[key] < 0 || response[key] > 10)) {
+      errors.push(`"${key}" must be a number between 0 and 10`);
+    }
+  });
+
+  if (!Array.isArray(response.findings)) {
+    errors.push('"findings" must be an array');
+    return errors;
+  }
+
+  response.findings.forEach((finding, index) => {
+    if (!finding || typeof finding !== 'object') {
+      errors.push(`findings[${index}] must be an object`);
+      return;
+    }
+    if (!severityLevels.includes(finding.severity)) {
+      errors.push(`findings[${index}].severity must be one of ${severityLevels.join(', ')}`);
+    }
+    ['category', 'description', 'recommendation', 'location'].forEach(key => {
+      if (typeof finding[key] !== 'string' || finding[key].length === 0) {
+        errors.push(`findings[${index}].${key} must be a non-empty string`);
+      }
+    });
+    if (finding.region !== undefined &&
+        !['x', 'y', 'width', 'height'].every(key => typeof finding.region?.[key] === 'number')) {
+      errors.push(`findings[${index}].region must have numeric x, y, width and height`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Send a prompt plus images to the provider and return a validated findings object.
+ * Malformed output and retryable API errors are retried with the validation errors fed back.
+ */
+export async function requestStructuredAnalysis(provider, { prompt, images = [], maxRetries = 2, severityLevels }) {
+  let attemptPrompt = prompt;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    let text;
+    try {
+      text = await provider.complete({ prompt: attemptPrompt, images });
+    } catch (error) {
+      if (!error.retryable || attempt === maxRetries) throw error;
+      lastError = error;
+      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+      continue;
+    }
+
+    let errors;
+    let parsed = null;
+    try {
+      parsed = parseAnalysisResponse(text);
+      errors = validateAnalysisResponse(parsed, severityLevels);
+    } catch (error) {
+      errors = [`Invalid JSON: ${error.message}`];
+    }
+
+    if (errors.length === 0) {
+      return { ...parsed, attempts: attempt + 1 };
+    }
+
+    lastError = new VisionProviderError(`Malformed analysis response: ${errors.join('; ')}`);
+    console.warn(`⚠️ ${provider.name} returned malformed analysis (attempt ${attempt + 1}): ${errors.join('; ')}`);
+
+    attemptPrompt = `${prompt}
+
+Your previous response was rejected for these reasons:
+${errors.map(error => `- ${error}`).join('\n')}
+Reply again with only the corrected JSON object.`;
+  }
+
+  throw lastError;
+}
+
+export function detectMediaType(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.slice(0, 4).toString('ascii') === 'RIFF') return 'image/webp';
+  return 'image/png';
+}
+
+export default createVisionProvider;
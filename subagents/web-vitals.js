@@ -0,0 +1,232 @@
+/**
+ * Web Vitals - Collects LCP, CLS, INP, FCP, TTFB, long tasks and TBT with buffered observers
+ * The collector is installed with addInitScript so it sees the page from its first paint
+ */
+
+export const VITALS_THRESHOLDS = {
+  lcp: { good: 2500, needsImprovement: 4000 },
+  cls: { good: 0.1, needsImprovement: 0.25 },
+  inp: { good: 200, needsImprovement: 500 },
+  fcp: { good: 1800, needsImprovement: 3000 },
+  ttfb: { good: 800, needsImprovement: 1800 },
+  tbt: { good: 200, needsImprovement: 600 }
+};
+
+// Runs in every frame before page scripts; must stay self-contained. Only the top frame is measured.
+export function vitalsInitScript() {
+  if (window !== window.top || window.__uiWorkflowVitals || typeof PerformanceObserver === 'undefined') return;
+
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  const state = {
+    fcp: null,
+    lcp: null,
+    lcpElement: null,
+    shifts: [],
+    longTasks: [],
+    interactions: new Map(), // interactionId -> longest event of that interaction
+    firstInput: null
+  };
+
+  const selectorFor = node => {
+    const element = node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    if (!element) return null;
+    const parts = [];
+    for (let current = element; current && current !== document.documentElement; current = current.parentElement) {
+      if (current.id) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const classes = Array.from(current.classList).slice(0, 2);
+      if (classes.length > 0) part += classes.map(name => `.${CSS.escape(name)}`).join('');
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+        : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  };
+
+  const rect = value => (value ? { x: Math.round(value.x), y: Math.round(value.y), width: Math.round(value.width), height: Math.round(value.height) } : null);
+
+  const observe = (type, callback, options = {}) => {
+    if (!supported.includes(type)) return;
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+    } catch (error) {
+      // Older engines reject `type`/`buffered`; the metric stays null
+    }
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') state.fcp = entry.startTime;
+  });
+
+  observe('largest-contentful-paint', entry => {
+    state.lcp = entry.startTime;
+    state.lcpElement = { selector: selectorFor(entry.element), size: entry.size, url: entry.url || null };
+  });
+
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    state.shifts.push({
+      value: entry.value,
+      startTime: entry.startTime,
+      sources: (entry.sources || []).map(source => ({
+        selector: selectorFor(source.node),
+        previousRect: rect(source.previousRect),
+        currentRect: rect(source.currentRect)
+      }))
+    });
+  });
+
+  observe('longtask', entry => {
+    state.longTasks.push({ startTime: entry.startTime, duration: entry.duration, name: entry.name });
+  });
+
+  observe('event', entry => {
+    if (!entry.interactionId) return;
+    const previous = state.interactions.get(entry.interactionId);
+    if (!previous || entry.duration > previous.duration) {
+      state.interactions.set(entry.interactionId, {
+        type: entry.name,
+        duration: entry.duration,
+        startTime: entry.startTime,
+        inputDelay: entry.processingStart - entry.startTime,
+        processing: entry.processingEnd - entry.processingStart,
+        target: selectorFor(entry.target)
+      });
+    }
+  }, { durationThreshold: 16 });
+
+  observe('first-input', entry => {
+    state.firstInput = { type: entry.name, delay: entry.processingStart - entry.startTime };
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+  const sessionWindows = () => {
+    const windows = [];
+    for (const shift of state.shifts) {
+      const current = windows[windows.length - 1];
+      const last = current?.shifts[current.shifts.length - 1];
+      if (current && shift.startTime - last.startTime < 1000 && shift.startTime - current.shifts[0].startTime < 5000) {
+        current.value += shift.value;
+        current.shifts.push(shift);
+      } else {
+        windows.push({ value: shift.value, shifts: [shift] });
+      }
+    }
+    return windows;
+  };
+
+  window.__uiWorkflowVitals = {
+    supported,
+    snapshot() {
+      const navigation = performance.getEntriesByType('navigation')[0];
+      const activationStart = navigation?.activationStart || 0;
+      const worst = sessionWindows().sort((a, b) => b.value - a.value)[0];
+
+      // INP: the worst interaction, ignoring one outlier per 50 interactions
+      const durations = [...state.interactions.values()].map(interaction => interaction.duration).sort((a, b) => b - a);
+      const inp = durations.length > 0 ? durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))] : null;
+
+      // TBT: the blocking part (over 50ms) of every long task after FCP
+      const tbt = state.fcp === null || !supported.includes('longtask')
+        ? null
+        : state.longTasks
+          .filter(task => task.startTime >= state.fcp)
+          .reduce((total, task) => total + Math.max(0, task.duration - 50), 0);
+
+      return {
+        metrics: {
+          lcp: state.lcp === null ? null : Math.max(0, state.lcp - activationStart),
+          cls: supported.includes('layout-shift') ? (worst ? worst.value : 0) : null,
+          inp,
+          fcp: state.fcp === null ? null : Math.max(0, state.fcp - activationStart),
+          ttfb: navigation ? Math.max(0, navigation.responseStart - activationStart) : null,
+          tbt,
+          fid: state.firstInput ? state.firstInput.delay : null
+        },
+        lcpElement: state.lcpElement,
+        clsAttribution: (worst?.shifts || [])
+          .flatMap(shift => shift.sources.map(source => ({ ...source, value: shift.value, startTime: shift.startTime })))
+          .filter(source => source.selector),
+        longTasks: state.longTasks,
+        interactions: [...state.interactions.values()].sort((a, b) => b.duration - a.duration).slice(0, 10),
+        supported: ['paint', 'largest-contentful-paint', 'layout-shift', 'longtask', 'event'].filter(type => supported.includes(type))
+      };
+    }
+  };
+}
+
+// Toggles that open and close something; only type="button", which never submits a form
+export const TOGGLE_SELECTORS = [
+  'button[type="button"][aria-expanded]',
+  'button[type="button"][aria-controls]',
+  'button[type="button"][role="tab"]'
+];
+
+/**
+ * Drive a few interactions: key presses and clicks on toggles (closed again with Escape).
+ * Stops if a click navigates. The page can still have changed; collectVitals reloads it afterwards.
+ */
+export async function simulateInteractions(page, { maxClicks = 3, selectors = TOGGLE_SELECTORS } = {}) {
+  const url = page.url();
+  await page.keyboard.press('Tab');
+  await page.keyboard.press('Shift+Tab');
+
+  const candidates = page.locator(selectors.join(', '));
+  const count = Math.min(await candidates.count(), 10);
+
+  let clicks = 0;
+  for (let index = 0; index < count && clicks < maxClicks; index++) {
+    const candidate = candidates.nth(index);
+    if (!await candidate.isVisible() || await candidate.isDisabled()) continue;
+
+    await candidate.click({ timeout: 2000 }).catch(() => {});
+    clicks++;
+    await page.keyboard.press('Escape');
+    if (page.url() !== url) {
+      await page.goBack();
+      break;
+    }
+  }
+
+  await page.evaluate(() => document.activeElement?.blur?.());
+  return { clicks, keyPresses: 2 };
+}
+
+/**
+ * Read the collector installed by vitalsInitScript. With `interact`, scripted interactions run first
+ * so INP has something to measure, and the page is reloaded after the reading to undo them.
+ * Event timing entries arrive after the next paint, hence `settle`.
+ */
+export async function collectVitals(page, { interact = false, settle = 500, maxClicks = 3, selectors } = {}) {
+  const installed = await page.evaluate(() => Boolean(window.__uiWorkflowVitals));
+  if (!installed) {
+    throw new Error('Web vitals collector is not installed; it is added when the navigation agent initializes');
+  }
+
+  const interactions = interact ? await simulateInteractions(page, { maxClicks, ...(selectors ? { selectors } : {}) }) : null;
+  await page.waitForTimeout(settle);
+
+  const vitals = await page.evaluate(() => window.__uiWorkflowVitals.snapshot());
+  if (interactions) {
+    await page.reload({ waitUntil: 'networkidle' });
+  }
+  return { ...vitals, simulated: interactions };
+}
+
+// good / needs-improvement / poor per metric, 'unknown' when the browser couldn't measure it
+export function rateVitals(metrics, thresholds = VITALS_THRESHOLDS) {
+  return Object.fromEntries(Object.entries(thresholds).map(([metric, threshold]) => {
+    const value = metrics[metric];
+    if (value === null || value === undefined) return [metric, 'unknown'];
+    if (value <= threshold.good) return [metric, 'good'];
+    if (value <= threshold.needsImprovement) return [metric, 'needs-improvement'];
+    return [metric, 'poor'];
+  }));
+}
+
+export default collectVitals;
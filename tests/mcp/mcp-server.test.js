@@ -0,0 +1,121 @@
+/**
+ * Drives the MCP server with an in-process client against a local static page
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chromium } from 'playwright';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+const PAGE = `<!doctype html>
+<html lang="en">
+  <head><title>MCP fixture</title></head>
+  <body>
+    <main><h1>Hello from the fixture</h1><p>Static page served to the MCP server test.</p></main>
+  </body>
+</html>`;
+
+const deviceProfiles = new URL('../../config/device-profiles.js', import.meta.url);
+const skip = !fs.existsSync(chromium.executablePath())
+  ? 'Chromium is not installed (npm run playwright:install)'
+  : !fs.existsSync(deviceProfiles)
+    ? 'config/device-profiles.js is missing (npm run install-playwright)'
+    : false;
+
+describe('MCP server', { skip, timeout: 120000 }, () => {
+  let workspace;
+  let originalCwd;
+  let site;
+  let siteUrl;
+  let client;
+
+  before(async () => {
+    // Screenshots, reports and sessions are written relative to the working directory
+    originalCwd = process.cwd();
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-server-'));
+    process.chdir(workspace);
+
+    site = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(PAGE);
+    });
+    await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+    siteUrl = `http://127.0.0.1:${site.address().port}/`;
+
+    const { SlashCommands } = await import('../../commands/slash-commands.js');
+    const { createMCPServer } = await import('../../commands/mcp-server.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createMCPServer(new SlashCommands()).connect(serverTransport);
+    client = new Client({ name: 'mcp-server-test', version: '1.0.0' });
+    await client.connect(clientTransport);
+  });
+
+  after(async () => {
+    await client?.callTool({ name: 'end-session', arguments: {} }).catch(() => {});
+    await client?.close();
+    await new Promise(resolve => (site ? site.close(resolve) : resolve()));
+    process.chdir(originalCwd);
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('lists the slash commands as tools with input schemas', async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map(tool => tool.name);
+    for (const name of ['start-session', 'navigate', 'screenshot', 'visual-diff', 'accessibility']) {
+      assert.ok(names.includes(name), `missing tool ${name}`);
+    }
+
+    const screenshot = tools.find(tool => tool.name === 'screenshot');
+    assert.equal(screenshot.inputSchema.type, 'object');
+    for (const property of ['name', 'type', 'selector', 'session']) {
+      assert.ok(screenshot.inputSchema.properties[property], `screenshot has no ${property} property`);
+    }
+  });
+
+  test('returns a screenshot of the page as image content', async () => {
+    const started = await client.callTool({ name: 'start-session', arguments: { browser: 'chromium', device: 'desktop.large' } });
+    assert.ok(!started.isError, started.content[0].text);
+
+    const navigated = await client.callTool({ name: 'navigate', arguments: { url: siteUrl } });
+    assert.ok(!navigated.isError, navigated.content[0].text);
+
+    const result = await client.callTool({ name: 'screenshot', arguments: { name: 'fixture' } });
+    assert.ok(!result.isError, result.content[0].text);
+    assert.equal(result.content[0].type, 'text');
+
+    const image = result.content.find(block => block.type === 'image');
+    assert.ok(image, 'no image content block');
+    assert.equal(image.mimeType, 'image/png');
+    // PNG signature
+    assert.equal(Buffer.from(image.data, 'base64').subarray(1, 4).toString(), 'PNG');
+  });
+
+  test('publishes screenshots as resources', async () => {
+    const { resources } = await client.listResources();
+    const screenshot = resources.find(resource => resource.name.startsWith('screenshots/') && resource.name.endsWith('.png'));
+    assert.ok(screenshot, 'no screenshot resource');
+    assert.equal(screenshot.mimeType, 'image/png');
+
+    const { contents } = await client.readResource({ uri: screenshot.uri });
+    assert.ok(contents[0].blob.length > 0);
+  });
+
+  test('rejects resources outside reports/ and screenshots/', async () => {
+    fs.writeFileSync('secret.txt', 'not a resource');
+
+    for (const uri of [
+      pathToFileURL(path.resolve('secret.txt')).href,
+      `${pathToFileURL(path.resolve('screenshots')).href}/../secret.txt`,
+      pathToFileURL(path.resolve('reports-copy', 'secret.txt')).href
+    ]) {
+      await assert.rejects(client.readResource({ uri }), /outside/, uri);
+    }
+  });
+});
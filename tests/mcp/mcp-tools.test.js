@@ -0,0 +1,208 @@
+/**
+ * The MCP server's tool and resource surface, driven by an in-process client without a browser
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  toolDefinitions,
+  buildToolList,
+  buildCommandArgs,
+  formatToolResult,
+  createMCPServer,
+  listResources,
+  readResource
+} from '../../commands/mcp-server.js';
+
+// Stands in for SlashCommands: every defined tool plus one without a definition, recording each call
+function recordingCommands() {
+  const calls = [];
+  const names = [...Object.keys(toolDefinitions), '/custom'];
+  return {
+    calls,
+    commands: Object.fromEntries(names.map(name => [name, async () => ({})])),
+    async runCommand(command, args, context) {
+      calls.push({ command, args, context });
+      return { message: `ran ${command}`, args };
+    }
+  };
+}
+
+async function connect(slashCommands) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMCPServer(slashCommands).connect(serverTransport);
+  const client = new Client({ name: 'mcp-tools-test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+describe('tool definitions', () => {
+  test('declare every positional argument and flag as a property', () => {
+    for (const [command, definition] of Object.entries(toolDefinitions)) {
+      for (const key of [...definition.positional, ...(definition.flags || []), ...(definition.required || [])]) {
+        assert.ok(definition.properties[key], `${command} has no "${key}" property`);
+      }
+    }
+  });
+
+  test('become tools named without the slash, with a session property', () => {
+    const tools = buildToolList(recordingCommands());
+    const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+
+    assert.equal(tools.length, Object.keys(toolDefinitions).length + 1);
+    assert.deepEqual(byName.navigate.inputSchema.required, ['url']);
+    assert.ok(byName.screenshot.inputSchema.properties.session);
+    assert.equal(byName['switch-session'].inputSchema.properties.session, toolDefinitions['/switch-session'].properties.session);
+    assert.deepEqual(Object.keys(byName.custom.inputSchema.properties), ['args', 'session']);
+    assert.match(byName.custom.description, /\(\/custom\)/);
+  });
+});
+
+describe('buildCommandArgs', () => {
+  test('fills skipped positional arguments with their defaults', () => {
+    assert.deepEqual(buildCommandArgs('/screenshot', { type: 'element', selector: '#hero' }), ['unnamed', 'element', '#hero']);
+    assert.deepEqual(buildCommandArgs('/screenshot', {}), []);
+  });
+
+  test('passes flags as --flag and --flag=value, repeating arrays', () => {
+    assert.deepEqual(
+      buildCommandArgs('/start-session', { browser: 'webkit', deterministic: true, strict: false, seed: 7 }),
+      ['webkit', '--deterministic', '--seed=7']
+    );
+    assert.deepEqual(
+      buildCommandArgs('/visual-diff', { name: 'home', ignore: ['.ad', '.avatar'] }),
+      ['home', '--ignore=.ad', '--ignore=.avatar']
+    );
+  });
+
+  test('passes raw args through for commands without a definition', () => {
+    assert.deepEqual(buildCommandArgs('/custom', { args: ['a', 2] }), ['a', '2']);
+  });
+});
+
+describe('formatToolResult', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-result-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('adds screenshots as image content and flags failures', () => {
+    const imagePath = path.join(dir, 'home.png');
+    fs.writeFileSync(imagePath, PNG.sync.write(new PNG({ width: 2, height: 2 })));
+
+    const result = formatToolResult({ success: false, screenshot: { path: imagePath }, diffPath: path.join(dir, 'missing.png') });
+    assert.equal(result.isError, true);
+    assert.deepEqual(result.content.map(block => block.type), ['text', 'image']);
+    assert.equal(result.content[1].mimeType, 'image/png');
+  });
+});
+
+describe('MCP server', () => {
+  test('runs tools through SlashCommands.runCommand', async () => {
+    const slashCommands = recordingCommands();
+    const client = await connect(slashCommands);
+
+    const result = await client.callTool({ name: 'navigate', arguments: { url: 'http://localhost:3000/' } });
+    assert.equal(result.isError, false);
+    assert.deepEqual(JSON.parse(result.content[0].text).args, ['http://localhost:3000/']);
+
+    const unknown = await client.callTool({ name: 'nope', arguments: {} });
+    assert.equal(unknown.isError, true);
+    assert.equal(slashCommands.calls.length, 1);
+
+    await client.close();
+  });
+
+  test('gives each connection its own client id and forwards the session argument', async () => {
+    const slashCommands = recordingCommands();
+    const first = await connect(slashCommands);
+    const second = await connect(slashCommands);
+
+    await first.callTool({ name: 'accessibility', arguments: {} });
+    await first.callTool({ name: 'screenshot', arguments: { session: 'checkout' } });
+    await second.callTool({ name: 'switch-session', arguments: { session: 'checkout' } });
+
+    const [a, b, c] = slashCommands.calls.map(call => call.context);
+    assert.equal(a.client, b.client);
+    assert.notEqual(a.client, c.client);
+    assert.equal(a.sessionId, undefined);
+    assert.equal(b.sessionId, 'checkout');
+    // switch-session takes the session as its argument, not as the session to run in
+    assert.equal(c.sessionId, undefined);
+    assert.deepEqual(slashCommands.calls[2].args, ['checkout']);
+
+    await first.close();
+    await second.close();
+  });
+});
+
+describe('resources', () => {
+  let workspace;
+  let originalCwd;
+
+  before(() => {
+    originalCwd = process.cwd();
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-resources-'));
+    process.chdir(workspace);
+
+    fs.mkdirSync(path.join('reports', 'visual'), { recursive: true });
+    fs.mkdirSync(path.join('screenshots', 'current'), { recursive: true });
+    fs.mkdirSync('reports-copy');
+    fs.writeFileSync(path.join('reports', 'visual', 'compare.json'), '{"passed":true}');
+    fs.writeFileSync(path.join('screenshots', 'current', 'home.png'), PNG.sync.write(new PNG({ width: 1, height: 1 })));
+    fs.writeFileSync(path.join('reports-copy', 'secret.txt'), 'not a resource');
+    fs.writeFileSync('secret.txt', 'not a resource');
+  });
+
+  after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('lists files under reports/ and screenshots/ with their MIME types', () => {
+    assert.deepEqual(
+      listResources().map(resource => [resource.name, resource.mimeType]),
+      [['reports/visual/compare.json', 'application/json'], ['screenshots/current/home.png', 'image/png']]
+    );
+  });
+
+  test('reads text as text and images as base64', () => {
+    const [report, screenshot] = listResources();
+    assert.equal(readResource(report.uri).text, '{"passed":true}');
+    assert.equal(Buffer.from(readResource(screenshot.uri).blob, 'base64').subarray(1, 4).toString(), 'PNG');
+  });
+
+  test('rejects paths outside the resource roots', () => {
+    for (const uri of [
+      pathToFileURL(path.resolve('secret.txt')).href,
+      `${pathToFileURL(path.resolve('screenshots')).href}/../secret.txt`,
+      pathToFileURL(path.resolve('reports-copy', 'secret.txt')).href,
+      pathToFileURL(path.resolve('reports')).href
+    ]) {
+      assert.throws(() => readResource(uri), /outside/, uri);
+    }
+    assert.throws(() => readResource(pathToFileURL(path.resolve('reports', 'missing.json')).href), /not found/);
+  });
+
+  test('are served over MCP', async () => {
+    const client = await connect(recordingCommands());
+
+    const { resources } = await client.listResources();
+    assert.equal(resources.length, 2);
+    await assert.rejects(client.readResource({ uri: pathToFileURL(path.resolve('secret.txt')).href }), /outside/);
+
+    await client.close();
+  });
+});
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import { describe, test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ApiMocks, { normalizeDefinitions, responseForCall } from '../../subagents/api-mocks.js';
+
+const definitions = normalizeDefinitions({
+  scenarios: {
+    'empty-orders': { description: 'No orders yet', mocks: [{ url: '**/api/orders', json: [] }] },
+    'server-error': [{ url: '**/api/**', status: 500 }],
+    'slow-search': [{ url: '**/api/search*', live: true, delay: 3000 }]
+  }
+}, '/fixtures/mocks');
+
+// Records the routes registered on the page, in order
+function fakePage() {
+  const routes = [];
+  return {
+    routes,
+    route: async (url, handler) => { routes.push({ url, handler }); },
+    unroute: async (url, handler) => {
+      routes.splice(routes.findIndex(route => route.url === url && route.handler === handler), 1);
+    }
+  };
+}
+
+describe('normalizeDefinitions', () => {
+  test('accepts scenario arrays and resolves fixture files against the definition file', () => {
+    const normalized = normalizeDefinitions({
+      scenarios: { orders: [{ url: '**/api/orders', file: 'orders.json', responses: [{ status: 500 }, { file: 'retry.json' }] }] }
+    }, '/project/config');
+
+    assert.deepEqual(normalized.scenarios.orders.mocks[0].file, '/project/config/orders.json');
+    assert.deepEqual(normalized.scenarios.orders.mocks[0].responses, [{ status: 500 }, { file: '/project/config/retry.json' }]);
+    assert.throws(() => normalizeDefinitions({ scenarios: { broken: [{ status: 500 }] } }), /Mock 1 of scenario "broken" has no url/);
+  });
+});
+
+describe('responseForCall', () => {
+  test('steps through responses, repeating the last one or cycling', () => {
+    const mock = { url: '**/api/orders', status: 200, responses: [{ status: 500 }, { json: [] }] };
+    assert.deepEqual([0, 1, 2].map(call => responseForCall(mock, call).status), [500, 200, 200]);
+    assert.deepEqual([0, 1, 2].map(call => responseForCall({ ...mock, repeat: 'cycle' }, call).status), [500, 200, 500]);
+    assert.deepEqual(responseForCall({ url: 'x', status: 404 }, 5), { url: 'x', status: 404 });
+  });
+});
+
+describe('ApiMocks', () => {
+  let page;
+  let mocks;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    page = fakePage();
+    mocks = new ApiMocks(page, definitions);
+  });
+
+  test('enables and disables scenarios by name', async () => {
+    assert.deepEqual(await mocks.enable(['empty-orders', 'server-error']), ['empty-orders', 'server-error']);
+    assert.deepEqual(page.routes.map(route => route.url), ['**/api/orders', '**/api/**']);
+
+    assert.deepEqual(await mocks.disable('server-error'), ['empty-orders']);
+    assert.deepEqual(page.routes.map(route => route.url), ['**/api/orders']);
+    assert.deepEqual(mocks.listScenarios().map(scenario => [scenario.name, scenario.active]), [
+      ['empty-orders', true], ['server-error', false], ['slow-search', false]
+    ]);
+  });
+
+  test('use() replaces the active scenarios', async () => {
+    await mocks.enable('server-error');
+    assert.deepEqual(await mocks.use(['slow-search']), ['slow-search']);
+    assert.deepEqual(page.routes.map(route => route.url), ['**/api/search*']);
+    assert.deepEqual(await mocks.use([]), []);
+    assert.deepEqual(page.routes, []);
+  });
+
+  test('rejects unknown names before changing any route', async () => {
+    await mocks.enable('server-error');
+
+    await assert.rejects(mocks.use(['empty-orders', 'emtpy-cart']), /Unknown mock scenario "emtpy-cart"\. Available: empty-orders, server-error, slow-search/);
+    await assert.rejects(mocks.enable(['empty-orders', 'emtpy-cart']), /Unknown mock scenario/);
+    assert.deepEqual(mocks.activeScenarios(), ['server-error']);
+    assert.deepEqual(page.routes.map(route => route.url), ['**/api/**']);
+  });
+
+  test('fulfils requests with the scenario response and counts calls', async () => {
+    await mocks.enable('empty-orders');
+    const fulfilled = [];
+    const route = { request: () => ({ method: () => 'GET' }), fulfill: async response => fulfilled.push(response) };
+
+    await page.routes[0].handler(route);
+    assert.deepEqual(fulfilled, [{ status: 200, headers: { 'x-mock-scenario': 'empty-orders' }, json: [] }]);
+    assert.deepEqual(mocks.getSummary(), [{ name: 'empty-orders', routes: [{ url: '**/api/orders', method: '*', calls: 1 }] }]);
+  });
+});
+
+const deviceProfiles = new URL('../../config/device-profiles.js', import.meta.url);
+const skip = fs.existsSync(deviceProfiles) ? false : 'config/device-profiles.js is missing (npm run install-playwright)';
+
+describe('NavigationAgent.withMockScenarios', { skip }, () => {
+  let withMockScenarios;
+  let agent;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    ({ withMockScenarios } = (await import('../../subagents/navigation-agent.js')).NavigationAgent.prototype);
+    const mocks = new ApiMocks(fakePage(), definitions);
+    await mocks.enable('server-error');
+    agent = { mocks, reloads: 0, reload: async () => { agent.reloads++; } };
+  });
+
+  test('restores the previous scenarios after the action', async () => {
+    const during = await withMockScenarios.call(agent, ['empty-orders'], async () => agent.mocks.activeScenarios());
+    assert.deepEqual(during, ['empty-orders']);
+    assert.deepEqual(agent.mocks.activeScenarios(), ['server-error']);
+    assert.equal(agent.reloads, 2);
+  });
+
+  test('restores the previous scenarios when the capture fails', async () => {
+    await assert.rejects(withMockScenarios.call(agent, ['empty-orders'], async () => {
+      throw new Error('capture failed');
+    }), /capture failed/);
+    assert.deepEqual(agent.mocks.activeScenarios(), ['server-error']);
+  });
+
+  test('leaves the page alone for unknown scenarios', async () => {
+    await assert.rejects(withMockScenarios.call(agent, ['emtpy-cart'], async () => {}), /Unknown mock scenario/);
+    assert.deepEqual(agent.mocks.activeScenarios(), ['server-error']);
+    assert.equal(agent.reloads, 0);
+  });
+});
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import AuthProfiles, { resolveSecrets, loadAuthProfiles } from '../../subagents/auth-profiles.js';
+
+// Browser whose contexts only hand back their cookies; counts the logins
+function fakeBrowser() {
+  const browser = {
+    contexts: 0,
+    newContext: async () => {
+      browser.contexts++;
+      const cookies = [];
+      return {
+        addCookies: async added => cookies.push(...added),
+        storageState: async () => ({ cookies, origins: [] }),
+        close: async () => {}
+      };
+    }
+  };
+  return browser;
+}
+
+describe('resolveSecrets', () => {
+  test('fills environment variables in nested values and rejects missing ones', () => {
+    process.env.AUTH_TEST_TOKEN = 's3cret';
+    try {
+      assert.deepEqual(resolveSecrets({ token: 'Bearer ${AUTH_TEST_TOKEN}', cookies: [{ value: '${AUTH_TEST_TOKEN}' }], maxAge: 60 }),
+        { token: 'Bearer s3cret', cookies: [{ value: 's3cret' }], maxAge: 60 });
+      assert.throws(() => resolveSecrets('${AUTH_TEST_MISSING}', 'api'), /Auth profile "api" needs environment variable AUTH_TEST_MISSING/);
+    } finally {
+      delete process.env.AUTH_TEST_TOKEN;
+    }
+  });
+});
+
+describe('AuthProfiles', () => {
+  let dir;
+  let auth;
+  let browser;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-profiles-'));
+    fs.writeFileSync(path.join(dir, 'auth-profiles.json'), JSON.stringify({
+      profiles: {
+        api: { type: 'bearer', baseUrl: 'http://localhost:3000/app', token: 'abc' },
+        everywhere: { type: 'bearer', token: 'abc' },
+        beta: { type: 'cookie', baseUrl: 'http://localhost:3000', cookies: [{ name: 'beta', value: '1' }] },
+        legacy: { type: 'ldap' }
+      }
+    }));
+    auth = new AuthProfiles({ config: path.join(dir, 'auth-profiles.json'), stateDir: path.join(dir, '.auth') });
+    browser = fakeBrowser();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  test('loads profiles and rejects unknown names and types', async () => {
+    assert.deepEqual(Object.keys(await loadAuthProfiles(path.join(dir, 'auth-profiles.json'))), ['api', 'everywhere', 'beta', 'legacy']);
+    assert.deepEqual(await loadAuthProfiles(path.join(dir, 'missing.json')), {});
+    await assert.rejects(auth.getProfile('admin'), /Unknown auth profile "admin"\. Available: api, everywhere, beta, legacy/);
+    await assert.rejects(auth.getProfile('legacy'), /unknown type "ldap"/);
+  });
+
+  test('scopes a header login to the profile origin and reuses the cached login', async () => {
+    const login = await auth.prepare(browser, 'api');
+    assert.equal(login.authorization, 'Bearer abc');
+    assert.equal(login.origin, 'http://localhost:3000');
+    assert.equal(login.cached, false);
+    if (process.platform !== 'win32') {
+      assert.equal(fs.statSync(auth.statePath('api')).mode & 0o777, 0o600);
+    }
+
+    const again = await auth.prepare(browser, 'api');
+    assert.equal(again.cached, true);
+    assert.equal(browser.contexts, 1);
+    assert.equal((await auth.prepare(browser, 'api', { refresh: true })).cached, false);
+  });
+
+  test('refuses header logins that could be sent to any host', async () => {
+    await assert.rejects(auth.prepare(browser, 'everywhere'), /Auth profile "everywhere" needs a baseUrl or origin/);
+    await assert.rejects(auth.prepare(browser, { type: 'basic', baseUrl: 'about:blank', username: 'a', password: 'b' }), /needs a baseUrl or origin/);
+    assert.equal(browser.contexts, 0);
+
+    const inline = await auth.prepare(browser, { type: 'basic', origin: 'https://staging.example.com/login', username: 'a', password: 'b' });
+    assert.equal(inline.origin, 'https://staging.example.com');
+    assert.equal(inline.authorization, `Basic ${Buffer.from('a:b').toString('base64')}`);
+    assert.equal(fs.existsSync(auth.statePath('inline')), false);
+  });
+
+  test('cookie logins need no origin and expire after maxAge', async () => {
+    const login = await auth.prepare(browser, 'beta');
+    assert.equal(login.authorization, null);
+    assert.deepEqual(login.storageState.cookies, [{ name: 'beta', value: '1', url: 'http://localhost:3000' }]);
+
+    const cached = JSON.parse(fs.readFileSync(auth.statePath('beta'), 'utf8'));
+    fs.writeFileSync(auth.statePath('beta'), JSON.stringify({ ...cached, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+    assert.equal(auth.loadCached('beta'), null);
+    auth.clear('beta');
+    assert.equal(fs.existsSync(auth.statePath('beta')), false);
+  });
+});
+
+const deviceProfiles = new URL('../../config/device-profiles.js', import.meta.url);
+const skip = fs.existsSync(deviceProfiles) ? false : 'config/device-profiles.js is missing (npm run install-playwright)';
+
+describe('NavigationAgent.installAuthorizationHeader', { skip }, () => {
+  test('only routes requests to the login origin', async () => {
+    const { installAuthorizationHeader } = (await import('../../subagents/navigation-agent.js')).NavigationAgent.prototype;
+    const routes = [];
+    const agent = { context: { route: async (matcher, handler) => routes.push({ matcher, handler }) } };
+
+    await assert.rejects(installAuthorizationHeader.call(agent, { authorization: 'Bearer abc', origin: null }), /needs an origin/);
+    assert.equal(routes.length, 0);
+
+    await installAuthorizationHeader.call(agent, { authorization: 'Bearer abc', origin: 'http://localhost:3000' });
+    assert.equal(routes[0].matcher(new URL('http://localhost:3000/api/orders')), true);
+    assert.equal(routes[0].matcher(new URL('https://cdn.example.com/app.js')), false);
+  });
+});
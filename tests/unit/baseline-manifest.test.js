@@ -0,0 +1,100 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import BaselineManifest, { hashFile, readPNGSize } from '../../subagents/baseline-manifest.js';
+import { baselineNameFor } from '../../subagents/image-similarity.js';
+
+function writePNG(filePath, width, height, shade = 0) {
+  const image = new PNG({ width, height });
+  image.data.fill(shade);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, PNG.sync.write(image));
+  return filePath;
+}
+
+describe('baselineNameFor', () => {
+  test('drops the date suffix and adds .png once', () => {
+    assert.equal(baselineNameFor('screenshots/current/home-full-page-desktop-large-2024-01-31.png'), 'home-full-page-desktop-large.png');
+    assert.equal(baselineNameFor('home-full-page-desktop-large'), 'home-full-page-desktop-large.png');
+    assert.equal(baselineNameFor('home-full-page-desktop-large.png'), 'home-full-page-desktop-large.png');
+  });
+});
+
+describe('BaselineManifest', () => {
+  let dir;
+  let manifest;
+  let current;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-manifest-'));
+    manifest = new BaselineManifest({ screenshotDir: dir, approver: 'reviewer' });
+    current = writePNG(path.join(dir, 'current', 'home-full-page-desktop-large-2024-01-31.png'), 4, 3);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('approves a pending candidate and records where it came from', () => {
+    manifest.markPending('home.png', current, { reason: 'changed', device: 'desktop.large' });
+    const entry = manifest.approve('home.png');
+
+    assert.equal(entry.hash, hashFile(current));
+    assert.equal(entry.device, 'desktop.large');
+    assert.deepEqual(entry.size, { width: 4, height: 3 });
+    assert.equal(entry.approver, 'reviewer');
+    assert.equal(entry.source, current);
+    assert.deepEqual(manifest.listPending(), []);
+    assert.deepEqual(manifest.verify('home.png'), { exists: true, tracked: true, hashMatches: true });
+    assert.deepEqual(manifest.load().history.map(record => record.action), ['approve']);
+  });
+
+  test('refuses a pending candidate that was overwritten after review', () => {
+    manifest.markPending('home.png', current);
+    writePNG(current, 4, 3, 255);
+
+    assert.throws(() => manifest.approve('home.png'), /has changed since it was marked pending/);
+    assert.equal(fs.existsSync(manifest.getBaselineFile('home.png')), false);
+    assert.equal(manifest.listPending().length, 1);
+  });
+
+  test('approves an explicitly given image without a pending entry', () => {
+    const entry = manifest.approve('home.png', { currentPath: current, autoCreated: true });
+    assert.equal(entry.autoCreated, true);
+    assert.throws(() => manifest.approve('other.png'), /Nothing to approve for other.png/);
+  });
+
+  test('rejects a candidate and keeps the existing baseline', () => {
+    manifest.approve('home.png', { currentPath: current });
+    const changed = writePNG(path.join(dir, 'current', 'home-changed.png'), 4, 3, 128);
+    manifest.markPending('home.png', changed);
+
+    const record = manifest.reject('home.png', { reason: 'unintended change' });
+    assert.equal(record.current, changed);
+    assert.equal(record.reason, 'unintended change');
+    assert.equal(hashFile(manifest.getBaselineFile('home.png')), hashFile(current));
+    assert.throws(() => manifest.reject('home.png'), /No pending candidate/);
+  });
+
+  test('notices a baseline edited outside the manifest', () => {
+    manifest.approve('home.png', { currentPath: current });
+    writePNG(manifest.getBaselineFile('home.png'), 4, 3, 64);
+
+    assert.deepEqual(manifest.verify('home.png'), { exists: true, tracked: true, hashMatches: false });
+    assert.deepEqual(manifest.verify('missing.png'), { exists: false, tracked: false, hashMatches: false });
+  });
+});
+
+describe('readPNGSize', () => {
+  test('reads the size from the PNG header', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'png-size-'));
+    try {
+      assert.deepEqual(readPNGSize(writePNG(path.join(dir, 'a.png'), 1280, 2)), { width: 1280, height: 2 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
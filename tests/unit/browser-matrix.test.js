@@ -0,0 +1,84 @@
+import fs from 'fs';
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The matrix module loads the browser agents, which need the generated device profiles
+const deviceProfiles = new URL('../../config/device-profiles.js', import.meta.url);
+const skip = fs.existsSync(deviceProfiles) ? false : 'config/device-profiles.js is missing (npm run install-playwright)';
+
+const pair = (device, browsers, inconsistent, diffPercentage = inconsistent ? 4.2 : 0.1) => ({
+  device,
+  browsers,
+  reference: browsers.includes('chromium'),
+  inconsistent,
+  diffPercentage,
+  regions: inconsistent ? [`${browsers[0]} header is 6px taller`] : []
+});
+
+const cell = (browser, device, baseline = {}) => ({
+  browser,
+  device,
+  success: true,
+  baseline: { isNewBaseline: false, missingBaseline: false, match: true, diffPercentage: 0, ...baseline }
+});
+
+describe('browser matrix', { skip }, () => {
+  let matrix;
+
+  before(async () => {
+    matrix = await import('../../workflows/browser-matrix.js');
+  });
+
+  test('findOutliers picks the one browser the others agree against', () => {
+    const { findOutliers } = matrix;
+    const browsers = ['chromium', 'firefox', 'webkit'];
+
+    assert.deepEqual(findOutliers(browsers, [
+      pair('desktop.large', ['firefox', 'chromium'], false),
+      pair('desktop.large', ['webkit', 'chromium'], true),
+      pair('desktop.large', ['firefox', 'webkit'], true)
+    ]), ['webkit']);
+
+    // Everyone differs from everyone: no majority, so no outlier
+    assert.deepEqual(findOutliers(browsers, [
+      pair('desktop.large', ['firefox', 'chromium'], true),
+      pair('desktop.large', ['webkit', 'chromium'], true),
+      pair('desktop.large', ['firefox', 'webkit'], true)
+    ]), []);
+    assert.deepEqual(findOutliers(['chromium', 'webkit'], [pair('desktop.large', ['webkit', 'chromium'], true)]), []);
+  });
+
+  test('rejects a reference browser outside the matrix', () => {
+    assert.throws(() => new matrix.BrowserMatrix({ browsers: ['firefox', 'webkit'] }),
+      /Reference browser chromium is not one of the matrix browsers: firefox, webkit/);
+  });
+
+  test('summarize counts failures, baseline changes and engine-specific renders per device', () => {
+    const summary = new matrix.BrowserMatrix().summarize({
+      devices: ['desktop.large', 'iphone.15'],
+      cells: [
+        cell('chromium', 'desktop.large'),
+        cell('firefox', 'desktop.large', { match: false, diffPercentage: 2 }),
+        cell('webkit', 'desktop.large'),
+        cell('chromium', 'iphone.15', { isNewBaseline: true }),
+        cell('firefox', 'iphone.15'),
+        { browser: 'webkit', device: 'iphone.15', success: false, error: 'Browser unavailable' }
+      ],
+      comparisons: [
+        pair('desktop.large', ['firefox', 'chromium'], false),
+        pair('desktop.large', ['webkit', 'chromium'], true),
+        pair('desktop.large', ['firefox', 'webkit'], true),
+        pair('iphone.15', ['firefox', 'chromium'], true)
+      ]
+    });
+
+    assert.deepEqual(summary, {
+      cells: 6,
+      failed: 1,
+      baselineChanges: 1,
+      newBaselines: 1,
+      inconsistencies: 2,
+      engineSpecific: [{ device: 'desktop.large', browser: 'webkit', regions: ['webkit header is 6px taller'] }]
+    });
+  });
+});
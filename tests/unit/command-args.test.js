@@ -0,0 +1,32 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommandArgs } from '../../commands/command-args.js';
+
+describe('parseCommandArgs', () => {
+  test('separates positional arguments from flags', () => {
+    assert.deepEqual(parseCommandArgs(['chromium', 'desktop.large', '--name', 'smoke']), {
+      positional: ['chromium', 'desktop.large'],
+      flags: { name: 'smoke' }
+    });
+  });
+
+  test('accepts --flag=value, keeping later "=" in the value', () => {
+    assert.deepEqual(parseCommandArgs(['--replace=Order #\\d+=>Order #0000']).flags, { replace: 'Order #\\d+=>Order #0000' });
+  });
+
+  test('treats a flag without a value as true', () => {
+    assert.deepEqual(parseCommandArgs(['--strict', '--har', 'a.har', '--all']).flags, { strict: true, har: 'a.har', all: true });
+  });
+
+  test('does not let boolean flags swallow the next argument', () => {
+    assert.deepEqual(parseCommandArgs(['--deterministic', 'webkit'], { booleans: ['deterministic'] }), {
+      positional: ['webkit'],
+      flags: { deterministic: true }
+    });
+  });
+
+  test('collects repeatable flags into arrays', () => {
+    const { flags } = parseCommandArgs(['--ignore', '.ad', '--ignore', '.avatar', '--name', 'a', '--name', 'b'], { repeatable: ['ignore'] });
+    assert.deepEqual(flags, { ignore: ['.ad', '.avatar'], name: 'b' });
+  });
+});
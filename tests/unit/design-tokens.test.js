@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import DesignTokenChecker, {
+  emptyTokenSet,
+  loadDesignTokens,
+  normalizeTokens,
+  normalizeTailwindConfig,
+  toPixels
+} from '../../subagents/design-tokens.js';
+
+const values = tokens => tokens.map(token => [token.name, token.value]);
+
+describe('toPixels', () => {
+  test('converts px, rem and W3C dimension objects', () => {
+    assert.equal(toPixels('12px'), 12);
+    assert.equal(toPixels('1.5rem'), 24);
+    assert.equal(toPixels({ value: 0.5, unit: 'rem' }), 8);
+    assert.equal(toPixels(4), 4);
+    assert.equal(toPixels('50%'), null);
+  });
+});
+
+describe('normalizeTokens', () => {
+  test('reads W3C tokens with inherited group types and aliases', () => {
+    const tokens = normalizeTokens({
+      color: {
+        $type: 'color',
+        blue: { 500: { $value: '#2563EB' } },
+        primary: { $value: '{color.blue.500}' },
+        surface: { $value: { colorSpace: 'srgb', components: [1, 1, 1] } }
+      },
+      space: { $type: 'dimension', sm: { $value: '0.5rem' }, md: { $value: { value: 16, unit: 'px' } } },
+      heading: {
+        $type: 'typography',
+        $value: { fontFamily: ['Inter', 'sans-serif'], fontSize: '2rem', fontWeight: 'bold', lineHeight: 1.25 }
+      }
+    });
+
+    assert.deepEqual(values(tokens.colors), [['color.blue.500', '#2563eb'], ['color.primary', '#2563eb'], ['color.surface', '#ffffff']]);
+    assert.deepEqual(values(tokens.spacing), [['space.sm', 8], ['space.md', 16]]);
+    assert.deepEqual(values(tokens.fontFamilies), [['heading', 'Inter']]);
+    assert.deepEqual(values(tokens.fontSizes), [['heading', 32]]);
+    assert.deepEqual(values(tokens.fontWeights), [['heading', 700]]);
+    assert.deepEqual(tokens.lineHeights, [{ name: 'heading', ratio: 1.25 }]);
+  });
+
+  test('reads Style Dictionary trees and flat exports by their names', () => {
+    const styleDictionary = normalizeTokens({
+      color: { brand: { value: 'rgb(0, 85, 255)' } },
+      'font-size': { body: { value: '16px' } },
+      radius: { card: { value: '8px', type: 'dimension' } }
+    });
+    assert.deepEqual(values(styleDictionary.colors), [['color.brand', '#0055ff']]);
+    assert.deepEqual(values(styleDictionary.fontSizes), [['font-size.body', 16]]);
+    // An explicit type wins over the group name
+    assert.deepEqual(values(styleDictionary.spacing), [['radius.card', 8]]);
+
+    const flat = normalizeTokens({ 'color-brand': '#05f', 'font-size-lg': '18px', 'spacing-4': '1rem' });
+    assert.deepEqual(values(flat.colors), [['color-brand', '#0055ff']]);
+    assert.deepEqual(values(flat.fontSizes), [['font-size-lg', 18]]);
+    assert.deepEqual(values(flat.spacing), [['spacing-4', 16]]);
+  });
+});
+
+describe('normalizeTailwindConfig', () => {
+  test('merges theme.extend and reads fontSize tuples', () => {
+    const tokens = normalizeTailwindConfig({
+      theme: {
+        colors: { white: '#fff', blue: { DEFAULT: '#3b82f6', 900: '#1e3a8a' } },
+        spacing: { 0: '0px', 4: '1rem' },
+        fontSize: { sm: ['0.875rem', { lineHeight: '1.25rem' }], base: ['1rem', '1.5rem'] },
+        extend: { colors: { brand: '#ff6600' }, borderRadius: { card: '12px' } }
+      }
+    });
+
+    assert.deepEqual(values(tokens.colors), [
+      ['colors.white', '#ffffff'], ['colors.blue.900', '#1e3a8a'], ['colors.blue', '#3b82f6'], ['colors.brand', '#ff6600']
+    ]);
+    assert.deepEqual(values(tokens.spacing), [['spacing.0', 0], ['spacing.4', 16]]);
+    assert.deepEqual(values(tokens.radii), [['borderRadius.card', 12]]);
+    assert.deepEqual(values(tokens.fontSizes), [['fontSize.sm', 14], ['fontSize.base', 16]]);
+    assert.deepEqual(tokens.lineHeights, [{ name: 'fontSize.sm', px: 20 }, { name: 'fontSize.base', px: 24 }]);
+  });
+});
+
+describe('loadDesignTokens', () => {
+  test('loads token files and passes normalized sets through', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'design-tokens-'));
+    try {
+      const file = path.join(dir, 'tokens.json');
+      fs.writeFileSync(file, JSON.stringify({ color: { $type: 'color', ink: { $value: '#111827' } } }));
+
+      const tokens = await loadDesignTokens(file);
+      assert.deepEqual(values(tokens.colors), [['color.ink', '#111827']]);
+      assert.equal(await loadDesignTokens(tokens), tokens);
+      assert.deepEqual(await loadDesignTokens(null), emptyTokenSet());
+      await assert.rejects(loadDesignTokens(path.join(dir, 'missing.json')), /Design token file not found/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('DesignTokenChecker', () => {
+  const tokens = {
+    ...emptyTokenSet(),
+    colors: normalizeTokens({ color: { $type: 'color', ink: { $value: '#111827' }, white: { $value: '#ffffff' } } }).colors,
+    spacing: [{ name: 'space.2', value: 8 }, { name: 'space.4', value: 16 }],
+    fontFamilies: [{ name: 'font.body', value: 'Inter' }],
+    fontWeights: [{ name: 'font.regular', value: 400 }, { name: 'font.bold', value: 700 }],
+    lineHeights: [{ name: 'leading.normal', ratio: 1.5 }]
+  };
+
+  const element = {
+    selector: 'p.intro',
+    landmark: 'main',
+    text: true,
+    colors: { color: '#111827', 'background-color': '#fefefe' },
+    spacing: { 'padding-top': 16, 'margin-bottom': 10 },
+    radii: {},
+    boxShadow: null,
+    fontFamily: 'Arial',
+    fontSize: 16,
+    fontWeight: 400,
+    lineHeight: 24
+  };
+
+  // The first evaluate installs the page helpers; the second returns the computed styles
+  const checker = new DesignTokenChecker({ page: { evaluate: async () => [element] } });
+
+  test('reports values that match no token, most severe first', async () => {
+    const { issues, summary, score } = await checker.checkPage(tokens);
+
+    assert.deepEqual(summary, { elements: 1, checked: 7, violations: 3, byCategory: { colors: 1, spacing: 1, fontFamilies: 1 } });
+    assert.equal(score, 5.7);
+    assert.deepEqual(
+      issues.map(issue => [issue.severity, issue.property, issue.actualValue, issue.token]),
+      [
+        ['major', 'font-family', 'Arial', 'font.body'],
+        ['minor', 'background-color', '#fefefe', 'color.white'],
+        ['minor', 'margin-bottom', '10px', 'space.2']
+      ]
+    );
+    assert.equal(issues[2].suggestedFix, 'p.intro { margin-bottom: 8px; }');
+  });
+
+  test('allows the configured tolerances', () => {
+    const tolerant = new DesignTokenChecker({}, { colorTolerance: 3, dimensionTolerance: 2 });
+    assert.equal(tolerant.checkColor(element, 'background-color', '#fefefe', tokens.colors), null);
+    assert.equal(tolerant.checkDimension(element, 'margin-bottom', 10, tokens.spacing), null);
+  });
+
+  test('compares unitless line heights against the element font size', () => {
+    assert.equal(checker.checkLineHeight(element, tokens.lineHeights), null);
+    assert.deepEqual(checker.checkLineHeight({ ...element, lineHeight: 20 }, tokens.lineHeights).token, { name: 'leading.normal', value: '1.5' });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { clusterDiffRegions, attributeRegion, regionToFinding, layoutSnapshotPath } from '../../subagents/diff-regions.js';
+
+const DIFF_COLOR = [255, 0, 255];
+
+function fill(image, { x = 0, y = 0, width = image.width, height = image.height }, [red, green, blue]) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      image.data.set([red, green, blue, 255], (row * image.width + col) * 4);
+    }
+  }
+  return image;
+}
+
+describe('clusterDiffRegions', () => {
+  test('returns nothing for an image without differences', () => {
+    assert.deepEqual(clusterDiffRegions(fill(new PNG({ width: 64, height: 64 }), {}, [255, 255, 255])), []);
+  });
+
+  test('groups changed pixels into separate regions, largest first', () => {
+    const diff = fill(new PNG({ width: 200, height: 100 }), {}, [255, 255, 255]);
+    fill(diff, { x: 10, y: 10, width: 20, height: 10 }, DIFF_COLOR);
+    fill(diff, { x: 120, y: 50, width: 40, height: 30 }, DIFF_COLOR);
+
+    assert.deepEqual(clusterDiffRegions(diff), [
+      { x: 120, y: 50, width: 40, height: 30, pixels: 1200, density: 1 },
+      { x: 10, y: 10, width: 20, height: 10, pixels: 200, density: 1 }
+    ]);
+  });
+
+  test('joins changes in neighbouring cells and drops specks below minPixels', () => {
+    const diff = fill(new PNG({ width: 100, height: 100 }), {}, [255, 255, 255]);
+    fill(diff, { x: 0, y: 0, width: 4, height: 4 }, DIFF_COLOR);
+    fill(diff, { x: 12, y: 0, width: 4, height: 4 }, DIFF_COLOR);
+    fill(diff, { x: 90, y: 90, width: 1, height: 1 }, DIFF_COLOR);
+
+    assert.deepEqual(clusterDiffRegions(diff), [{ x: 0, y: 0, width: 16, height: 4, pixels: 32, density: 0.5 }]);
+  });
+});
+
+describe('attributeRegion', () => {
+  const snapshot = {
+    devicePixelRatio: 2,
+    origin: { x: 0, y: 100 },
+    elements: [
+      { selector: 'main', tag: 'main', landmark: 'main', rect: { x: 0, y: 0, width: 1280, height: 2000 } },
+      { selector: 'section.pricing', tag: 'section', landmark: 'main', rect: { x: 0, y: 200, width: 1280, height: 400 } },
+      { selector: 'h2.price', tag: 'h2', landmark: 'main', text: '$29', rect: { x: 100, y: 220, width: 200, height: 40 } }
+    ]
+  };
+
+  test('names the smallest element covering most of the region, in CSS pixels', () => {
+    // 2x screenshot pixels, taken 100px down the page: lands on the price heading
+    const element = attributeRegion({ x: 200, y: 240, width: 400, height: 80 }, snapshot);
+    assert.equal(element.selector, 'h2.price');
+    assert.equal(element.coverage, 1);
+    assert.deepEqual(element.candidates, ['section.pricing', 'main']);
+  });
+
+  test('falls back to the element covering the largest share', () => {
+    assert.equal(attributeRegion({ x: 0, y: 1300, width: 400, height: 400 }, snapshot).selector, 'main');
+    assert.equal(attributeRegion({ x: 0, y: 5000, width: 10, height: 10 }, snapshot), null);
+    assert.equal(attributeRegion({ x: 0, y: 0, width: 10, height: 10 }, null), null);
+  });
+});
+
+describe('regionToFinding', () => {
+  test('describes the change and rates it by type and share of the page', () => {
+    const element = { selector: 'h2.price', tag: 'h2', landmark: 'main', text: '$29' };
+    const small = regionToFinding({ type: 'changed', x: 10, y: 20, width: 30, height: 10 }, element, 1000000);
+
+    assert.equal(small.severity, 'minor');
+    assert.equal(small.description, 'h2.price in main changed');
+    assert.equal(small.location, 'main ("$29"), 30x10px at (10, 20)');
+    assert.equal(regionToFinding({ type: 'removed', x: 0, y: 0, width: 30, height: 10 }, null, 1000000).description, 'Area 30x10px at (0, 0) was removed');
+    assert.equal(regionToFinding({ type: 'removed', x: 0, y: 0, width: 30, height: 10 }, null, 1000000).severity, 'major');
+  });
+
+  test('stores layout snapshots next to their screenshot', () => {
+    assert.equal(layoutSnapshotPath('screenshots/current/home-2024-01-31.png'), 'screenshots/current/home-2024-01-31.meta.json');
+  });
+});
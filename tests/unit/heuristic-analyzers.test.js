@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeuristicAnalyzer, { hexToRgb } from '../../subagents/heuristic-analyzers.js';
+
+// The DOM walk runs in the browser; these tests hand the analyzer what page.evaluate would return
+function analyzerFor(evaluated, options = {}) {
+  const page = { evaluate: async () => evaluated };
+  return new HeuristicAnalyzer({ page }, options);
+}
+
+const rgb = hex => hexToRgb(hex);
+
+describe('hexToRgb', () => {
+  test('parses short and long hex colours, with or without #', () => {
+    assert.deepEqual(hexToRgb('#0af'), { r: 0, g: 170, b: 255 });
+    assert.deepEqual(hexToRgb('1E40AF'), { r: 30, g: 64, b: 175 });
+    assert.equal(hexToRgb('rgb(0, 0, 0)'), null);
+  });
+});
+
+describe('HeuristicAnalyzer', () => {
+  test('rates overflow by whether the page scrolls sideways', async () => {
+    const offender = { selector: 'table.pricing', landmark: 'main', left: 0, right: 540 };
+
+    const [scrolls] = await analyzerFor({ viewportWidth: 375, scrollWidth: 540, offenders: [offender] }).detectHorizontalOverflow();
+    assert.equal(scrolls.severity, 'major');
+    assert.match(scrolls.description, /causing horizontal scrolling/);
+    assert.equal(scrolls.location, 'main');
+
+    const [contained] = await analyzerFor({ viewportWidth: 375, scrollWidth: 375, offenders: [offender] }).detectHorizontalOverflow();
+    assert.equal(contained.severity, 'minor');
+  });
+
+  test('treats hard clipping as worse than an ellipsis', async () => {
+    const issues = await analyzerFor([
+      { selector: 'h2.title', landmark: null, text: 'Quarterly results', ellipsis: true, axis: 'horizontal' },
+      { selector: 'p.blurb', landmark: 'aside', text: 'Free shipping', ellipsis: false, axis: 'vertical' }
+    ]).detectTextClipping();
+
+    assert.deepEqual(issues.map(issue => [issue.severity, issue.location]), [['minor', 'h2.title'], ['major', 'aside']]);
+  });
+
+  test('grades touch targets against the minimum and critical sizes', async () => {
+    const issues = await analyzerFor([
+      { selector: 'button.close', landmark: 'dialog', width: 20, height: 20 },
+      { selector: 'a.more', landmark: 'main', width: 120, height: 32 }
+    ]).checkTouchTargets();
+
+    assert.deepEqual(issues.map(issue => [issue.severity, issue.actualValue]), [['major', '20x20px'], ['minor', '120x32px']]);
+    assert.equal(issues[0].expectedValue, '44x44px');
+  });
+
+  test('caps each check at maxIssuesPerCheck', async () => {
+    const targets = Array.from({ length: 5 }, (_, index) => ({ selector: `a:nth-child(${index})`, width: 10, height: 10 }));
+    assert.equal((await analyzerFor(targets, { maxIssuesPerCheck: 2 }).checkTouchTargets()).length, 2);
+  });
+
+  test('reports font sizes off the type scale and too many families', async () => {
+    const { inventory, issues } = await analyzerFor([
+      { selector: 'h1', family: 'Inter', size: 36, weight: '700' },
+      { selector: 'p', family: 'Inter', size: 16, weight: '400' },
+      { selector: 'p.legal', family: 'Georgia', size: 11, weight: '400' },
+      { selector: 'span.badge', family: 'Courier', size: 17, weight: '400' }
+    ]).inventoryTypography({ maxFamilies: 2 });
+
+    assert.deepEqual(inventory.families, { Inter: 2, Georgia: 1, Courier: 1 });
+    assert.deepEqual(
+      issues.map(issue => [issue.severity, issue.actualValue, issue.expectedValue]),
+      [['minor', undefined, undefined], ['major', '11px', '12px'], ['minor', '17px', '16px']]
+    );
+  });
+
+  test('matches colours against the palette and names the nearest token', async () => {
+    const usages = [
+      { hex: '#1e40af', rgb: rgb('#1e40af'), count: 12, example: { selector: 'a', property: 'color' } },
+      { hex: '#1f41b0', rgb: rgb('#1f41b0'), count: 1, example: { selector: 'button.cta', property: 'background-color' } }
+    ];
+
+    const { inventory, issues } = await analyzerFor(usages).detectOffPaletteColors({ primary: '#1E40AF', surface: '#ffffff' });
+    assert.deepEqual(inventory, { '#1e40af': 12, '#1f41b0': 1 });
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].recommendation, 'Replace with primary (#1e40af)');
+    assert.equal(issues[0].property, 'background-color');
+  });
+
+  test('flags near-duplicates of dominant colours when there is no palette', async () => {
+    const usages = [
+      { hex: '#333333', rgb: rgb('#333333'), count: 40, example: { selector: 'p', property: 'color' } },
+      { hex: '#363636', rgb: rgb('#363636'), count: 2, example: { selector: 'li', property: 'color' } },
+      { hex: '#ff0000', rgb: rgb('#ff0000'), count: 1, example: { selector: '.error', property: 'color' } }
+    ];
+
+    const { issues } = await analyzerFor(usages).detectOffPaletteColors();
+    assert.deepEqual(issues.map(issue => [issue.actualValue, issue.expectedValue]), [['#363636', '#333333']]);
+  });
+
+  test('ignores palette entries that are not hex colours', () => {
+    const palette = new HeuristicAnalyzer({}).normalizePalette({ primary: '#2563EB', brand: 'var(--brand)' });
+    assert.deepEqual(palette, [{ name: 'primary', hex: '#2563eb', rgb: { r: 37, g: 99, b: 235 } }]);
+  });
+
+  test('scores issues by severity weight, never below zero', () => {
+    const analyzer = new HeuristicAnalyzer({});
+    assert.equal(analyzer.calculateScore([]), 10);
+    assert.equal(analyzer.calculateScore([{ severity: 'major' }, { severity: 'minor' }, { severity: 'info' }]), 8);
+    assert.equal(analyzer.calculateScore(Array(4).fill({ severity: 'critical' })), 0);
+  });
+});
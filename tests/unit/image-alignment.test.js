@@ -0,0 +1,61 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { alignImages } from '../../subagents/image-alignment.js';
+
+function fill(image, { x = 0, y = 0, width = image.width, height = image.height }, [red, green, blue]) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      image.data.set([red, green, blue, 255], (row * image.width + col) * 4);
+    }
+  }
+  return image;
+}
+
+// Rows of distinct colours, so every row of the page can be told apart
+function stripes(width, height, offset = 0) {
+  const image = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    fill(image, { y, height: 1 }, [(y + offset) * 7 % 256, (y + offset) * 13 % 256, 100]);
+  }
+  return image;
+}
+
+describe('alignImages', () => {
+  test('leaves images of the same size alone', () => {
+    const baseline = stripes(20, 50);
+    const aligned = alignImages(baseline, stripes(20, 50));
+    assert.equal(aligned.strategy, 'none');
+    assert.deepEqual(aligned.bands, []);
+    assert.equal(aligned.baseline, baseline);
+  });
+
+  test('finds a band inserted into the current screenshot', () => {
+    const baseline = stripes(20, 100);
+    const current = new PNG({ width: 20, height: 120 });
+    PNG.bitblt(baseline, current, 0, 0, 20, 40, 0, 0);
+    fill(current, { y: 40, height: 20 }, [0, 0, 0]);
+    PNG.bitblt(baseline, current, 0, 40, 20, 60, 0, 60);
+
+    const aligned = alignImages(baseline, current);
+    assert.equal(aligned.strategy, 'align');
+    assert.equal(aligned.height, 120);
+    assert.deepEqual(aligned.bands, [{ type: 'added', x: 0, y: 40, width: 20, height: 20 }]);
+    // Content below the banner lines up again
+    assert.deepEqual(aligned.baseline.data.subarray(60 * 20 * 4), current.data.subarray(60 * 20 * 4));
+  });
+
+  test('pads unrelated images and reports the uncovered area', () => {
+    const aligned = alignImages(stripes(20, 50), stripes(30, 50, 1000));
+    assert.equal(aligned.strategy, 'pad');
+    assert.equal(aligned.width, 30);
+    assert.deepEqual(aligned.bands, [{ type: 'added', x: 20, y: 0, width: 10, height: 50 }]);
+  });
+
+  test('crops both images to the common area', () => {
+    const aligned = alignImages(stripes(20, 50), stripes(20, 80), { strategy: 'crop' });
+    assert.equal(aligned.strategy, 'crop');
+    assert.equal(aligned.height, 50);
+    assert.equal(aligned.current.height, 50);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { captureClip, documentBox, enterState, walkFocusOrder } from '../../subagents/interaction-states.js';
+
+// Page stand-in that logs input events; `evaluate` answers from the given function
+function fakePage(evaluate = async () => undefined, url = 'https://shop.test/') {
+  const events = [];
+  return {
+    events,
+    url: () => url,
+    evaluate: async (fn, arg) => evaluate(fn, arg),
+    goBack: async () => events.push('back'),
+    waitForTimeout: async () => {},
+    mouse: {
+      up: async () => events.push('mouse.up'),
+      down: async () => events.push('mouse.down'),
+      move: async (x, y) => events.push(`mouse.move ${x},${y}`)
+    },
+    keyboard: { press: async key => events.push(`press ${key}`) }
+  };
+}
+
+describe('captureClip', () => {
+  const page = fakePage(async () => ({ width: 1280, height: 900 }));
+
+  test('covers every box plus padding, clamped to the document', async () => {
+    const clip = await captureClip(page, [
+      { x: 4, y: 100, width: 120.5, height: 40 },
+      null,
+      { x: 1200, y: 150, width: 100, height: 300 }
+    ]);
+    assert.deepEqual(clip, { x: 0, y: 92, width: 1280, height: 366 });
+  });
+
+  test('returns null without any box', async () => {
+    assert.equal(await captureClip(page, [null]), null);
+  });
+});
+
+describe('documentBox', () => {
+  test('adds the scroll position to the viewport box', async () => {
+    const page = fakePage(async () => ({ x: 0, y: 600 }));
+    const locator = { boundingBox: async () => ({ x: 10, y: 20, width: 30, height: 40 }) };
+    assert.deepEqual(await documentBox(page, locator), { x: 10, y: 620, width: 30, height: 40 });
+    assert.equal(await documentBox(page, { boundingBox: async () => null }), null);
+  });
+});
+
+describe('enterState', () => {
+  test('presses the element without clicking it and releases away from it', async () => {
+    const page = fakePage();
+    const locator = { hover: async () => page.events.push('hover') };
+
+    const { restore } = await enterState(page, locator, 'active');
+    assert.deepEqual(page.events.slice(-2), ['hover', 'mouse.down']);
+
+    page.events.length = 0;
+    await restore();
+    assert.deepEqual(page.events, ['mouse.move 0,0', 'mouse.up']);
+  });
+
+  test('uses keyboard modality for focus-visible', async () => {
+    const page = fakePage();
+    await enterState(page, { focus: async () => page.events.push('focus') }, 'focus-visible');
+    assert.deepEqual(page.events.slice(-2), ['press Shift', 'focus']);
+  });
+
+  test('goes back when expanding navigates away', async () => {
+    let url = 'https://shop.test/';
+    const page = { ...fakePage(), url: () => url };
+    const locator = { click: async () => { url = 'https://shop.test/menu'; } };
+
+    await assert.rejects(enterState(page, locator, 'expanded'), /navigated away; it has no expanded state/);
+    assert.equal(page.events.at(-1), 'back');
+  });
+
+  test('rejects unknown states', async () => {
+    await assert.rejects(enterState(fakePage(), {}, 'pressed'), /Unknown interaction state "pressed"/);
+  });
+});
+
+describe('walkFocusOrder', () => {
+  // Each Tab focuses the next of `stops`, wrapping around to the first
+  function tabbingPage(stops) {
+    let tabs = 0;
+    const page = fakePage(async fn => (fn.name === 'activeElementScript' ? stops[(tabs - 1) % stops.length] : undefined));
+    const press = page.keyboard.press;
+    page.keyboard.press = async key => {
+      if (key === 'Tab') tabs++;
+      return press(key);
+    };
+    return page;
+  }
+
+  test('stops when focus cycles back to the first stop', async () => {
+    const page = tabbingPage([{ selector: 'a.skip' }, { selector: 'nav a' }, { selector: 'button.search' }]);
+    const seen = [];
+
+    const stops = await walkFocusOrder(page, { onStop: async stop => { seen.push(stop.selector); return { screenshot: `${stop.index}.png` }; } });
+    assert.deepEqual(stops.map(stop => [stop.index, stop.selector, stop.screenshot]), [
+      [1, 'a.skip', '1.png'], [2, 'nav a', '2.png'], [3, 'button.search', '3.png']
+    ]);
+    assert.deepEqual(seen, ['a.skip', 'nav a', 'button.search']);
+  });
+
+  test('stops at maxStops or when focus leaves the page', async () => {
+    const endless = tabbingPage(Array.from({ length: 50 }, (_, index) => ({ selector: `#item-${index}` })));
+    assert.equal((await walkFocusOrder(endless, { maxStops: 5 })).length, 5);
+    assert.deepEqual(await walkFocusOrder(tabbingPage([null])), []);
+  });
+});
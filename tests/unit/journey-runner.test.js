@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import JourneyRunner, { interpolate, loadJourney } from '../../workflows/journey-runner.js';
+
+// Records the actions performed; `fail` lists the selectors whose action throws
+function fakeNavigationAgent({ fail = [], title = 'Checkout - Shop' } = {}) {
+  const agent = {
+    actions: [],
+    errors: [],
+    page: { url: () => 'https://shop.test/checkout', title: async () => title },
+    performAction: async step => {
+      agent.actions.push(step);
+      if (fail.includes(step.selector)) throw new Error(`No element matches ${step.selector}`);
+    }
+  };
+  return agent;
+}
+
+describe('interpolate', () => {
+  test('fills params and environment variables in nested values, leaving unknown names', () => {
+    process.env.JOURNEY_TEST_PASSWORD = 'hunter2';
+    try {
+      assert.deepEqual(
+        interpolate({ url: '/users/${user}', data: { '#password': '${env.JOURNEY_TEST_PASSWORD}' }, keys: ['${missing}', 3] }, { user: 42 }),
+        { url: '/users/42', data: { '#password': 'hunter2' }, keys: ['${missing}', 3] }
+      );
+    } finally {
+      delete process.env.JOURNEY_TEST_PASSWORD;
+    }
+  });
+});
+
+describe('loadJourney', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journeys-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads YAML and JSON journeys named after the file', () => {
+    fs.writeFileSync(path.join(dir, 'checkout.yml'), 'baseUrl: https://shop.test\nsteps:\n  - action: navigate\n    url: /cart\n');
+    fs.writeFileSync(path.join(dir, 'login.json'), JSON.stringify({ name: 'Login', screenshots: 'never', steps: [] }));
+
+    const checkout = loadJourney(path.join(dir, 'checkout.yml'));
+    assert.equal(checkout.name, 'checkout');
+    assert.equal(checkout.screenshots, 'always');
+    assert.deepEqual(checkout.steps, [{ action: 'navigate', url: '/cart' }]);
+    assert.equal(loadJourney(path.join(dir, 'login.json')).name, 'Login');
+  });
+
+  test('rejects missing files and journeys without steps', () => {
+    fs.writeFileSync(path.join(dir, 'empty.yaml'), 'name: empty\n');
+    assert.throws(() => loadJourney(path.join(dir, 'nope.yml')), /Journey file not found/);
+    assert.throws(() => loadJourney(path.join(dir, 'empty.yaml')), /has no steps/);
+  });
+});
+
+describe('JourneyRunner', () => {
+  let reportDir;
+
+  before(() => {
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journey-reports-'));
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  const run = (journey, agent, options = {}) =>
+    new JourneyRunner({ navigationAgent: agent }, { reportDir, ...options })
+      .run({ name: 'checkout', params: {}, journeys: {}, screenshots: 'never', ...journey });
+
+  test('runs sub-journeys with their own params and resolves URLs against baseUrl', async () => {
+    const agent = fakeNavigationAgent();
+    const result = await run({
+      baseUrl: 'https://shop.test/app/',
+      params: { sku: 'A-1' },
+      journeys: { addToCart: [{ action: 'click', selector: '[data-sku="${sku}"]' }, { action: 'navigate', url: 'cart?coupon=${coupon}' }] },
+      steps: [
+        { action: 'navigate', url: '/products' },
+        { action: 'journey', journey: 'addToCart', params: { coupon: 'SAVE10' } }
+      ]
+    }, agent);
+
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.steps.map(step => step.id), ['1', '2.1', '2.2']);
+    assert.deepEqual(agent.actions.map(step => step.url || step.selector), [
+      'https://shop.test/products', '[data-sku="A-1"]', 'https://shop.test/app/cart?coupon=SAVE10'
+    ]);
+    assert.ok(fs.existsSync(result.markdownPath));
+  });
+
+  test('skips the remaining steps after a required step fails, but not after an optional one', async () => {
+    const agent = fakeNavigationAgent({ fail: ['.cookie-banner', '#pay'] });
+    const result = await run({
+      steps: [
+        { action: 'click', selector: '.cookie-banner', optional: true },
+        { action: 'click', selector: '#pay' },
+        { action: 'click', selector: '#confirm' }
+      ]
+    }, agent);
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.steps.map(step => step.status), ['failed', 'failed', 'skipped']);
+    assert.equal(result.steps[1].error, 'No element matches #pay');
+    assert.deepEqual(result.summary, { total: 3, passed: 0, failed: 2, skipped: 1 });
+
+    const continued = await run({ steps: [{ action: 'click', selector: '#pay' }, { action: 'click', selector: '#confirm' }] },
+      fakeNavigationAgent({ fail: ['#pay'] }), { continueOnFailure: true });
+    assert.deepEqual(continued.steps.map(step => step.status), ['failed', 'passed']);
+  });
+
+  test('fails a step on a failed assertion and reports unknown sub-journeys', async () => {
+    const agent = fakeNavigationAgent();
+    agent.performAction = async step => { if (step.selector === '#pay') agent.errors.push({ type: 'console', message: 'Payment SDK failed' }); };
+
+    const result = await run({
+      steps: [
+        { action: 'click', selector: '#pay', assert: [{ title: 'Checkout*' }, { noConsoleErrors: true }] },
+        { action: 'journey', journey: 'missing' }
+      ]
+    }, agent, { continueOnFailure: true });
+
+    assert.deepEqual(result.steps[0].assertions.map(outcome => outcome.passed), [true, false]);
+    assert.equal(result.steps[0].error, 'Console or JavaScript errors occurred');
+    assert.equal(result.steps[1].error, 'Unknown sub-journey "missing"');
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditSeverity, describeLighthouseThrottling, lighthouseFlags, lighthouseScores, mapLighthouseFindings } from '../../subagents/lighthouse-audit.js';
+import { resolveThrottlingProfile } from '../../subagents/throttling.js';
+
+const lhr = {
+  categories: {
+    performance: {
+      score: 0.62,
+      auditRefs: [{ id: 'largest-contentful-paint', weight: 25 }, { id: 'unused-javascript', weight: 0 }]
+    },
+    accessibility: {
+      score: 0.875,
+      auditRefs: [{ id: 'color-contrast', weight: 7 }, { id: 'image-alt', weight: 10 }, { id: 'tabindex', weight: 3 }]
+    },
+    seo: { score: null, auditRefs: [{ id: 'color-contrast', weight: 1 }] }
+  },
+  audits: {
+    'largest-contentful-paint': { id: 'largest-contentful-paint', title: 'Largest Contentful Paint', displayValue: '4.1 s', score: 0.3, scoreDisplayMode: 'numeric' },
+    'unused-javascript': {
+      id: 'unused-javascript',
+      title: 'Reduce unused JavaScript',
+      score: 0.5,
+      scoreDisplayMode: 'metricSavings',
+      details: { overallSavingsMs: 450.4, overallSavingsBytes: 120000.6 }
+    },
+    'color-contrast': {
+      id: 'color-contrast',
+      title: 'Background and foreground colors do not have a sufficient contrast ratio',
+      score: 0,
+      scoreDisplayMode: 'binary',
+      details: { items: [{ node: { selector: '.price' } }, { node: { selector: 'footer a' } }, {}] }
+    },
+    'image-alt': { id: 'image-alt', title: 'Image elements have [alt] attributes', score: 1, scoreDisplayMode: 'binary' },
+    tabindex: { id: 'tabindex', title: 'No element has a tabindex above 0', score: null, scoreDisplayMode: 'notApplicable' },
+    'dom-size': { id: 'dom-size', title: 'Avoid an excessive DOM size', score: 0.2, scoreDisplayMode: 'numeric' }
+  }
+};
+
+// Navigation agent stand-in with the device config, cookies, login and throttling Lighthouse copies
+function fakeNavigationAgent({ isMobile = false, throttling = null, auth = null } = {}) {
+  return {
+    auth,
+    throttling,
+    getDeviceConfig: () => ({ viewport: { width: 1280, height: 800 }, deviceScaleFactor: 1, isMobile, userAgent: isMobile ? 'Mobile UA' : undefined }),
+    context: { cookies: async () => [{ name: 'sid', value: 'abc' }, { name: 'beta', value: '1' }] }
+  };
+}
+
+describe('auditSeverity', () => {
+  test('weighs the score by the audit weight', () => {
+    assert.equal(auditSeverity(0.2, 10), 'critical');
+    assert.equal(auditSeverity(0.8, 7), 'major');
+    assert.equal(auditSeverity(0.2, 3), 'major');
+    assert.equal(auditSeverity(0.8, 1), 'minor');
+    assert.equal(auditSeverity(0.2, 0), 'minor');
+    assert.equal(auditSeverity(0.8, 0), 'info');
+  });
+});
+
+describe('lighthouseScores', () => {
+  test('turns category scores into 0-100, keeping unscored categories null', () => {
+    assert.deepEqual(lighthouseScores(lhr), { performance: 62, accessibility: 88, seo: null });
+  });
+});
+
+describe('mapLighthouseFindings', () => {
+  test('reports failing scored audits of the audited categories, most severe first', () => {
+    const findings = mapLighthouseFindings(lhr);
+
+    assert.deepEqual(findings.map(finding => [finding.id, finding.severity, finding.weight]), [
+      ['largest-contentful-paint', 'critical', 25],
+      ['color-contrast', 'critical', 7],
+      ['unused-javascript', 'info', 0]
+    ]);
+    assert.equal(findings[0].description, 'Largest Contentful Paint (4.1 s)');
+  });
+
+  test('keeps every category an audit belongs to, its elements and its savings', () => {
+    const [, contrast, unused] = mapLighthouseFindings(lhr);
+    assert.deepEqual(contrast.categories, ['accessibility', 'seo']);
+    assert.equal(contrast.category, 'accessibility');
+    assert.deepEqual(contrast.elements, ['.price', 'footer a']);
+    assert.equal(unused.savingsMs, 450);
+    assert.equal(unused.savingsBytes, 120001);
+  });
+});
+
+describe('lighthouseFlags', () => {
+  test('uses the desktop preset and only sends the Authorization header to the login origin', async () => {
+    const auth = { authorization: 'Bearer abc', origin: 'https://shop.test' };
+    const flags = await lighthouseFlags(fakeNavigationAgent({ auth }), { categories: ['performance'], url: 'https://shop.test/cart' });
+
+    assert.equal(flags.formFactor, 'desktop');
+    assert.equal(flags.throttlingMethod, 'simulate');
+    assert.deepEqual(flags.onlyCategories, ['performance']);
+    assert.deepEqual(flags.extraHeaders, { Cookie: 'sid=abc; beta=1', Authorization: 'Bearer abc' });
+    assert.equal(describeLighthouseThrottling(flags), 'Lighthouse simulated (desktop)');
+
+    const elsewhere = await lighthouseFlags(fakeNavigationAgent({ auth }), { url: 'https://cdn.test/' });
+    assert.equal(elsewhere.extraHeaders.Authorization, undefined);
+  });
+
+  test('reproduces the session throttling profile on mobile', async () => {
+    const navigationAgent = fakeNavigationAgent({ isMobile: true, throttling: { applied: true, profile: resolveThrottlingProfile('slow-4g') } });
+    const flags = await lighthouseFlags(navigationAgent, { url: 'https://shop.test/' });
+
+    assert.equal(flags.formFactor, 'mobile');
+    assert.equal(flags.emulatedUserAgent, 'Mobile UA');
+    assert.deepEqual(flags.throttling, { requestLatencyMs: 150, downloadThroughputKbps: 1600, uploadThroughputKbps: 750, cpuSlowdownMultiplier: 4 });
+    assert.equal(describeLighthouseThrottling(flags, navigationAgent), 'slow-4g (150ms RTT, 1600/750 Kbps, 4x CPU)');
+  });
+});
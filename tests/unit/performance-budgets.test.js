@@ -0,0 +1,124 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import PerformanceBudgets, { DEFAULT_BUDGET, formatBudgetValue, loadBudgets, parseSize, summarizeResources } from '../../subagents/performance-budgets.js';
+import { AnalysisAgent } from '../../subagents/analysis-agent.js';
+
+describe('parseSize', () => {
+  test('reads bytes, KB and MB in 1024s', () => {
+    assert.equal(parseSize(300000), 300000);
+    assert.equal(parseSize('300kb'), 307200);
+    assert.equal(parseSize(' 1.5 MB '), 1572864);
+    assert.equal(parseSize('512'), 512);
+    assert.throws(() => parseSize('2gb'), /Invalid size "2gb"/);
+  });
+});
+
+describe('loadBudgets', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('falls back to the good Core Web Vitals thresholds without a file', async () => {
+    const budgets = await loadBudgets(path.join(dir, 'missing.json'));
+    assert.equal(budgets.source, null);
+    assert.deepEqual(budgets.defaults, DEFAULT_BUDGET);
+  });
+
+  test('parses sizes and rejects unknown metrics', async () => {
+    const file = path.join(dir, 'budgets.json');
+    fs.writeFileSync(file, JSON.stringify({ defaults: { lcp: 2000, scriptBytes: '200kb' }, routes: { '/checkout/**': { lcp: 3000 } } }));
+    const budgets = await loadBudgets(file);
+    assert.deepEqual(budgets.defaults, { lcp: 2000, scriptBytes: 204800 });
+    assert.equal(budgets.routes[0].matches('https://shop.test/checkout/pay'), true);
+
+    fs.writeFileSync(file, JSON.stringify({ routes: { '/': { speedIndex: 3000 } } }));
+    await assert.rejects(loadBudgets(file), /Unknown budget metric "speedIndex" in route \//);
+  });
+});
+
+describe('summarizeResources', () => {
+  test('totals bytes by type and counts other sites as third-party', () => {
+    const summary = summarizeResources([
+      { url: 'https://www.shop.test/', type: 'document', bytes: 1000 },
+      { url: 'https://cdn.shop.test/app.js', type: 'script', bytes: 5000 },
+      { url: 'https://analytics.example.com/tag.js', type: 'script', bytes: 2000 },
+      { url: 'https://fonts.example.net/inter.woff2', type: 'font', bytes: 3000 }
+    ], 'https://www.shop.test/');
+
+    assert.deepEqual(summary, {
+      requests: 4,
+      totalBytes: 11000,
+      scriptBytes: 7000,
+      stylesheetBytes: 0,
+      imageBytes: 0,
+      fontBytes: 3000,
+      thirdPartyRequests: 2,
+      thirdPartyBytes: 5000
+    });
+  });
+});
+
+describe('PerformanceBudgets.check', () => {
+  let dir;
+  let budgets;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-'));
+    fs.writeFileSync(path.join(dir, 'budgets.json'), JSON.stringify({
+      defaults: { lcp: 2500, inp: 200, totalBytes: '1mb' },
+      routes: { '/checkout/**': { lcp: 4000 }, '/checkout/pay': { totalBytes: '2mb' } }
+    }));
+    budgets = new PerformanceBudgets({ config: path.join(dir, 'budgets.json') });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('applies every matching route over the defaults, in file order', async () => {
+    assert.deepEqual(await budgets.budgetFor('https://shop.test/checkout/pay'), {
+      routes: ['/checkout/**', '/checkout/pay'],
+      budget: { lcp: 4000, inp: 200, totalBytes: 2097152 }
+    });
+  });
+
+  test('fails metrics over budget and leaves unmeasured ones unknown', async () => {
+    const check = await budgets.check('https://shop.test/', { metrics: { lcp: 3000, inp: null }, resources: { totalBytes: 524288 } });
+
+    assert.equal(check.passed, false);
+    assert.deepEqual(check.exceeded, ['lcp']);
+    assert.deepEqual(check.results.map(result => [result.metric, result.status, result.percent]), [
+      ['lcp', 'fail', 20], ['inp', 'unknown', null], ['totalBytes', 'pass', -50]
+    ]);
+  });
+
+  test('formatBudgetValue prints each unit', () => {
+    assert.equal(formatBudgetValue(1572864, 'bytes'), '1.50 MB');
+    assert.equal(formatBudgetValue(204800, 'bytes'), '200.0 KB');
+    assert.equal(formatBudgetValue(0.1234, 'score'), '0.123');
+    assert.equal(formatBudgetValue(null, 'ms'), 'n/a');
+  });
+});
+
+describe('calculatePerformanceScore', () => {
+  const { calculatePerformanceScore } = AnalysisAgent.prototype;
+  const result = (status, actual, budget) => ({ status, actual, budget });
+
+  test('averages budget / actual over the measured metrics', () => {
+    assert.equal(calculatePerformanceScore({ budget: { results: [result('pass', 1000, 2500), result('fail', 3125, 2500), result('unknown', null, 200)] } }), 90);
+  });
+
+  test('is null when nothing was measured', () => {
+    assert.equal(calculatePerformanceScore({ budget: { results: [result('unknown', null, 200)] } }), null);
+    assert.equal(calculatePerformanceScore({}), null);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import {
+  TEXT_REPLACEMENT_PRESETS,
+  resolveMaskRules,
+  parseMaskFlags,
+  excludeRegions
+} from '../../subagents/screenshot-masks.js';
+
+const config = {
+  default: { ignoreSelectors: ['.ad'], textReplacements: ['uuids'] },
+  screenshots: [
+    { match: 'dashboard-*', ignoreSelectors: ['.clock'] },
+    { url: '/orders/**', ignoreRegions: [{ x: 0, y: 0, width: 100, height: 20 }] },
+    { match: 'checkout-*', url: 'https://shop.test/checkout', ignoreSelectors: ['.timer'] },
+    { ignoreSelectors: ['.never'] }
+  ]
+};
+
+describe('resolveMaskRules', () => {
+  test('always applies the defaults and expands presets', () => {
+    const rules = resolveMaskRules(config, { key: 'home-full-page-desktop-large', url: 'https://shop.test/' });
+    assert.deepEqual(rules.ignoreSelectors, ['.ad']);
+    assert.deepEqual(rules.textReplacements, TEXT_REPLACEMENT_PRESETS.uuids);
+  });
+
+  test('adds rules whose key glob or URL pattern matches', () => {
+    const dashboard = resolveMaskRules(config, { key: 'Dashboard-full-page-desktop-large', url: 'https://shop.test/orders/42/items' });
+    assert.deepEqual(dashboard.ignoreSelectors, ['.ad', '.clock']);
+    assert.deepEqual(dashboard.ignoreRegions, [{ x: 0, y: 0, width: 100, height: 20 }]);
+  });
+
+  test('needs both the key and the URL when a rule has both', () => {
+    assert.deepEqual(resolveMaskRules(config, { key: 'checkout-full-page', url: 'https://shop.test/cart' }).ignoreSelectors, ['.ad']);
+    assert.deepEqual(resolveMaskRules(config, { key: 'checkout-full-page', url: 'https://shop.test/checkout' }).ignoreSelectors, ['.ad', '.timer']);
+  });
+
+  test('appends overrides last and rejects unknown presets', () => {
+    const rules = resolveMaskRules(config, { key: 'home' }, { ignoreSelectors: ['.avatar'], textReplacements: [{ pattern: 'a', replacement: 'b' }] });
+    assert.deepEqual(rules.ignoreSelectors, ['.ad', '.avatar']);
+    assert.deepEqual(rules.textReplacements.at(-1), { pattern: 'a', replacement: 'b' });
+    assert.throws(() => resolveMaskRules({ default: { textReplacements: ['weekdays'] } }), /Unknown text replacement preset: weekdays/);
+  });
+});
+
+describe('parseMaskFlags', () => {
+  test('turns command flags into mask rules', () => {
+    assert.deepEqual(
+      parseMaskFlags({ ignore: ['.ad', '.avatar'], 'ignore-region': '0,0,1280,80', freeze: 'dates, times', replace: 'Order #\\d+=>Order #0000' }),
+      {
+        ignoreSelectors: ['.ad', '.avatar'],
+        ignoreRegions: [{ x: 0, y: 0, width: 1280, height: 80 }],
+        textReplacements: ['dates', 'times', { pattern: 'Order #\\d+', replacement: 'Order #0000' }]
+      }
+    );
+    assert.deepEqual(parseMaskFlags({ ignore: true }), { ignoreSelectors: [], ignoreRegions: [], textReplacements: [] });
+  });
+
+  test('rejects malformed regions and replacements', () => {
+    assert.throws(() => parseMaskFlags({ 'ignore-region': '0,0,wide,80' }), /Invalid --ignore-region "0,0,wide,80"/);
+    assert.throws(() => parseMaskFlags({ replace: 'Order #\\d+' }), /Invalid --replace/);
+  });
+});
+
+describe('TEXT_REPLACEMENT_PRESETS', () => {
+  const freeze = (text, preset) => TEXT_REPLACEMENT_PRESETS[preset]
+    .reduce((result, rule) => result.replace(new RegExp(rule.pattern, rule.flags || 'g'), rule.replacement), text);
+
+  test('replace dynamic values with fixed ones', () => {
+    assert.equal(freeze('Updated 2025-03-14T09:26:53Z', 'dates'), 'Updated 2024-01-01');
+    assert.equal(freeze('Shipped Mar 3rd, 2025', 'dates'), 'Shipped January 1, 2024');
+    assert.equal(freeze('at 9:41 PM', 'times'), 'at 12:00');
+    assert.equal(freeze('5 hours ago', 'relative'), '1 minute ago');
+    assert.equal(freeze('Order 3F2504E0-4F89-11D3-9A0C-0305E82C3301', 'uuids'), 'Order 00000000-0000-0000-0000-000000000000');
+    assert.equal(freeze('build 9fceb02d0ae598e95dc970b74767f19372d61af8', 'ids'), 'build 000000000000');
+  });
+});
+
+describe('excludeRegions', () => {
+  test('copies the baseline into ignored areas, clipped to the image, counting each pixel once', () => {
+    const current = new PNG({ width: 10, height: 10 });
+    const baseline = new PNG({ width: 10, height: 10 });
+    current.data.fill(0);
+    baseline.data.fill(255);
+
+    const excluded = excludeRegions(current, baseline, [
+      { x: 8, y: 8, width: 5, height: 5 },
+      { x: 0, y: 0, width: 2, height: 2 },
+      { x: 1, y: 1, width: 2, height: 2 }
+    ]);
+
+    assert.equal(excluded, 4 + 4 + 3);
+    assert.equal(current.data[(9 * 10 + 9) * 4], 255);
+    assert.equal(current.data[(5 * 10 + 5) * 4], 0);
+  });
+});
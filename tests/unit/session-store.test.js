@@ -0,0 +1,54 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import SessionStore from '../../commands/session-store.js';
+
+describe('SessionStore', () => {
+  let sessionDir;
+  let store;
+
+  beforeEach(() => {
+    sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    store = new SessionStore({ sessionDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  test('saves sessions and loads them by id or name, newest first', async () => {
+    await store.save({ id: 'a1', name: 'checkout', url: 'https://shop.test/cart' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.save({ id: 'b2', name: 'checkout', url: 'https://shop.test/pay' });
+
+    assert.equal(store.load('a1').url, 'https://shop.test/cart');
+    assert.equal(store.load('checkout').id, 'b2');
+    assert.equal(store.load('missing'), null);
+    assert.deepEqual(store.list().map(state => state.id), ['b2', 'a1']);
+    assert.deepEqual(fs.readdirSync(sessionDir).sort(), ['a1.json', 'b2.json']);
+  });
+
+  test('keeps the browser storage state readable by the owner only', async () => {
+    const storageState = { cookies: [{ name: 'sid', value: 'secret' }], origins: [] };
+    await store.save({ id: 'a1' }, { storageState: async () => storageState });
+
+    assert.equal(store.hasStorageState('a1'), true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(store.storageStatePath('a1'), 'utf8')), storageState);
+    if (process.platform !== 'win32') {
+      assert.equal(fs.statSync(store.storageStatePath('a1')).mode & 0o777, 0o600);
+    }
+    assert.deepEqual(store.list().map(state => state.id), ['a1']);
+  });
+
+  test('skips unreadable session files', async () => {
+    mock.method(console, 'log', () => {});
+    await store.save({ id: 'a1' });
+    fs.writeFileSync(path.join(sessionDir, 'broken.json'), '{');
+
+    assert.deepEqual(store.list().map(state => state.id), ['a1']);
+    assert.equal(new SessionStore({ sessionDir: path.join(sessionDir, 'none') }).list().length, 0);
+  });
+});
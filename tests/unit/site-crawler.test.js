@@ -0,0 +1,127 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The crawler module loads the browser agents, which need the generated device profiles
+const deviceProfiles = new URL('../../config/device-profiles.js', import.meta.url);
+const skip = fs.existsSync(deviceProfiles) ? false : 'config/device-profiles.js is missing (npm run install-playwright)';
+
+const SITE = {
+  'https://shop.test/': ['/products/1', '/products/2', '/about#team', 'https://cdn.test/app', '/logout', '/brochure.pdf', 'mailto:hi@shop.test'],
+  'https://shop.test/products/1': ['/products/3', '/products/1/reviews?page=2&sort=new'],
+  'https://shop.test/about': ['/careers'],
+  'https://shop.test/docs/start': []
+};
+
+// Navigation agent whose pages link to each other as in SITE
+function fakeNavigationAgent({ sitemap = null } = {}) {
+  let current = null;
+  return {
+    options: { browser: 'chromium', device: 'desktop.large' },
+    errors: [],
+    getThrottling: () => ({ description: 'none' }),
+    navigateToUrl: async url => {
+      current = url;
+      return SITE[url] ? { success: true, status: 200, loadTime: 10 } : { success: false, error: 'HTTP 404' };
+    },
+    page: {
+      title: async () => `Title of ${current}`,
+      $$eval: async () => SITE[current].map(link => new URL(link, current).href)
+    },
+    context: {
+      request: {
+        get: async url => ({ ok: () => url === 'https://shop.test/sitemap.xml' && Boolean(sitemap), text: async () => sitemap })
+      }
+    }
+  };
+}
+
+describe('site crawler', { skip }, () => {
+  let crawler;
+  let reportDir;
+
+  before(async () => {
+    crawler = await import('../../workflows/site-crawler.js');
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-crawler-'));
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  test('urlTemplate replaces record ids and keeps only query keys', () => {
+    const { urlTemplate } = crawler;
+    assert.equal(urlTemplate('https://shop.test/products/123?color=red&size=m'), '/products/:id?color&size');
+    assert.equal(urlTemplate('https://shop.test/orders/3f2504e0-4f89-11d3-9a0c-0305e82c3301/'), '/orders/:id');
+    assert.equal(urlTemplate('https://shop.test/p/blue-shirt-size-42'), '/p/:id');
+    assert.equal(urlTemplate('https://shop.test/blog/hello-world'), '/blog/hello-world');
+    assert.equal(urlTemplate('https://shop.test/'), '/');
+  });
+
+  test('normalizeUrl resolves links and drops fragments and trailing slashes', () => {
+    const { normalizeUrl } = crawler;
+    assert.equal(normalizeUrl('/about/#team', 'https://shop.test/products/1'), 'https://shop.test/about');
+    assert.equal(normalizeUrl('https://shop.test'), 'https://shop.test/');
+    assert.equal(normalizeUrl('javascript:void(0)', 'https://shop.test/'), null);
+    assert.equal(normalizeUrl('not a url'), null);
+  });
+
+  test('parseSitemap reads locations and recognises sitemap indexes', () => {
+    const { parseSitemap } = crawler;
+    assert.deepEqual(
+      parseSitemap('<urlset><url><loc> https://shop.test/a?x=1&amp;y=2 </loc></url></urlset>'),
+      { isIndex: false, locations: ['https://shop.test/a?x=1&y=2'] }
+    );
+    assert.equal(parseSitemap('<sitemapindex><sitemap><loc>https://shop.test/s1.xml</loc></sitemap></sitemapindex>').isIndex, true);
+  });
+
+  test('crawls same-origin pages once per template within the limits', async () => {
+    const sitemap = '<urlset><url><loc>https://shop.test/docs/start</loc></url></urlset>';
+    const result = await new crawler.SiteCrawler({ maxDepth: 1, checks: [], reportDir, trends: false })
+      .useAgents({ navigationAgent: fakeNavigationAgent({ sitemap }) })
+      .crawl('https://shop.test');
+
+    assert.deepEqual(result.pages.map(page => [page.url, page.template, page.depth, page.source]), [
+      ['https://shop.test/', '/', 0, 'root'],
+      ['https://shop.test/docs/start', '/docs/start', 1, 'sitemap'],
+      ['https://shop.test/products/1', '/products/:id', 1, 'https://shop.test/'],
+      ['https://shop.test/about', '/about', 1, 'https://shop.test/']
+    ]);
+    assert.deepEqual(result.skipped.map(entry => [entry.url, entry.reason]), [
+      ['https://shop.test/products/2', 'duplicate-template'],
+      ['https://cdn.test/app', 'external'],
+      ['https://shop.test/logout', 'excluded'],
+      ['https://shop.test/brochure.pdf', 'not-a-page']
+    ]);
+    assert.deepEqual(result.summary.skipped, { 'duplicate-template': 1, external: 1, excluded: 1, 'not-a-page': 1 });
+    assert.ok(fs.existsSync(result.markdownPath));
+  });
+
+  test('applies include patterns and the page limit', async () => {
+    const result = await new crawler.SiteCrawler({ include: ['/products/**'], dedupeTemplates: false, maxPages: 4, useSitemap: false, checks: [], reportDir, trends: false })
+      .useAgents({ navigationAgent: fakeNavigationAgent() })
+      .crawl('https://shop.test/');
+
+    assert.deepEqual(result.pages.map(page => page.url), [
+      'https://shop.test/', 'https://shop.test/products/1', 'https://shop.test/products/2', 'https://shop.test/products/3'
+    ]);
+    assert.deepEqual(result.skipped.map(entry => [entry.url, entry.reason]), [
+      ['https://shop.test/about', 'not-included'],
+      ['https://cdn.test/app', 'external'],
+      ['https://shop.test/logout', 'not-included'],
+      ['https://shop.test/brochure.pdf', 'not-a-page'],
+      ['https://shop.test/products/1/reviews?page=2&sort=new', 'page-limit']
+    ]);
+    assert.equal(result.summary.pagesFailed, 2);
+  });
+
+  test('pageSlug turns templates into screenshot names', () => {
+    const { SiteCrawler } = crawler;
+    assert.equal(new SiteCrawler().pageSlug('/products/:id?color'), 'products-id-color');
+    assert.equal(new SiteCrawler().pageSlug('/'), 'home');
+  });
+});
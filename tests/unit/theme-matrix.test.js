@@ -0,0 +1,75 @@
+import fs from 'fs';
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The matrix module loads the browser agents, which need the generated device profiles
+const deviceProfiles = new URL('../../config/device-profiles.js', import.meta.url);
+const skip = fs.existsSync(deviceProfiles) ? false : 'config/device-profiles.js is missing (npm run install-playwright)';
+
+const variant = (key, issues = [], baseline = {}) => ({
+  key,
+  success: true,
+  issues,
+  baseline: { match: true, isNewBaseline: false, ...baseline }
+});
+
+describe('theme matrix', { skip }, () => {
+  let matrix;
+
+  before(async () => {
+    matrix = await import('../../workflows/theme-matrix.js');
+  });
+
+  test('expandVariants combines every value of every dimension', () => {
+    const { expandVariants } = matrix;
+    assert.deepEqual(expandVariants({ colorScheme: ['light', 'dark'], locale: ['en-US', 'de-DE'], contrast: [] }), [
+      { colorScheme: 'light', locale: 'en-US' },
+      { colorScheme: 'light', locale: 'de-DE' },
+      { colorScheme: 'dark', locale: 'en-US' },
+      { colorScheme: 'dark', locale: 'de-DE' }
+    ]);
+    assert.deepEqual(expandVariants({}), [{}]);
+  });
+
+  test('expandVariants rejects unknown dimensions and values', () => {
+    const { expandVariants } = matrix;
+    assert.throws(() => expandVariants({ theme: ['dark'] }), /Unknown emulation dimension "theme"/);
+    assert.throws(() => expandVariants({ colorScheme: ['dark', 'sepia'] }), /Invalid colorScheme value\(s\) sepia\. Use one of: light, dark, no-preference/);
+  });
+
+  test('variantKey names the emulated modes and leaves out neutral values', () => {
+    const { variantKey } = matrix;
+    assert.equal(variantKey({ colorScheme: 'dark', locale: 'de-DE' }), 'dark--de-DE');
+    assert.equal(variantKey({ colorScheme: 'light', forcedColors: 'active', reducedMotion: 'no-preference' }), 'light--forced-colors');
+    assert.equal(variantKey({ timezoneId: 'America/New_York', geolocation: { latitude: 52.5, longitude: 13.4 } }), 'America-New_York--geo-52.5,13.4');
+    assert.equal(variantKey({ forcedColors: 'none' }), 'default');
+  });
+
+  test('refuses more variants than maxVariants', () => {
+    const variants = matrix.expandVariants({ colorScheme: ['light', 'dark'], contrast: ['no-preference', 'more'] });
+    assert.throws(() => new matrix.ThemeMatrix({ variants, maxVariants: 3 }), /4 variants exceed the limit of 3/);
+  });
+
+  test('summarize separates issues seen in one mode from shared ones', () => {
+    const lowContrast = { category: 'contrast', selector: '.price' };
+    const overflow = { category: 'layout', selector: '.nav' };
+    const summary = new matrix.ThemeMatrix().summarize({
+      variants: [
+        variant('light', [overflow]),
+        variant('dark', [overflow, lowContrast], { match: false }),
+        { key: 'light--forced-colors', success: false, error: 'Timed out' }
+      ]
+    });
+
+    assert.deepEqual(summary, {
+      variants: 3,
+      failed: 1,
+      newBaselines: 0,
+      baselineChanges: 1,
+      modeSpecificChanges: ['dark'],
+      issues: 3,
+      sharedIssues: 1,
+      modeSpecific: [{ variant: 'dark', ...lowContrast }]
+    });
+  });
+});
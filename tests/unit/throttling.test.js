@@ -0,0 +1,67 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import applyThrottling, { describeThrottling, resolveThrottlingProfile } from '../../subagents/throttling.js';
+
+// CDP session stand-in that records the commands sent to it
+function fakeSession() {
+  const sent = [];
+  return { sent, send: async (method, params) => { sent.push([method, params]); } };
+}
+
+describe('resolveThrottlingProfile', () => {
+  test('resolves names and custom profiles, rejecting unknown names', () => {
+    assert.equal(resolveThrottlingProfile(null), null);
+    assert.deepEqual(resolveThrottlingProfile('mid-tier-mobile'), { name: 'mid-tier-mobile', description: 'Mid-tier mobile CPU (4x slower), unthrottled network', cpu: 4 });
+    assert.deepEqual(resolveThrottlingProfile({ cpu: 2 }), { name: 'custom', cpu: 2 });
+    assert.throws(() => resolveThrottlingProfile('5g'), /Unknown throttling profile "5g"\. Use one of: none, slow-3g/);
+  });
+});
+
+describe('describeThrottling', () => {
+  test('summarizes network and CPU settings', () => {
+    assert.equal(describeThrottling(resolveThrottlingProfile('slow-4g')), 'slow-4g (150ms RTT, 1600/750 Kbps, 4x CPU)');
+    assert.equal(describeThrottling(resolveThrottlingProfile('fast-4g')), 'fast-4g (165ms RTT, 8100/1350 Kbps)');
+    assert.equal(describeThrottling({ name: 'custom', cpu: 1 }), 'custom');
+    assert.equal(describeThrottling(resolveThrottlingProfile('none')), 'none');
+  });
+});
+
+describe('applyThrottling', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  test('sends the network conditions in bytes per second and the CPU rate', async () => {
+    const client = fakeSession();
+    const result = await applyThrottling(null, resolveThrottlingProfile('slow-3g'), { client });
+
+    assert.equal(result.applied, true);
+    assert.deepEqual(client.sent, [
+      ['Network.enable', undefined],
+      ['Network.emulateNetworkConditions', { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 }],
+      ['Emulation.setCPUThrottlingRate', { rate: 4 }]
+    ]);
+  });
+
+  test('turns throttling off again with "none"', async () => {
+    const client = fakeSession();
+    const result = await applyThrottling(null, resolveThrottlingProfile('none'), { client });
+
+    assert.equal(result.applied, false);
+    assert.deepEqual(client.sent.slice(1), [
+      ['Network.emulateNetworkConditions', { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }],
+      ['Emulation.setCPUThrottlingRate', { rate: 1 }]
+    ]);
+    assert.deepEqual(await applyThrottling(null, resolveThrottlingProfile('none')), { profile: resolveThrottlingProfile('none'), applied: false, client: null });
+  });
+
+  test('reports other engines as unthrottled', async () => {
+    const result = await applyThrottling(null, resolveThrottlingProfile('slow-4g'), { browserName: 'webkit' });
+    assert.equal(result.applied, false);
+    assert.equal(result.reason, 'webkit does not support CDP throttling');
+  });
+});
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import TrendStore, { detectRegression, throttlingKey, trendMetrics } from '../../subagents/trend-store.js';
+import { AnalysisAgent } from '../../subagents/analysis-agent.js';
+
+describe('detectRegression', () => {
+  test('needs minHistory earlier runs', () => {
+    assert.equal(detectRegression([1200, 2400], 'lcp'), null);
+  });
+
+  test('compares the latest value with the median of the window before it', () => {
+    const { metric, latest, baseline, change } = detectRegression([1200, 1250, 1180, 1220, 1900], 'lcp');
+    assert.deepEqual({ metric, latest, baseline, change }, { metric: 'lcp', latest: 1900, baseline: 1210, change: 690 });
+  });
+
+  test('ignores runs outside the window', () => {
+    assert.equal(detectRegression([5000, 5000, 5000, 1200, 1200, 1300], 'lcp', { window: 2 }), null);
+    assert.notEqual(detectRegression([5000, 5000, 5000, 1200, 1200, 1600], 'lcp', { window: 2 }), null);
+  });
+
+  test('allows the larger of the absolute and relative tolerance', () => {
+    // 10% of a 3000ms baseline is 300ms
+    assert.equal(detectRegression([3000, 3000, 3250], 'lcp'), null);
+    assert.notEqual(detectRegression([3000, 3000, 3350], 'lcp'), null);
+  });
+
+  test('follows the better direction of the metric', () => {
+    assert.equal(detectRegression([90, 92, 80], 'accessibilityScore').baseline, 91);
+    assert.equal(detectRegression([90, 92, 99], 'accessibilityScore'), null);
+    assert.equal(detectRegression([2, 2, 3], 'violations').change, 1);
+  });
+});
+
+describe('trendMetrics', () => {
+  const scorer = AnalysisAgent.prototype;
+  const performance = results => ({
+    type: 'performance_metrics',
+    metrics: { lcp: 1234.5678, cls: 0, inp: null },
+    budget: { exceeded: [], results }
+  });
+
+  test('collects vitals, scores, Lighthouse categories and the largest screenshot change', () => {
+    const metrics = trendMetrics([
+      { type: 'accessibility_issues', automated: { violations: [{ impact: 'serious' }] } },
+      performance([{ status: 'pass', actual: 1234, budget: 2500 }]),
+      { type: 'lighthouse', scores: { performance: 71, seo: null } }
+    ], [{ diffPercentage: 0.4 }, { diffPercentage: 2.5 }, { diffPercentage: 90, isNewBaseline: true }], scorer);
+
+    assert.deepEqual(metrics, {
+      violations: 1,
+      accessibilityScore: 90,
+      lcp: 1234.568,
+      cls: 0,
+      budgetsExceeded: 0,
+      performanceScore: 100,
+      lighthousePerformance: 71,
+      diffPercentage: 2.5
+    });
+  });
+
+  test('records no performance score when no budget metric was measured', () => {
+    const metrics = trendMetrics([performance([{ status: 'unknown', actual: null, budget: 200 }])], [], scorer);
+    assert.equal('performanceScore' in metrics, false);
+  });
+
+  test('throttlingKey treats an unapplied profile as unthrottled', () => {
+    assert.equal(throttlingKey({ profile: 'slow-4g', applied: true }), 'slow-4g');
+    assert.equal(throttlingKey({ profile: 'slow-4g', applied: false }), 'none');
+    assert.equal(throttlingKey(undefined), 'none');
+  });
+});
+
+describe('TrendStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trend-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps separate series per browser and skips unreadable lines', () => {
+    const store = new TrendStore({ path: path.join(dir, 'history.jsonl') });
+    for (const lcp of [1200, 1250, 1180, 1220, 1900]) {
+      store.append([
+        { url: 'https://shop.test/', device: 'desktop.large', browser: 'chromium', metrics: { lcp } },
+        { url: 'https://shop.test/', device: 'desktop.large', browser: 'firefox', metrics: { lcp: 1200 } },
+        { url: 'https://shop.test/', device: 'desktop.large', browser: 'webkit', metrics: {} }
+      ]);
+    }
+    fs.appendFileSync(store.options.path, 'not json\n');
+
+    assert.deepEqual(store.series().map(series => [series.browser, series.runs.length]), [['chromium', 5], ['firefox', 5]]);
+    assert.deepEqual(store.detectRegressions().map(regression => [regression.browser, regression.metric]), [['chromium', 'lcp']]);
+
+    const [chart] = store.chartData({ browser: 'chromium' })[0].charts;
+    assert.equal(chart.metric, 'lcp');
+    assert.equal(chart.baseline, 1210);
+    assert.equal(chart.points.length, 5);
+    assert.notEqual(chart.regression, null);
+  });
+});
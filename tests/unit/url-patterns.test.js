@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, urlMatcher } from '../../subagents/url-patterns.js';
+
+describe('urlMatcher', () => {
+  test('matches plain paths literally', () => {
+    assert.equal(urlMatcher('/checkout/success')('https://shop.test/checkout/success'), true);
+    assert.equal(urlMatcher('/account/profile')('https://shop.test/account/profile'), true);
+    assert.equal(urlMatcher('/account/profile')('https://shop.test/account/settings'), false);
+    assert.equal(urlMatcher('/docs/')('https://shop.test/docs/'), true);
+    assert.equal(urlMatcher('/docs/')('https://shop.test/guides/docs'), false);
+  });
+
+  test('matches path patterns with or without the query', () => {
+    assert.equal(urlMatcher('/search')('https://shop.test/search?q=shoes'), true);
+    assert.equal(urlMatcher('/search?q=*')('https://shop.test/search?q=shoes'), true);
+  });
+
+  test('keeps * within a segment and lets ** cross segments', () => {
+    assert.equal(urlMatcher('/products/*')('https://shop.test/products/42'), true);
+    assert.equal(urlMatcher('/products/*')('https://shop.test/products/42/reviews'), false);
+    assert.equal(urlMatcher('/products/**')('https://shop.test/products/42/reviews'), true);
+  });
+
+  test('matches other patterns against the full URL', () => {
+    assert.equal(urlMatcher('https://shop.test/*')('https://shop.test/cart'), true);
+    assert.equal(urlMatcher('https://shop.test/*')('https://other.test/cart'), false);
+    assert.equal(urlMatcher('**/api/cart')('https://shop.test/v2/api/cart'), true);
+  });
+
+  test('tests RegExps against the full URL', () => {
+    const matches = urlMatcher(/checkout\/(success|done)/);
+    assert.equal(matches('https://shop.test/checkout/done'), true);
+    assert.equal(matches('https://shop.test/checkout/failed'), false);
+  });
+});
+
+describe('globToRegExp', () => {
+  test('escapes regular expression characters', () => {
+    assert.equal(globToRegExp('order (1).png').test('order (1).png'), true);
+    assert.equal(globToRegExp('a.b').test('axb'), false);
+  });
+
+  test('takes flags', () => {
+    assert.equal(globToRegExp('Dashboard-*', 'i').test('dashboard-full-page'), true);
+    assert.equal(globToRegExp('Dashboard-*').test('dashboard-full-page'), false);
+  });
+});
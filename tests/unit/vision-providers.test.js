@@ -0,0 +1,190 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MockVisionProvider,
+  FixtureVisionProvider,
+  AnthropicVisionProvider,
+  VisionProviderError,
+  createVisionProvider,
+  parseAnalysisResponse,
+  validateAnalysisResponse,
+  requestStructuredAnalysis
+} from '../../subagents/vision-providers.js';
+
+const IMAGE = { label: 'Current screenshot', mediaType: 'image/png', buffer: Buffer.from('not really a png') };
+
+const VALID = {
+  summary: 'Header overlaps the hero',
+  confidence: 0.8,
+  findings: [{
+    severity: 'major',
+    category: 'layout',
+    description: 'The sticky header covers the hero heading',
+    recommendation: 'Offset the hero by the header height',
+    location: 'top of page',
+    region: { x: 0, y: 0, width: 1280, height: 80 }
+  }]
+};
+
+describe('createVisionProvider', () => {
+  test('picks the provider from the prefix or the model name', () => {
+    assert.equal(createVisionProvider('mock', { fixtureMode: 'off' }).name, 'mock');
+    assert.equal(createVisionProvider('openai:gpt-4o-mini', { fixtureMode: 'off' }).model, 'gpt-4o-mini');
+    assert.equal(createVisionProvider('claude-sonnet-4', { fixtureMode: 'off' }).model, 'claude-sonnet-4-0');
+    assert.equal(createVisionProvider('llava', { fixtureMode: 'off' }).name, 'openai');
+    assert.equal(createVisionProvider('mock', { fixtureMode: 'replay' }).name, 'fixture(mock)');
+  });
+});
+
+describe('MockVisionProvider', () => {
+  test('returns an empty, valid analysis by default and records its calls', async () => {
+    const provider = new MockVisionProvider();
+    const result = await requestStructuredAnalysis(provider, { prompt: 'Analyse', images: [IMAGE] });
+
+    assert.deepEqual(result, { summary: 'Mock analysis completed', confidence: 1, findings: [], attempts: 1 });
+    assert.deepEqual(provider.calls, [{ prompt: 'Analyse', images: ['Current screenshot'] }]);
+  });
+
+  test('returns the configured response', async () => {
+    const result = await requestStructuredAnalysis(new MockVisionProvider({ response: VALID }), { prompt: 'Analyse' });
+    assert.deepEqual(result.findings, VALID.findings);
+  });
+});
+
+describe('parseAnalysisResponse', () => {
+  test('finds the JSON object inside a fenced block or surrounding prose', () => {
+    assert.deepEqual(parseAnalysisResponse('Here you go:\n```json\n{"summary":"ok","findings":[]}\n```'), { summary: 'ok', findings: [] });
+    assert.deepEqual(parseAnalysisResponse('Result: {"summary":"ok","findings":[]} Done.'), { summary: 'ok', findings: [] });
+    assert.throws(() => parseAnalysisResponse('No issues found.'), /does not contain a JSON object/);
+  });
+});
+
+describe('validateAnalysisResponse', () => {
+  test('accepts a well-formed response', () => {
+    assert.deepEqual(validateAnalysisResponse(VALID), []);
+  });
+
+  test('reports every malformed field', () => {
+    const errors = validateAnalysisResponse({
+      confidence: 3,
+      consistency_score: 11,
+      findings: [{ severity: 'blocker', category: 'layout', description: '', recommendation: 'x', location: 'x', region: { x: 0 } }]
+    });
+
+    assert.deepEqual(errors, [
+      '"summary" must be a string',
+      '"confidence" must be a number between 0 and 1',
+      '"consistency_score" must be a number between 0 and 10',
+      'findings[0].severity must be one of critical, major, minor, info',
+      'findings[0].description must be a non-empty string',
+      'findings[0].region must have numeric x, y, width and height'
+    ]);
+    assert.deepEqual(validateAnalysisResponse([]), ['Response must be a JSON object']);
+  });
+});
+
+describe('requestStructuredAnalysis', () => {
+  let delays;
+
+  beforeEach(() => {
+    delays = [];
+    mock.method(console, 'warn', () => {});
+    // Record the backoff instead of waiting for it
+    mock.method(globalThis, 'setTimeout', (callback, delay) => {
+      delays.push(delay);
+      callback();
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('retries malformed output with the validation errors in the prompt', async () => {
+    const provider = new MockVisionProvider({
+      response: ({ call }) => (call === 1 ? 'I could not find any JSON' : VALID)
+    });
+
+    const result = await requestStructuredAnalysis(provider, { prompt: 'Analyse' });
+    assert.equal(result.attempts, 2);
+    assert.match(provider.calls[1].prompt, /^Analyse\n\nYour previous response was rejected[\s\S]*Invalid JSON/);
+    assert.deepEqual(delays, []);
+  });
+
+  test('rejects after maxRetries malformed responses', async () => {
+    const provider = new MockVisionProvider({ response: { summary: 'Missing findings' } });
+
+    await assert.rejects(
+      requestStructuredAnalysis(provider, { prompt: 'Analyse', maxRetries: 1 }),
+      error => error instanceof VisionProviderError && /"findings" must be an array/.test(error.message)
+    );
+    assert.equal(provider.calls.length, 2);
+  });
+
+  test('backs off before retrying a retryable API error', async () => {
+    const responses = [
+      new Response('rate limited', { status: 429 }),
+      new Response('overloaded', { status: 529 }),
+      Response.json({ content: [{ type: 'text', text: JSON.stringify(VALID) }] })
+    ];
+    const fetch = mock.method(globalThis, 'fetch', async () => responses.shift());
+
+    const provider = new AnthropicVisionProvider({ apiKey: 'test-key', baseUrl: 'http://anthropic.test' });
+    const result = await requestStructuredAnalysis(provider, { prompt: 'Analyse', images: [IMAGE] });
+
+    assert.equal(result.attempts, 3);
+    assert.equal(fetch.mock.callCount(), 3);
+    assert.deepEqual(delays, [1000, 2000]);
+    assert.equal(fetch.mock.calls[0].arguments[0], 'http://anthropic.test/v1/messages');
+  });
+
+  test('does not retry other API errors', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('bad key', { status: 401 }));
+    const provider = new AnthropicVisionProvider({ apiKey: 'test-key', baseUrl: 'http://anthropic.test' });
+
+    await assert.rejects(
+      requestStructuredAnalysis(provider, { prompt: 'Analyse' }),
+      error => error.status === 401 && error.retryable === false
+    );
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.deepEqual(delays, []);
+  });
+});
+
+describe('FixtureVisionProvider', () => {
+  let fixtureDir;
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('records responses and replays them without calling the provider', async () => {
+    const recorder = new FixtureVisionProvider(new MockVisionProvider({ response: VALID }), { mode: 'record', fixtureDir });
+    const recorded = await recorder.complete({ prompt: 'Analyse', images: [IMAGE] });
+
+    const [file] = fs.readdirSync(fixtureDir);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8')).images, ['Current screenshot']);
+
+    const inner = new MockVisionProvider({ response: 'should not be used' });
+    const replayer = new FixtureVisionProvider(inner, { mode: 'replay', fixtureDir });
+    assert.equal(await replayer.complete({ prompt: 'Analyse', images: [IMAGE] }), recorded);
+    assert.equal(inner.calls.length, 0);
+  });
+
+  test('keys fixtures on the prompt and the image bytes', async () => {
+    const replayer = new FixtureVisionProvider(new MockVisionProvider(), { mode: 'replay', fixtureDir });
+    const request = { prompt: 'Analyse', images: [IMAGE] };
+
+    assert.equal(replayer.fixtureKey(request), replayer.fixtureKey({ ...request }));
+    assert.notEqual(replayer.fixtureKey(request), replayer.fixtureKey({ ...request, prompt: 'Analyse again' }));
+    assert.notEqual(replayer.fixtureKey(request), replayer.fixtureKey({ ...request, images: [{ ...IMAGE, buffer: Buffer.from('other') }] }));
+    await assert.rejects(replayer.complete(request), /No recorded AI fixture/);
+  });
+});
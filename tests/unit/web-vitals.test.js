@@ -0,0 +1,96 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectVitals, rateVitals, simulateInteractions, TOGGLE_SELECTORS, VITALS_THRESHOLDS } from '../../subagents/web-vitals.js';
+
+const snapshot = { metrics: { lcp: 1200, cls: 0, inp: null }, interactions: [] };
+
+// Page stand-in with `toggles` visible candidates; logs input, reloads and readings in order
+function fakePage({ toggles = 2, navigatesOn = null, installed = true } = {}) {
+  const events = [];
+  let url = 'https://shop.test/';
+  const page = {
+    events,
+    selector: null,
+    url: () => url,
+    keyboard: { press: async key => events.push(`press ${key}`) },
+    locator: selector => {
+      page.selector = selector;
+      return {
+        count: async () => toggles,
+        nth: index => ({
+          isVisible: async () => true,
+          isDisabled: async () => false,
+          click: async () => {
+            events.push(`click ${index}`);
+            if (index === navigatesOn) url = 'https://shop.test/elsewhere';
+          }
+        })
+      };
+    },
+    goBack: async () => { events.push('back'); url = 'https://shop.test/'; },
+    reload: async () => events.push('reload'),
+    waitForTimeout: async () => {},
+    evaluate: async fn => {
+      const source = fn.toString();
+      if (source.includes('snapshot')) {
+        events.push('snapshot');
+        return snapshot;
+      }
+      return source.includes('Boolean') ? installed : undefined;
+    }
+  };
+  return page;
+}
+
+describe('rateVitals', () => {
+  test('rates each metric against its thresholds, inclusive of the limit', () => {
+    assert.deepEqual(rateVitals({ lcp: 2500, cls: 0.2, inp: 600, fcp: null, ttfb: 100 }), {
+      lcp: 'good',
+      cls: 'needs-improvement',
+      inp: 'poor',
+      fcp: 'unknown',
+      ttfb: 'good',
+      tbt: 'unknown'
+    });
+    assert.deepEqual(rateVitals({ lcp: 3000 }, { lcp: { ...VITALS_THRESHOLDS.lcp, good: 3000 } }), { lcp: 'good' });
+  });
+});
+
+describe('simulateInteractions', () => {
+  test('only clicks type="button" toggles', () => {
+    assert.ok(TOGGLE_SELECTORS.every(selector => selector.startsWith('button[type="button"]')));
+  });
+
+  test('closes each toggle with Escape and stops at maxClicks', async () => {
+    const page = fakePage({ toggles: 5 });
+    assert.deepEqual(await simulateInteractions(page, { maxClicks: 2 }), { clicks: 2, keyPresses: 2 });
+    assert.equal(page.selector, TOGGLE_SELECTORS.join(', '));
+    assert.deepEqual(page.events, ['press Tab', 'press Shift+Tab', 'click 0', 'press Escape', 'click 1', 'press Escape']);
+  });
+
+  test('goes back and stops when a click navigates', async () => {
+    const page = fakePage({ toggles: 3, navigatesOn: 0 });
+    assert.equal((await simulateInteractions(page)).clicks, 1);
+    assert.equal(page.events.at(-1), 'back');
+  });
+});
+
+describe('collectVitals', () => {
+  test('leaves the page alone unless asked to interact', async () => {
+    const page = fakePage();
+    const vitals = await collectVitals(page);
+    assert.equal(vitals.simulated, null);
+    assert.deepEqual(page.events, ['snapshot']);
+  });
+
+  test('reloads the page after reading the interactions it drove', async () => {
+    const page = fakePage({ toggles: 1 });
+    const vitals = await collectVitals(page, { interact: true });
+    assert.deepEqual(vitals.simulated, { clicks: 1, keyPresses: 2 });
+    assert.deepEqual(page.events.slice(-2), ['snapshot', 'reload']);
+  });
+
+  test('needs the collector installed by the navigation agent', async () => {
+    await assert.rejects(collectVitals(fakePage({ installed: false })), /Web vitals collector is not installed/);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Browser Matrix - Renders one page in every browser engine and device, compares each capture
+ * with its own baseline and with the reference browser, and reports engine-specific differences
+ */
+
+import fs from 'fs';
+import path from 'path';
+import NavigationAgent from '../subagents/navigation-agent.js';
+import ScreenshotAgent from '../subagents/screenshot-agent.js';
+
+export const MATRIX_BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+function deviceKey(device) {
+  return device.replace(/\./g, '-');
+}
+
+// Runs `task` over `items` with at most `limit` in flight
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Browsers that render a device differently from every other browser, while the others agree.
+ * Needs three or more browsers; with two there's no majority to tell which one is off.
+ */
+export function findOutliers(browsers, pairs) {
+  if (browsers.length < 3) return [];
+
+  const differs = (a, b) => pairs.find(pair =>
+    (pair.browsers[0] === a && pair.browsers[1] === b) || (pair.browsers[0] === b && pair.browsers[1] === a))?.inconsistent;
+
+  return browsers.filter(browser => {
+    const others = browsers.filter(other => other !== browser);
+    const againstOthers = others.every(other => differs(browser, other));
+    const othersAgree = others.every((a, i) => others.slice(i + 1).every(b => differs(a, b) === false));
+    return againstOthers && othersAgree;
+  });
+}
+
+export class BrowserMatrix {
+  constructor(options = {}) {
+    this.options = {
+      browsers: MATRIX_BROWSERS,
+      devices: ['desktop.large'],
+      referenceBrowser: 'chromium',
+      concurrency: 3, // contexts rendering at the same time
+      maxBrowserDiff: 1, // percent of differing pixels before two engines count as inconsistent
+      threshold: 0.1,
+      navigation: {}, // extra NavigationAgent options (deterministic, network, auth, ...)
+      reportDir: 'reports',
+      ...options
+    };
+
+    if (!this.options.browsers.includes(this.options.referenceBrowser)) {
+      throw new Error(`Reference browser ${this.options.referenceBrowser} is not one of the matrix browsers: ${this.options.browsers.join(', ')}`);
+    }
+  }
+
+  async run(url, name = 'browser-matrix') {
+    const matrix = {
+      id: `browser-matrix-${name}-${Date.now()}`,
+      url,
+      name,
+      startTime: new Date().toISOString(),
+      browsers: this.options.browsers,
+      devices: this.options.devices,
+      referenceBrowser: this.options.referenceBrowser,
+      cells: [],
+      comparisons: []
+    };
+
+    console.log(`🧮 Rendering ${url} in ${matrix.browsers.length} browser(s) x ${matrix.devices.length} device(s)...`);
+
+    // One browser process per engine; every device gets its own context in it
+    const launched = new Map();
+    for (const browser of matrix.browsers) {
+      try {
+        launched.set(browser, await new NavigationAgent({ ...this.options.navigation, browser }).launchBrowser());
+      } catch (error) {
+        console.log(`⚠️ Could not launch ${browser}: ${error.message}`);
+        launched.set(browser, { error: error.message });
+      }
+    }
+
+    try {
+      const cells = matrix.browsers.flatMap(browser => matrix.devices.map(device => ({ browser, device })));
+      matrix.cells = await mapWithConcurrency(cells, this.options.concurrency, cell =>
+        this.renderCell(url, name, cell, launched.get(cell.browser)));
+
+      for (const device of matrix.devices) {
+        matrix.comparisons.push(...await this.compareBrowsers(name, device, matrix.cells));
+      }
+    } finally {
+      for (const browser of launched.values()) {
+        if (!browser.error) await browser.close();
+      }
+    }
+
+    matrix.endTime = new Date().toISOString();
+    matrix.summary = this.summarize(matrix);
+
+    const report = this.generateMatrixReport(matrix);
+    console.log(`✅ Browser matrix completed: ${matrix.summary.inconsistencies} inconsistency(ies), ${matrix.summary.engineSpecific.length} engine-specific`);
+
+    return { ...matrix, ...report };
+  }
+
+  // Render one browser x device combination and compare it with its baseline
+  async renderCell(url, name, { browser, device }, sharedBrowser) {
+    const cell = { browser, device, baselineName: `${name}--${browser}--${deviceKey(device)}.png` };
+    if (sharedBrowser.error) {
+      return { ...cell, success: false, error: `Browser unavailable: ${sharedBrowser.error}` };
+    }
+
+    const navigationAgent = new NavigationAgent({ ...this.options.navigation, browser, device, sharedBrowser });
+    try {
+      await navigationAgent.initialize();
+      const navigation = await navigationAgent.navigateToUrl(url);
+      if (!navigation.success) {
+        return { ...cell, success: false, error: navigation.error };
+      }
+
+      const screenshotAgent = new ScreenshotAgent(navigationAgent, { threshold: this.options.threshold });
+      const screenshot = await screenshotAgent.captureFullPage(`${name}--${browser}`);
+      const baseline = await screenshotAgent.compareWithBaseline(screenshot.path, cell.baselineName);
+
+      return {
+        ...cell,
+        success: true,
+        screenshot: screenshot.path,
+        viewport: navigationAgent.page.viewportSize(),
+        baseline: {
+          isNewBaseline: Boolean(baseline.isNewBaseline),
+          missingBaseline: Boolean(baseline.missingBaseline),
+          match: baseline.match,
+          diffPercentage: baseline.diffPercentage ?? 0,
+          diffPath: baseline.diffPath || null,
+          pending: Boolean(baseline.pending)
+        },
+        errors: navigationAgent.errors?.length || 0
+      };
+    } catch (error) {
+      console.log(`❌ ${browser} on ${device} failed: ${error.message}`);
+      return { ...cell, success: false, error: error.message };
+    } finally {
+      await navigationAgent.close().catch(() => {});
+    }
+  }
+
+  // Compare every pair of browsers that rendered this device
+  async compareBrowsers(name, device, cells) {
+    const rendered = cells.filter(cell => cell.device === device && cell.success);
+    const comparer = new ScreenshotAgent(null, { threshold: this.options.threshold });
+    const diffDir = path.join(comparer.options.screenshotDir, comparer.options.diffDir);
+    const comparisons = [];
+
+    for (let i = 0; i < rendered.length; i++) {
+      for (let j = i + 1; j < rendered.length; j++) {
+        // The reference browser is always the baseline side of its pairs
+        const [baseline, current] = rendered[j].browser === this.options.referenceBrowser
+          ? [rendered[j], rendered[i]]
+          : [rendered[i], rendered[j]];
+        const diffPath = path.join(diffDir, `${name}--${current.browser}-vs-${baseline.browser}--${deviceKey(device)}-diff.png`);
+
+        const result = await comparer.performPixelComparison(current.screenshot, baseline.screenshot, diffPath, {
+          threshold: this.options.threshold
+        });
+        const inconsistent = result.diffPercentage > this.options.maxBrowserDiff;
+
+        comparisons.push({
+          device,
+          browsers: [current.browser, baseline.browser],
+          reference: baseline.browser === this.options.referenceBrowser,
+          inconsistent,
+          diffPercentage: result.diffPercentage,
+          sizeChange: result.sizeChange?.finding?.description || null,
+          diffPath: result.hasDifferences ? diffPath : null,
+          regions: result.regions.slice(0, 5).map(region => region.finding?.description || region.type)
+        });
+      }
+    }
+
+    return comparisons;
+  }
+
+  summarize(matrix) {
+    const engineSpecific = matrix.devices.flatMap(device => {
+      const browsers = matrix.cells.filter(cell => cell.device === device && cell.success).map(cell => cell.browser);
+      const pairs = matrix.comparisons.filter(pair => pair.device === device);
+      return findOutliers(browsers, pairs).map(browser => ({
+        device,
+        browser,
+        // Where it differs from the reference browser, or from another browser when it is the reference
+        regions: pairs.find(pair => pair.reference && pair.browsers.includes(browser))?.regions || []
+      }));
+    });
+
+    return {
+      cells: matrix.cells.length,
+      failed: matrix.cells.filter(cell => !cell.success).length,
+      baselineChanges: matrix.cells.filter(cell => cell.success && !cell.baseline.match).length,
+      newBaselines: matrix.cells.filter(cell => cell.baseline?.isNewBaseline).length,
+      inconsistencies: matrix.comparisons.filter(pair => pair.reference && pair.inconsistent).length,
+      engineSpecific
+    };
+  }
+
+  generateMatrixReport(matrix) {
+    fs.mkdirSync(this.options.reportDir, { recursive: true });
+
+    const reportPath = path.join(this.options.reportDir, `${matrix.id}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(matrix, null, 2));
+
+    const markdownPath = path.join(this.options.reportDir, `${matrix.id}.md`);
+    fs.writeFileSync(markdownPath, this.generateMarkdownReport(matrix));
+
+    console.log(`📊 Browser matrix report saved: ${markdownPath}`);
+    return { reportPath, markdownPath };
+  }
+
+  generateMarkdownReport(matrix) {
+    const { summary } = matrix;
+    const cellFor = (browser, device) => matrix.cells.find(cell => cell.browser === browser && cell.device === device);
+    const referencePair = (browser, device) => matrix.comparisons.find(pair =>
+      pair.device === device && pair.reference && pair.browsers[0] === browser);
+    const outlier = (browser, device) => summary.engineSpecific.some(entry => entry.browser === browser && entry.device === device);
+
+    const describeCell = (browser, device) => {
+      const cell = cellFor(browser, device);
+      if (!cell.success) return `❌ ${cell.error}`;
+
+      const baseline = cell.baseline.isNewBaseline ? '🆕 new baseline'
+        : cell.baseline.missingBaseline ? '⏳ no baseline'
+        : cell.baseline.match ? '✅ baseline' : `⚠️ baseline ${cell.baseline.diffPercentage}%`;
+      const pair = referencePair(browser, device);
+      const reference = browser === matrix.referenceBrowser ? 'reference'
+        : pair ? `${pair.inconsistent ? '🔶' : '='} ${pair.diffPercentage}% vs ${matrix.referenceBrowser}` : '-';
+      return `${outlier(browser, device) ? '🚩 ' : ''}${baseline}<br>${reference}`;
+    };
+
+    const engineSpecific = summary.engineSpecific.map(entry => `
+### ${entry.browser} on ${entry.device}
+
+Only ${entry.browser} renders this differently; the other browsers agree.
+${entry.regions.map(region => `- ${region}`).join('\n') || '- (no regions described)'}
+`).join('');
+
+    const pairs = matrix.comparisons.map(pair =>
+      `| ${pair.device} | ${pair.browsers[0]} vs ${pair.browsers[1]} | ${pair.diffPercentage}% | ${pair.inconsistent ? '🔶 inconsistent' : 'consistent'} | ${pair.sizeChange || '-'} | ${pair.diffPath || '-'} |`
+    ).join('\n');
+
+    return `# Cross-Browser Matrix: ${matrix.name}
+
+**URL:** ${matrix.url}
+**Started:** ${matrix.startTime}
+**Finished:** ${matrix.endTime}
+**Reference browser:** ${matrix.referenceBrowser}
+**Inconsistency threshold:** ${this.options.maxBrowserDiff}% of pixels
+
+## Summary
+
+- Renders: ${summary.cells}${summary.failed ? ` (${summary.failed} failed)` : ''}
+- Baseline changes: ${summary.baselineChanges}${summary.newBaselines ? `, ${summary.newBaselines} new baseline(s)` : ''}
+- Inconsistent with ${matrix.referenceBrowser}: ${summary.inconsistencies}
+- Engine-specific differences: ${summary.engineSpecific.length}
+
+## Matrix
+
+| Device | ${matrix.browsers.join(' | ')} |
+|--------|${matrix.browsers.map(() => '---').join('|')}|
+${matrix.devices.map(device => `| ${device} | ${matrix.browsers.map(browser => describeCell(browser, device)).join(' | ')} |`).join('\n')}
+
+🚩 only this engine differs · 🔶 above the inconsistency threshold
+
+## Engine-Specific Differences
+${engineSpecific || '\nNone found.\n'}
+## Browser Comparisons
+
+| Device | Browsers | Difference | Result | Size | Diff |
+|--------|----------|------------|--------|------|------|
+${pairs || '| - | - | - | - | - | - |'}
+
+---
+
+*Generated by Browser Matrix*
+`;
+  }
+}
+
+export default BrowserMatrix;
@@ -21,6 +21,7 @@ export class IterativeValidationWorkflow {
         responsiveConsistency: 0.9
       },
       retryDelay: 2000,
+      navigation: {}, // extra NavigationAgent options, e.g. { deterministic: true, network: { mode: 'replay', har } }
       ...options
     };
 
@@ -41,7 +42,7 @@ export class IterativeValidationWorkflow {
   async initialize(browser = 'chromium', device = 'desktop.large') {
     console.log('🔄 Initializing Iterative Validation Workflow...');
     
-    this.navigationAgent = new NavigationAgent({ browser, device });
+    this.navigationAgent = new NavigationAgent({ browser, device, ...this.options.navigation });
     await this.navigationAgent.initialize();
     
     this.screenshotAgent = new ScreenshotAgent(this.navigationAgent);
@@ -181,6 +182,16 @@ export class IterativeValidationWorkflow {
       iteration.scores.responsive = responsiveAnalysis.overallScore / 10; // Convert to 0-1 scale
     }
 
+    // Design token compliance
+    if (designSpecs.tokens) {
+      const designAnalysis = await this.analysisAgent.analyzeDesignConsistency(
+        [fullPageScreenshot],
+        designSpecs
+      );
+      iteration.analyses.push(designAnalysis);
+      iteration.scores.design = designAnalysis.overallScore / 10; // Convert to 0-1 scale
+    }
+
     // Identify critical issues
     iteration.issues = this.identifyCriticalIssues(iteration.analyses);
     
@@ -224,7 +235,8 @@ export class IterativeValidationWorkflow {
     // Check each convergence criterion
     const visual = iteration.scores.visual >= criteria.visualAccuracy;
     const accessibility = iteration.scores.accessibility >= criteria.accessibilityScore;
-    const performance = iteration.scores.performance >= criteria.performanceScore;
+    // An unmeasured performance score (null) doesn't hold convergence back
+    const performance = iteration.scores.performance === null || iteration.scores.performance >= criteria.performanceScore;
     const responsive = iteration.scores.responsive >= criteria.responsiveConsistency;
 
     this.convergenceStatus = { visual, accessibility, performance, responsive };
@@ -327,53 +339,11 @@ export class IterativeValidationWorkflow {
   }
 
   calculateAccessibilityScore(analysis) {
-    const violations = analysis.automated?.violations || [];
-    const maxDeductions = 100;
-    
-    // Deduct points based on severity
-    let score = 100;
-    violations.forEach(violation => {
-      switch (violation.impact) {
-        case 'critical':
-          score -= 20;
-          break;
-        case 'serious':
-          score -= 10;
-          break;
-        case 'moderate':
-          score -= 5;
-          break;
-        case 'minor':
-          score -= 2;
-          break;
-      }
-    });
-
-    return Math.max(0, score);
+    return this.analysisAgent.calculateAccessibilityScore(analysis);
   }
 
   calculatePerformanceScore(analysis) {
-    const metrics = analysis.metrics;
-    const evaluation = analysis.evaluation;
-    
-    let score = 100;
-    
-    // Deduct points for poor performance
-    Object.entries(evaluation).forEach(([metric, rating]) => {
-      switch (rating) {
-        case 'poor':
-          score -= 30;
-          break;
-        case 'needs-improvement':
-          score -= 15;
-          break;
-        case 'good':
-          // No deduction
-          break;
-      }
-    });
-
-    return Math.max(0, score);
+    return this.analysisAgent.calculatePerformanceScore(analysis);
   }
 
   identifyCriticalIssues(analyses) {
@@ -467,7 +437,7 @@ export class IterativeValidationWorkflow {
     if (finalIteration.scores.accessibility < criteria.accessibilityScore) {
       areas.push('Accessibility compliance needs improvement');
     }
-    if (finalIteration.scores.performance < criteria.performanceScore) {
+    if (finalIteration.scores.performance !== null && finalIteration.scores.performance < criteria.performanceScore) {
       areas.push('Performance optimization needed');
     }
     if (finalIteration.scores.responsive < criteria.responsiveConsistency) {
@@ -515,7 +485,7 @@ ${report.summary.success ? '✅' : '❌'} **Status:** ${report.converged ? 'Conv
 
 ### Final Scores
 ${Object.entries(report.finalScores).map(([metric, score]) => 
-  `- **${metric}:** ${typeof score === 'number' ? (score * 100).toFixed(1) + '%' : score}`
+  `- **${metric}:** ${typeof score === 'number' ? (score * 100).toFixed(1) + '%' : score ?? 'n/a'}`
 ).join('\n')}
 
 ## Convergence History
@@ -523,7 +493,7 @@ ${Object.entries(report.finalScores).map(([metric, score]) =>
 | Iteration | Visual | Accessibility | Performance | Responsive | Issues |
 |-----------|---------|---------------|-------------|------------|--------|
 ${report.convergenceHistory.map(h => 
-  `| ${h.iteration} | ${(h.scores.visual * 100 || 0).toFixed(1)}% | ${h.scores.accessibility || 0} | ${h.scores.performance || 0} | ${(h.scores.responsive * 100 || 0).toFixed(1)}% | ${h.criticalIssues}/${h.issues} |`
+  `| ${h.iteration} | ${(h.scores.visual * 100 || 0).toFixed(1)}% | ${h.scores.accessibility || 0} | ${h.scores.performance ?? 'n/a'} | ${(h.scores.responsive * 100 || 0).toFixed(1)}% | ${h.criticalIssues}/${h.issues} |`
 ).join('\n')}
 
 ## Improvement Areas
@@ -0,0 +1,386 @@
+/**
+ * Journey Runner - Runs declarative YAML/JSON user journeys with per-step assertions
+ * Steps call NavigationAgent.performAction; screenshots and failures are reported per step
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import AxeBuilder from '@axe-core/playwright';
+import { globToRegExp, urlMatcher } from '../subagents/url-patterns.js';
+
+const IMPACT_ORDER = ['minor', 'moderate', 'serious', 'critical'];
+const SCREENSHOT_WHEN = ['always', 'on-failure', 'on-success', 'never'];
+
+// Replaces ${name} with params and ${env.NAME} with environment variables, recursively
+export function interpolate(value, params) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(env\.)?([\w-]+)\}/g, (match, env, name) => {
+      const replacement = env ? process.env[name] : params[name];
+      return replacement === undefined ? match : String(replacement);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, params));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, params)]));
+  }
+  return value;
+}
+
+/**
+ * Load a journey from .yaml/.yml or .json.
+ * Format: { name, baseUrl, params, screenshots: 'always'|'on-failure'|'never', journeys: { <name>: [steps] }, steps: [step] }
+ */
+export function loadJourney(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Journey file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const journey = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+  if (!journey || !Array.isArray(journey.steps)) {
+    throw new Error(`Journey ${filePath} has no steps`);
+  }
+
+  return {
+    name: path.basename(filePath).replace(/\.(ya?ml|json)$/i, ''),
+    params: {},
+    journeys: {},
+    screenshots: 'always',
+    ...journey,
+    file: filePath
+  };
+}
+
+export class JourneyRunner {
+  constructor({ navigationAgent, screenshotAgent }, options = {}) {
+    this.navigationAgent = navigationAgent;
+    this.screenshotAgent = screenshotAgent;
+    this.options = {
+      continueOnFailure: false,
+      maxIncludeDepth: 5,
+      reportDir: 'reports',
+      ...options
+    };
+  }
+
+  async runFile(filePath, params = {}) {
+    return this.run(loadJourney(filePath), params);
+  }
+
+  async run(journey, params = {}) {
+    console.log(`🛤️ Running journey: ${journey.name}`);
+
+    const run = {
+      id: `journey-${journey.name}-${Date.now()}`,
+      name: journey.name,
+      file: journey.file || null,
+      startTime: new Date().toISOString(),
+      steps: []
+    };
+
+    const context = {
+      journey,
+      params: { ...journey.params, ...params },
+      screenshots: journey.screenshots,
+      baseDir: journey.file ? path.dirname(journey.file) : process.cwd(),
+      depth: 0,
+      prefix: '',
+      optional: false
+    };
+
+    await this.runSteps(journey.steps, context, run);
+
+    run.endTime = new Date().toISOString();
+    run.passed = run.steps.every(step => step.status !== 'failed' || step.optional);
+    run.summary = {
+      total: run.steps.length,
+      passed: run.steps.filter(step => step.status === 'passed').length,
+      failed: run.steps.filter(step => step.status === 'failed').length,
+      skipped: run.steps.filter(step => step.status === 'skipped').length
+    };
+
+    Object.assign(run, this.saveReport(run));
+    console.log(`${run.passed ? '✅' : '❌'} Journey ${journey.name}: ${run.summary.passed}/${run.summary.total} step(s) passed`);
+    return run;
+  }
+
+  // Returns false once a required step failed; later steps are then reported as skipped
+  async runSteps(steps, context, run) {
+    for (const [index, rawStep] of steps.entries()) {
+      const step = interpolate(rawStep, context.params);
+      const id = `${context.prefix}${index + 1}`;
+
+      if (run.stopped) {
+        run.steps.push({ id, name: step.name || step.action, action: step.action, status: 'skipped' });
+        continue;
+      }
+
+      if (step.action === 'journey' || step.action === 'include') {
+        const ok = await this.runSubJourney(step, id, context, run);
+        if (!ok && !step.optional && !context.optional && !this.options.continueOnFailure) run.stopped = true;
+        continue;
+      }
+
+      const result = await this.runStep(step, id, context);
+      run.steps.push(result);
+      if (result.status === 'failed' && !result.optional && !this.options.continueOnFailure) {
+        run.stopped = true;
+      }
+    }
+    return !run.stopped;
+  }
+
+  // Reusable journeys: `journey: <name>` from the journeys map, or `file:` relative to the current journey
+  async runSubJourney(step, id, context, run) {
+    if (context.depth >= this.options.maxIncludeDepth) {
+      run.steps.push({ id, name: step.name || 'journey', action: step.action, optional: Boolean(step.optional), status: 'failed', error: 'Sub-journeys nested too deeply' });
+      return false;
+    }
+
+    let subJourney;
+    let baseDir = context.baseDir;
+    try {
+      if (step.file) {
+        const filePath = path.resolve(context.baseDir, step.file);
+        subJourney = loadJourney(filePath);
+        baseDir = path.dirname(filePath);
+      } else if (context.journey.journeys[step.journey]) {
+        const definition = context.journey.journeys[step.journey];
+        subJourney = { ...context.journey, params: {}, ...(Array.isArray(definition) ? { steps: definition } : definition) };
+      } else {
+        throw new Error(`Unknown sub-journey "${step.journey}"`);
+      }
+    } catch (error) {
+      run.steps.push({ id, name: step.name || step.journey || step.file, action: step.action, optional: Boolean(step.optional), status: 'failed', error: error.message });
+      return false;
+    }
+
+    console.log(`↪️ Sub-journey: ${step.journey || step.file}`);
+    const before = run.steps.length;
+    await this.runSteps(subJourney.steps, {
+      ...context,
+      journey: { ...subJourney, journeys: { ...context.journey.journeys, ...subJourney.journeys } },
+      params: { ...context.params, ...subJourney.params, ...step.params },
+      screenshots: step.screenshots || subJourney.screenshots || context.screenshots,
+      baseDir,
+      depth: context.depth + 1,
+      prefix: `${id}.`,
+      optional: context.optional || Boolean(step.optional)
+    }, run);
+
+    return run.steps.slice(before).every(result => result.status !== 'failed' || result.optional);
+  }
+
+  async runStep(step, id, context) {
+    const name = step.name || `${step.action}${step.selector ? ` ${step.selector}` : step.url ? ` ${step.url}` : ''}`;
+    console.log(`➡️ Step ${id}: ${name}`);
+
+    const result = {
+      id,
+      name,
+      action: step.action,
+      optional: Boolean(step.optional || context.optional),
+      status: 'passed',
+      assertions: [],
+      startTime: new Date().toISOString()
+    };
+    const errorsBefore = this.navigationAgent.errors?.length || 0;
+
+    try {
+      await this.navigationAgent.performAction(this.resolveStep(step, context));
+
+      for (const assertion of [].concat(step.assert || [])) {
+        const outcome = await this.checkAssertion(assertion, errorsBefore);
+        result.assertions.push(outcome);
+        if (!outcome.passed) {
+          result.status = 'failed';
+        }
+      }
+      if (result.status === 'failed') {
+        result.error = result.assertions.filter(outcome => !outcome.passed).map(outcome => outcome.message).join('; ');
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+    }
+
+    result.duration = Date.now() - new Date(result.startTime).getTime();
+    result.url = this.navigationAgent.page.url();
+
+    const screenshot = await this.captureStepScreenshot(step, id, result, context);
+    if (screenshot) result.screenshot = screenshot;
+
+    console.log(result.status === 'passed' ? `  ✅ ${name}` : `  ❌ ${name}: ${result.error}`);
+    return result;
+  }
+
+  // Relative navigation URLs resolve against baseUrl; upload paths against the journey file
+  resolveStep(step, context) {
+    const resolved = { ...step };
+    if (step.action === 'navigate' && context.journey.baseUrl) {
+      resolved.url = new URL(step.url, context.journey.baseUrl).href;
+    }
+    if (step.action === 'upload') {
+      resolved.files = [].concat(step.files || step.file || []).map(file => path.resolve(context.baseDir, file));
+    }
+    return resolved;
+  }
+
+  /**
+   * Assertions:
+   *   { text: 'Welcome' } / { notText: 'Error' }      text visible / not visible
+   *   { visible: '.banner' } / { hidden: '.spinner' }  element state
+   *   { url: '/dashboard*' }                           glob on the path ("/...") or the full URL
+   *   { urlRegex: 'checkout/(success|done)' }          regular expression tested against the full URL
+   *   { title: 'Checkout*' }                           glob on the page title
+   *   { noConsoleErrors: true }                        no console or JavaScript errors during the step
+   *   { a11y: 'clean' | { impact: 'serious', rules: [...] } }  no axe violations at or above impact
+   */
+  async checkAssertion(assertion, errorsBefore) {
+    const page = this.navigationAgent.page;
+    const timeout = assertion.timeout || 5000;
+    const type = Object.keys(assertion).find(key => key !== 'timeout');
+    const expected = assertion[type];
+    const outcome = passed => ({ type, expected, passed, message: passed ? null : this.describeFailure(type, expected, page) });
+
+    switch (type) {
+      case 'text':
+      case 'notText': {
+        const state = type === 'text' ? 'visible' : 'hidden';
+        const visible = await page.getByText(expected).first().waitFor({ state, timeout }).then(() => true, () => false);
+        return outcome(visible);
+      }
+      case 'visible':
+      case 'hidden': {
+        const matched = await page.locator(expected).first().waitFor({ state: type, timeout }).then(() => true, () => false);
+        return outcome(matched);
+      }
+      case 'url':
+      case 'urlRegex': {
+        const matches = urlMatcher(type === 'url' ? expected : new RegExp(expected));
+        const matched = await page.waitForURL(url => matches(url.href), { timeout }).then(() => true, () => false);
+        return { ...outcome(matched), actual: page.url() };
+      }
+      case 'title': {
+        const title = await page.title();
+        return { ...outcome(globToRegExp(expected).test(title)), actual: title };
+      }
+      case 'noConsoleErrors': {
+        const errors = (this.navigationAgent.errors || [])
+          .slice(errorsBefore)
+          .filter(error => error.type === 'console' || error.type === 'javascript');
+        return { ...outcome(errors.length === 0), actual: errors.map(error => error.message) };
+      }
+      case 'a11y': {
+        const { impact = 'serious', rules } = typeof expected === 'object' ? expected : {};
+        const builder = new AxeBuilder({ page });
+        if (rules) builder.withRules(rules);
+        const results = await builder.analyze();
+        const threshold = IMPACT_ORDER.indexOf(impact);
+        const violations = results.violations.filter(violation => IMPACT_ORDER.indexOf(violation.impact) >= threshold);
+        return {
+          ...outcome(violations.length === 0),
+          actual: violations.map(violation => `${violation.id} (${violation.impact}, ${violation.nodes.length} node(s))`)
+        };
+      }
+      default:
+        return { type, expected, passed: false, message: `Unknown assertion "${type}"` };
+    }
+  }
+
+  describeFailure(type, expected, page) {
+    switch (type) {
+      case 'text': return `Text "${expected}" is not visible`;
+      case 'notText': return `Text "${expected}" is visible`;
+      case 'visible': return `${expected} is not visible`;
+      case 'hidden': return `${expected} is still visible`;
+      case 'url':
+      case 'urlRegex': return `URL ${page.url()} does not match ${expected}`;
+      case 'title': return `Title does not match ${expected}`;
+      case 'noConsoleErrors': return 'Console or JavaScript errors occurred';
+      case 'a11y': return 'Accessibility violations found';
+      default: return `Assertion ${type} failed`;
+    }
+  }
+
+  /**
+   * screenshot: true | false | 'on-failure' | { when, name, selector, if: <assertion> }
+   * Falls back to the journey's `screenshots` setting.
+   */
+  async captureStepScreenshot(step, id, result, context) {
+    const setting = step.screenshot ?? context.screenshots;
+    const config = typeof setting === 'object' && setting !== null ? setting : { when: setting };
+    const when = config.when === true || config.when === undefined ? 'always' : config.when === false ? 'never' : config.when;
+
+    if (!SCREENSHOT_WHEN.includes(when)) {
+      result.screenshotError = `Unknown screenshot setting "${when}"`;
+      return null;
+    }
+    const failed = result.status === 'failed';
+    if (when === 'never' || (when === 'on-failure' && !failed) || (when === 'on-success' && failed)) {
+      return null;
+    }
+
+    try {
+      if (config.if && !(await this.checkAssertion(config.if, 0)).passed) {
+        return null;
+      }
+
+      const slug = (config.name || result.name).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+      const name = `${context.journey.name}-step-${id.replace(/\./g, '-')}-${slug}${failed ? '-failed' : ''}`;
+      const screenshot = config.selector
+        ? await this.screenshotAgent.captureElement(config.selector, name)
+        : await this.screenshotAgent.captureFullPage(name);
+      return screenshot.path;
+    } catch (error) {
+      result.screenshotError = error.message;
+      return null;
+    }
+  }
+
+  saveReport(run) {
+    fs.mkdirSync(this.options.reportDir, { recursive: true });
+
+    const reportPath = path.join(this.options.reportDir, `${run.id}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(run, null, 2));
+
+    const markdownPath = path.join(this.options.reportDir, `${run.id}.md`);
+    fs.writeFileSync(markdownPath, this.generateMarkdownReport(run));
+
+    return { reportPath, markdownPath };
+  }
+
+  generateMarkdownReport(run) {
+    const icon = { passed: '✅', failed: '❌', skipped: '⏭️' };
+    const failures = run.steps.filter(step => step.status === 'failed');
+
+    return `# Journey Report: ${run.name}
+
+**Result:** ${run.passed ? 'Passed' : 'Failed'}
+**File:** ${run.file || 'inline'}
+**Started:** ${run.startTime}
+**Steps:** ${run.summary.passed} passed, ${run.summary.failed} failed, ${run.summary.skipped} skipped
+
+## Steps
+
+| # | Step | Status | Duration | Screenshot |
+|---|------|--------|----------|------------|
+${run.steps.map(step => `| ${step.id} | ${step.name} | ${icon[step.status]} ${step.status}${step.optional ? ' (optional)' : ''} | ${step.duration !== undefined ? `${step.duration}ms` : '-'} | ${step.screenshot || '-'} |`).join('\n')}
+${failures.length > 0 ? `
+## Failures
+
+${failures.map(step => `### Step ${step.id}: ${step.name}
+
+- **Error:** ${step.error}
+- **URL:** ${step.url || '-'}
+${(step.assertions || []).filter(assertion => !assertion.passed).map(assertion => `- **${assertion.type}:** ${assertion.message}${assertion.actual && assertion.actual.length !== 0 ? ` (actual: ${[].concat(assertion.actual).join(', ')})` : ''}`).join('\n')}
+`).join('\n')}` : ''}
+---
+
+*Generated by Journey Runner*
+`;
+  }
+}
+
+export default JourneyRunner;
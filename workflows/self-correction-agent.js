@@ -96,8 +96,10 @@ export class SelfCorrectionAgent {
   async extractVisualCorrections(analysis, designSpecs) {
     const corrections = [];
     
-    if (analysis.issues) {
-      for (const issue of analysis.issues) {
+    // Visual difference analyses report findings; compliance checks report issues
+    const issues = analysis.issues || analysis.findings || [];
+    if (issues.length > 0) {
+      for (const issue of issues) {
         if (issue.category === 'spacing' && issue.expectedValue && issue.actualValue) {
           corrections.push({
             type: 'css',
@@ -110,7 +112,7 @@ export class SelfCorrectionAgent {
               property: 'padding',
               currentValue: issue.actualValue,
               targetValue: issue.expectedValue,
-              selector: this.generateCSSSelector(issue.location)
+              selector: this.selectorForIssue(issue)
             },
             confidence: 0.9,
             estimatedImpact: 'low',
@@ -130,7 +132,7 @@ export class SelfCorrectionAgent {
               property: 'color',
               currentValue: issue.actualValue,
               targetValue: issue.expectedValue,
-              selector: this.generateCSSSelector(issue.location)
+              selector: this.selectorForIssue(issue)
             },
             confidence: 0.85,
             estimatedImpact: 'low',
@@ -182,7 +184,27 @@ export class SelfCorrectionAgent {
       for (const finding of analysis.findings) {
         if (finding.issues) {
           for (const issue of finding.issues) {
-            if (issue.category === 'typography') {
+            if (issue.selector && issue.property && issue.expectedValue) {
+              // Token and heuristic findings name the exact element, property and value to use
+              corrections.push({
+                type: 'css',
+                severity: issue.severity,
+                safetyLevel: 'safe',
+                category: issue.tokenCategory || issue.category,
+                description: `Set ${issue.property} of ${issue.selector} to ${issue.expectedValue}` +
+                  (issue.token ? ` (token ${issue.token})` : ''),
+                location: issue.location,
+                change: {
+                  property: issue.property,
+                  currentValue: issue.actualValue,
+                  targetValue: issue.expectedValue,
+                  selector: issue.selector
+                },
+                confidence: issue.source === 'design-tokens' ? 0.9 : 0.75,
+                estimatedImpact: 'low',
+                reversible: true
+              });
+            } else if (issue.category === 'typography') {
               corrections.push({
                 type: 'css',
                 severity: issue.severity,
@@ -192,7 +214,7 @@ export class SelfCorrectionAgent {
                 location: issue.location,
                 change: {
                   properties: this.generateTypographyFix(issue, designSpecs.typography),
-                  selector: this.generateCSSSelector(issue.location)
+                  selector: this.selectorForIssue(issue)
                 },
                 confidence: 0.75,
                 estimatedImpact: 'medium',
@@ -225,7 +247,7 @@ export class SelfCorrectionAgent {
                 change: {
                   mediaQuery: finding.comparison,
                   properties: this.generateResponsiveFix(issue),
-                  selector: this.generateCSSSelector(issue.location)
+                  selector: this.selectorForIssue(issue)
                 },
                 confidence: 0.7,
                 estimatedImpact: 'high',
@@ -252,7 +274,7 @@ export class SelfCorrectionAgent {
             safetyLevel: 'moderate',
             category: 'performance',
             description: `Optimize ${metric}`,
-            location: 'global',
+            location: this.performanceLocation(metric, analysis.attribution),
             change: {
               metric,
               currentRating: rating,
@@ -269,6 +291,16 @@ export class SelfCorrectionAgent {
     return corrections;
   }
 
+  // The element behind a metric when the vitals collector attributed it
+  performanceLocation(metric, attribution = {}) {
+    const selector = {
+      lcp: attribution.lcpElement?.selector,
+      cls: attribution.layoutShifts?.[0]?.selector,
+      inp: attribution.slowestInteractions?.[0]?.target
+    }[metric];
+    return selector || 'global';
+  }
+
   async applyCorrectionPlan(correctionPlan, projectPath = '.') {
     console.log(`🛠️ Applying correction plan with ${correctionPlan.corrections.length} corrections...`);
     
@@ -357,7 +389,9 @@ export class SelfCorrectionAgent {
       const value = correction.change.targetValue;
       
       // Try to update existing rule or add new one
-      const ruleRegex = new RegExp(`(${selector}\\s*{[^}]*)(${property}\\s*:[^;]*;?)([^}]*})`, 'g');
+      // Generated selectors contain regex metacharacters (".", ":nth-of-type(2)"), so escape them
+      const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const ruleRegex = new RegExp(`(${escapeRegExp(selector)}\\s*{[^}]*)(${escapeRegExp(property)}\\s*:[^;]*;?)([^}]*})`, 'g');
       
       if (ruleRegex.test(cssContent)) {
         // Update existing property
@@ -430,6 +464,11 @@ export class SelfCorrectionAgent {
   }
 
   // Utility methods
+  // Prefer the selector measured from the DOM (diff attribution, heuristics) over one guessed from text
+  selectorForIssue(issue) {
+    return issue.selector || this.generateCSSSelector(issue.location);
+  }
+
   generateCSSSelector(location) {
     // Convert location description to CSS selector
     const selectorMap = {
@@ -503,6 +542,8 @@ export class SelfCorrectionAgent {
     const optimizations = {
       'lcp': ['Optimize images', 'Remove render-blocking resources', 'Improve server response times'],
       'fid': ['Minimize main thread work', 'Reduce third-party code impact'],
+      'inp': ['Break up long event handlers', 'Defer non-urgent work after input with requestIdleCallback or scheduler.yield', 'Avoid large re-renders on interaction'],
+      'tbt': ['Split long JavaScript tasks', 'Reduce and defer third-party scripts', 'Code-split bundles loaded on startup'],
       'cls': ['Set size attributes on images and videos', 'Avoid inserting content above existing content'],
       'fcp': ['Eliminate render-blocking resources', 'Minify CSS'],
       'ttfb': ['Optimize server configuration', 'Use a CDN']
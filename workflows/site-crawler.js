@@ -0,0 +1,428 @@
+/**
+ * Site Crawler - Discovers same-origin routes from a root URL and reviews every page
+ * Screenshot, accessibility and performance checks per page, aggregated into one report
+ */
+
+import fs from 'fs';
+import path from 'path';
+import NavigationAgent from '../subagents/navigation-agent.js';
+import ScreenshotAgent from '../subagents/screenshot-agent.js';
+import AnalysisAgent from '../subagents/analysis-agent.js';
+import { urlMatcher } from '../subagents/url-patterns.js';
+import TrendStore, { trendMetrics, throttlingKey } from '../subagents/trend-store.js';
+
+const SKIPPED_EXTENSIONS = /\.(?:pdf|zip|gz|png|jpe?g|gif|svg|webp|ico|mp4|webm|mp3|css|js|json|xml|txt)$/i;
+
+// Path segments that identify one record of a collection rather than a distinct page
+const DYNAMIC_SEGMENTS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^(?=.*\d)[0-9a-f]{12,}$/i,
+  /^(?=.*\d)[a-z0-9]+(?:-[a-z0-9]+){3,}$/i // long slugs with numbers, e.g. blue-shirt-size-42
+];
+
+/**
+ * Route template used to de-duplicate pages: /products/123?color=red -> /products/:id?color
+ */
+export function urlTemplate(url) {
+  const { pathname, searchParams } = new URL(url);
+  const segments = pathname
+    .split('/')
+    .map(segment => (DYNAMIC_SEGMENTS.some(pattern => pattern.test(segment)) ? ':id' : segment));
+  const keys = [...new Set(searchParams.keys())].sort();
+  return segments.join('/').replace(/\/$/, '') + (keys.length > 0 ? `?${keys.join('&')}` : '') || '/';
+}
+
+export function normalizeUrl(url, base) {
+  try {
+    const parsed = new URL(url, base);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    parsed.hash = '';
+    if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// <loc> entries of a sitemap or sitemap index
+export function parseSitemap(xml) {
+  const locations = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map(match =>
+    match[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>'));
+  return {
+    isIndex: /<sitemapindex[\s>]/i.test(xml),
+    locations
+  };
+}
+
+export class SiteCrawler {
+  constructor(options = {}) {
+    this.options = {
+      maxDepth: 2,
+      maxPages: 20,
+      include: [], // globs ("/docs/**" matches paths, anything else full URLs) or RegExps
+      exclude: ['/logout*', '/signout*'],
+      useSitemap: true,
+      dedupeTemplates: true,
+      checks: ['screenshot', 'accessibility', 'performance'],
+      interact: false, // click toggles on each page so INP has something to measure
+      reportDir: 'reports',
+      trends: true, // append every reviewed page to the trend history
+      ...options
+    };
+
+    this.navigationAgent = null;
+    this.screenshotAgent = null;
+    this.analysisAgent = null;
+    this.ownsAgents = false;
+  }
+
+  async initialize(browser = 'chromium', device = 'desktop.large') {
+    console.log('🕸️ Initializing Site Crawler...');
+
+    this.navigationAgent = new NavigationAgent({ browser, device, ...this.options.navigation });
+    await this.navigationAgent.initialize();
+
+    this.screenshotAgent = new ScreenshotAgent(this.navigationAgent);
+    this.analysisAgent = new AnalysisAgent(this.navigationAgent);
+    this.ownsAgents = true;
+
+    console.log('✅ Site Crawler ready');
+    return this;
+  }
+
+  // Crawl with the agents of an existing session instead of launching a browser
+  useAgents({ navigationAgent, screenshotAgent, analysisAgent }) {
+    this.navigationAgent = navigationAgent;
+    this.screenshotAgent = screenshotAgent;
+    this.analysisAgent = analysisAgent;
+    this.ownsAgents = false;
+    return this;
+  }
+
+  async crawl(rootUrl) {
+    const root = normalizeUrl(rootUrl);
+    if (!root) {
+      throw new Error(`Invalid root URL: ${rootUrl}`);
+    }
+
+    const crawl = {
+      id: `crawl-${Date.now()}`,
+      rootUrl: root,
+      origin: new URL(root).origin,
+      startTime: new Date().toISOString(),
+      options: {
+        maxDepth: this.options.maxDepth,
+        maxPages: this.options.maxPages,
+        include: this.options.include.map(String),
+        exclude: this.options.exclude.map(String),
+        checks: this.options.checks,
+        throttling: this.navigationAgent.getThrottling().description
+      },
+      pages: [],
+      skipped: [],
+      sitemap: null
+    };
+
+    const includes = this.options.include.map(urlMatcher);
+    const excludes = this.options.exclude.map(urlMatcher);
+    const seen = new Set();
+    const templates = new Map(); // template -> first URL reviewed for it
+    const queue = [{ url: root, depth: 0, source: 'root' }];
+
+    const skip = (url, reason, extra = {}) => crawl.skipped.push({ url, reason, ...extra });
+    const enqueue = (url, depth, source) => {
+      const normalized = normalizeUrl(url, root);
+      if (!normalized || seen.has(normalized)) return;
+      seen.add(normalized);
+      queue.push({ url: normalized, depth, source });
+    };
+    seen.add(root);
+
+    if (this.options.useSitemap) {
+      crawl.sitemap = await this.loadSitemap(crawl.origin);
+      crawl.sitemap.urls.forEach(url => enqueue(url, 1, 'sitemap'));
+    }
+
+    console.log(`🕸️ Crawling ${root} (depth ${this.options.maxDepth}, up to ${this.options.maxPages} pages)...`);
+
+    while (queue.length > 0) {
+      const { url, depth, source } = queue.shift();
+
+      if (crawl.pages.length >= this.options.maxPages) {
+        skip(url, 'page-limit');
+        continue;
+      }
+      if (new URL(url).origin !== crawl.origin) {
+        skip(url, 'external');
+        continue;
+      }
+      if (SKIPPED_EXTENSIONS.test(new URL(url).pathname)) {
+        skip(url, 'not-a-page');
+        continue;
+      }
+      if (url !== root && includes.length > 0 && !includes.some(matches => matches(url))) {
+        skip(url, 'not-included');
+        continue;
+      }
+      if (url !== root && excludes.some(matches => matches(url))) {
+        skip(url, 'excluded');
+        continue;
+      }
+
+      const template = urlTemplate(url);
+      if (this.options.dedupeTemplates && templates.has(template)) {
+        skip(url, 'duplicate-template', { template, reviewedAs: templates.get(template) });
+        continue;
+      }
+      templates.set(template, url);
+
+      const page = await this.reviewPage(url, { depth, source, template, index: crawl.pages.length });
+      crawl.pages.push(page);
+
+      if (page.success && depth < this.options.maxDepth) {
+        page.links.forEach(link => enqueue(link, depth + 1, url));
+      }
+    }
+
+    crawl.endTime = new Date().toISOString();
+    crawl.summary = this.summarize(crawl);
+
+    const report = this.generateCrawlReport(crawl);
+    if (this.options.trends) this.recordTrends(crawl);
+    console.log(`✅ Crawl completed: ${crawl.pages.length} page(s) reviewed, ${crawl.skipped.length} skipped`);
+
+    return { ...crawl, ...report };
+  }
+
+  // sitemap.xml (or a sitemap index one level deep) from the site root; missing sitemaps are not an error
+  async loadSitemap(origin) {
+    const sitemapUrl = `${origin}/sitemap.xml`;
+    const result = { url: sitemapUrl, found: false, urls: [] };
+
+    try {
+      const fetchXml = async url => {
+        const response = await this.navigationAgent.context.request.get(url, { timeout: 10000 });
+        return response.ok() ? response.text() : null;
+      };
+
+      const xml = await fetchXml(sitemapUrl);
+      if (!xml) return result;
+
+      const sitemap = parseSitemap(xml);
+      result.found = true;
+      if (sitemap.isIndex) {
+        for (const location of sitemap.locations.filter(loc => loc.startsWith(origin))) {
+          const nested = await fetchXml(location);
+          if (nested) result.urls.push(...parseSitemap(nested).locations);
+        }
+      } else {
+        result.urls = sitemap.locations;
+      }
+      console.log(`🗺️ sitemap.xml lists ${result.urls.length} URL(s)`);
+    } catch (error) {
+      console.log(`⚠️ Could not read ${sitemapUrl}: ${error.message}`);
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  async reviewPage(url, { depth, source, template, index }) {
+    console.log(`\n📄 [${index + 1}] ${url} (depth ${depth})`);
+
+    const errorsBefore = this.navigationAgent.errors?.length || 0;
+    const page = { url, template, depth, source, timestamp: new Date().toISOString(), links: [] };
+    const analyses = [];
+
+    const navigation = await this.navigationAgent.navigateToUrl(url);
+    page.success = navigation.success;
+    page.status = navigation.status;
+    page.loadTime = navigation.loadTime;
+
+    if (!navigation.success) {
+      page.error = navigation.error;
+      return page;
+    }
+
+    page.title = await this.navigationAgent.page.title();
+    page.links = await this.extractLinks();
+
+    const checks = this.options.checks;
+    try {
+      if (checks.includes('screenshot')) {
+        const screenshot = await this.screenshotAgent.captureFullPage(`crawl-${this.pageSlug(template)}`);
+        page.screenshot = screenshot.path;
+      }
+
+      if (checks.includes('accessibility')) {
+        const accessibility = await this.analysisAgent.analyzeAccessibility(url);
+        analyses.push(accessibility);
+        page.accessibility = {
+          severity: accessibility.severity,
+          violations: accessibility.automated.violations.map(violation => ({
+            id: violation.id,
+            impact: violation.impact,
+            help: violation.help,
+            nodes: violation.nodes.length
+          })),
+          findings: accessibility.aiAnalysis.findings.length
+        };
+      }
+
+      if (checks.includes('performance')) {
+        const performance = await this.analysisAgent.checkPerformanceMetrics({ interact: this.options.interact });
+        analyses.push(performance);
+        page.performance = {
+          metrics: performance.metrics,
+          evaluation: performance.evaluation,
+          resources: performance.resources,
+          budget: { passed: performance.budget.passed, exceeded: performance.budget.exceeded }
+        };
+      }
+    } catch (error) {
+      console.error(`❌ Review of ${url} failed: ${error.message}`);
+      page.error = error.message;
+    }
+
+    page.trend = trendMetrics(analyses, [], this.analysisAgent);
+    page.errors = (this.navigationAgent.errors || []).slice(errorsBefore);
+    return page;
+  }
+
+  recordTrends(crawl) {
+    const { browser, device } = this.navigationAgent.options;
+    new TrendStore().append(crawl.pages.filter(page => page.success).map(page => ({
+      url: page.url,
+      device,
+      browser,
+      throttling: throttlingKey(this.navigationAgent.getThrottling()),
+      source: 'crawl',
+      crawlId: crawl.id,
+      metrics: page.trend
+    })));
+  }
+
+  async extractLinks() {
+    return this.navigationAgent.page.$$eval('a[href]', anchors => anchors
+      .filter(anchor => !anchor.hasAttribute('download') && anchor.getAttribute('rel') !== 'nofollow')
+      .map(anchor => anchor.href));
+  }
+
+  pageSlug(template) {
+    return template
+      .replace(/^\//, '')
+      .replace(/:id/g, 'id')
+      .replace(/[^a-z0-9]+/gi, '-')
+      .replace(/^-|-$/g, '') || 'home';
+  }
+
+  summarize(crawl) {
+    const reviewed = crawl.pages.filter(page => page.success);
+    const violations = reviewed.flatMap(page => page.accessibility?.violations || []);
+    const byImpact = violations.reduce((counts, violation) => {
+      counts[violation.impact || 'unknown'] = (counts[violation.impact || 'unknown'] || 0) + 1;
+      return counts;
+    }, {});
+
+    const poorPerformance = reviewed.filter(page =>
+      Object.values(page.performance?.evaluation || {}).includes('poor'));
+
+    return {
+      pagesReviewed: reviewed.length,
+      pagesFailed: crawl.pages.length - reviewed.length,
+      skipped: crawl.skipped.reduce((counts, entry) => {
+        counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+        return counts;
+      }, {}),
+      accessibilityViolations: violations.length,
+      violationsByImpact: byImpact,
+      criticalPages: reviewed
+        .filter(page => page.accessibility?.severity === 'critical')
+        .map(page => page.url),
+      poorPerformancePages: poorPerformance.map(page => page.url),
+      overBudgetPages: reviewed.filter(page => page.performance && !page.performance.budget.passed).map(page => page.url),
+      pageErrors: reviewed.reduce((sum, page) => sum + (page.errors?.length || 0), 0)
+    };
+  }
+
+  generateCrawlReport(crawl) {
+    fs.mkdirSync(this.options.reportDir, { recursive: true });
+
+    const report = {
+      ...crawl,
+      pages: crawl.pages.map(({ links: pageLinks, ...page }) => ({ ...page, links: pageLinks.length }))
+    };
+
+    const reportPath = path.join(this.options.reportDir, `${crawl.id}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    const markdownPath = path.join(this.options.reportDir, `${crawl.id}.md`);
+    fs.writeFileSync(markdownPath, this.generateMarkdownReport(report));
+
+    console.log(`📊 Crawl report saved: ${markdownPath}`);
+    return { reportPath, markdownPath };
+  }
+
+  generateMarkdownReport(report) {
+    const { summary } = report;
+    const anchor = (page, index) => `page-${index + 1}`;
+    const rate = evaluation => Object.entries(evaluation || {})
+      .filter(([, value]) => value !== 'unknown')
+      .map(([metric, value]) => `${metric.toUpperCase()} ${value}`)
+      .join(', ') || 'n/a';
+
+    const pageSections = report.pages.map((page, index) => `
+### <a id="${anchor(page, index)}"></a>${index + 1}. ${page.title || page.url}
+
+- **URL:** ${page.url}
+- **Template:** \`${page.template}\` (depth ${page.depth}, found via ${page.source})
+- **Status:** ${page.success ? `HTTP ${page.status}` : `failed - ${page.error}`}
+${page.screenshot ? `- **Screenshot:** ${page.screenshot}\n` : ''}${page.accessibility ? `- **Accessibility:** ${page.accessibility.severity}, ${page.accessibility.violations.length} violation(s)\n` : ''}${page.performance ? `- **Performance:** ${rate(page.performance.evaluation)}\n` : ''}${page.errors?.length ? `- **Page errors:** ${page.errors.length}\n` : ''}
+${page.accessibility?.violations.length ? `| Rule | Impact | Nodes | Help |
+|------|--------|-------|------|
+${page.accessibility.violations.map(violation => `| ${violation.id} | ${violation.impact} | ${violation.nodes} | ${violation.help} |`).join('\n')}
+` : ''}`).join('\n');
+
+    return `# Site Crawl Report
+
+**Root:** ${report.rootUrl}
+**Started:** ${report.startTime}
+**Finished:** ${report.endTime}
+**Limits:** depth ${report.options.maxDepth}, ${report.options.maxPages} pages
+**Throttling:** ${report.options.throttling}
+**Sitemap:** ${report.sitemap?.found ? `${report.sitemap.urls.length} URL(s)` : 'not found'}
+
+## Summary
+
+- Pages reviewed: ${summary.pagesReviewed}${summary.pagesFailed ? ` (${summary.pagesFailed} failed)` : ''}
+- Skipped: ${Object.entries(summary.skipped).map(([reason, count]) => `${count} ${reason}`).join(', ') || 'none'}
+- Accessibility violations: ${summary.accessibilityViolations}${Object.keys(summary.violationsByImpact).length ? ` (${Object.entries(summary.violationsByImpact).map(([impact, count]) => `${count} ${impact}`).join(', ')})` : ''}
+- Pages with critical accessibility issues: ${summary.criticalPages.length}
+- Pages with poor performance metrics: ${summary.poorPerformancePages.length}
+- Pages over their performance budget: ${summary.overBudgetPages.length}
+- Console, JavaScript and network errors: ${summary.pageErrors}
+
+## Pages
+
+| # | Page | Status | Accessibility | Performance |
+|---|------|--------|---------------|-------------|
+${report.pages.map((page, index) => `| ${index + 1} | [${page.template}](#${anchor(page, index)}) | ${page.success ? page.status : 'failed'} | ${page.accessibility ? `${page.accessibility.severity} (${page.accessibility.violations.length})` : '-'} | ${page.performance ? rate(page.performance.evaluation) : '-'} |`).join('\n')}
+
+## Page Details
+${pageSections}
+---
+
+*Generated by Site Crawler*
+`;
+  }
+
+  async cleanup() {
+    if (this.ownsAgents && this.navigationAgent) await this.navigationAgent.close();
+    this.navigationAgent = null;
+    this.screenshotAgent = null;
+    this.analysisAgent = null;
+  }
+}
+
+export default SiteCrawler;
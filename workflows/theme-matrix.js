@@ -0,0 +1,308 @@
+/**
+ * Theme Matrix - Captures one page across color schemes, forced colors, reduced motion, contrast,
+ * locales and timezones, each against its own baseline, and flags issues that appear in only one mode
+ */
+
+import fs from 'fs';
+import path from 'path';
+import AxeBuilder from '@axe-core/playwright';
+import NavigationAgent from '../subagents/navigation-agent.js';
+import ScreenshotAgent from '../subagents/screenshot-agent.js';
+import HeuristicAnalyzer from '../subagents/heuristic-analyzers.js';
+import { installPageHelpers } from '../subagents/page-helpers.js';
+
+export const EMULATION_DIMENSIONS = {
+  colorScheme: ['light', 'dark', 'no-preference'],
+  forcedColors: ['none', 'active'],
+  reducedMotion: ['no-preference', 'reduce'],
+  contrast: ['no-preference', 'more'],
+  locale: null, // any BCP 47 tag
+  timezoneId: null, // any IANA timezone
+  geolocation: null // { latitude, longitude, accuracy }
+};
+
+// One mode at a time against the light default, when no dimensions are given
+export const DEFAULT_VARIANTS = [
+  { colorScheme: 'light' },
+  { colorScheme: 'dark' },
+  { colorScheme: 'light', forcedColors: 'active' },
+  { colorScheme: 'light', reducedMotion: 'reduce' }
+];
+
+// Values that mean "not emulated" are left out of the variant name
+const NEUTRAL_VALUES = ['none', 'no-preference'];
+
+const LABELS = {
+  forcedColors: () => 'forced-colors',
+  reducedMotion: () => 'reduced-motion',
+  contrast: value => `contrast-${value}`,
+  timezoneId: value => value.replace(/\//g, '-'),
+  geolocation: value => `geo-${value.latitude},${value.longitude}`
+};
+
+// Stable name for a variant, used in screenshot and baseline names: { colorScheme: 'dark', locale: 'de-DE' } -> dark--de-DE
+export function variantKey(variant) {
+  const parts = Object.keys(EMULATION_DIMENSIONS)
+    .filter(dimension => variant[dimension] !== undefined && !NEUTRAL_VALUES.includes(variant[dimension]))
+    .map(dimension => (LABELS[dimension] ? LABELS[dimension](variant[dimension]) : String(variant[dimension])));
+  return parts.length > 0 ? parts.join('--') : 'default';
+}
+
+/**
+ * Every combination of the given dimension values: { colorScheme: ['light', 'dark'], locale: ['en-US', 'de-DE'] }
+ * gives four variants. Unknown dimensions and values outside the Playwright enums throw.
+ */
+export function expandVariants(dimensions) {
+  let variants = [{}];
+
+  for (const [dimension, values] of Object.entries(dimensions)) {
+    if (!(dimension in EMULATION_DIMENSIONS)) {
+      throw new Error(`Unknown emulation dimension "${dimension}". Use: ${Object.keys(EMULATION_DIMENSIONS).join(', ')}`);
+    }
+    const allowed = EMULATION_DIMENSIONS[dimension];
+    const invalid = allowed ? values.filter(value => !allowed.includes(value)) : [];
+    if (invalid.length > 0) {
+      throw new Error(`Invalid ${dimension} value(s) ${invalid.join(', ')}. Use one of: ${allowed.join(', ')}`);
+    }
+    if (values.length === 0) continue;
+
+    variants = variants.flatMap(variant => values.map(value => ({ ...variant, [dimension]: value })));
+  }
+
+  return variants;
+}
+
+// Identifies an issue across variants so the same problem in two modes is recognised as one
+function issueKey(issue) {
+  return `${issue.category}:${issue.selector}`;
+}
+
+export class ThemeMatrix {
+  constructor(options = {}) {
+    this.options = {
+      browser: 'chromium',
+      device: 'desktop.large',
+      variants: DEFAULT_VARIANTS,
+      checks: ['contrast', 'layout'],
+      maxVariants: 32,
+      navigation: {}, // extra NavigationAgent options (deterministic, network, auth, ...)
+      reportDir: 'reports',
+      ...options
+    };
+
+    if (this.options.variants.length > this.options.maxVariants) {
+      throw new Error(`${this.options.variants.length} variants exceed the limit of ${this.options.maxVariants}; pass fewer values or raise maxVariants`);
+    }
+  }
+
+  async run(url, name = 'theme-matrix') {
+    const matrix = {
+      id: `theme-matrix-${name}-${Date.now()}`,
+      url,
+      name,
+      browser: this.options.browser,
+      device: this.options.device,
+      startTime: new Date().toISOString(),
+      variants: []
+    };
+
+    console.log(`🎨 Capturing ${url} in ${this.options.variants.length} mode(s)...`);
+
+    // Every variant gets a fresh context in one browser, since locale and timezone can't change on a live page
+    const browser = await new NavigationAgent({ ...this.options.navigation, browser: this.options.browser }).launchBrowser();
+    try {
+      for (const variant of this.options.variants) {
+        matrix.variants.push(await this.captureVariant(url, name, variant, browser));
+      }
+    } finally {
+      await browser.close();
+    }
+
+    matrix.endTime = new Date().toISOString();
+    matrix.summary = this.summarize(matrix);
+
+    const report = this.generateMatrixReport(matrix);
+    console.log(`✅ Theme matrix completed: ${matrix.summary.modeSpecific.length} mode-specific issue(s), ${matrix.summary.baselineChanges} baseline change(s)`);
+
+    return { ...matrix, ...report };
+  }
+
+  async captureVariant(url, name, variant, sharedBrowser) {
+    const key = variantKey(variant);
+    const entry = { key, emulation: variant, baselineName: `${name}--${key}.png` };
+    console.log(`\n🎨 ${key}`);
+
+    const navigationAgent = new NavigationAgent({
+      ...this.options.navigation,
+      browser: this.options.browser,
+      device: this.options.device,
+      emulation: { ...this.options.navigation.emulation, ...variant },
+      sharedBrowser
+    });
+
+    try {
+      await navigationAgent.initialize();
+      const navigation = await navigationAgent.navigateToUrl(url);
+      if (!navigation.success) {
+        return { ...entry, success: false, error: navigation.error };
+      }
+
+      const screenshotAgent = new ScreenshotAgent(navigationAgent);
+      const screenshot = await screenshotAgent.captureFullPage(`${name}--${key}`);
+      const baseline = await screenshotAgent.compareWithBaseline(screenshot.path, entry.baselineName);
+
+      return {
+        ...entry,
+        success: true,
+        screenshot: screenshot.path,
+        baseline: {
+          isNewBaseline: Boolean(baseline.isNewBaseline),
+          match: baseline.match,
+          diffPercentage: baseline.diffPercentage ?? 0,
+          diffPath: baseline.diffPath || null,
+          regions: (baseline.regions || []).slice(0, 5).map(region => region.finding?.description || region.type)
+        },
+        issues: await this.checkVariant(navigationAgent)
+      };
+    } catch (error) {
+      console.log(`❌ ${key} failed: ${error.message}`);
+      return { ...entry, success: false, error: error.message };
+    } finally {
+      await navigationAgent.close().catch(() => {});
+    }
+  }
+
+  // Contrast failures from axe and overflow or clipped text from the heuristic layout checks
+  async checkVariant(navigationAgent) {
+    const { page } = navigationAgent;
+    const issues = [];
+
+    if (this.options.checks.includes('contrast')) {
+      const results = await new AxeBuilder({ page }).withRules(['color-contrast']).analyze();
+      for (const violation of results.violations) {
+        for (const node of violation.nodes) {
+          issues.push({
+            category: 'contrast',
+            selector: node.target.join(' '),
+            severity: violation.impact === 'serious' || violation.impact === 'critical' ? 'major' : 'minor',
+            description: node.failureSummary?.split('\n').pop().trim() || violation.help
+          });
+        }
+      }
+    }
+
+    if (this.options.checks.includes('layout')) {
+      const heuristics = new HeuristicAnalyzer(navigationAgent);
+      await installPageHelpers(page);
+      for (const issue of [...await heuristics.detectHorizontalOverflow(), ...await heuristics.detectTextClipping()]) {
+        issues.push({ category: issue.category, selector: issue.selector, severity: issue.severity, description: issue.description });
+      }
+    }
+
+    return issues;
+  }
+
+  summarize(matrix) {
+    const captured = matrix.variants.filter(variant => variant.success);
+    const occurrences = new Map(); // issue key -> variant keys showing it
+
+    for (const variant of captured) {
+      for (const issue of variant.issues) {
+        const key = issueKey(issue);
+        occurrences.set(key, [...(occurrences.get(key) || []), variant.key]);
+      }
+    }
+
+    // Only worth flagging when there are other modes to contrast with
+    const modeSpecific = captured.length < 2 ? [] : captured.flatMap(variant => variant.issues
+      .filter(issue => occurrences.get(issueKey(issue)).length === 1)
+      .map(issue => ({ variant: variant.key, ...issue })));
+
+    const changed = captured.filter(variant => !variant.baseline.match);
+
+    return {
+      variants: matrix.variants.length,
+      failed: matrix.variants.length - captured.length,
+      newBaselines: captured.filter(variant => variant.baseline.isNewBaseline).length,
+      baselineChanges: changed.length,
+      // A baseline change in one mode while the others still match points at mode-specific CSS
+      modeSpecificChanges: changed.length === 1 && captured.length > 1 ? [changed[0].key] : [],
+      issues: captured.reduce((total, variant) => total + variant.issues.length, 0),
+      sharedIssues: [...occurrences.values()].filter(keys => keys.length > 1).length,
+      modeSpecific
+    };
+  }
+
+  generateMatrixReport(matrix) {
+    fs.mkdirSync(this.options.reportDir, { recursive: true });
+
+    const reportPath = path.join(this.options.reportDir, `${matrix.id}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(matrix, null, 2));
+
+    const markdownPath = path.join(this.options.reportDir, `${matrix.id}.md`);
+    fs.writeFileSync(markdownPath, this.generateMarkdownReport(matrix));
+
+    console.log(`📊 Theme matrix report saved: ${markdownPath}`);
+    return { reportPath, markdownPath };
+  }
+
+  generateMarkdownReport(matrix) {
+    const { summary } = matrix;
+    const count = (variant, category) => variant.issues.filter(issue => issue.category === category).length;
+    const specificCount = variant => summary.modeSpecific.filter(issue => issue.variant === variant.key).length;
+
+    const rows = matrix.variants.map(variant => {
+      if (!variant.success) return `| ${variant.key} | ❌ ${variant.error} | - | - | - |`;
+
+      const baseline = variant.baseline.isNewBaseline ? '🆕 new'
+        : variant.baseline.match ? '✅ match' : `⚠️ ${variant.baseline.diffPercentage}%`;
+      const flag = specificCount(variant) > 0 || summary.modeSpecificChanges.includes(variant.key) ? '🚩 ' : '';
+      return `| ${flag}${variant.key} | ${baseline} | ${count(variant, 'contrast')} | ${count(variant, 'overflow') + count(variant, 'clipping')} | ${specificCount(variant)} |`;
+    }).join('\n');
+
+    const specific = matrix.variants.filter(variant => specificCount(variant) > 0).map(variant => `
+### ${variant.key}
+
+${summary.modeSpecific.filter(issue => issue.variant === variant.key).map(issue => `- **${issue.category}** (${issue.severity}) \`${issue.selector}\`: ${issue.description}`).join('\n')}
+`).join('');
+
+    const changes = matrix.variants.filter(variant => variant.success && !variant.baseline.match).map(variant =>
+      `- **${variant.key}**: ${variant.baseline.diffPercentage}% changed${variant.baseline.regions.length ? ` (${variant.baseline.regions.join('; ')})` : ''}${variant.baseline.diffPath ? ` - ${variant.baseline.diffPath}` : ''}`
+    ).join('\n');
+
+    return `# Theme Matrix: ${matrix.name}
+
+**URL:** ${matrix.url}
+**Browser:** ${matrix.browser} on ${matrix.device}
+**Started:** ${matrix.startTime}
+**Finished:** ${matrix.endTime}
+
+## Summary
+
+- Modes captured: ${summary.variants}${summary.failed ? ` (${summary.failed} failed)` : ''}
+- Baseline changes: ${summary.baselineChanges}${summary.newBaselines ? `, ${summary.newBaselines} new baseline(s)` : ''}${summary.modeSpecificChanges.length ? ` (only in ${summary.modeSpecificChanges.join(', ')})` : ''}
+- Contrast and layout issues: ${summary.issues}, ${summary.sharedIssues} shared by several modes
+- Issues in only one mode: ${summary.modeSpecific.length}
+
+## Modes
+
+| Mode | Baseline | Contrast | Layout | Only in this mode |
+|------|----------|----------|--------|-------------------|
+${rows}
+
+🚩 has regressions that no other mode shows
+
+## Issues Specific to One Mode
+${specific || '\nNone found.\n'}
+## Baseline Changes
+
+${changes || 'None.'}
+
+---
+
+*Generated by Theme Matrix*
+`;
+  }
+}
+
+export default ThemeMatrix;